@@ -1,12 +1,53 @@
 // @ts-check
 import { defineConfig } from 'astro/config';
 import sitemap from '@astrojs/sitemap';
+import { SITE_URL, BASE_PATH } from './scripts/lib/site.js';
+import { readJSON } from './scripts/lib/json.js';
+import { applyOverrides } from './scripts/lib/overrides.js';
+import { secondaryVideoPaths } from './scripts/lib/video.js';
+import { redirectRoutes } from './scripts/lib/identity.js';
+import { LOCALES, DEFAULT_LOCALE, localizePath } from './scripts/lib/i18n.js';
+import {
+  VIDEOS_PATH,
+  RESTAURANTS_PATH,
+  BLOG_POSTS_PATH,
+  OVERRIDES_PATH,
+  REDIRECTS_PATH,
+} from './scripts/lib/paths.js';
+
+// Pages of multi-restaurant videos under their secondary restaurants are
+// non-canonical duplicates, in every language; keep them out of the sitemap.
+const { videos, blogPosts, redirects: moves } = applyOverrides(
+  {
+    videos: readJSON(VIDEOS_PATH, []),
+    restaurants: readJSON(RESTAURANTS_PATH, {}),
+    blogPosts: readJSON(BLOG_POSTS_PATH, {}),
+  },
+  readJSON(OVERRIDES_PATH, {})
+);
+const nonCanonicalPaths = new Set(secondaryVideoPaths(videos));
+
+// Video pages of merged, split or moved restaurants, and blog posts a move
+// renamed, keep working at their old URLs.
+const redirects = redirectRoutes([...readJSON(REDIRECTS_PATH, []), ...moves], { videos, blogPosts });
 
 export default defineConfig({
-  site: 'https://greenido.github.io',
-  base: '/oneminreviews/',
+  site: SITE_URL,
+  base: BASE_PATH,
   output: 'static',
-  integrations: [sitemap()],
+  redirects,
+  // English pages stay unprefixed; see scripts/lib/i18n.js
+  i18n: {
+    locales: LOCALES,
+    defaultLocale: DEFAULT_LOCALE,
+    routing: { prefixDefaultLocale: false },
+  },
+  integrations: [
+    sitemap({
+      filter: (page) => !nonCanonicalPaths.has(localizePath(new URL(page).pathname, DEFAULT_LOCALE)),
+      i18n: { defaultLocale: DEFAULT_LOCALE, locales: Object.fromEntries(LOCALES.map((l) => [l, l])) },
+    }),
+  ],
   build: {
     format: 'directory',
   },
@@ -1,61 +1,71 @@
 /**
  * Restaurant Enrichment Pipeline
  *
- * 1. NLP: Extract restaurant names from video captions
- * 2. Google Places API: Get ratings, address, reviews
- * 3. Yelp Fusion API: Get ratings, review count
- * 4. Merge everything into restaurants.json
+ * 1. NLP: Extract restaurant names from video captions (several for
+ *    numbered round-ups like "1. Joe's Pizza 2. Prince St Pizza")
+ * 2. Providers (scripts/lib/providers): Google Places API (New) for
+ *    ratings, address, reviews, price level, hours, website and phone;
+ *    Yelp for ratings and reviews; OpenStreetMap and Foursquare when
+ *    enabled. Responses are cached in .cache/http.
+ * 3. Merge everything into restaurants.json
+ * 4. Place each restaurant in its metro, city and neighborhood from its
+ *    address and coordinates (scripts/lib/geography.js); the caption only
+ *    hints which city to search in
+ * 5. Apply data/overrides.json as the final layer (names, city/cuisine,
+ *    address/coordinates, pinned Google place / Yelp business, hidden reviews)
  *
  * Graceful degradation: works without API keys, just uses NLP extraction.
  *
  * Env vars:
- *   GOOGLE_PLACES_KEY - Google Places API key
- *   YELP_API_KEY      - Yelp Fusion API key
+ *   GOOGLE_PLACES_KEY  - Google Places API key
+ *   YELP_API_KEY       - Yelp Fusion API key
+ *   FOURSQUARE_API_KEY - Foursquare Places API key
+ *   ENRICH_PROVIDERS, ENRICH_CACHE, ... - see scripts/lib/providers/index.js
  *
- * Usage: node scripts/enrich-restaurants.js [--dry-run] [--skip-api]
+ * Usage: node scripts/enrich-restaurants.js [--dry-run] [--skip-api] [--offline] [--refresh]
+ *   --offline  replay cached responses only, never call the APIs
+ *   --refresh  ignore cached responses and fetch everything again
  */
 
 import nlp from 'compromise';
-import { readFileSync, writeFileSync, existsSync, mkdirSync } from 'fs';
-import { resolve, dirname } from 'path';
-import { fileURLToPath } from 'url';
-
-const __dirname = dirname(fileURLToPath(import.meta.url));
-const ROOT = resolve(__dirname, '..');
-const DATA_DIR = resolve(ROOT, 'data');
-const VIDEOS_PATH = resolve(DATA_DIR, 'videos.json');
-const RESTAURANTS_PATH = resolve(DATA_DIR, 'restaurants.json');
-const OVERRIDES_PATH = resolve(DATA_DIR, 'overrides.json');
-
-const GOOGLE_PLACES_KEY = process.env.GOOGLE_PLACES_KEY || '';
-const _rawYelpKey = process.env.YELP_API_KEY || '';
-const YELP_API_KEY = _rawYelpKey && _rawYelpKey !== 'N/A' ? _rawYelpKey : '';
+import { assertValidData } from './lib/schema.js';
+import { resolveSlug, proposeMerges, proposeSplits } from './lib/identity.js';
+import { videoRestaurantSlugs } from './lib/video.js';
+import {
+  getLocations,
+  isChain,
+  findVideoLocation,
+  uniqueLocationId,
+  videoLocationId,
+  restaurantForVideo,
+} from './lib/locations.js';
+import { mentionedPlace } from './lib/gazetteer.js';
+import { resolveGeography, metroState } from './lib/geography.js';
+import { applyOverrides, normalizeOverrides } from './lib/overrides.js';
+import { readJSON, writeJSON } from './lib/json.js';
+import { loadEnv } from './lib/env.js';
+import { enrichmentConfig, createProviders } from './lib/providers/index.js';
+import { createLogger } from './lib/log.js';
+import {
+  VIDEOS_PATH,
+  RESTAURANTS_PATH,
+  OVERRIDES_PATH,
+  BLOG_POSTS_PATH,
+  GAZETTEER_PATH,
+} from './lib/paths.js';
+
+loadEnv();
+
 const DRY_RUN = process.argv.includes('--dry-run');
 const SKIP_API = process.argv.includes('--skip-api');
 
-// ---- Helpers ----
-
-function log(msg) {
-  console.log(`[enrich] ${msg}`);
-}
-
-function slugify(text) {
-  return text
-    .toLowerCase()
-    .replace(/[^a-z0-9\s-]/g, '')
-    .replace(/\s+/g, '-')
-    .replace(/-+/g, '-')
-    .replace(/^-|-$/g, '');
-}
+const gazetteer = readJSON(GAZETTEER_PATH, []);
+const config = enrichmentConfig();
+const { providers, skipped } = SKIP_API ? { providers: [], skipped: [] } : createProviders(config);
 
-function delay(ms) {
-  return new Promise((r) => setTimeout(r, ms));
-}
+// ---- Helpers ----
 
-function loadJSON(path) {
-  if (!existsSync(path)) return null;
-  return JSON.parse(readFileSync(path, 'utf-8'));
-}
+const { log, warn } = createLogger('enrich');
 
 // ---- NLP Restaurant Name Extraction ----
 
@@ -69,8 +79,8 @@ function loadJSON(path) {
  */
 function extractRestaurantName(caption, videoId, overrides) {
   // Check overrides
-  if (overrides?.overrides?.[videoId]) {
-    return overrides.overrides[videoId];
+  if (overrides.videos[videoId]?.restaurantName) {
+    return overrides.videos[videoId].restaurantName;
   }
 
   // Remove hashtags, emoji, and URLs
@@ -138,31 +148,61 @@ function extractRestaurantName(caption, videoId, overrides) {
   return null;
 }
 
+/** Parse `m:ss` / `mm:ss` into seconds. */
+function parseTimestamp(text) {
+  const match = text.match(/\b(\d{1,2}):([0-5]\d)\b/);
+  return match ? parseInt(match[1], 10) * 60 + parseInt(match[2], 10) : undefined;
+}
+
 /**
- * Detect city from caption using common city names and patterns.
+ * Extract several restaurants from a numbered caption, e.g.
+ * "Best slices in NYC: 1. Joe's Pizza (0:05) 2. Prince St Pizza (0:21)".
+ * Returns `[{ name, start? }]`, or an empty array unless at least two
+ * restaurants are listed.
  */
-function extractCity(caption) {
-  const cityPatterns = {
-    'New York': /\b(?:NYC|New York|Manhattan|Brooklyn|Queens|Bronx|Staten Island)\b/i,
-    'Los Angeles': /\b(?:LA|Los Angeles|Brentwood|Hollywood|Beverly Hills|Arts District)\b/i,
-    Chicago: /\b(?:Chicago|Wicker Park|Lincoln Park|River North)\b/i,
-    Austin: /\b(?:Austin)\b/i,
-    'San Francisco': /\b(?:SF|San Francisco|Mission District)\b/i,
-    Miami: /\b(?:Miami|Wynwood|South Beach)\b/i,
-    Houston: /\b(?:Houston)\b/i,
-    Nashville: /\b(?:Nashville)\b/i,
-    Portland: /\b(?:Portland)\b/i,
-    Seattle: /\b(?:Seattle)\b/i,
-    Philadelphia: /\b(?:Philly|Philadelphia)\b/i,
-    Dallas: /\b(?:Dallas)\b/i,
-    Denver: /\b(?:Denver)\b/i,
-    Atlanta: /\b(?:Atlanta|ATL)\b/i,
-  };
+function extractRestaurantList(caption) {
+  const items = caption
+    .split(/(?:^|\s)(?:\d{1,2}[.)]|[1-9]\uFE0F?\u20E3)\s+/u)
+    .slice(1)
+    .map((item) => {
+      const start = parseTimestamp(item);
+      const name = item
+        .replace(/\(?\b\d{1,2}:[0-5]\d\b\)?/g, '')
+        .replace(/#\w+/g, '')
+        .replace(/@\S+/g, '')
+        .split(/\s[-—–|]\s|[,:;\n]/)[0]
+        .replace(/[^\w\s'&.-]/g, ' ')
+        .replace(/\s+/g, ' ')
+        .trim();
+      return start === undefined ? { name } : { name, start };
+    })
+    .filter((item) => item.name.length >= 3 && item.name.length <= 50);
 
-  for (const [city, pattern] of Object.entries(cityPatterns)) {
-    if (pattern.test(caption)) return city;
-  }
-  return '';
+  return items.length >= 2 ? items : [];
+}
+
+/**
+ * All restaurants a video features, primary first: pinned by overrides,
+ * listed in a numbered caption, or the single name extractRestaurantName finds.
+ */
+function extractRestaurants(caption, videoId, overrides) {
+  const pinned = pinnedRestaurants(overrides.videos[videoId]);
+  if (pinned) return pinned;
+
+  const listed = extractRestaurantList(caption);
+  if (listed.length > 0) return listed;
+
+  const name = extractRestaurantName(caption, videoId, overrides);
+  return name ? [{ name }] : [];
+}
+
+/**
+ * Metro area a caption mentions ("Brooklyn" → New York), from the
+ * gazetteer. Only a hint for the provider search: once a listing is found,
+ * placeListings() files it by its own address and coordinates.
+ */
+function extractCity(caption) {
+  return mentionedPlace(gazetteer, caption)?.metro ?? '';
 }
 
 /**
@@ -198,130 +238,232 @@ function extractCuisine(caption) {
   return '';
 }
 
-// ---- Google Places API ----
+// ---- Providers ----
 
-async function searchGooglePlaces(restaurantName, city) {
-  if (!GOOGLE_PLACES_KEY || SKIP_API) return null;
+/**
+ * Look up one listing with a provider: the pinned id (from overrides.json)
+ * or the best search match, then its details and reviews.
+ */
+async function lookupListing(provider, { name, city, state, pinnedId }) {
+  const id = pinnedId || (await provider.search({ name, city, state }))?.id;
+  if (!id) {
+    log(`  ${provider.label}: no results for "${name}" in ${city}`);
+    return null;
+  }
+  const details = await provider.details(id);
+  if (!details) {
+    log(`  ${provider.label}: no details for ${id}`);
+    return null;
+  }
+  const reviews = provider.field ? await provider.reviews(id) : [];
+  return { ...details, reviews };
+}
 
-  const query = `${restaurantName} restaurant ${city}`;
-  const url = `https://maps.googleapis.com/maps/api/place/findplacefromtext/json?input=${encodeURIComponent(query)}&inputtype=textquery&fields=place_id,name,formatted_address,geometry,rating,user_ratings_total&key=${GOOGLE_PLACES_KEY}`;
+// ---- Overrides ----
 
-  try {
-    const response = await fetch(url);
-    const data = await response.json();
+/**
+ * Restaurants pinned for a video by overrides.json (`restaurants` list or a
+ * single `restaurantName`), as `[{ name, start? }]`, or null.
+ */
+function pinnedRestaurants(videoOverride) {
+  if (Array.isArray(videoOverride?.restaurants) && videoOverride.restaurants.length > 0) {
+    return videoOverride.restaurants
+      .map((r) => (typeof r === 'string' ? { name: r } : r))
+      .filter((r) => typeof r?.name === 'string' && r.name);
+  }
+  if (videoOverride?.restaurantName) return [{ name: videoOverride.restaurantName }];
+  return null;
+}
 
-    if (data.status !== 'OK' || !data.candidates?.length) {
-      log(`  Google Places: no results for "${query}"`);
-      return null;
-    }
+/** True if overrides pin a listing the restaurant (or branch) isn't using yet. */
+function hasNewListingPin(listing, pin) {
+  return providers.some((p) => p.pinField && pin[p.pinField] && p.idOf(listing) !== pin[p.pinField]);
+}
 
-    const place = data.candidates[0];
-
-    // Get detailed info + reviews
-    const detailsUrl = `https://maps.googleapis.com/maps/api/place/details/json?place_id=${place.place_id}&fields=name,rating,user_ratings_total,formatted_address,geometry,reviews&key=${GOOGLE_PLACES_KEY}`;
-
-    const detailsResponse = await fetch(detailsUrl);
-    const detailsData = await detailsResponse.json();
-
-    if (detailsData.status !== 'OK') return null;
-
-    const detail = detailsData.result;
-    const reviews = (detail.reviews || []).slice(0, 5).map((r) => ({
-      source: 'google',
-      author: r.author_name,
-      rating: r.rating,
-      text: r.text?.slice(0, 300) || '',
-      date: new Date(r.time * 1000).toISOString().split('T')[0],
-    }));
-
-    return {
-      google: {
-        rating: detail.rating || 0,
-        reviewCount: detail.user_ratings_total || 0,
-        placeId: place.place_id,
-      },
-      address: detail.formatted_address || '',
-      lat: detail.geometry?.location?.lat || 0,
-      lng: detail.geometry?.location?.lng || 0,
-      reviews,
-    };
-  } catch (e) {
-    log(`  Google Places error: ${e.message}`);
-    return null;
+/** True if overrides pin a listing (or a chain branch) the restaurant isn't using yet. */
+function hasNewPin(restaurant, pin) {
+  if (!pin) return false;
+  if (hasNewListingPin(restaurant, pin)) return true;
+  return (pin.locations ?? []).some((locationPin) => {
+    const location = getLocations(restaurant).find((l) => l.id === locationPin?.id);
+    return !location || hasNewListingPin(location, locationPin);
+  });
+}
+
+// ---- Restaurant Enrichment ----
+
+/**
+ * Fill in what each provider knows that a restaurant or chain branch is
+ * missing (or that a pinned listing replaces), in place: ratings under the
+ * provider's field, its reviews, and the address and coordinates.
+ */
+async function enrichListing(listing, { name, city, state, pin, onEnriched }) {
+  for (const provider of providers) {
+    const pinnedId = provider.pinField ? pin[provider.pinField] : undefined;
+    if (!city && !pinnedId) continue;
+
+    const pinChanged = pinnedId && provider.idOf(listing) !== pinnedId;
+    const matched = provider.field
+      ? provider.idOf(listing) && listing[provider.field]?.rating > 0
+      : listing.address && listing.lat && listing.lng;
+    const hasInfo = !provider.infoFields || provider.infoFields.some((f) => listing[f] !== undefined);
+    if (matched && hasInfo && !pinChanged) continue;
+
+    try {
+      // A matched listing that only lacks the listing facts keeps its id
+      const knownId = pinnedId || (matched ? provider.idOf(listing) : undefined);
+      const result = await lookupListing(provider, { name, city, state, pinnedId: knownId });
+      if (!result) continue;
+
+      if (provider.location === 'replace' || (provider.location === 'fill' && !(listing.lat && listing.lng))) {
+        listing.address = result.address || listing.address;
+        listing.lat = result.lat || listing.lat;
+        listing.lng = result.lng || listing.lng;
+      }
+      if (result.info) Object.assign(listing, result.info);
+      if (provider.field && result.rating) {
+        listing[provider.field] = result.rating;
+        listing.reviews = [
+          ...result.reviews,
+          ...(listing.reviews ?? []).filter((r) => r.source !== provider.name),
+        ];
+        log(`  ${provider.label}: ${result.rating.rating}/5 (${result.rating.reviewCount} reviews)`);
+      } else {
+        log(`  ${provider.label}: ${result.address}`);
+      }
+      onEnriched();
+    } catch (e) {
+      log(`  ${provider.label} error: ${e.message}`);
+    }
   }
 }
 
-// ---- Yelp Fusion API ----
+function newLocation(id, city, state) {
+  return {
+    id,
+    address: '',
+    city,
+    state,
+    lat: 0,
+    lng: 0,
+    google: { rating: 0, reviewCount: 0 },
+    yelp: { rating: 0, reviewCount: 0 },
+    reviews: [],
+  };
+}
 
-async function searchYelp(restaurantName, city) {
-  if (!YELP_API_KEY || SKIP_API) return null;
+/**
+ * Find the branch of a chain a video was filmed at: the pinned one, the only
+ * branch in its city, or the branch the providers find for the city — added
+ * as a new branch unless it turns out to be one we already have.
+ */
+async function resolveLocation(restaurant, { name, city, state, locationId, onEnriched }) {
+  const locations = getLocations(restaurant);
+  if (locationId) return locations.find((l) => l.id === locationId);
+  const known = findVideoLocation(restaurant, { restaurantSlug: restaurant.slug, city });
+  if (known || !city) return known;
+
+  const candidate = newLocation(uniqueLocationId(restaurant, city), city, state);
+  await enrichListing(candidate, { name, city, state, pin: {}, onEnriched });
+  if (!(candidate.lat && candidate.lng)) return undefined;
+  const sameListing = (l) => providers.some((p) => p.field && p.idOf(candidate) && p.idOf(l) === p.idOf(candidate));
+  const existing = locations.find(sameListing);
+  if (existing) return existing;
+  log(`  New location: ${candidate.id} (${candidate.address})`);
+  restaurant.locations = [...locations, candidate];
+  return candidate;
+}
 
-  const url = `https://api.yelp.com/v3/businesses/search?term=${encodeURIComponent(restaurantName)}&location=${encodeURIComponent(city)}&limit=1&categories=restaurants`;
+/**
+ * Create the restaurant if it's new, then enrich it. For a chain, enrich the
+ * branches pinned in overrides.json and find the branch this video was
+ * filmed at. Returns the restaurant and that branch, if any.
+ */
+async function enrichRestaurant(restaurants, { name, slug, city, state, cuisine, pin, locationId, onEnriched }) {
+  // Step 2: Enrich with APIs (if not already in restaurants.json)
+  if (!restaurants[slug]) {
+    restaurants[slug] = {
+      name,
+      slug,
+      city,
+      state,
+      cuisine,
+      address: '',
+      lat: 0,
+      lng: 0,
+      google: { rating: 0, reviewCount: 0 },
+      yelp: { rating: 0, reviewCount: 0 },
+      reviews: [],
+      videoIds: [],
+    };
+  }
 
-  try {
-    const response = await fetch(url, {
-      headers: { Authorization: `Bearer ${YELP_API_KEY}` },
-    });
-    const data = await response.json();
+  const restaurant = restaurants[slug];
+  const locationPins = (pin.locations ?? []).filter((l) => typeof l?.id === 'string' && l.id);
+  if (!isChain(restaurant) && locationPins.length === 0) {
+    await enrichListing(restaurant, { name, city, state, pin, onEnriched });
+    return { restaurant, location: undefined };
+  }
 
-    if (!data.businesses?.length) {
-      log(`  Yelp: no results for "${restaurantName}" in ${city}`);
-      return null;
+  // Chain: branches declared in overrides.json, then the one this video is at
+  for (const locationPin of locationPins) {
+    let location = getLocations(restaurant).find((l) => l.id === locationPin.id);
+    if (!location) {
+      location = newLocation(locationPin.id, locationPin.city || restaurant.city, locationPin.state || restaurant.state);
+      restaurant.locations = [...getLocations(restaurant), location];
     }
-
-    const biz = data.businesses[0];
-    return {
-      yelp: {
-        rating: biz.rating || 0,
-        reviewCount: biz.review_count || 0,
-        url: biz.url || '',
-      },
-    };
-  } catch (e) {
-    log(`  Yelp error: ${e.message}`);
-    return null;
+    log(`  Location ${location.id}:`);
+    await enrichListing(location, {
+      name,
+      city: location.city,
+      state: location.state,
+      pin: locationPin,
+      onEnriched,
+    });
   }
+  const location = await resolveLocation(restaurant, { name, city, state, locationId, onEnriched });
+  if (location) log(`  Filmed at location: ${location.id}`);
+  return { restaurant, location };
 }
 
-// ---- State Mapping ----
-
-function getState(city) {
-  const stateMap = {
-    'New York': 'NY',
-    'Los Angeles': 'CA',
-    Chicago: 'IL',
-    Austin: 'TX',
-    'San Francisco': 'CA',
-    Miami: 'FL',
-    Houston: 'TX',
-    Nashville: 'TN',
-    Portland: 'OR',
-    Seattle: 'WA',
-    Philadelphia: 'PA',
-    Dallas: 'TX',
-    Denver: 'CO',
-    Atlanta: 'GA',
-  };
-  return stateMap[city] || '';
+/**
+ * Set every restaurant's and branch's metro (`city`), state, locality and
+ * neighborhood from its address and coordinates, and file each video under
+ * the metro its restaurant (or branch) turned out to be in.
+ */
+function placeListings(restaurants, videos) {
+  for (const restaurant of Object.values(restaurants)) {
+    for (const listing of [restaurant, ...getLocations(restaurant)]) {
+      Object.assign(listing, resolveGeography(listing, gazetteer));
+    }
+  }
+  for (const video of videos) {
+    const city = restaurantForVideo(restaurants, video)?.city;
+    if (city && city !== video.city) {
+      log(`${video.videoId}: city ${video.city || '(none)'} → ${city}`);
+      video.city = city;
+    }
+  }
 }
 
 // ---- Main Pipeline ----
 
 async function main() {
   log('=== Restaurant Enrichment Pipeline ===');
-  log(`Google Places API: ${GOOGLE_PLACES_KEY ? 'configured' : 'not configured'}`);
-  log(`Yelp Fusion API: ${YELP_API_KEY ? 'configured' : 'not configured'}`);
+  log(`Providers: ${providers.map((p) => p.label).join(', ') || 'none'} (cache: ${config.cacheMode})`);
+  for (const { name, reason } of skipped) log(`  ${name}: skipped — ${reason}`);
   log(`Dry run: ${DRY_RUN}`);
   log(`Skip API: ${SKIP_API}`);
 
-  const videos = loadJSON(VIDEOS_PATH);
+  const videos = readJSON(VIDEOS_PATH);
   if (!videos) {
     log('No videos.json found');
     process.exit(1);
   }
 
-  const existingRestaurants = loadJSON(RESTAURANTS_PATH) || {};
-  const overrides = loadJSON(OVERRIDES_PATH) || { overrides: {} };
+  const existingRestaurants = readJSON(RESTAURANTS_PATH, {});
+  const rawOverrides = readJSON(OVERRIDES_PATH, {});
+  const overrides = normalizeOverrides(rawOverrides);
 
   const updatedVideos = [];
   const updatedRestaurants = { ...existingRestaurants };
@@ -330,105 +472,144 @@ async function main() {
   let enriched = 0;
 
   for (const video of videos) {
-    // Skip if already has a valid restaurant slug and restaurant exists
+    const currentSlugs = videoRestaurantSlugs(video);
+    const pinned = pinnedRestaurants(overrides.videos[video.videoId]);
+    const city = video.city || extractCity(video.caption);
+    const slugFor = (name) => resolveSlug({ name, city }, updatedRestaurants);
+    const renamed = !!pinned && pinned.map((r) => slugFor(r.name)).join() !== currentSlugs.join();
+    const alreadyEnriched =
+      currentSlugs.length > 0 &&
+      currentSlugs.every((slug) => existingRestaurants[slug]) &&
+      video.city &&
+      !renamed;
+
+    // Skip if already has valid restaurant slugs and the restaurants exist,
+    // unless overrides pin a different Google/Yelp listing for one of them
     if (
-      video.restaurantSlug &&
-      existingRestaurants[video.restaurantSlug] &&
-      video.city
+      alreadyEnriched &&
+      !currentSlugs.some((slug) => hasNewPin(existingRestaurants[slug], overrides.restaurants[slug]))
     ) {
-      log(`${video.videoId}: Already enriched (${video.restaurantSlug})`);
+      log(`${video.videoId}: Already enriched (${currentSlugs.join(', ')})`);
       updatedVideos.push(video);
       continue;
     }
 
-    // Step 1: Extract restaurant name
-    const name = extractRestaurantName(video.caption, video.videoId, overrides);
-    if (!name) {
+    // Step 1: Extract restaurant names (keeping the current match when only a pin changed)
+    const featured = alreadyEnriched
+      ? currentSlugs.map((slug) => ({
+          name: existingRestaurants[slug].name,
+          slug,
+          start: video.restaurants?.find((r) => r.slug === slug)?.start,
+        }))
+      : extractRestaurants(video.caption, video.videoId, overrides).map((r) => ({
+          ...r,
+          slug: slugFor(r.name),
+        }));
+    if (featured.length === 0) {
       log(`${video.videoId}: Could not extract restaurant name from caption`);
       updatedVideos.push(video);
       continue;
     }
 
-    const slug = slugify(name);
-    const city = video.city || extractCity(video.caption);
     const cuisine = video.cuisine || extractCuisine(video.caption);
-    const state = getState(city);
+    const state = metroState(gazetteer, city);
+
+    const names = featured.map((r) => `"${r.name}" (${r.slug})`).join(', ');
+    log(`${video.videoId}: ${alreadyEnriched ? 'Refreshing' : 'Extracted'} ${names} — ${city}, ${cuisine}`);
+    extracted += featured.length;
 
-    log(`${video.videoId}: Extracted "${name}" (${slug}) — ${city}, ${cuisine}`);
-    extracted++;
+    // Detach from previous matches that are no longer featured
+    for (const slug of currentSlugs) {
+      const previous = updatedRestaurants[slug];
+      if (previous && !featured.some((r) => r.slug === slug)) {
+        previous.videoIds = previous.videoIds.filter((id) => id !== video.videoId);
+      }
+    }
 
-    // Update video record
-    video.restaurantSlug = slug;
+    // Branch pinned in overrides.json, else the one matched on a previous run
+    const before = { ...video };
+    const pinnedLocation = (slug) =>
+      (slug === featured[0].slug && overrides.videos[video.videoId]?.location) || videoLocationId(before, slug);
+
+    // Update video record — the first restaurant is the primary one
+    video.restaurantSlug = featured[0].slug;
+    if (featured.length > 1) {
+      video.restaurants = featured.map(({ slug, start }) => (start === undefined ? { slug } : { slug, start }));
+    } else {
+      delete video.restaurants;
+    }
     video.city = city;
     video.cuisine = cuisine;
 
-    // Step 2: Enrich with APIs (if not already in restaurants.json)
-    if (!updatedRestaurants[slug]) {
-      updatedRestaurants[slug] = {
+    // Step 2: Create and enrich every featured restaurant
+    for (const { name, slug } of featured) {
+      const { restaurant, location } = await enrichRestaurant(updatedRestaurants, {
         name,
         slug,
         city,
         state,
         cuisine,
-        address: '',
-        lat: 0,
-        lng: 0,
-        google: { rating: 0, reviewCount: 0 },
-        yelp: { rating: 0, reviewCount: 0 },
-        reviews: [],
-        videoIds: [],
-      };
-    }
-
-    const restaurant = updatedRestaurants[slug];
-
-    // Google Places
-    if (city && (!restaurant.google?.placeId || restaurant.google?.rating === 0)) {
-      const googleData = await searchGooglePlaces(name, city);
-      if (googleData) {
-        restaurant.google = googleData.google;
-        restaurant.address = googleData.address || restaurant.address;
-        restaurant.lat = googleData.lat || restaurant.lat;
-        restaurant.lng = googleData.lng || restaurant.lng;
-        restaurant.reviews = [
-          ...googleData.reviews,
-          ...restaurant.reviews.filter((r) => r.source !== 'google'),
-        ];
-        enriched++;
-        log(`  Google Places: ${restaurant.google.rating}/5 (${restaurant.google.reviewCount} reviews)`);
-        await delay(200); // Rate limiting
-      }
-    }
-
-    // Yelp
-    if (city && (!restaurant.yelp?.url || restaurant.yelp?.rating === 0)) {
-      const yelpData = await searchYelp(name, city);
-      if (yelpData) {
-        restaurant.yelp = yelpData.yelp;
-        enriched++;
-        log(`  Yelp: ${restaurant.yelp.rating}/5 (${restaurant.yelp.reviewCount} reviews)`);
-        await delay(200);
+        pin: overrides.restaurants[slug] ?? {},
+        locationId: pinnedLocation(slug),
+        onEnriched: () => enriched++,
+      });
+
+      // Link the video to the branch it was filmed at
+      const entry = slug === video.restaurantSlug ? video : video.restaurants?.find((r) => r.slug === slug);
+      if (entry && location) entry.location = location.id;
+      else if (entry) delete entry.location;
+
+      // Add video ID to restaurant
+      if (!restaurant.videoIds.includes(video.videoId)) {
+        restaurant.videoIds.push(video.videoId);
       }
     }
 
-    // Add video ID to restaurant
-    if (!restaurant.videoIds.includes(video.videoId)) {
-      restaurant.videoIds.push(video.videoId);
-    }
-
     updatedVideos.push(video);
   }
 
+  placeListings(updatedRestaurants, updatedVideos);
+
+  // Apply manual overrides last. Do-not-publish records are kept here (the
+  // site build drops them) so they aren't rediscovered on the next run.
+  const final = applyOverrides(
+    { videos: updatedVideos, restaurants: updatedRestaurants },
+    rawOverrides,
+    { dropUnpublished: false }
+  );
+  for (const warning of final.warnings) warn(`overrides.json: ${warning}`);
+
+  // Validate before saving — videos we couldn't match stay pending
+  assertValidData(
+    {
+      videos: final.videos,
+      restaurants: final.restaurants,
+      blogPosts: readJSON(BLOG_POSTS_PATH, undefined),
+    },
+    { log, allowPending: true }
+  );
+
+  // Duplicates that slipped past resolveSlug need a human decision
+  const merges = proposeMerges(final.restaurants);
+  const splits = proposeSplits(final.restaurants, final.videos);
+  if (merges.length > 0 || splits.length > 0) {
+    warn(
+      `${merges.length} possible duplicate(s) and ${splits.length} collapsed restaurant(s) found — run \`npm run resolve\` to review`
+    );
+  }
+
   // Save
   if (!DRY_RUN) {
-    if (!existsSync(DATA_DIR)) mkdirSync(DATA_DIR, { recursive: true });
-    writeFileSync(VIDEOS_PATH, JSON.stringify(updatedVideos, null, 2));
-    writeFileSync(RESTAURANTS_PATH, JSON.stringify(updatedRestaurants, null, 2));
-    log(`Saved ${updatedVideos.length} videos and ${Object.keys(updatedRestaurants).length} restaurants`);
+    writeJSON(VIDEOS_PATH, final.videos);
+    writeJSON(RESTAURANTS_PATH, final.restaurants);
+    log(`Saved ${final.videos.length} videos and ${Object.keys(final.restaurants).length} restaurants`);
   } else {
     log('Dry run — no files written');
   }
 
+  for (const { label, http } of providers) {
+    log(`${label}: ${http.stats.hits} cached, ${http.stats.requests} requested`);
+  }
   log(`\nComplete. Extracted: ${extracted}, API-enriched: ${enriched}`);
 }
 
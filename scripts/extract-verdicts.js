@@ -0,0 +1,114 @@
+/**
+ * Reviewer Verdict Extraction
+ *
+ * For each video in videos.json, reads what the reviewer said — the Whisper
+ * transcript stored in data/blog-posts.json, or the caption when there is
+ * none — and asks the configured LLM for a structured verdict, from the
+ * scripts/prompts/verdict.md template: a score out of 10, worth it or not,
+ * the dishes ordered with how each landed, price paid and wait time.
+ * Answers are checked against a JSON schema, retried once when they don't
+ * match, normalized by parseVerdict() and stored in data/verdicts.json (see
+ * scripts/lib/verdict-extractor.js and scripts/lib/verdict.js).
+ *
+ * Videos that already have a verdict are skipped unless the caption,
+ * transcript or restaurant changed since it was extracted.
+ *
+ * Requires: OPENAI_API_KEY env variable (for the default LLM provider)
+ * Usage:    node scripts/extract-verdicts.js [--force[=<videoId>,...]] [--llm=<name>]
+ * Env:      OPENAI_API_KEY — required by the OpenAI provider
+ *           VERDICT_MAX    — max videos to process (default: all)
+ *           VERDICT_MODEL  — model (default: gpt-4o-mini)
+ *           LLM_PROVIDER   — openai | openai-compatible | stub (default: openai)
+ */
+
+import { assertValidData } from './lib/schema.js';
+import { restaurantForVideo } from './lib/locations.js';
+import { llmConfig, createLLM } from './lib/llm/index.js';
+import { extractVerdict } from './lib/verdict-extractor.js';
+import { readJSON, writeJSON } from './lib/json.js';
+import { loadEnv } from './lib/env.js';
+import { createLogger } from './lib/log.js';
+import { openStageState, hashInputs } from './lib/stage-state.js';
+import { VIDEOS_PATH, RESTAURANTS_PATH, BLOG_POSTS_PATH, VERDICTS_PATH } from './lib/paths.js';
+
+loadEnv();
+
+// ---- Config ----
+
+const VERDICT_MAX = parseInt(process.env.VERDICT_MAX || '0', 10) || Infinity;
+const VERDICT_MODEL = process.env.VERDICT_MODEL || 'gpt-4o-mini';
+
+// ---- Helpers ----
+
+const { log, warn } = createLogger('verdicts');
+
+// ---- Main ----
+
+async function main() {
+  log('=== Reviewer Verdict Extraction ===');
+
+  let llm;
+  try {
+    llm = createLLM(llmConfig({ model: VERDICT_MODEL }));
+  } catch (err) {
+    log(`ERROR: ${err.message}`);
+    log('Set it in .env or export it, e.g. export OPENAI_API_KEY=sk-...');
+    process.exit(1);
+  }
+  log(`Model: ${llm.label}`);
+
+  const videos = readJSON(VIDEOS_PATH);
+  const restaurants = readJSON(RESTAURANTS_PATH, {});
+  const blogPosts = readJSON(BLOG_POSTS_PATH, {});
+  const verdicts = readJSON(VERDICTS_PATH, {});
+  const state = openStageState('verdicts');
+
+  log(`Found ${videos.length} videos, ${Object.keys(verdicts).length} existing verdicts`);
+
+  let processed = 0;
+  let skipped = 0;
+  let errors = 0;
+
+  for (const video of videos) {
+    if (processed >= VERDICT_MAX) break;
+
+    const { videoId } = video;
+    const restaurant = restaurantForVideo(restaurants, video) || null;
+    const transcript = blogPosts[videoId]?.source === 'transcription' ? blogPosts[videoId].transcript : '';
+    const inputHash = hashInputs({ caption: video.caption, transcript, restaurant: restaurant?.name });
+
+    const reason = state.staleReason(videoId, inputHash, !!verdicts[videoId]);
+    if (!reason) {
+      skipped++;
+      continue;
+    }
+
+    log(`${videoId}: extracting verdict (${reason})${transcript ? '' : ' from caption'}...`);
+    try {
+      const verdict = await extractVerdict(llm, { video, restaurant, transcript });
+      verdicts[videoId] = verdict;
+      state.record(videoId, inputHash);
+      processed++;
+      log(`  ${verdict.score}/10, ${verdict.worthIt ? 'worth it' : 'not worth it'}, ${verdict.dishes.length} dishes`);
+    } catch (err) {
+      warn(`Failed to extract verdict for ${videoId}: ${err.message}`);
+      errors++;
+    }
+  }
+
+  // Validate, then write results
+  assertValidData({ videos, verdicts }, { log: warn, allowPending: true });
+  writeJSON(VERDICTS_PATH, verdicts);
+  state.save();
+
+  log('\n=== Summary ===');
+  log(`Processed: ${processed}`);
+  log(`Skipped:   ${skipped}`);
+  log(`Errors:    ${errors}`);
+  log(`Total:     ${Object.keys(verdicts).length} verdicts`);
+}
+
+main().catch((e) => {
+  log(`Fatal error: ${e.message}`);
+  process.exit(1);
+});
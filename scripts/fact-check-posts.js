@@ -0,0 +1,124 @@
+/**
+ * Blog Post Fact Check
+ *
+ * Checks every stored blog post (and revision) against the data as it is
+ * now — restaurant details, captions, transcripts, verdicts — with hand
+ * edits applied, and stores the result with it. transcribe-videos.js checks
+ * each post as it's written; run this after the data changes (a new rating,
+ * a verdict naming more dishes) or after a hand edit fixes a flagged claim.
+ * See scripts/lib/fact-check.js for what is checked; links to the site's
+ * own pages are checked against the pages the build would create from
+ * the same data, so a broken one is flagged here instead of failing the
+ * build.
+ *
+ * Posts and revisions that fail can't be approved (scripts/review-posts.js).
+ * Live posts that fail are held back: they stay on the site, but wait for a
+ * reviewer (npm run review) and aren't published until a hand edit fixes
+ * them or they are approved with --force (see scripts/lib/editorial.js).
+ * The results are saved either way, but the run exits non-zero when a live
+ * post is held back, so the pipeline reports the stage as failed.
+ *
+ * Usage: node scripts/fact-check-posts.js [videoId...] [--dry-run]
+ */
+
+import { readdirSync } from 'fs';
+import { assertValidData } from './lib/schema.js';
+import { createFactChecker, formatFlag } from './lib/fact-check.js';
+import { sitePages } from './lib/site-pages.js';
+import { isLive, heldBack } from './lib/editorial.js';
+import { readJSON, writeJSON } from './lib/json.js';
+import { createLogger } from './lib/log.js';
+import {
+  VIDEOS_PATH,
+  RESTAURANTS_PATH,
+  BLOG_POSTS_PATH,
+  BLOG_EDITS_PATH,
+  OVERRIDES_PATH,
+  VERDICTS_PATH,
+  DISHES_PATH,
+  GAZETTEER_PATH,
+  PAGES_DIR,
+} from './lib/paths.js';
+
+const DRY_RUN = process.argv.includes('--dry-run');
+
+const { log, warn, error } = createLogger('fact-check');
+
+// ---- Main ----
+
+function main() {
+  const only = process.argv.slice(2).filter((a) => !a.startsWith('--'));
+  const videos = readJSON(VIDEOS_PATH, []);
+  const restaurants = readJSON(RESTAURANTS_PATH, {});
+  const blogPosts = readJSON(BLOG_POSTS_PATH, {});
+  const edits = readJSON(BLOG_EDITS_PATH, {});
+
+  const unknown = only.filter((id) => !blogPosts[id]);
+  if (unknown.length > 0) throw new Error(`No blog post for video(s): ${unknown.join(', ')}`);
+
+  const verdicts = readJSON(VERDICTS_PATH, {});
+  const catalog = readJSON(DISHES_PATH, []);
+  const places = readJSON(GAZETTEER_PATH, []);
+  const overrides = readJSON(OVERRIDES_PATH, {});
+  const factCheckPost = createFactChecker({
+    videos,
+    restaurants,
+    verdicts,
+    catalog,
+    places,
+    pages: sitePages(
+      { videos, restaurants, blogPosts, overrides, edits, verdicts, catalog, places },
+      readdirSync(PAGES_DIR, { recursive: true, encoding: 'utf8' })
+    ),
+  });
+
+  let failed = 0;
+  /** @type {string[]} */
+  const held = [];
+  const ids = only.length > 0 ? only : Object.keys(blogPosts);
+  for (const videoId of ids) {
+    const post = factCheckPost(blogPosts[videoId], { edit: edits.posts?.[videoId] });
+    blogPosts[videoId] = post;
+
+    for (const [label, text] of [[post.status, post], ['revision', post.revision]]) {
+      if (!text || text.factCheck.passed) continue;
+      failed++;
+      warn(`${videoId} (${label}): ${text.factCheck.flags.length} flag(s) — ${text.title}`, {
+        videoId,
+        what: label,
+        flags: text.factCheck.flags,
+      });
+      for (const flag of text.factCheck.flags) warn(`    ${formatFlag(flag)}`);
+      if (text === post && isLive(post)) {
+        if (heldBack(post)) held.push(videoId);
+        warn(
+          heldBack(post)
+            ? `    ${videoId} is held back for review: fix it with a hand edit in data/blog-edits.json, or approve it with review-posts.js --force`
+            : `    ${videoId} stays live: a reviewer approved it despite its fact check`
+        );
+      }
+    }
+  }
+  log(`Checked ${ids.length} post(s): ${failed === 0 ? 'all passed' : `${failed} failed`}`);
+
+  assertValidData({ videos, restaurants, blogPosts }, { log: error, allowPending: true });
+
+  if (DRY_RUN) {
+    log('Dry run — no files written');
+  } else {
+    writeJSON(BLOG_POSTS_PATH, blogPosts);
+    log('Saved data/blog-posts.json');
+  }
+
+  if (held.length > 0) {
+    error(`${held.length} live post(s) held back for review: ${held.join(', ')}`, { held });
+    process.exitCode = 1;
+  }
+}
+
+try {
+  main();
+} catch (e) {
+  error(`Fatal error: ${e.message}`);
+  process.exit(1);
+}
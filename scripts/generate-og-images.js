@@ -4,33 +4,38 @@
  * Creates branded social preview images for each video:
  * - Best frame as background
  * - Restaurant name overlay
- * - Star rating overlay
+ * - Star rating overlay (the restaurant score, see scripts/lib/scoring.js)
  * - @oneminreviews branding
  *
  * Output: 1200x630 JPEG (OG standard) + WebP
  *
  * Uses Sharp for image compositing (no FFmpeg needed).
- * Usage: node scripts/generate-og-images.js
+ *
+ * Change detection: each image's inputs (frame file, restaurant name,
+ * rating, city) are hashed into data/stage-state.json, and only videos
+ * whose inputs changed are regenerated.
+ *
+ * Usage: node scripts/generate-og-images.js [--force[=<videoId>,...]]
  */
 
 import sharp from 'sharp';
-import { readFileSync, existsSync, mkdirSync, readdirSync } from 'fs';
-import { resolve, dirname } from 'path';
-import { fileURLToPath } from 'url';
-
-const __dirname = dirname(fileURLToPath(import.meta.url));
-const ROOT = resolve(__dirname, '..');
-const DATA_DIR = resolve(ROOT, 'data');
-const IMAGES_DIR = resolve(ROOT, 'assets/images');
+import { existsSync, mkdirSync } from 'fs';
+import { resolve } from 'path';
+import { readJSON } from './lib/json.js';
+import { restaurantForVideo } from './lib/locations.js';
+import { createLogger } from './lib/log.js';
+import { openStageState, hashInputs, hashFile } from './lib/stage-state.js';
+import { scoringWeights, scoreListing } from './lib/scoring.js';
+import { VIDEOS_PATH, RESTAURANTS_PATH, SCORING_PATH, VERDICTS_PATH, IMAGES_DIR } from './lib/paths.js';
 
 const OG_WIDTH = 1200;
 const OG_HEIGHT = 630;
+// Bump when the overlay design changes so every image is regenerated
+const OG_TEMPLATE_VERSION = 1;
 
 // ---- Helpers ----
 
-function log(msg) {
-  console.log(`[og-images] ${msg}`);
-}
+const { log } = createLogger('og-images');
 
 function renderStars(rating) {
   const full = Math.round(rating);
@@ -101,29 +106,38 @@ function createOverlaySVG(restaurantName, rating, city) {
 
 // ---- Generate OG Image ----
 
-async function generateOGImage(video, restaurant) {
+/** Everything that ends up in a video's OG image. */
+function getOGInputs(video, restaurant, weights, verdicts) {
+  const framePath = findBestFrame(video.videoId);
+  const verdict = video.verdictScore ?? verdicts[video.videoId]?.score;
+  return {
+    framePath,
+    name: restaurant?.name || video.restaurantSlug || 'Restaurant Review',
+    rating: restaurant && scoreListing(restaurant, { verdict, weights })?.score,
+    city: video.city || '',
+  };
+}
+
+function hashOGInputs({ framePath, name, rating, city }) {
+  return hashInputs({
+    template: OG_TEMPLATE_VERSION,
+    frame: framePath ? hashFile(framePath) : null,
+    name,
+    rating: rating || 0,
+    city,
+  });
+}
+
+async function generateOGImage(video, { framePath, name, rating, city }) {
   const outputDir = resolve(IMAGES_DIR, video.videoId);
   if (!existsSync(outputDir)) mkdirSync(outputDir, { recursive: true });
 
   const ogJpgPath = resolve(outputDir, 'og.jpg');
   const ogWebpPath = resolve(outputDir, 'og.webp');
-
-  // Skip if already exists
-  if (existsSync(ogJpgPath) && existsSync(ogWebpPath)) {
-    log(`${video.videoId}: OG images exist, skipping`);
-    return;
-  }
-
-  const framePath = findBestFrame(video.videoId);
+  const overlay = createOverlaySVG(name, rating, city);
 
   if (framePath) {
     // Use actual frame as background
-    const overlay = createOverlaySVG(
-      restaurant?.name || video.restaurantSlug || 'Restaurant Review',
-      restaurant?.google?.rating,
-      video.city || ''
-    );
-
     const baseImage = sharp(framePath)
       .resize(OG_WIDTH, OG_HEIGHT, { fit: 'cover', position: 'center' });
 
@@ -131,18 +145,8 @@ async function generateOGImage(video, restaurant) {
       .composite([{ input: overlay, top: 0, left: 0 }])
       .jpeg({ quality: 85 })
       .toFile(ogJpgPath);
-
-    // WebP version
-    await sharp(ogJpgPath).webp({ quality: 80 }).toFile(ogWebpPath);
   } else {
-    // No frame available — create a branded placeholder
-    const overlay = createOverlaySVG(
-      restaurant?.name || video.restaurantSlug || 'Restaurant Review',
-      restaurant?.google?.rating,
-      video.city || ''
-    );
-
-    // Dark background with overlay
+    // No frame available — create a branded placeholder on a dark background
     await sharp({
       create: {
         width: OG_WIDTH,
@@ -154,11 +158,15 @@ async function generateOGImage(video, restaurant) {
       .composite([{ input: overlay, top: 0, left: 0 }])
       .jpeg({ quality: 85 })
       .toFile(ogJpgPath);
-
-    await sharp(ogJpgPath).webp({ quality: 80 }).toFile(ogWebpPath);
   }
 
-  log(`${video.videoId}: Generated OG images`);
+  // WebP version
+  await sharp(ogJpgPath).webp({ quality: 80 }).toFile(ogWebpPath);
+}
+
+function ogImagesExist(videoId) {
+  const outputDir = resolve(IMAGES_DIR, videoId);
+  return existsSync(resolve(outputDir, 'og.jpg')) && existsSync(resolve(outputDir, 'og.webp'));
 }
 
 // ---- Main ----
@@ -166,23 +174,42 @@ async function generateOGImage(video, restaurant) {
 async function main() {
   log('=== OG Image Generator ===');
 
-  const videos = JSON.parse(readFileSync(resolve(DATA_DIR, 'videos.json'), 'utf-8'));
-  const restaurants = JSON.parse(
-    readFileSync(resolve(DATA_DIR, 'restaurants.json'), 'utf-8')
-  );
+  const videos = readJSON(VIDEOS_PATH);
+  const restaurants = readJSON(RESTAURANTS_PATH, {});
+  const weights = scoringWeights(readJSON(SCORING_PATH, {}));
+  const verdicts = readJSON(VERDICTS_PATH, {});
+  const state = openStageState('og-images');
 
   log(`Processing ${videos.length} videos`);
 
+  let generated = 0;
+  let skipped = 0;
+
   for (const video of videos) {
-    const restaurant = restaurants[video.restaurantSlug];
+    const inputs = getOGInputs(video, restaurantForVideo(restaurants, video), weights, verdicts);
+    const hash = hashOGInputs(inputs);
+    const reason = state.staleReason(video.videoId, hash, ogImagesExist(video.videoId));
+
+    if (!reason) {
+      log(`${video.videoId}: OG images up to date, skipping`);
+      skipped++;
+      continue;
+    }
+
     try {
-      await generateOGImage(video, restaurant);
+      await generateOGImage(video, inputs);
+      state.record(video.videoId, hash);
+      generated++;
+      log(`${video.videoId}: Generated OG images (${reason})`);
     } catch (e) {
       log(`${video.videoId}: Error - ${e.message}`);
     }
   }
 
-  log('Complete');
+  state.prune(videos.map((v) => v.videoId));
+  state.save();
+
+  log(`Complete. Generated: ${generated}, Skipped: ${skipped}`);
 }
 
 main().catch((e) => {
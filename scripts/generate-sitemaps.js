@@ -5,40 +5,25 @@
  * Usage: node scripts/generate-sitemaps.js
  */
 
-import { readFileSync, writeFileSync, existsSync } from 'fs';
-import { resolve, dirname } from 'path';
-import { fileURLToPath } from 'url';
-
-const __dirname = dirname(fileURLToPath(import.meta.url));
-const ROOT = resolve(__dirname, '..');
-const DIST = resolve(ROOT, 'dist');
-const SITE_URL = 'https://greenido.github.io';
-const BASE_PATH = '/oneminreviews/';
-
-// Load data
-const videos = JSON.parse(readFileSync(resolve(ROOT, 'data/videos.json'), 'utf-8'));
-const restaurants = JSON.parse(readFileSync(resolve(ROOT, 'data/restaurants.json'), 'utf-8'));
+import { writeFileSync, existsSync } from 'fs';
+import { resolve } from 'path';
+import { readJSON } from './lib/json.js';
+import { videoPath } from './lib/slug.js';
+import { SITE_URL, BASE_PATH } from './lib/site.js';
+import { createLogger } from './lib/log.js';
+import { applyOverrides } from './lib/overrides.js';
+import { VIDEOS_PATH, RESTAURANTS_PATH, OVERRIDES_PATH, DIST_DIR } from './lib/paths.js';
+
+const { log, error } = createLogger('sitemaps');
+
+// Load data (with overrides applied, so do-not-publish videos stay out)
+const { videos, restaurants } = applyOverrides(
+  { videos: readJSON(VIDEOS_PATH), restaurants: readJSON(RESTAURANTS_PATH) },
+  readJSON(OVERRIDES_PATH, {})
+);
 
 // ---------- Helpers ----------
 
-function slugify(text) {
-  return text
-    .toLowerCase()
-    .replace(/[^a-z0-9\s-]/g, '')
-    .replace(/\s+/g, '-')
-    .replace(/-+/g, '-')
-    .replace(/^-|-$/g, '');
-}
-
-function videoSlug(video) {
-  const captionSlug = slugify(video.caption).slice(0, 50).replace(/-$/, '');
-  return `${captionSlug}-${video.videoId}`;
-}
-
-function videoPath(video) {
-  return `${BASE_PATH}${video.restaurantSlug}/${videoSlug(video)}/`;
-}
-
 function escapeXml(str) {
   return str
     .replace(/&/g, '&amp;')
@@ -118,15 +103,15 @@ ${entries.join('\n')}
 
 // ---------- Write ----------
 
-if (!existsSync(DIST)) {
-  console.error('dist/ directory not found. Run `astro build` first.');
+if (!existsSync(DIST_DIR)) {
+  error('dist/ directory not found. Run `astro build` first.');
   process.exit(1);
 }
 
-writeFileSync(resolve(DIST, 'video-sitemap.xml'), generateVideoSitemap());
-console.log('✓ Generated video-sitemap.xml');
+writeFileSync(resolve(DIST_DIR, 'video-sitemap.xml'), generateVideoSitemap());
+log('✓ Generated video-sitemap.xml');
 
-writeFileSync(resolve(DIST, 'image-sitemap.xml'), generateImageSitemap());
-console.log('✓ Generated image-sitemap.xml');
+writeFileSync(resolve(DIST_DIR, 'image-sitemap.xml'), generateImageSitemap());
+log('✓ Generated image-sitemap.xml');
 
-console.log(`✓ ${videos.length} videos indexed in sitemaps`);
+log(`✓ ${videos.length} videos indexed in sitemaps`);
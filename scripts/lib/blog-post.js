@@ -0,0 +1,70 @@
+/**
+ * Blog Post Generation
+ *
+ * What transcribe-videos.js asks the model for: the variables of the
+ * scripts/prompts/blog-post.md template (or blog-post-from-caption.md when
+ * there is no transcript) and the JSON schema of the answer.
+ */
+
+import { generateStructured, loadPromptTemplate } from './generation.js';
+
+/** @type {import('./generation.js').OutputSchema} */
+export const BLOG_POST_OUTPUT = {
+  name: 'blog_post',
+  schema: {
+    type: 'object',
+    properties: {
+      title: { type: 'string', minLength: 1 },
+      summary: { type: 'string', minLength: 1 },
+      content: { type: 'string', minLength: 1 },
+    },
+    required: ['title', 'summary', 'content'],
+    additionalProperties: false,
+  },
+};
+
+/**
+ * Template variables for a video's post.
+ * @param {any} video
+ * @param {any} restaurant
+ * @param {string} [transcript]
+ * @param {string | null} [language] - ISO 639 code the transcript is in
+ * @returns {Record<string, string>}
+ */
+export function blogPostVars(video, restaurant, transcript = '', language = null) {
+  const ratingInfo = restaurant?.google?.rating
+    ? `Google Rating: ${restaurant.google.rating}/5 (${restaurant.google.reviewCount?.toLocaleString()} reviews)`
+    : 'No Google rating available';
+
+  return {
+    restaurantName: restaurant?.name ?? 'Unknown Restaurant',
+    location: `${video.city || 'Unknown'}${restaurant?.state ? `, ${restaurant.state}` : ''}`,
+    cuisine: video.cuisine || restaurant?.cuisine || 'Unknown',
+    address: restaurant?.address || 'Not available',
+    ratingInfo,
+    yelpLine: restaurant?.yelp?.rating > 0 ? `- Yelp Rating: ${restaurant.yelp.rating}/5` : '',
+    caption: video.caption,
+    posted: new Date(video.createTime * 1000).toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric' }),
+    engagement: `${video.stats?.likes?.toLocaleString() ?? 0} likes, ${video.stats?.comments?.toLocaleString() ?? 0} comments`,
+    transcript,
+    transcriptLanguage: new Intl.DisplayNames('en', { type: 'language' }).of(language || 'en') ?? 'English',
+  };
+}
+
+/**
+ * Write a video's blog post, from its transcript when there is one. Posts
+ * are written in English whatever language the video is in.
+ * @param {import('./llm/index.js').LLMProvider} llm
+ * @param {{ video: any, restaurant: any, transcript?: string, language?: string | null, promptsDir?: string }} input
+ * @returns {Promise<{ title: string, summary: string, content: string, model: string, template: string }>}
+ */
+export async function generateBlogPost(llm, { video, restaurant, transcript = '', language = null, promptsDir }) {
+  const template = loadPromptTemplate(transcript ? 'blog-post' : 'blog-post-from-caption', promptsDir);
+  const { value, model, template: version } = await generateStructured({
+    llm,
+    template,
+    vars: blogPostVars(video, restaurant, transcript, language),
+    schema: BLOG_POST_OUTPUT,
+  });
+  return { title: value.title.trim(), summary: value.summary.trim(), content: value.content.trim(), model, template: version };
+}
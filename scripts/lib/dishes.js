@@ -0,0 +1,270 @@
+/**
+ * Dish Catalog
+ *
+ * The dishes restaurants are known for. data/dishes.json lists canonical
+ * dishes with the other names captions, transcripts and reviews use for
+ * them ("Deep Dish", "Buttercrust"); findDishMentions() looks for those
+ * names in every video's caption and transcript, every review snippet and
+ * every verdict, and summarizeDishes() groups what it finds by dish and
+ * restaurant.
+ *
+ * Names match on whole words with plurals folded ("tacos" finds Fish Taco's
+ * "taco"), longest name first, so "lamb neck shawarma" is Lamb Neck
+ * Shawarma and not also Shawarma. The restaurant's own name is masked
+ * first, so "Falafel Stop" isn't a mention of falafel.
+ *
+ * Pure functions only — shared by src/lib/data.ts and the tests.
+ */
+
+import { stem } from './search.js';
+import { dishSlug } from './slug.js';
+import { videoRestaurantSlugs } from './video.js';
+
+/** Where a mention came from, strongest evidence first. */
+export const DISH_SOURCES = ['verdict', 'caption', 'transcript', 'review'];
+
+/**
+ * @typedef {Object} CatalogDish
+ * @property {string} name
+ * @property {string} [category]
+ * @property {string[]} [aliases]
+ */
+
+/** @typedef {'verdict' | 'caption' | 'transcript' | 'review'} DishSource */
+
+/**
+ * @typedef {Object} DishMention
+ * @property {string} dish - dish slug
+ * @property {string} restaurantSlug
+ * @property {string} [videoId] - unset for review snippets
+ * @property {DishSource} source
+ * @property {'positive' | 'mixed' | 'negative'} [sentiment] - verdict mentions only
+ * @property {string} [note]
+ */
+
+/**
+ * @typedef {Object} DishRestaurantSummary
+ * @property {string} restaurantSlug
+ * @property {string[]} videoIds - videos that mention the dish here
+ * @property {Partial<Record<DishSource, number>>} sources - mentions per source
+ * @property {'positive' | 'mixed' | 'negative'} [sentiment] - the reviewer's, from a verdict
+ * @property {string} [note]
+ */
+
+/**
+ * @typedef {Object} DishSummary
+ * @property {string} name
+ * @property {string} slug
+ * @property {string} [category]
+ * @property {string[]} aliases
+ * @property {DishRestaurantSummary[]} restaurants - reviewer favorites first, then most mentioned
+ */
+
+/**
+ * Lowercased, accent-free, singular words of `text`.
+ * @param {string} text
+ * @returns {string[]}
+ */
+export function dishWords(text) {
+  return (text ?? '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/['’`]/g, '')
+    .split(/[^a-z0-9]+/)
+    .filter(Boolean)
+    .map(stem);
+}
+
+/**
+ * A function returning the slugs of the catalog dishes a text mentions, in
+ * order of first mention. Throws when two dishes share a slug or a name, so
+ * a catalog edit can't silently send mentions to the wrong dish.
+ * @param {CatalogDish[]} catalog
+ * @returns {(text: string, exclude?: string[]) => string[]} `exclude` — names to mask first (the restaurant's own)
+ */
+export function createDishMatcher(catalog) {
+  /** @type {Map<string, string>} phrase → dish slug */
+  const owners = new Map();
+  const slugs = new Set();
+  for (const dish of catalog) {
+    const slug = dishSlug(dish.name);
+    if (slugs.has(slug)) throw new Error(`dish catalog lists "${slug}" twice`);
+    slugs.add(slug);
+    for (const name of [dish.name, ...(dish.aliases ?? [])]) {
+      const phrase = dishWords(name).join(' ');
+      const owner = owners.get(phrase);
+      if (owner && owner !== slug) throw new Error(`dish name "${name}" is used by both "${owner}" and "${slug}"`);
+      if (phrase) owners.set(phrase, slug);
+    }
+  }
+  const phrases = [...owners]
+    .map(([phrase, slug]) => ({ slug, words: phrase.split(' ') }))
+    .sort((a, b) => b.words.length - a.words.length);
+
+  return function matchDishes(text, exclude = []) {
+    const words = dishWords(text);
+    const used = words.map(() => false);
+
+    /** Mark every unclaimed occurrence of `phrase`, calling `found` with its position. */
+    const claim = (phrase, found) => {
+      for (let i = 0; i + phrase.length <= words.length; i++) {
+        if (phrase.every((word, j) => words[i + j] === word && !used[i + j])) {
+          phrase.forEach((_, j) => (used[i + j] = true));
+          found(i);
+        }
+      }
+    };
+
+    for (const name of exclude) {
+      const phrase = dishWords(name);
+      if (phrase.length > 0) claim(phrase, () => {});
+    }
+    /** @type {Map<string, number>} */
+    const first = new Map();
+    for (const { slug, words: phrase } of phrases) {
+      claim(phrase, (i) => first.set(slug, Math.min(first.get(slug) ?? i, i)));
+    }
+    return [...first].sort((a, b) => a[1] - b[1]).map(([slug]) => slug);
+  };
+}
+
+/**
+ * The other catalog dishes each dish's names contain: Lamb Neck Shawarma is
+ * a shawarma, so a caption naming it backs a post that says "the shawarma",
+ * although the longest-name-first matching only finds Lamb Neck Shawarma.
+ * @param {CatalogDish[]} catalog
+ * @returns {Map<string, string[]>} dish slug → slugs of the dishes within its names
+ */
+export function dishParts(catalog) {
+  const phrases = catalog.flatMap((dish) =>
+    [dish.name, ...(dish.aliases ?? [])].map((name) => ({ slug: dishSlug(dish.name), words: dishWords(name) }))
+  );
+  /** Whether `inner` is a shorter run of words inside `outer`. */
+  const within = (outer, inner) =>
+    inner.length > 0 &&
+    inner.length < outer.length &&
+    outer.some((_, i) => inner.every((word, j) => outer[i + j] === word));
+
+  return new Map(
+    catalog.map((dish) => {
+      const slug = dishSlug(dish.name);
+      const own = phrases.filter((p) => p.slug === slug);
+      const parts = phrases.filter((p) => p.slug !== slug && own.some((o) => within(o.words, p.words)));
+      return [slug, [...new Set(parts.map((p) => p.slug))]];
+    })
+  );
+}
+
+/**
+ * Every catalog dish mention in the data. Caption, transcript and verdict
+ * mentions belong to the video's primary restaurant; review snippets to the
+ * restaurant (or branch) they were left for.
+ * @param {{ videos: any[], restaurants: Record<string, any>, blogPosts?: Record<string, any>, verdicts?: Record<string, any> }} data
+ * @param {CatalogDish[]} catalog
+ * @returns {DishMention[]}
+ */
+export function findDishMentions({ videos, restaurants, blogPosts = {}, verdicts = {} }, catalog) {
+  const matchDishes = createDishMatcher(catalog);
+  /** @type {DishMention[]} */
+  const mentions = [];
+
+  for (const video of videos) {
+    const restaurantSlug = video.restaurantSlug;
+    if (!restaurants[restaurantSlug]) continue;
+    const { videoId } = video;
+    const names = videoRestaurantSlugs(video)
+      .map((slug) => restaurants[slug]?.name)
+      .filter(Boolean);
+
+    for (const dish of matchDishes(video.caption, names)) {
+      mentions.push({ dish, restaurantSlug, videoId, source: 'caption' });
+    }
+    for (const dish of matchDishes(blogPosts[videoId]?.transcript ?? '', names)) {
+      mentions.push({ dish, restaurantSlug, videoId, source: 'transcript' });
+    }
+    for (const ordered of verdicts[videoId]?.dishes ?? []) {
+      const [dish] = matchDishes(ordered.name, names);
+      if (!dish) continue;
+      mentions.push({
+        dish,
+        restaurantSlug,
+        videoId,
+        source: 'verdict',
+        sentiment: ordered.sentiment,
+        ...(ordered.note ? { note: ordered.note } : {}),
+      });
+    }
+  }
+
+  for (const restaurant of Object.values(restaurants)) {
+    // Chains repeat the flagship's snippets on its branch
+    const texts = new Set([restaurant, ...(restaurant.locations ?? [])].flatMap((r) => (r.reviews ?? []).map((review) => review.text)));
+    for (const text of texts) {
+      for (const dish of matchDishes(text, [restaurant.name])) {
+        mentions.push({ dish, restaurantSlug: restaurant.slug, source: 'review' });
+      }
+    }
+  }
+
+  return mentions;
+}
+
+const SENTIMENT_RANK = { positive: 0, mixed: 1, negative: 2 };
+
+/**
+ * The catalog dishes that have mentions, each with the restaurants that
+ * serve it. A restaurant's sentiment comes from the reviewer's verdict
+ * (the first one, when several videos name the dish); restaurants the
+ * reviewer loved the dish at come first, then the most mentioned. Dishes
+ * are ordered by how many restaurants serve them, then by name.
+ * @param {CatalogDish[]} catalog
+ * @param {DishMention[]} mentions
+ * @returns {DishSummary[]}
+ */
+export function summarizeDishes(catalog, mentions) {
+  return catalog
+    .map((dish) => {
+      const slug = dishSlug(dish.name);
+      /** @type {Map<string, DishRestaurantSummary>} */
+      const byRestaurant = new Map();
+      for (const mention of mentions) {
+        if (mention.dish !== slug) continue;
+        let entry = byRestaurant.get(mention.restaurantSlug);
+        if (!entry) {
+          entry = { restaurantSlug: mention.restaurantSlug, videoIds: [], sources: {} };
+          byRestaurant.set(mention.restaurantSlug, entry);
+        }
+        if (mention.videoId && !entry.videoIds.includes(mention.videoId)) entry.videoIds.push(mention.videoId);
+        entry.sources[mention.source] = (entry.sources[mention.source] ?? 0) + 1;
+        if (mention.sentiment && !entry.sentiment) {
+          entry.sentiment = mention.sentiment;
+          if (mention.note) entry.note = mention.note;
+        }
+      }
+      const restaurants = [...byRestaurant.values()].sort(
+        (a, b) =>
+          (SENTIMENT_RANK[a.sentiment] ?? 1) - (SENTIMENT_RANK[b.sentiment] ?? 1) ||
+          mentionCount(b) - mentionCount(a) ||
+          a.restaurantSlug.localeCompare(b.restaurantSlug)
+      );
+      return {
+        name: dish.name,
+        slug,
+        ...(dish.category ? { category: dish.category } : {}),
+        aliases: dish.aliases ?? [],
+        restaurants,
+      };
+    })
+    .filter((dish) => dish.restaurants.length > 0)
+    .sort((a, b) => b.restaurants.length - a.restaurants.length || a.name.localeCompare(b.name));
+}
+
+/**
+ * All of a restaurant's mentions of a dish, whatever the source.
+ * @param {{ sources: Partial<Record<DishSource, number>> }} entry
+ * @returns {number}
+ */
+export function mentionCount(entry) {
+  return Object.values(entry.sources).reduce((sum, n) => sum + (n ?? 0), 0);
+}
@@ -0,0 +1,284 @@
+/**
+ * Editorial Workflow
+ *
+ * Blog posts are written by a model and reviewed by a person before they
+ * go live. Every post in data/blog-posts.json has a status:
+ *
+ *   draft      generated, waiting for review — not on the site
+ *   approved   reviewed and accepted — on the site
+ *   published  approved and released with a deploy — on the site
+ *   rejected   reviewed and turned down — not on the site
+ *
+ * Regenerating a post that is already live doesn't change what readers
+ * see: the new text is stored as the post's `revision` until it is approved
+ * (it replaces the live text) or rejected (it is dropped). Drafts and
+ * rejected posts are simply rewritten, and go back to draft.
+ *
+ * Hand edits live in data/blog-edits.json and are applied on top of the
+ * stored post when the site builds, so no regeneration can overwrite them:
+ *
+ *   {
+ *     "posts": {
+ *       "<videoId>": { "title": "...", "summary": "...", "content": "..." }
+ *     }
+ *   }
+ *
+ * Every generated post is fact-checked against the data (see
+ * scripts/lib/fact-check.js), and the result stored with it — or with its
+ * revision. Text that failed the check can't be approved unless the
+ * reviewer overrides it, which is recorded as `factCheckOverriddenAt`. A
+ * live post that fails a later check (the data changed, a hand edit added a
+ * claim, or it went live before the check existed) is held back: it stays
+ * on the site — taking a page down is a person's call — but waits for
+ * review, and an approved one isn't published, until it passes or is
+ * approved with the override.
+ *
+ * scripts/review-posts.js lists pending posts, shows diffs and records
+ * decisions.
+ */
+
+export const POST_STATUSES = ['draft', 'approved', 'published', 'rejected'];
+
+/** Statuses whose posts are built into the site. */
+export const LIVE_STATUSES = ['approved', 'published'];
+
+/** Fields a regeneration can change and a hand edit can replace. */
+export const EDITABLE_FIELDS = ['title', 'summary', 'content'];
+
+/** What a regeneration of a live post brings, kept aside as its revision. */
+const REVISION_FIELDS = [...EDITABLE_FIELDS, 'model', 'template', 'generatedAt', 'factCheck'];
+
+/**
+ * @param {{ status?: string }} post
+ * @returns {boolean}
+ */
+export function isLive(post) {
+  return LIVE_STATUSES.includes(post.status ?? '');
+}
+
+/**
+ * Whether a post failed its fact check with no override recorded: it can't
+ * be published, and a live one waits for a reviewer's decision.
+ * @param {{ factCheck?: { passed: boolean }, factCheckOverriddenAt?: string }} post
+ * @returns {boolean}
+ */
+export function heldBack(post) {
+  return failedFactCheck(post) && !post.factCheckOverriddenAt;
+}
+
+/**
+ * @param {Record<string, any>} post
+ * @param {string[]} fields
+ */
+function pick(post, fields) {
+  return Object.fromEntries(fields.filter((f) => post[f] !== undefined).map((f) => [f, post[f]]));
+}
+
+/**
+ * The record to store for a freshly generated post, given what was stored
+ * before. A live post keeps its text, review state and status, with the new
+ * text as its revision (none if nothing changed); anything else becomes a
+ * draft.
+ * @param {Record<string, any> | undefined} existing
+ * @param {Record<string, any>} generated - the new post, without editorial fields
+ * @returns {Record<string, any>}
+ */
+export function storeGenerated(existing, generated) {
+  if (!existing || !isLive(existing)) return { ...generated, status: 'draft' };
+
+  const unchanged = EDITABLE_FIELDS.every((f) => existing[f] === generated[f]);
+  return {
+    ...generated,
+    ...pick(existing, [...REVISION_FIELDS, 'status', 'reviewedAt', 'reviewNote', 'publishedAt', 'factCheckOverriddenAt']),
+    ...(unchanged ? {} : { revision: pick(generated, REVISION_FIELDS) }),
+  };
+}
+
+/**
+ * Posts waiting for a decision: drafts, live posts with a revision, and
+ * live posts held back by their fact check. Oldest first.
+ * @template {Record<string, any>} T
+ * @param {Record<string, T>} posts
+ * @returns {T[]}
+ */
+export function pendingReview(posts) {
+  return Object.values(posts)
+    .filter((post) => post.status === 'draft' || post.revision || (isLive(post) && heldBack(post)))
+    .sort((a, b) => String(a.revision?.generatedAt ?? a.generatedAt).localeCompare(String(b.revision?.generatedAt ?? b.generatedAt)));
+}
+
+/**
+ * Whether a post or revision failed its fact check. Text that was never
+ * checked hasn't failed.
+ * @param {{ factCheck?: { passed: boolean } }} text
+ * @returns {boolean}
+ */
+export function failedFactCheck(text) {
+  return text.factCheck?.passed === false;
+}
+
+/**
+ * Approve a draft or rejected post, a live post's revision (which replaces
+ * its text; the status stays), or a live post that is held back. Text that
+ * failed its fact check is refused unless `force` is set, and the override
+ * is recorded.
+ * @param {Record<string, any>} post
+ * @param {string} [now]
+ * @param {{ force?: boolean }} [options]
+ * @returns {Record<string, any>}
+ */
+export function approvePost(post, now = new Date().toISOString(), { force = false } = {}) {
+  const text = post.revision ?? post;
+  if (isLive(post) && !post.revision && !heldBack(post)) throw new Error(`${post.videoId} is already ${post.status}`);
+  if (failedFactCheck(text) && !force) {
+    const count = text.factCheck.flags.length;
+    throw new Error(`${post.videoId} failed its fact check (${count} flag${count === 1 ? '' : 's'})`);
+  }
+  const override = failedFactCheck(text) ? { factCheckOverriddenAt: now } : {};
+  if (post.revision) {
+    // The live text's fact check, and any override of it, go with it
+    const { revision, reviewNote, factCheck, factCheckOverriddenAt, ...rest } = post;
+    return { ...rest, ...revision, ...override, reviewedAt: now };
+  }
+  const { reviewNote, ...rest } = post;
+  return { ...rest, ...override, status: isLive(post) ? post.status : 'approved', reviewedAt: now };
+}
+
+/**
+ * Reject a live post's revision (the live text stays), or the post itself.
+ * @param {Record<string, any>} post
+ * @param {{ note?: string, now?: string }} [options]
+ * @returns {Record<string, any>}
+ */
+export function rejectPost(post, { note, now = new Date().toISOString() } = {}) {
+  const review = { reviewedAt: now, ...(note ? { reviewNote: note } : {}) };
+  if (post.revision) {
+    const { revision, ...rest } = post;
+    return { ...rest, ...review };
+  }
+  if (post.status === 'rejected') throw new Error(`${post.videoId} is already rejected`);
+  return { ...post, status: 'rejected', ...review };
+}
+
+/**
+ * Mark every approved post published, e.g. after a deploy. Posts held back
+ * by their fact check stay approved. Returns the posts with the ids that
+ * changed, and the ids held back.
+ * @template {Record<string, any>} T
+ * @param {Record<string, T>} posts
+ * @param {string} [now]
+ * @returns {{ posts: Record<string, T>, published: string[], held: string[] }}
+ */
+export function publishApproved(posts, now = new Date().toISOString()) {
+  /** @type {string[]} */
+  const published = [];
+  /** @type {string[]} */
+  const held = [];
+  const next = Object.fromEntries(
+    Object.entries(posts).map(([id, post]) => {
+      if (post.status !== 'approved') return [id, post];
+      if (heldBack(post)) {
+        held.push(id);
+        return [id, post];
+      }
+      published.push(id);
+      return [id, { ...post, status: 'published', publishedAt: now }];
+    })
+  );
+  return { posts: next, published, held };
+}
+
+// ---- Hand edits ----
+
+/**
+ * Apply data/blog-edits.json on top of the stored posts. Edits for unknown
+ * posts or fields are skipped with a warning.
+ * @template {Record<string, any>} T
+ * @param {Record<string, T>} posts
+ * @param {any} rawEdits
+ * @returns {{ posts: Record<string, T & { edited?: boolean }>, warnings: string[] }}
+ */
+export function applyBlogEdits(posts, rawEdits) {
+  /** @type {string[]} */
+  const warnings = [];
+  const next = { ...posts };
+
+  for (const [videoId, edit] of Object.entries(rawEdits?.posts ?? {})) {
+    if (!next[videoId]) {
+      warnings.push(`posts.${videoId}: no blog post for this video`);
+      continue;
+    }
+    if (!edit || typeof edit !== 'object' || Array.isArray(edit)) {
+      warnings.push(`posts.${videoId}: expected an object`);
+      continue;
+    }
+    /** @type {Record<string, string>} */
+    const fields = {};
+    for (const [field, value] of Object.entries(edit)) {
+      if (!EDITABLE_FIELDS.includes(field)) warnings.push(`posts.${videoId}.${field}: unknown field (editable: ${EDITABLE_FIELDS.join(', ')})`);
+      else if (typeof value !== 'string' || !value.trim()) warnings.push(`posts.${videoId}.${field}: expected non-empty text`);
+      else fields[field] = value;
+    }
+    if (Object.keys(fields).length > 0) next[videoId] = { ...next[videoId], ...fields, edited: true };
+  }
+  return { posts: next, warnings };
+}
+
+// ---- Diffs ----
+
+/**
+ * @typedef {{ op: ' ' | '-' | '+', line: string }} DiffLine
+ */
+
+/**
+ * Line diff of two texts (longest common subsequence).
+ * @param {string} before
+ * @param {string} after
+ * @returns {DiffLine[]}
+ */
+export function diffLines(before, after) {
+  const a = before.split('\n');
+  const b = after.split('\n');
+  // lengths[i][j]: LCS of a[i..] and b[j..]
+  const lengths = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lengths[i][j] = a[i] === b[j] ? lengths[i + 1][j + 1] + 1 : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+
+  /** @type {DiffLine[]} */
+  const lines = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      lines.push({ op: ' ', line: a[i] });
+      i++;
+      j++;
+    } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+      lines.push({ op: '-', line: a[i++] });
+    } else {
+      lines.push({ op: '+', line: b[j++] });
+    }
+  }
+  while (i < a.length) lines.push({ op: '-', line: a[i++] });
+  while (j < b.length) lines.push({ op: '+', line: b[j++] });
+  return lines;
+}
+
+/**
+ * What approving a post's revision would change, field by field: the
+ * current text (with hand edits) against the regenerated one. Fields with
+ * a hand edit keep it after approval, and are flagged.
+ * @param {Record<string, any>} post - as stored, with its revision
+ * @param {Record<string, string>} [edit] - its entry in data/blog-edits.json
+ * @returns {{ field: string, edited: boolean, lines: DiffLine[] }[]}
+ */
+export function revisionDiff(post, edit = {}) {
+  if (!post.revision) return [];
+  return EDITABLE_FIELDS.map((field) => {
+    const current = edit[field] ?? post[field] ?? '';
+    return { field, edited: edit[field] !== undefined, lines: diffLines(current, post.revision[field] ?? '') };
+  }).filter(({ lines }) => lines.some((l) => l.op !== ' '));
+}
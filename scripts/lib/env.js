@@ -0,0 +1,43 @@
+/**
+ * .env Loading
+ *
+ * Minimal KEY=value parser (no external dependencies). Blank lines and
+ * `#` comments are ignored, surrounding quotes are stripped, and variables
+ * already set in the environment always win.
+ */
+
+import { readFileSync, existsSync } from 'fs';
+import { resolve } from 'path';
+import { ROOT } from './paths.js';
+
+/** Parse .env file contents into a plain object. */
+export function parseEnv(contents) {
+  const vars = {};
+  for (const line of contents.split('\n')) {
+    const trimmed = line.trim();
+    if (!trimmed || trimmed.startsWith('#')) continue;
+    const eqIdx = trimmed.indexOf('=');
+    if (eqIdx === -1) continue;
+    const key = trimmed.slice(0, eqIdx).trim();
+    const val = trimmed.slice(eqIdx + 1).trim().replace(/^(['"])(.*)\1$/, '$2');
+    vars[key] = val;
+  }
+  return vars;
+}
+
+/** Load `<root>/.env` into process.env without overriding existing values. */
+export function loadEnv(path = resolve(ROOT, '.env')) {
+  if (!existsSync(path)) return;
+  for (const [key, val] of Object.entries(parseEnv(readFileSync(path, 'utf-8')))) {
+    if (!process.env[key]) process.env[key] = val;
+  }
+}
+
+/**
+ * Read an API key from the environment, treating placeholder values
+ * like `N/A` (what some CI secret UIs store for "unset") as missing.
+ */
+export function getSecret(name, env = process.env) {
+  const value = env[name] || '';
+  return value && value !== 'N/A' ? value : '';
+}
@@ -0,0 +1,453 @@
+/**
+ * Blog Post Fact Check
+ *
+ * A post written from a caption alone has little to go on, and models fill
+ * the gaps with made-up dishes, prices and addresses. After generation,
+ * every post is checked against what we actually know: its restaurant in
+ * data/restaurants.json, the video's caption and transcript, and the
+ * reviewer's verdict.
+ *
+ * extractClaims() pulls the checkable claims out of a post's text:
+ *
+ *   address      "7 Carmine St"             — the restaurant's (or a branch's) address
+ *   rating       "4.4-star Google rating"    — its Google/Yelp rating, or the reviewer's
+ *   reviewCount  "over 12,300 reviews"       — its Google/Yelp review count (rounded up at most 10%)
+ *   price        "$5"                        — a price said in the caption, transcript or verdict
+ *   dish         "spicy spring square"       — a catalog dish named in the caption, transcript,
+ *                                              verdict or the restaurant's review snippets
+ *   city         "Brooklyn"                 — a gazetteer place: the restaurant's metro, its
+ *                                              locality or a nearby neighborhood, or one the
+ *                                              video names
+ *
+ * checkLinks() checks the links to this site's own pages: each must lead
+ * to a page the build creates ("/oneminreviews/city/new-york/").
+ *
+ * Each claim the data doesn't back becomes a flag: `contradicted` when the
+ * data says otherwise, `unsupported` when it says nothing. A post with any
+ * flag fails the check and can't be approved until a hand edit fixes it
+ * (or a reviewer overrides it) — see scripts/lib/editorial.js.
+ *
+ * Pure functions only — used by scripts/transcribe-videos.js,
+ * scripts/fact-check-posts.js and scripts/review-posts.js.
+ */
+
+import { createDishMatcher, dishParts } from './dishes.js';
+import { resolveGeography, NEIGHBORHOOD_RADIUS_KM } from './geography.js';
+import { hasCoordinates, distanceKm } from './geo.js';
+import { taggedPlaces } from './gazetteer.js';
+import { restaurantForVideo } from './locations.js';
+import { dishSlug, blogPostPath } from './slug.js';
+import { renderMarkdown, brokenLinks } from './markdown.js';
+
+/** @typedef {import('./gazetteer.js').GazetteerPlace} GazetteerPlace */
+
+export const CLAIM_KINDS = ['address', 'rating', 'reviewCount', 'price', 'dish', 'city', 'link'];
+export const FLAG_PROBLEMS = ['contradicted', 'unsupported'];
+
+/**
+ * @typedef {Object} Claim
+ * @property {'address' | 'rating' | 'reviewCount' | 'price' | 'dish' | 'city'} kind
+ * @property {string} text - as written in the post
+ * @property {any} value - normalized: street, number, dish slug, or the gazetteer places of that name
+ * @property {'google' | 'yelp'} [platform] - ratings and review counts whose sentence names one
+ */
+
+/**
+ * @typedef {Object} FactFlag
+ * @property {Claim['kind'] | 'link'} kind
+ * @property {string} claim - as written in the post
+ * @property {'contradicted' | 'unsupported'} problem
+ * @property {string} detail
+ */
+
+/**
+ * @typedef {Object} FactCheck
+ * @property {string} checkedAt
+ * @property {boolean} passed
+ * @property {FactFlag[]} flags
+ */
+
+/**
+ * @typedef {Object} Evidence
+ * @property {any} [restaurant] - the video's restaurant (at the video's branch)
+ * @property {any[]} [branches] - every address record of the restaurant
+ * @property {string} [city] - the video's city, for posts without a restaurant
+ * @property {string} [caption]
+ * @property {string} [transcript]
+ * @property {any} [verdict]
+ */
+
+/** Street suffixes and directions, spelled out and abbreviated, to their USPS abbreviation. */
+const STREET_WORDS = /** @type {Record<string, string>} */ ({
+  street: 'st', st: 'st', avenue: 'ave', ave: 'ave', boulevard: 'blvd', blvd: 'blvd',
+  road: 'rd', rd: 'rd', drive: 'dr', dr: 'dr', lane: 'ln', ln: 'ln', place: 'pl', pl: 'pl',
+  parkway: 'pkwy', pkwy: 'pkwy', highway: 'hwy', hwy: 'hwy', court: 'ct', ct: 'ct',
+  square: 'sq', sq: 'sq', terrace: 'ter', ter: 'ter', way: 'way',
+  north: 'n', south: 's', east: 'e', west: 'w',
+});
+
+const STREET_SUFFIX = Object.keys(STREET_WORDS)
+  .filter((w) => w.length > 1 && !['north', 'south', 'east', 'west'].includes(w))
+  .map((w) => w[0].toUpperCase() + w.slice(1))
+  .join('|');
+
+// "7 Carmine St", "3152 Brighton 6th St", "704 S Alvarado St." — capitalized
+// words only, so "since 1975 the street" isn't an address
+const ADDRESS = new RegExp(`\\b\\d{1,5}(?:\\s+(?:[A-Z][\\w'’-]*|\\d+(?:st|nd|rd|th))){1,4}?\\s+(?:${STREET_SUFFIX})\\b`, 'g');
+
+// "4.5 stars", "4.4-star", "4.5/5", "4.5 out of 5", "rated 4.5", "4.5 rating"
+const RATING = /\b([1-5](?:\.\d{1,2})?)(?:\s*(?:\/\s*5\b|out of 5\b)|[-\s]stars?\b|\s+(?:Google |Yelp )?rating\b)|\brated\s+(?:a\s+)?([1-5](?:\.\d{1,2})?)\b(?!\s*\/\s*10|\s*out of 10)/gi;
+
+// "12,300 reviews", "12.3k Google reviews", "over 9000 reviews"
+const REVIEW_COUNT = /\b(\d{1,3}(?:,\d{3})+|\d+(?:\.\d+)?k|\d{2,})\+?\s+(?:(?:Google|Yelp)\s+)?reviews\b/gi;
+
+// "$5", "$14.50"
+const PRICE = /\$\s?(\d+(?:\.\d{1,2})?)\b/g;
+
+// "5 dollars", "12 bucks" — how transcripts say prices
+const SPOKEN_PRICE = /\b(\d+(?:\.\d{1,2})?)\s+(?:dollars|bucks)\b/gi;
+
+/**
+ * @param {string} street - "704 S. Alvarado Street"
+ * @returns {string} "704 s alvarado st"
+ */
+function normalizeStreet(street) {
+  return street
+    .toLowerCase()
+    .replace(/['’.]/g, '')
+    .split(/[^a-z0-9]+/)
+    .filter(Boolean)
+    .map((word) => STREET_WORDS[word] ?? word)
+    .join(' ');
+}
+
+/** The street part of an address: everything before the first comma. */
+function streetOf(address) {
+  return normalizeStreet(String(address ?? '').split(',')[0]);
+}
+
+/**
+ * @param {string} count - "12,300", "12.3k"
+ * @returns {number}
+ */
+function parseCount(count) {
+  const value = count.toLowerCase();
+  return value.endsWith('k') ? Math.round(parseFloat(value) * 1000) : Number(value.replace(/,/g, ''));
+}
+
+/** @param {string} sentence */
+function platformOf(sentence) {
+  const google = /\bgoogle\b/i.test(sentence);
+  const yelp = /\byelp\b/i.test(sentence);
+  if (google === yelp) return undefined;
+  return google ? 'google' : 'yelp';
+}
+
+/**
+ * Every gazetteer place a text names, in order of first mention, with the
+ * places sharing that name ("Chinatown" is in several metros). Names used as
+ * a style ("New York-style", "Chicago style") don't count, and all-caps
+ * aliases ("LA") only match in caps, as in mentionedPlace().
+ * @param {GazetteerPlace[]} places
+ * @param {string} text
+ * @returns {{ places: GazetteerPlace[], text: string, index: number }[]}
+ */
+function mentionedPlaces(places, text) {
+  /** @type {{ place: GazetteerPlace, text: string, index: number }[]} */
+  const found = [];
+  for (const place of places) {
+    for (const name of [place.name, ...(place.aliases ?? [])]) {
+      const escaped = name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/['’]/g, "['’]?");
+      const flags = name === name.toUpperCase() ? '' : 'i';
+      const match = new RegExp(`(?<![\\w'])${escaped}(?![\\w'])(?![-\\s]style)`, flags).exec(text);
+      if (match) found.push({ place, text: match[0], index: match.index });
+    }
+  }
+  // "New York City" is one mention, not also one of "New York" inside it
+  const outer = found.filter(
+    (m) => !found.some((o) => o.index <= m.index && o.index + o.text.length >= m.index + m.text.length && o.text.length > m.text.length)
+  );
+  /** @type {Map<string, { places: GazetteerPlace[], text: string, index: number }>} */
+  const byName = new Map();
+  for (const m of outer.sort((a, b) => a.index - b.index)) {
+    const key = m.text.toLowerCase();
+    const entry = byName.get(key) ?? { places: [], text: m.text, index: m.index };
+    if (!entry.places.includes(m.place)) entry.places.push(m.place);
+    byName.set(key, entry);
+  }
+  return [...byName.values()];
+}
+
+/**
+ * @typedef {Object} FactCheckContext
+ * @property {(text: string, exclude?: string[]) => string[]} matchDishes
+ * @property {Map<string, string>} dishNames - slug → catalog name
+ * @property {Map<string, string[]>} dishParts - slug → the dishes its names contain
+ * @property {GazetteerPlace[]} places
+ */
+
+/**
+ * What checking needs from the dish catalog and the gazetteer, built once.
+ * @param {import('./dishes.js').CatalogDish[]} catalog
+ * @param {GazetteerPlace[]} places
+ * @returns {FactCheckContext}
+ */
+export function factCheckContext(catalog, places) {
+  return {
+    matchDishes: createDishMatcher(catalog),
+    dishNames: new Map(catalog.map((dish) => [dishSlug(dish.name), dish.name])),
+    dishParts: dishParts(catalog),
+    places,
+  };
+}
+
+/**
+ * The checkable claims a post makes. Dish names and places inside the
+ * restaurant's own name ("Brooklyn Bagel") don't count.
+ * @param {string} text
+ * @param {FactCheckContext} context
+ * @param {string} [restaurantName]
+ * @returns {Claim[]}
+ */
+export function extractClaims(text, { matchDishes, dishNames, places }, restaurantName) {
+  /** @type {Claim[]} */
+  const claims = [];
+
+  for (const sentence of text.split(/(?<=[.!?])\s+|\n+/)) {
+    const platform = platformOf(sentence);
+    for (const match of sentence.matchAll(ADDRESS)) {
+      claims.push({ kind: 'address', text: match[0], value: normalizeStreet(match[0]) });
+    }
+    for (const match of sentence.matchAll(RATING)) {
+      claims.push({ kind: 'rating', text: match[0], value: Number(match[1] ?? match[2]), ...(platform ? { platform } : {}) });
+    }
+    for (const match of sentence.matchAll(REVIEW_COUNT)) {
+      claims.push({ kind: 'reviewCount', text: match[0], value: parseCount(match[1]), ...(platform ? { platform } : {}) });
+    }
+    for (const match of sentence.matchAll(PRICE)) {
+      claims.push({ kind: 'price', text: match[0], value: Number(match[1]) });
+    }
+  }
+
+  for (const dish of matchDishes(text, restaurantName ? [restaurantName] : [])) {
+    claims.push({ kind: 'dish', text: dishNames.get(dish) ?? dish, value: dish });
+  }
+
+  const unnamed = restaurantName ? text.split(restaurantName).join(' ') : text;
+  for (const mention of mentionedPlaces(places, unnamed)) {
+    claims.push({ kind: 'city', text: mention.text, value: mention.places });
+  }
+  return claims;
+}
+
+/**
+ * What the caption, transcript, verdict and review snippets mention. A
+ * dish named there also backs the dishes its name contains ("lamb neck
+ * shawarma" backs "the shawarma").
+ * @param {Evidence} evidence
+ * @param {FactCheckContext} context
+ */
+function evidenceMentions(evidence, { matchDishes, dishParts, places }) {
+  const said = `${evidence.caption ?? ''}\n${evidence.transcript ?? ''}`;
+  const names = evidence.restaurant?.name ? [evidence.restaurant.name] : [];
+  const reviews = (evidence.branches ?? []).flatMap((b) => (b.reviews ?? []).map((/** @type {any} */ r) => r.text));
+
+  const dishes = new Set([
+    ...matchDishes(said, names),
+    ...(evidence.verdict?.dishes ?? []).flatMap((/** @type {any} */ d) => matchDishes(d.name, names)),
+    ...reviews.flatMap((text) => matchDishes(text, names)),
+  ]);
+  for (const dish of [...dishes]) {
+    for (const part of dishParts.get(dish) ?? []) dishes.add(part);
+  }
+  const prices = [...said.matchAll(PRICE), ...said.matchAll(SPOKEN_PRICE)].map((m) => Number(m[1]));
+  if (typeof evidence.verdict?.pricePaid === 'number') prices.push(evidence.verdict.pricePaid);
+  const numbers = [...said.matchAll(/\b\d+(?:\.\d+)?\b/g)].map((m) => Number(m[0]));
+
+  // A hashtag names a place too, even run together ("#bayarea")
+  const named = [...mentionedPlaces(places, said).flatMap((m) => m.places), ...taggedPlaces(places, said)];
+
+  return { dishes, prices, numbers, places: new Set(named) };
+}
+
+/**
+ * Whether a city or neighborhood of the restaurant's metro is where it is:
+ * its locality (from the address) or neighborhood, or a neighborhood within
+ * walking distance. Cities have no boundaries in the gazetteer, so "New
+ * York, NY" doesn't back "Manhattan".
+ * @param {GazetteerPlace} place
+ * @param {any} restaurant
+ * @param {GazetteerPlace[]} places
+ * @returns {boolean}
+ */
+function placeOfRestaurant(place, restaurant, places) {
+  const { locality, neighborhood } = resolveGeography(restaurant, places);
+  if (place.name === locality || place.name === neighborhood) return true;
+  return place.type === 'neighborhood' && hasCoordinates(restaurant) && distanceKm(restaurant, place) <= NEIGHBORHOOD_RADIUS_KM;
+}
+
+const PLATFORM_LABELS = { google: 'Google', yelp: 'Yelp' };
+
+/**
+ * The flag for a claim the evidence doesn't back, or null.
+ * @param {Claim} claim
+ * @param {Evidence} evidence
+ * @param {ReturnType<typeof evidenceMentions>} mentions
+ * @param {GazetteerPlace[]} places
+ * @returns {FactFlag | null}
+ */
+function verifyClaim(claim, evidence, mentions, places) {
+  const { restaurant } = evidence;
+  const name = restaurant?.name ?? 'The restaurant';
+  /**
+   * @param {'contradicted' | 'unsupported'} problem
+   * @param {string} detail
+   * @returns {FactFlag}
+   */
+  const flag = (problem, detail) => ({ kind: claim.kind, claim: claim.text, problem, detail });
+
+  switch (claim.kind) {
+    case 'address': {
+      const addresses = (evidence.branches ?? []).map((b) => b.address).filter(Boolean);
+      if (addresses.length === 0) return flag('unsupported', 'no address on record');
+      if (addresses.some((address) => streetOf(address) === claim.value)) return null;
+      return flag('contradicted', `on record: ${addresses.join('; ')}`);
+    }
+
+    case 'rating':
+    case 'reviewCount': {
+      const field = claim.kind === 'rating' ? 'rating' : 'reviewCount';
+      const known = /** @type {('google' | 'yelp')[]} */ (claim.platform ? [claim.platform] : ['google', 'yelp']).filter(
+        (p) => restaurant?.[p]?.[field] > 0
+      );
+      const backed = known.some((p) =>
+        field === 'rating' ? Math.abs(restaurant[p].rating - claim.value) < 0.05 : claim.value <= restaurant[p].reviewCount * 1.1
+      );
+      if (backed) return null;
+      // The reviewer's own stars
+      if (field === 'rating' && !claim.platform && mentions.numbers.includes(claim.value)) return null;
+      const what = field === 'rating' ? 'rating' : 'review count';
+      if (known.length === 0) return flag('unsupported', `no ${claim.platform ? PLATFORM_LABELS[claim.platform] : 'Google or Yelp'} ${what} on record`);
+      return flag(
+        'contradicted',
+        `on record: ${known.map((p) => `${PLATFORM_LABELS[p]} ${what} ${restaurant[p][field].toLocaleString('en-US')}`).join(', ')}`
+      );
+    }
+
+    case 'price':
+      if (mentions.prices.some((price) => Math.abs(price - claim.value) < 0.005)) return null;
+      return flag('unsupported', 'not said in the caption, transcript or verdict');
+
+    case 'dish':
+      if (mentions.dishes.has(claim.value)) return null;
+      return flag('unsupported', 'not named in the caption, transcript, verdict or reviews');
+
+    case 'city': {
+      const candidates = /** @type {GazetteerPlace[]} */ (claim.value);
+      if (candidates.some((p) => mentions.places.has(p))) return null;
+      const metro = restaurant?.city || evidence.city;
+      if (!metro) return flag('unsupported', 'no city on record');
+      const place = candidates.find((p) => p.metro === metro);
+      if (!place) return flag('contradicted', `${name} is in ${metro}`);
+      if (place.type === 'metro') return null;
+      if (restaurant && placeOfRestaurant(place, restaurant, places)) return null;
+      return flag('unsupported', `${name} isn't there as far as its address and coordinates say`);
+    }
+  }
+  return null;
+}
+
+/**
+ * Check a text against the evidence: a flag per claim it doesn't back,
+ * each claim once.
+ * @param {string} text
+ * @param {Evidence} evidence
+ * @param {FactCheckContext} context
+ * @returns {FactFlag[]}
+ */
+export function checkText(text, evidence, context) {
+  const mentions = evidenceMentions(evidence, context);
+  /** @type {FactFlag[]} */
+  const flags = [];
+  const seen = new Set();
+  for (const claim of extractClaims(text, context, evidence.restaurant?.name)) {
+    const flag = verifyClaim(claim, evidence, mentions, context.places);
+    const key = flag && `${flag.kind}:${flag.claim.toLowerCase()}`;
+    if (!flag || seen.has(key)) continue;
+    seen.add(key);
+    flags.push(flag);
+  }
+  return flags;
+}
+
+/**
+ * The links of a post's Markdown to pages of this site that don't exist,
+ * as flags.
+ * @param {string} markdown
+ * @param {string} pagePath - the post's own path, for relative links
+ * @param {Set<string>} pages - every page path the site builds (see site-pages.js)
+ * @returns {FactFlag[]}
+ */
+export function checkLinks(markdown, pagePath, pages) {
+  const { links } = renderMarkdown(markdown, { pagePath });
+  return brokenLinks(links, pages).map((link) => ({
+    kind: /** @type {const} */ ('link'),
+    claim: link.href,
+    problem: /** @type {const} */ ('contradicted'),
+    detail: `the site has no page at ${link.path}`,
+  }));
+}
+
+/**
+ * A function that fact-checks a stored post, and its revision if it has
+ * one, as they would be published — with their hand edits. Returns the
+ * post with `factCheck` set on it (and on its revision). Given the site's
+ * `pages` (site-pages.js), links to pages that don't exist are flagged
+ * too, so they are caught in review rather than by a failed build.
+ * @param {{ videos: any[], restaurants: Record<string, any>, verdicts?: Record<string, any>, catalog: import('./dishes.js').CatalogDish[], places: GazetteerPlace[], pages?: Set<string> }} data
+ * @returns {<T extends Record<string, any>>(post: T, options?: { edit?: Record<string, string>, now?: string }) => T & { factCheck: FactCheck, revision?: { factCheck: FactCheck } }}
+ */
+export function createFactChecker({ videos, restaurants, verdicts = {}, catalog, places, pages }) {
+  const context = factCheckContext(catalog, places);
+  const videoById = new Map(videos.map((v) => [v.videoId, v]));
+
+  return function factCheckPost(post, { edit = {}, now = new Date().toISOString() } = {}) {
+    const video = videoById.get(post.videoId);
+    const record = video ? restaurants[video.restaurantSlug] : undefined;
+    /** @type {Evidence} */
+    const evidence = {
+      restaurant: video ? restaurantForVideo(restaurants, video) : undefined,
+      branches: record ? [record, ...(record.locations ?? [])] : [],
+      city: video?.city ?? post.city,
+      caption: video?.caption ?? '',
+      transcript: post.transcript ?? '',
+      verdict: verdicts[post.videoId],
+    };
+    /**
+     * @param {Record<string, any>} text
+     * @returns {FactCheck}
+     */
+    const check = (text) => {
+      const { title, summary, content } = { ...text, ...edit };
+      const flags = [
+        ...checkText([title, summary, content].join('\n\n'), evidence, context),
+        ...(pages ? checkLinks(content, blogPostPath(post), pages) : []),
+      ];
+      return { checkedAt: now, passed: flags.length === 0, flags };
+    };
+    return {
+      ...post,
+      factCheck: check(post),
+      ...(post.revision ? { revision: { ...post.revision, factCheck: check(post.revision) } } : {}),
+    };
+  };
+}
+
+/**
+ * A flag as one line, for the CLIs.
+ * @param {FactFlag} flag
+ * @returns {string}
+ */
+export function formatFlag(flag) {
+  return `${flag.problem} ${flag.kind} "${flag.claim}": ${flag.detail}`;
+}
@@ -0,0 +1,130 @@
+/**
+ * Video Page FAQs
+ *
+ * The questions and answers at the bottom of every video page (and in its
+ * FAQPage JSON-LD), written from the restaurant's listing and the
+ * reviewer's verdict. They are in English; scripts/translate.js translates
+ * them for the other locales (see ./translations.js).
+ *
+ * Pure functions only — shared by scripts/translate.js and src/lib/data.ts.
+ */
+
+import { getLocations, brandSummary, restaurantForVideo } from './locations.js';
+import { videoRestaurantSlugs } from './video.js';
+import { verdictFor, formatPrice } from './verdict.js';
+
+/** @typedef {{ question: string, answer: string }} FAQItem */
+
+/** " They paid $32 and waited 20 minutes." — whatever the verdict records. */
+function visitFacts(verdict) {
+  const facts = [
+    verdict.pricePaid !== undefined ? `paid ${formatPrice(verdict.pricePaid)}` : '',
+    verdict.waitMinutes ? `waited ${verdict.waitMinutes} minutes` : '',
+  ].filter(Boolean);
+  return facts.length > 0 ? ` They ${facts.join(' and ')}.` : '';
+}
+
+/**
+ * The FAQs of a restaurant's video page.
+ * @param {any} restaurant - as the video was filmed there (for chains, the branch)
+ * @param {any} video
+ * @param {import('./verdict.js').Verdict} [verdict] - see verdictFor()
+ * @returns {FAQItem[]}
+ */
+export function generateFAQs(restaurant, video, verdict) {
+  const name = restaurant.name;
+  const likes = video.stats?.likes ?? 0;
+  const hasGoogle = !!(restaurant.google && restaurant.google.rating > 0 && restaurant.google.placeId);
+  const googleRating = restaurant.google?.rating ?? 0;
+  const googleCount = restaurant.google?.reviewCount ?? 0;
+  const locationLabel = restaurant.location?.name ?? restaurant.location?.city;
+  const liked = verdict?.dishes.filter((d) => d.sentiment === 'positive') ?? [];
+  const permanentlyClosed = restaurant.businessStatus === 'CLOSED_PERMANENTLY';
+  const temporarilyClosed = restaurant.businessStatus === 'CLOSED_TEMPORARILY';
+
+  /** @type {FAQItem[]} */
+  const faqs = [
+    {
+      question: `Is ${name} worth it?`,
+      answer: verdict
+        ? `${verdict.worthIt ? 'Yes' : 'Not according to our reviewer'} — @oneminreviews gave ${name} ${verdict.score}/10. ${verdict.summary}${visitFacts(verdict)}`
+        : hasGoogle
+        ? `With a ${googleRating}/5 rating on Google from ${googleCount.toLocaleString()} reviews, ${name} is highly regarded. Watch our honest one-minute @oneminreviews video to see for yourself — no sponsorships, just the truth.`
+        : `Watch our honest one-minute video review to decide for yourself. @oneminreviews gives you an unfiltered, unsponsored look at the food, the vibe, and whether it's worth your money.`,
+    },
+    {
+      question: `What does @oneminreviews think of ${name}?`,
+      answer: verdict?.summary
+        ? `Our reviewer scored ${name} ${verdict.score}/10: "${verdict.summary}" Watch the one-minute video above for the full take.`
+        : `Our reviewer visited ${name} and captured the experience in a one-minute video. With ${likes.toLocaleString()} likes, it's one of our most engaging reviews. Watch above for the honest verdict.`,
+    },
+    {
+      question: `Where is ${name} located?`,
+      answer: `${restaurant.location ? `The ${name} we reviewed (${locationLabel}) is` : `${name} is`} located at ${restaurant.address}. It serves ${restaurant.cuisine.toLowerCase()} cuisine in ${restaurant.city}, ${restaurant.state}.`,
+    },
+    {
+      question: `Who reviews ${name}?`,
+      answer: `${name} was reviewed by @oneminreviews — honest, one-minute video restaurant reviews with no sponsorships, no paid placements, just real opinions.`,
+    },
+    {
+      question: `Is there a video review of ${name}?`,
+      answer: `Yes! @oneminreviews posted an honest one-minute video review of ${name}. Watch it above to see the food, the vibe, and the verdict.`,
+    },
+  ];
+
+  if (liked.length > 0) {
+    const skipped = verdict.dishes.filter((d) => d.sentiment === 'negative');
+    faqs.push({
+      question: `What should I order at ${name}?`,
+      answer: `Our reviewer's picks: ${liked.map((d) => (d.note ? `${d.name} (${d.note})` : d.name)).join(', ')}.${skipped.length > 0 ? ` They'd skip the ${skipped.map((d) => d.name).join(', ')}.` : ''}`,
+    });
+  }
+
+  const locations = getLocations(restaurant);
+  if (locations.length > 1) {
+    const { cities } = brandSummary(restaurant);
+    faqs.push({
+      question: `How many locations does ${name} have?`,
+      answer: `${name} has ${locations.length} locations we know of, in ${cities.join(', ')}.${restaurant.location ? ` This review was filmed at the ${locationLabel} location.` : ''}`,
+    });
+  }
+
+  if (permanentlyClosed || temporarilyClosed) {
+    faqs.push({
+      question: `Is ${name} still open?`,
+      answer: permanentlyClosed
+        ? `No. According to Google, ${restaurant.location ? `the ${locationLabel} location of ${name}` : name} has permanently closed. Our @oneminreviews video shows what it was like while it was open.`
+        : `${restaurant.location ? `The ${locationLabel} location of ${name}` : name} is temporarily closed, according to Google. Check before you go.`,
+    });
+  } else if (restaurant.openingHours?.length) {
+    faqs.push({
+      question: `What are ${name}'s opening hours?`,
+      answer: `Opening hours at ${restaurant.location ? `the ${locationLabel} location of ${name}` : name}: ${restaurant.openingHours.join('; ')}.`,
+    });
+  }
+
+  if (hasGoogle) {
+    faqs.push({
+      question: `What is ${name}'s Google rating?`,
+      answer: `${restaurant.location ? `The ${locationLabel} location of ${name}` : name} has a ${googleRating}/5 rating on Google based on ${googleCount.toLocaleString()} reviews. Combined with our @oneminreviews video, you get the full picture before visiting.`,
+    });
+  }
+
+  return faqs;
+}
+
+/**
+ * The FAQs of every video page: one page per video and restaurant it
+ * features. `restaurants` must be as the site sees them — with overrides
+ * and geography applied — or the text won't match what's built.
+ * @param {{ videos: any[], restaurants: Record<string, any>, verdicts: Record<string, any> }} data
+ * @returns {FAQItem[]}
+ */
+export function allVideoFAQs({ videos, restaurants, verdicts }) {
+  return videos.flatMap((video) =>
+    videoRestaurantSlugs(video).flatMap((slug) => {
+      const restaurant = restaurantForVideo(restaurants, video, slug);
+      return restaurant ? generateFAQs(restaurant, video, verdictFor(verdicts, video, restaurant)) : [];
+    })
+  );
+}
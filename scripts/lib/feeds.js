@@ -0,0 +1,301 @@
+/**
+ * Feeds
+ *
+ * RSS 2.0, Atom and JSON Feed versions of the newest reviews, the blog and
+ * each city and cuisine, so readers and aggregators can follow the site
+ * without TikTok. They are built with the site (src/pages/feeds/) from one
+ * description of a feed and its entries, one directory per feed:
+ *
+ *   /oneminreviews/feeds/reviews/rss.xml
+ *   /oneminreviews/feeds/blog/atom.xml
+ *   /oneminreviews/feeds/city/new-york/feed.json
+ *   /oneminreviews/feeds/cuisine/pizza/rss.xml
+ *
+ * Every entry carries the video's OG image, the restaurants it features with
+ * their ratings, and the TikTok embed link — as Media RSS elements in RSS
+ * and Atom, as an `_oneminreviews` extension in JSON Feed, and in the HTML
+ * content for readers that show none of those.
+ *
+ * Pure functions only — src/lib/data.ts builds the entries.
+ */
+
+import { BASE_PATH, TIKTOK_HANDLE } from './site.js';
+
+/** File name and media type of each format, by format. */
+export const FEED_FORMATS = {
+  rss: { file: 'rss.xml', type: 'application/rss+xml', label: 'RSS' },
+  atom: { file: 'atom.xml', type: 'application/atom+xml', label: 'Atom' },
+  json: { file: 'feed.json', type: 'application/feed+json', label: 'JSON Feed' },
+};
+
+const AUTHOR = { name: `@${TIKTOK_HANDLE}`, url: `https://www.tiktok.com/@${TIKTOK_HANDLE}` };
+
+/**
+ * @typedef {object} FeedRating
+ * @property {string} source - e.g. `Google`, or `OneMinReviews` for the reviewer's verdict
+ * @property {number} rating
+ * @property {number} best - what a perfect rating is: 5 stars, or 10 for a verdict
+ * @property {number} [reviewCount]
+ *
+ * @typedef {object} FeedRestaurant
+ * @property {string} name - with the branch for chains, e.g. `Joe's Pizza (Broadway)`
+ * @property {string} [address]
+ * @property {number} [score] - the site's 0–5 score (./scoring.js)
+ * @property {FeedRating[]} ratings
+ *
+ * @typedef {object} FeedEntry
+ * @property {string} url - site path (or absolute URL) of the page; also the entry's id
+ * @property {string} title
+ * @property {string} summary - plain text
+ * @property {string} [html] - the full text, when there is more than the summary
+ * @property {string} published - ISO date
+ * @property {string} [updated] - ISO date
+ * @property {string} [image] - the OG image
+ * @property {string[]} tags
+ * @property {FeedRestaurant[]} restaurants
+ * @property {string} [watchUrl] - the video on TikTok
+ * @property {string} [embedUrl] - TikTok's embeddable player
+ *
+ * @typedef {object} Feed
+ * @property {string} origin - e.g. `https://greenido.github.io`; site paths are resolved against it
+ * @property {string} name - see feedPath()
+ * @property {string} title
+ * @property {string} description
+ * @property {string} home - site path of the page the feed follows
+ * @property {string} [language]
+ * @property {FeedEntry[]} entries - newest first
+ */
+
+/**
+ * Site path of a feed in one format.
+ * @param {string} name - e.g. `reviews`, `city/new-york`
+ * @param {keyof typeof FEED_FORMATS} format
+ * @param {string} [base]
+ */
+export function feedPath(name, format, base = BASE_PATH) {
+  return `${base}feeds/${name}/${FEED_FORMATS[format].file}`;
+}
+
+/**
+ * A feed in one format, as the file's text.
+ * @param {Feed} feed
+ * @param {keyof typeof FEED_FORMATS} format
+ * @param {string} [base]
+ * @returns {string}
+ */
+export function renderFeed(feed, format, base = BASE_PATH) {
+  if (format === 'rss') return toRss(feed, base);
+  if (format === 'atom') return toAtom(feed, base);
+  if (format === 'json') return toJsonFeed(feed, base);
+  throw new Error(`Unknown feed format "${format}"`);
+}
+
+/**
+ * Make the links and images of HTML written for the site work outside it:
+ * site paths get the origin, `#anchors` the page's URL.
+ * @param {string} html
+ * @param {string} pageUrl - absolute
+ */
+export function absoluteUrls(html, pageUrl) {
+  const { origin } = new URL(pageUrl);
+  return html.replace(/\b(href|src)="([/#])/g, (match, attr, first) =>
+    `${attr}="${first === '#' ? `${pageUrl}#` : `${origin}/`}`
+  );
+}
+
+/**
+ * An entry's HTML content: the image, its text, each restaurant's ratings
+ * and links to the video.
+ * @param {FeedEntry} entry
+ * @param {string} origin
+ */
+export function entryContent(entry, origin) {
+  const url = absolute(entry.url, origin);
+  const parts = [
+    entry.image ? `<p><a href="${escapeXml(url)}"><img src="${escapeXml(absolute(entry.image, origin))}" alt="${escapeXml(entry.title)}" /></a></p>` : '',
+    entry.html ? absoluteUrls(entry.html, url) : `<p>${escapeXml(entry.summary)}</p>`,
+  ];
+  if (entry.restaurants.length > 0) {
+    const items = entry.restaurants.map((r) => {
+      const details = [r.address, describeRatings(r)].filter(Boolean).map(escapeXml);
+      return `<li><strong>${escapeXml(r.name)}</strong>${details.map((d) => ` — ${d}`).join('')}</li>`;
+    });
+    parts.push(`<ul>${items.join('')}</ul>`);
+  }
+  const links = [
+    entry.watchUrl ? `<a href="${escapeXml(entry.watchUrl)}">Watch on TikTok</a>` : '',
+    entry.embedUrl ? `<a href="${escapeXml(entry.embedUrl)}">Play the video</a>` : '',
+  ].filter(Boolean);
+  if (links.length > 0) parts.push(`<p>${links.join(' · ')}</p>`);
+  return parts.filter(Boolean).join('\n');
+}
+
+/**
+ * A restaurant's ratings in one line: "Score 4.6/5 · Google 4.5/5 (8,420
+ * reviews) · OneMinReviews 8/10".
+ * @param {FeedRestaurant} restaurant
+ */
+export function describeRatings(restaurant) {
+  const parts = restaurant.ratings.map(
+    (r) =>
+      `${r.source} ${r.rating}/${r.best}${r.reviewCount ? ` (${r.reviewCount.toLocaleString('en-US')} reviews)` : ''}`
+  );
+  if (restaurant.score !== undefined) parts.unshift(`Score ${restaurant.score.toFixed(1)}/5`);
+  return parts.join(' · ');
+}
+
+// ---- Formats ----
+
+/**
+ * @param {Feed} feed
+ * @param {string} [base]
+ */
+export function toRss(feed, base = BASE_PATH) {
+  const { origin } = feed;
+  const updated = lastUpdated(feed);
+  const items = feed.entries.map((entry) => {
+    const url = absolute(entry.url, origin);
+    const image = entry.image && absolute(entry.image, origin);
+    const score = entry.restaurants.find((r) => r.score !== undefined)?.score;
+    return [
+      '    <item>',
+      `      <title>${escapeXml(entry.title)}</title>`,
+      `      <link>${escapeXml(url)}</link>`,
+      `      <guid isPermaLink="true">${escapeXml(url)}</guid>`,
+      `      <pubDate>${new Date(entry.published).toUTCString()}</pubDate>`,
+      `      <description>${escapeXml(entry.summary)}</description>`,
+      `      <content:encoded>${escapeXml(entryContent(entry, origin))}</content:encoded>`,
+      ...entry.tags.map((tag) => `      <category>${escapeXml(tag)}</category>`),
+      ...(image
+        ? [`      <media:content url="${escapeXml(image)}" medium="image" />`, `      <media:thumbnail url="${escapeXml(image)}" />`]
+        : []),
+      ...(entry.embedUrl ? [`      <media:player url="${escapeXml(entry.embedUrl)}" />`] : []),
+      ...(score !== undefined
+        ? [`      <media:community><media:starRating average="${score}" min="0" max="5" /></media:community>`]
+        : []),
+      '    </item>',
+    ].join('\n');
+  });
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" xmlns:content="http://purl.org/rss/1.0/modules/content/" xmlns:media="http://search.yahoo.com/mrss/">
+  <channel>
+    <title>${escapeXml(feed.title)}</title>
+    <link>${escapeXml(absolute(feed.home, origin))}</link>
+    <description>${escapeXml(feed.description)}</description>
+    <language>${feed.language ?? 'en'}</language>
+${updated ? `    <lastBuildDate>${new Date(updated).toUTCString()}</lastBuildDate>\n` : ''}    <atom:link href="${escapeXml(`${origin}${feedPath(feed.name, 'rss', base)}`)}" rel="self" type="${FEED_FORMATS.rss.type}" />
+${items.join('\n')}
+  </channel>
+</rss>
+`;
+}
+
+/**
+ * @param {Feed} feed
+ * @param {string} [base]
+ */
+export function toAtom(feed, base = BASE_PATH) {
+  const { origin } = feed;
+  const self = `${origin}${feedPath(feed.name, 'atom', base)}`;
+  const entries = feed.entries.map((entry) => {
+    const url = absolute(entry.url, origin);
+    const image = entry.image && absolute(entry.image, origin);
+    return [
+      '  <entry>',
+      `    <id>${escapeXml(url)}</id>`,
+      `    <title>${escapeXml(entry.title)}</title>`,
+      `    <link rel="alternate" type="text/html" href="${escapeXml(url)}" />`,
+      ...(entry.embedUrl ? [`    <link rel="related" type="text/html" href="${escapeXml(entry.embedUrl)}" title="Video" />`] : []),
+      `    <published>${new Date(entry.published).toISOString()}</published>`,
+      `    <updated>${new Date(entry.updated ?? entry.published).toISOString()}</updated>`,
+      `    <summary>${escapeXml(entry.summary)}</summary>`,
+      `    <content type="html">${escapeXml(entryContent(entry, origin))}</content>`,
+      ...entry.tags.map((tag) => `    <category term="${escapeXml(tag)}" />`),
+      ...(image ? [`    <media:thumbnail url="${escapeXml(image)}" />`] : []),
+      '  </entry>',
+    ].join('\n');
+  });
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom" xmlns:media="http://search.yahoo.com/mrss/" xml:lang="${feed.language ?? 'en'}">
+  <id>${escapeXml(self)}</id>
+  <title>${escapeXml(feed.title)}</title>
+  <subtitle>${escapeXml(feed.description)}</subtitle>
+  <updated>${new Date(lastUpdated(feed) ?? 0).toISOString()}</updated>
+  <link rel="self" type="${FEED_FORMATS.atom.type}" href="${escapeXml(self)}" />
+  <link rel="alternate" type="text/html" href="${escapeXml(absolute(feed.home, origin))}" />
+  <author><name>${escapeXml(AUTHOR.name)}</name><uri>${escapeXml(AUTHOR.url)}</uri></author>
+${entries.join('\n')}
+</feed>
+`;
+}
+
+/**
+ * JSON Feed 1.1 (https://jsonfeed.org/version/1.1).
+ * @param {Feed} feed
+ * @param {string} [base]
+ */
+export function toJsonFeed(feed, base = BASE_PATH) {
+  const { origin } = feed;
+  const json = {
+    version: 'https://jsonfeed.org/version/1.1',
+    title: feed.title,
+    home_page_url: absolute(feed.home, origin),
+    feed_url: `${origin}${feedPath(feed.name, 'json', base)}`,
+    description: feed.description,
+    language: feed.language ?? 'en',
+    authors: [AUTHOR],
+    items: feed.entries.map((entry) => {
+      const url = absolute(entry.url, origin);
+      return {
+        id: url,
+        url,
+        ...(entry.watchUrl ? { external_url: entry.watchUrl } : {}),
+        title: entry.title,
+        summary: entry.summary,
+        content_html: entryContent(entry, origin),
+        ...(entry.image ? { image: absolute(entry.image, origin) } : {}),
+        date_published: new Date(entry.published).toISOString(),
+        ...(entry.updated ? { date_modified: new Date(entry.updated).toISOString() } : {}),
+        tags: entry.tags,
+        _oneminreviews: {
+          ...(entry.embedUrl ? { embed_url: entry.embedUrl } : {}),
+          restaurants: entry.restaurants.map(({ name, address, score, ratings }) => ({
+            name,
+            ...(address ? { address } : {}),
+            ...(score !== undefined ? { score } : {}),
+            ratings: ratings.map(({ source, rating, best, reviewCount }) => ({
+              source,
+              rating,
+              best,
+              ...(reviewCount ? { review_count: reviewCount } : {}),
+            })),
+          })),
+        },
+      };
+    }),
+  };
+  return JSON.stringify(json, null, 2);
+}
+
+// ---- Helpers ----
+
+/** The newest date in a feed, or undefined when it has no entries. */
+function lastUpdated(feed) {
+  const times = feed.entries.map((e) => Date.parse(e.updated ?? e.published));
+  return times.length > 0 ? Math.max(...times) : undefined;
+}
+
+function absolute(url, origin) {
+  return url.startsWith('http') ? url : `${origin}${url}`;
+}
+
+function escapeXml(str) {
+  return str
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
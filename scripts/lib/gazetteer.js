@@ -0,0 +1,168 @@
+/**
+ * Offline Gazetteer
+ *
+ * Turns what a visitor types into a "near me" box — a US ZIP code or a
+ * neighborhood/city name — into coordinates, without calling a geocoding
+ * API, and names the places a caption mentions:
+ *
+ * - ZIP codes resolve to their Census ZCTA centroid (the us-zips package).
+ *   The full list is ~33k entries, so the site ships it as small shards
+ *   keyed by the ZIP's first three digits and the browser fetches only the
+ *   shard it needs.
+ * - Names resolve against data/gazetteer.json: metro areas, the cities
+ *   and boroughs inside them and well-known neighborhoods, with aliases
+ *   ("LES", "DTLA"). scripts/lib/geography.js uses the same entries to place
+ *   restaurants.
+ *
+ * Pure functions only — shared by the gazetteer endpoints, the near-me
+ * script and the enrichment pipeline.
+ */
+
+import { normalizeName } from './identity.js';
+
+/** @typedef {'metro' | 'city' | 'neighborhood'} PlaceType */
+
+/**
+ * @typedef {Object} GazetteerPlace
+ * @property {string} name
+ * @property {PlaceType} type
+ * @property {string} metro - the metro area it belongs to (its own name for a metro)
+ * @property {string} state - two-letter code
+ * @property {number} lat
+ * @property {number} lng
+ * @property {string[]} [aliases]
+ * @property {number} [radiusKm] - metros only: how far out it reaches (default 60)
+ */
+
+/** @typedef {Record<string, [number, number]>} ZipShard - ZIP → [lat, lng] */
+
+/**
+ * The 5-digit ZIP in a query ("10014", "10014-2201", "NY 10014"), if any.
+ * @param {string} query
+ * @returns {string | undefined}
+ */
+export function parseZip(query) {
+  return /(?:^|\D)(\d{5})(?:-\d{4})?(?:\D|$)/.exec(query.trim())?.[1];
+}
+
+/**
+ * The shard a ZIP lives in: its first three digits (the USPS sectional
+ * center).
+ * @param {string} zip
+ * @returns {string}
+ */
+export function zipPrefix(zip) {
+  return zip.slice(0, 3);
+}
+
+/**
+ * Split a ZIP → centroid list into shards by prefix. Coordinates are
+ * rounded to 4 decimals (~11 m), plenty for sorting by distance.
+ * @param {Record<string, { latitude: number, longitude: number }>} zips
+ * @returns {Record<string, ZipShard>}
+ */
+export function zipShards(zips) {
+  const round = (n) => Math.round(n * 1e4) / 1e4;
+  /** @type {Record<string, ZipShard>} */
+  const shards = {};
+  for (const [zip, { latitude, longitude }] of Object.entries(zips)) {
+    (shards[zipPrefix(zip)] ??= {})[zip] = [round(latitude), round(longitude)];
+  }
+  return shards;
+}
+
+/**
+ * The place a typed name refers to. Accepts a bare name or alias
+ * ("williamsburg", "dtla"), optionally followed by the city or state to
+ * disambiguate ("chinatown chicago", "chinatown, IL"). Exact names win over
+ * prefixes ("wicker" → Wicker Park); among equals the first entry wins, so
+ * list the better-known place first.
+ * @param {GazetteerPlace[]} places
+ * @param {string} query
+ * @returns {GazetteerPlace | undefined}
+ */
+export function findPlace(places, query) {
+  const words = normalizeName(query);
+  if (!words) return undefined;
+
+  let best;
+  let bestScore = 0;
+  for (const place of places) {
+    const names = [place.name, ...(place.aliases ?? [])].map(normalizeName);
+    const qualifiers = [place.metro, place.state].map(normalizeName);
+    for (const name of names) {
+      for (const qualifier of ['', ...qualifiers]) {
+        const full = qualifier ? `${name} ${qualifier}` : name;
+        // Qualified matches outrank bare ones so "chinatown chicago" beats New York's
+        const score = full === words ? 3 + (qualifier ? 1 : 0) : full.startsWith(words) && words.length >= 3 ? 1 : 0;
+        if (score > bestScore) {
+          best = place;
+          bestScore = score;
+        }
+      }
+    }
+  }
+  return best;
+}
+
+const TYPE_RANK = { metro: 0, city: 1, neighborhood: 2 };
+
+/**
+ * The place a caption mentions, preferring metros over cities over
+ * neighborhoods (a bare "Chinatown" says little) and earlier mentions over
+ * later ones. All-caps aliases ("LA", "SF") only match in caps, so "la" in
+ * Spanish doesn't put a restaurant in Los Angeles.
+ *
+ * Hashtags ("#bayarea", "#nyc") count only when the rest of the caption
+ * names no place, and only when every place tagged is in the same metro:
+ * creators tag for reach, so "#bayarea … #minneapolis" names no place.
+ * @param {GazetteerPlace[]} places
+ * @param {string} text
+ * @returns {GazetteerPlace | undefined}
+ */
+export function mentionedPlace(places, text) {
+  let best;
+  let bestKey = [Infinity, Infinity];
+  for (const place of places) {
+    for (const name of [place.name, ...(place.aliases ?? [])]) {
+      const escaped = name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/['’]/g, "['’]?");
+      const flags = name === name.toUpperCase() ? '' : 'i';
+      const index = text.search(new RegExp(`(?<![\\w'#])${escaped}(?![\\w'])`, flags));
+      if (index < 0) continue;
+      const key = [TYPE_RANK[place.type], index];
+      if (key[0] < bestKey[0] || (key[0] === bestKey[0] && key[1] < bestKey[1])) {
+        best = place;
+        bestKey = key;
+      }
+    }
+  }
+  return best ?? taggedPlace(places, text);
+}
+
+/**
+ * The places a caption's hashtags name. A tag matches a name or alias with
+ * its spaces and punctuation dropped ("#bayarea", "#newyorkcity"), in any
+ * case.
+ * @param {GazetteerPlace[]} places
+ * @param {string} text
+ * @returns {GazetteerPlace[]}
+ */
+export function taggedPlaces(places, text) {
+  const tags = new Set([...text.matchAll(/#(\w+)/g)].map((m) => m[1].toLowerCase()));
+  if (tags.size === 0) return [];
+  return places.filter((place) =>
+    [place.name, ...(place.aliases ?? [])].some((name) => tags.has(name.toLowerCase().replace(/[^a-z0-9]/g, '')))
+  );
+}
+
+/**
+ * The place a caption's hashtags name, when they all point into one metro.
+ * @param {GazetteerPlace[]} places
+ * @param {string} text
+ * @returns {GazetteerPlace | undefined}
+ */
+function taggedPlace(places, text) {
+  const tagged = taggedPlaces(places, text);
+  if (new Set(tagged.map((place) => place.metro)).size !== 1) return undefined;
+  return tagged.sort((a, b) => TYPE_RANK[a.type] - TYPE_RANK[b.type])[0];
+}
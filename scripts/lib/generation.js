@@ -0,0 +1,209 @@
+/**
+ * Structured Text Generation
+ *
+ * Prompts live as editable Markdown files in scripts/prompts/, each with a
+ * small front matter block:
+ *
+ *   ---
+ *   version: 3
+ *   temperature: 0.7
+ *   maxTokens: 1500
+ *   ---
+ *   Write about {{restaurantName}} in {{city}}...
+ *
+ * `{{name}}` placeholders are filled from the variables the caller passes;
+ * bump `version` whenever the wording changes, since every generated record
+ * stores the `<template>@<version>` and model that produced it.
+ *
+ * generateStructured() sends the prompt to an LLM provider (./llm/) with a
+ * JSON schema for the answer, checks what comes back against that schema
+ * and, when it doesn't parse or fit, tells the model what was wrong and
+ * asks again.
+ */
+
+import { readFileSync, existsSync } from 'fs';
+import { resolve } from 'path';
+import { PROMPTS_DIR } from './paths.js';
+
+/**
+ * @typedef {object} PromptTemplate
+ * @property {string} name - file name without `.md`
+ * @property {number} version
+ * @property {number} [temperature]
+ * @property {number} [maxTokens]
+ * @property {string} body
+ */
+
+/**
+ * @typedef {object} OutputSchema
+ * @property {string} name - sent to providers that name their schemas
+ * @property {Record<string, any>} schema - JSON schema (object, array, string,
+ *   number, integer, boolean, null, or a list of them; required, properties,
+ *   additionalProperties, items, enum, minLength, maxLength)
+ */
+
+/**
+ * Parse a template file's contents.
+ * @param {string} name
+ * @param {string} source
+ * @returns {PromptTemplate}
+ */
+export function parsePromptTemplate(name, source) {
+  const match = /^---\r?\n([\s\S]*?)\r?\n---\r?\n([\s\S]*)$/.exec(source);
+  if (!match) throw new Error(`prompt "${name}" has no front matter (--- version: N ---)`);
+
+  /** @type {Record<string, string>} */
+  const meta = {};
+  for (const line of match[1].split(/\r?\n/)) {
+    const colon = line.indexOf(':');
+    if (colon !== -1) meta[line.slice(0, colon).trim()] = line.slice(colon + 1).trim();
+  }
+  const version = Number(meta.version);
+  if (!Number.isInteger(version) || version < 1) {
+    throw new Error(`prompt "${name}" needs a whole-number version, got "${meta.version ?? ''}"`);
+  }
+  return {
+    name,
+    version,
+    ...(meta.temperature ? { temperature: Number(meta.temperature) } : {}),
+    ...(meta.maxTokens ? { maxTokens: Number(meta.maxTokens) } : {}),
+    body: match[2].trim(),
+  };
+}
+
+/**
+ * Load `<dir>/<name>.md`.
+ * @param {string} name
+ * @param {string} [dir]
+ * @returns {PromptTemplate}
+ */
+export function loadPromptTemplate(name, dir = PROMPTS_DIR) {
+  const path = resolve(dir, `${name}.md`);
+  if (!existsSync(path)) throw new Error(`prompt template not found: ${path}`);
+  return parsePromptTemplate(name, readFileSync(path, 'utf-8'));
+}
+
+/**
+ * Fill a template's `{{name}}` placeholders. A placeholder without a
+ * variable is an error, so a renamed variable can't silently send the
+ * model an empty section.
+ * @param {PromptTemplate} template
+ * @param {Record<string, string | number>} vars
+ * @returns {string}
+ */
+export function renderPrompt(template, vars) {
+  return template.body.replace(/\{\{\s*(\w+)\s*\}\}/g, (_, key) => {
+    if (!Object.hasOwn(vars, key)) throw new Error(`prompt "${template.name}" uses {{${key}}}, which was not provided`);
+    return String(vars[key]);
+  });
+}
+
+/** `"string"`, `"array"`, `"null"`... as JSON schema names types. */
+function jsonType(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+/**
+ * Where `value` doesn't match `schema`, one message per problem.
+ * @param {unknown} value
+ * @param {Record<string, any>} schema
+ * @param {string} [path]
+ * @returns {string[]}
+ */
+export function schemaErrors(value, schema, path = '$') {
+  const type = jsonType(value);
+  const types = [].concat(schema.type ?? []);
+  if (types.length > 0 && !types.some((t) => type === t || (t === 'number' && type === 'integer'))) {
+    return [`${path} should be ${types.join(' or ')}, got ${type}`];
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    return [`${path} should be one of ${schema.enum.map((v) => JSON.stringify(v)).join(', ')}`];
+  }
+
+  /** @type {string[]} */
+  const errors = [];
+  if (type === 'object') {
+    const object = /** @type {Record<string, unknown>} */ (value);
+    for (const key of schema.required ?? []) {
+      if (!Object.hasOwn(object, key)) errors.push(`${path}.${key} is missing`);
+    }
+    for (const [key, child] of Object.entries(object)) {
+      const property = schema.properties?.[key];
+      if (property) errors.push(...schemaErrors(child, property, `${path}.${key}`));
+      else if (schema.additionalProperties === false) errors.push(`${path}.${key} is not allowed`);
+    }
+  } else if (type === 'array' && schema.items) {
+    /** @type {unknown[]} */ (value).forEach((item, i) => errors.push(...schemaErrors(item, schema.items, `${path}[${i}]`)));
+  } else if (type === 'string') {
+    const length = /** @type {string} */ (value).trim().length;
+    if (schema.minLength !== undefined && length < schema.minLength) {
+      errors.push(`${path} should be at least ${schema.minLength} characters`);
+    }
+    if (schema.maxLength !== undefined && length > schema.maxLength) {
+      errors.push(`${path} should be at most ${schema.maxLength} characters, got ${length}`);
+    }
+  }
+  return errors;
+}
+
+/**
+ * Parse a model's answer as JSON (tolerating a Markdown code fence around
+ * it) and check it against the schema.
+ * @param {string} raw
+ * @param {Record<string, any>} schema
+ * @returns {{ value: any, error?: undefined } | { value?: undefined, error: string }}
+ */
+export function parseStructuredOutput(raw, schema) {
+  const cleaned = raw.trim().replace(/^```(?:json)?\s*/i, '').replace(/\s*```$/, '');
+  let value;
+  try {
+    value = JSON.parse(cleaned);
+  } catch {
+    return { error: `not valid JSON: ${cleaned.slice(0, 80)}` };
+  }
+  const errors = schemaErrors(value, schema);
+  return errors.length > 0 ? { error: errors.join('; ') } : { value };
+}
+
+/**
+ * Generate JSON matching `schema` from a prompt template. Invalid answers
+ * are retried up to `retries` times, each time telling the model what was
+ * wrong; after that it throws.
+ * @param {{
+ *   llm: import('./llm/index.js').LLMProvider,
+ *   template: PromptTemplate,
+ *   vars: Record<string, string | number>,
+ *   schema: OutputSchema,
+ *   retries?: number,
+ * }} options
+ * @returns {Promise<{ value: any, template: string, model: string, attempts: number }>}
+ *   `template` is `<name>@<version>`
+ */
+export async function generateStructured({ llm, template, vars, schema, retries = 1 }) {
+  /** @type {import('./llm/index.js').ChatMessage[]} */
+  const messages = [{ role: 'user', content: renderPrompt(template, vars) }];
+  let error = '';
+
+  for (let attempt = 1; attempt <= retries + 1; attempt++) {
+    const raw = await llm.complete({
+      messages,
+      schema,
+      temperature: template.temperature,
+      maxTokens: template.maxTokens,
+    });
+    const parsed = parseStructuredOutput(raw, schema.schema);
+    if (parsed.error === undefined) {
+      return { value: parsed.value, template: `${template.name}@${template.version}`, model: llm.model, attempts: attempt };
+    }
+    error = parsed.error;
+    messages.push(
+      { role: 'assistant', content: raw },
+      { role: 'user', content: `That answer can't be used (${error}). Reply with only the JSON object, in exactly the requested structure.` }
+    );
+  }
+
+  throw new Error(`${template.name}: no valid answer after ${retries + 1} attempts (${error})`);
+}
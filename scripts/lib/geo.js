@@ -0,0 +1,133 @@
+/**
+ * Geo Helpers
+ *
+ * Distances between coordinates, "near me" ordering, and marker clustering
+ * for the restaurant maps. Clustering works in Web Mercator pixel space (the projection map
+ * tiles use), so "close together" means close together on screen at the
+ * current zoom level.
+ *
+ * Pure functions only — shared by the data layer, the map script and the
+ * near-me script.
+ */
+
+const EARTH_RADIUS_KM = 6371;
+const KM_PER_MILE = 1.609344;
+const TILE_SIZE = 256;
+
+/**
+ * True if a place has real coordinates (enrichment leaves 0/0 when it
+ * couldn't find one).
+ * @param {{ lat?: number, lng?: number } | undefined} place
+ * @returns {boolean}
+ */
+export function hasCoordinates(place) {
+  return Number.isFinite(place?.lat) && Number.isFinite(place?.lng) && !(place.lat === 0 && place.lng === 0);
+}
+
+/**
+ * Great-circle distance in kilometers (haversine).
+ * @param {{ lat: number, lng: number }} a
+ * @param {{ lat: number, lng: number }} b
+ * @returns {number}
+ */
+export function distanceKm(a, b) {
+  const rad = (deg) => (deg * Math.PI) / 180;
+  const dLat = rad(b.lat - a.lat);
+  const dLng = rad(b.lng - a.lng);
+  const h = Math.sin(dLat / 2) ** 2 + Math.cos(rad(a.lat)) * Math.cos(rad(b.lat)) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.min(1, Math.sqrt(h)));
+}
+
+/**
+ * Places ordered by distance from `origin`, nearest first, each with its
+ * distance. Places without coordinates are left out.
+ * @template {{ lat?: number, lng?: number }} P
+ * @param {{ lat: number, lng: number }} origin
+ * @param {P[]} places
+ * @param {{ limit?: number, maxKm?: number }} [options]
+ * @returns {{ place: P, distanceKm: number }[]}
+ */
+export function byDistance(origin, places, { limit = Infinity, maxKm = Infinity } = {}) {
+  return places
+    .filter(hasCoordinates)
+    .map((place) => ({ place, distanceKm: distanceKm(origin, /** @type {any} */ (place)) }))
+    .filter((p) => p.distanceKm <= maxKm)
+    .sort((a, b) => a.distanceKm - b.distanceKm)
+    .slice(0, limit);
+}
+
+/**
+ * A distance for display, in miles: one decimal under 10 mi ("0.4 mi"),
+ * whole miles beyond ("23 mi").
+ * @param {number} km
+ * @returns {string}
+ */
+export function formatDistance(km) {
+  const miles = km / KM_PER_MILE;
+  if (miles < 0.1) return '< 0.1 mi';
+  return miles < 10 ? `${miles.toFixed(1)} mi` : `${Math.round(miles).toLocaleString('en-US')} mi`;
+}
+
+/**
+ * Web Mercator pixel coordinates of a point at a zoom level.
+ * @param {{ lat: number, lng: number }} point
+ * @param {number} zoom
+ * @returns {{ x: number, y: number }}
+ */
+export function project(point, zoom) {
+  const scale = TILE_SIZE * 2 ** zoom;
+  const sin = Math.min(Math.max(Math.sin((point.lat * Math.PI) / 180), -0.9999), 0.9999);
+  return {
+    x: ((point.lng + 180) / 360) * scale,
+    y: (0.5 - Math.log((1 + sin) / (1 - sin)) / (4 * Math.PI)) * scale,
+  };
+}
+
+/**
+ * South-west and north-east corners around a set of points, as Leaflet's
+ * `[[lat, lng], [lat, lng]]` bounds.
+ * @param {{ lat: number, lng: number }[]} points
+ * @returns {[[number, number], [number, number]]}
+ */
+export function boundsOf(points) {
+  const lats = points.map((p) => p.lat);
+  const lngs = points.map((p) => p.lng);
+  return [
+    [Math.min(...lats), Math.min(...lngs)],
+    [Math.max(...lats), Math.max(...lngs)],
+  ];
+}
+
+/**
+ * Group points that would overlap on screen at `zoom`: each cluster takes
+ * every not-yet-clustered point within `radius` pixels of its first point.
+ * Points are visited best-first when they have a `rating`, so the
+ * best-rated place anchors its cluster. A cluster's position is the mean
+ * of its points.
+ * @template {{ lat: number, lng: number, rating?: number }} P
+ * @param {P[]} points
+ * @param {number} zoom
+ * @param {number} [radius] - pixels
+ * @returns {{ lat: number, lng: number, points: P[] }[]}
+ */
+export function clusterPoints(points, zoom, radius = 48) {
+  const projected = points
+    .map((point) => ({ point, ...project(point, zoom) }))
+    .sort((a, b) => (b.point.rating ?? 0) - (a.point.rating ?? 0));
+  const taken = new Set();
+  const clusters = [];
+
+  for (const seed of projected) {
+    if (taken.has(seed)) continue;
+    const members = projected.filter(
+      (p) => !taken.has(p) && Math.hypot(p.x - seed.x, p.y - seed.y) <= radius
+    );
+    members.forEach((p) => taken.add(p));
+    clusters.push({
+      lat: members.reduce((sum, p) => sum + p.point.lat, 0) / members.length,
+      lng: members.reduce((sum, p) => sum + p.point.lng, 0) / members.length,
+      points: members.map((p) => p.point),
+    });
+  }
+  return clusters;
+}
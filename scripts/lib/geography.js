@@ -0,0 +1,225 @@
+/**
+ * Geography
+ *
+ * Where a restaurant (or chain branch) is, at three levels:
+ *
+ *   metro area → city → neighborhood
+ *   New York   → Brooklyn    → Brighton Beach
+ *   Los Angeles → Los Angeles → Brentwood
+ *
+ * On a record, `city` is the metro — the level video.city and the
+ * /city/<metro>/ pages group by — `locality` is the city or borough in its
+ * address and `neighborhood` the neighborhood within it.
+ *
+ * Everything is derived from the listing, never from the caption:
+ * - locality, neighborhood and state from Google Places address components
+ *   when enrichment stored them (or an override sets them),
+ * - else locality and state from the "City, ST 12345" end of the address,
+ * - the metro from the gazetteer entry the locality names (Brooklyn is in
+ *   New York), else the closest metro center to the coordinates,
+ * - a missing neighborhood from the nearest gazetteer neighborhood
+ *   (data/gazetteer.json).
+ * A place no gazetteer metro covers is its own metro.
+ *
+ * Pure functions only — shared by the enrichment pipeline and
+ * src/lib/data.ts.
+ */
+
+import { normalizeName } from './identity.js';
+import { hasCoordinates, distanceKm } from './geo.js';
+import { citySlug } from './slug.js';
+
+/** @typedef {import('./gazetteer.js').GazetteerPlace} GazetteerPlace */
+
+/**
+ * @typedef {Object} Area
+ * @property {string} metro
+ * @property {string} state
+ * @property {string} city - locality, or the metro when unknown
+ * @property {string} [neighborhood]
+ */
+
+export const METRO_RADIUS_KM = 60;
+export const NEIGHBORHOOD_RADIUS_KM = 1.5;
+
+/**
+ * Locality, state and ZIP from a US street address ending in
+ * "City, ST 12345" (optionally followed by ", USA").
+ * @param {string} [address]
+ * @returns {{ locality?: string, state?: string, zip?: string }}
+ */
+export function parseAddress(address) {
+  const match = /(?:^|,)\s*([^,\d][^,]*?),\s*([A-Z]{2})(?:\s+(\d{5})(?:-\d{4})?)?\s*(?:,\s*(?:USA|United States))?\s*$/.exec(
+    address ?? ''
+  );
+  if (!match) return {};
+  const [, locality, state, zip] = match;
+  return zip ? { locality, state, zip } : { locality, state };
+}
+
+/**
+ * The gazetteer metro or city an address locality names ("Brooklyn",
+ * "Bronx", "Washington, DC"), in the same state when the state is known.
+ * @param {GazetteerPlace[]} places
+ * @param {string} locality
+ * @param {string} [state]
+ * @returns {GazetteerPlace | undefined}
+ */
+export function findLocality(places, locality, state) {
+  const wanted = [normalizeName(locality), normalizeName(`${locality} ${state ?? ''}`)];
+  return places.find(
+    (p) =>
+      p.type !== 'neighborhood' &&
+      (!state || p.state === state) &&
+      [p.name, ...(p.aliases ?? [])].some((n) => wanted.includes(normalizeName(n)))
+  );
+}
+
+/**
+ * The metro whose center is closest to a point, if the point is within its
+ * reach.
+ * @param {GazetteerPlace[]} places
+ * @param {{ lat: number, lng: number }} point
+ * @returns {GazetteerPlace | undefined}
+ */
+export function nearestMetro(places, point) {
+  let nearest;
+  let nearestKm = Infinity;
+  for (const metro of places) {
+    if (metro.type !== 'metro') continue;
+    const km = distanceKm(point, metro);
+    if (km <= (metro.radiusKm ?? METRO_RADIUS_KM) && km < nearestKm) {
+      nearest = metro;
+      nearestKm = km;
+    }
+  }
+  return nearest;
+}
+
+/**
+ * The closest gazetteer neighborhood of a metro within walking distance of
+ * a point.
+ * @param {GazetteerPlace[]} places
+ * @param {{ lat: number, lng: number }} point
+ * @param {string} metro
+ * @returns {GazetteerPlace | undefined}
+ */
+export function nearestNeighborhood(places, point, metro) {
+  let nearest;
+  let nearestKm = NEIGHBORHOOD_RADIUS_KM;
+  for (const place of places) {
+    if (place.type !== 'neighborhood' || place.metro !== metro) continue;
+    const km = distanceKm(point, place);
+    if (km <= nearestKm) {
+      nearest = place;
+      nearestKm = km;
+    }
+  }
+  return nearest;
+}
+
+/**
+ * The geography fields for a restaurant or branch record: `city` (the
+ * metro), `state`, `locality` and `neighborhood`. Stored locality and
+ * neighborhood (from Google or an override) are kept; the rest is derived
+ * from the address and coordinates. A record with neither keeps its city
+ * and state.
+ * @param {{ city?: string, state?: string, address?: string, lat?: number, lng?: number, locality?: string, neighborhood?: string }} place
+ * @param {GazetteerPlace[]} places
+ * @returns {{ city: string, state: string, locality?: string, neighborhood?: string }}
+ */
+export function resolveGeography(place, places) {
+  const parsed = parseAddress(place.address);
+  const state = parsed.state || place.state || '';
+  const known = place.locality || parsed.locality;
+  const named = known ? findLocality(places, known, state) : undefined;
+  const metro = named
+    ? places.find((p) => p.type === 'metro' && p.name === named.metro)
+    : hasCoordinates(place)
+      ? nearestMetro(places, /** @type {{ lat: number, lng: number }} */ (place))
+      : undefined;
+  const locality = named?.name ?? known;
+
+  /** @type {{ city: string, state: string, locality?: string, neighborhood?: string }} */
+  const geography = {
+    city: metro?.name || locality || place.city || '',
+    state: state || metro?.state || '',
+  };
+  if (locality) geography.locality = locality;
+
+  const neighborhood =
+    place.neighborhood ||
+    (metro && hasCoordinates(place)
+      ? nearestNeighborhood(places, /** @type {{ lat: number, lng: number }} */ (place), metro.name)?.name
+      : undefined);
+  if (neighborhood && normalizeName(neighborhood) !== normalizeName(geography.locality || geography.city)) {
+    geography.neighborhood = neighborhood;
+  }
+  return geography;
+}
+
+/**
+ * A restaurant (and its branches) with the geography fields it lacks
+ * filled in by resolveGeography(). Records enriched before the geography
+ * model have no locality or neighborhood; stored values (from Google or
+ * an override) are never replaced.
+ * @template {{ city?: string, state?: string, locality?: string, neighborhood?: string, locations?: any[] }} T
+ * @param {T} place
+ * @param {GazetteerPlace[]} places
+ * @returns {T}
+ */
+export function fillGeography(place, places) {
+  const derived = resolveGeography(place, places);
+  return {
+    ...place,
+    city: place.city || derived.city,
+    state: place.state || derived.state,
+    locality: place.locality ?? derived.locality,
+    neighborhood: place.neighborhood ?? derived.neighborhood,
+    ...(place.locations ? { locations: place.locations.map((l) => fillGeography(l, places)) } : {}),
+  };
+}
+
+/**
+ * A record's three levels. Records that predate the geography model
+ * (no locality) sit directly under their metro.
+ * @param {{ city: string, state: string, locality?: string, neighborhood?: string }} place
+ * @returns {Area}
+ */
+export function areaOf(place) {
+  return {
+    metro: place.city,
+    state: place.state,
+    city: place.locality || place.city,
+    ...(place.neighborhood ? { neighborhood: place.neighborhood } : {}),
+  };
+}
+
+/**
+ * The broader areas an area sits in, broadest first, ending with the area
+ * itself: metro, then the city when it isn't the metro, then the
+ * neighborhood.
+ * @param {Area} area
+ * @returns {{ level: 'metro' | 'city' | 'neighborhood', name: string, area: Area }[]}
+ */
+export function areaTrail(area) {
+  const { metro, state } = area;
+  const trail = [{ level: /** @type {const} */ ('metro'), name: metro, area: { metro, state, city: metro } }];
+  if (citySlug(area.city) !== citySlug(metro)) {
+    trail.push({ level: 'city', name: area.city, area: { metro, state, city: area.city } });
+  }
+  if (area.neighborhood) {
+    trail.push({ level: 'neighborhood', name: area.neighborhood, area });
+  }
+  return trail;
+}
+
+/**
+ * State for a metro name, for lookups made before a listing has an address.
+ * @param {GazetteerPlace[]} places
+ * @param {string} metro
+ * @returns {string}
+ */
+export function metroState(places, metro) {
+  return places.find((p) => p.type === 'metro' && p.name === metro)?.state ?? '';
+}
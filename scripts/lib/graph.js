@@ -0,0 +1,60 @@
+/**
+ * Stage Graph
+ *
+ * Ordering and selection for the pipeline orchestrator (scripts/pipeline.js).
+ * A stage is any object with a `name` and a `dependsOn` array of names.
+ */
+
+/**
+ * Order stages so every stage comes after its dependencies. Ties keep
+ * declaration order, so the result is stable. Throws on cycles and on
+ * dependencies that don't exist.
+ * @template {{ name: string, dependsOn: string[] }} T
+ * @param {T[]} stages
+ * @returns {T[]}
+ */
+export function topoSort(stages) {
+  const byName = new Map(stages.map((s) => [s.name, s]));
+  /** @type {T[]} */
+  const ordered = [];
+  const state = new Map(); // name → 'visiting' | 'done'
+
+  /** @param {T} stage @param {string[]} path */
+  function visit(stage, path) {
+    const current = state.get(stage.name);
+    if (current === 'done') return;
+    if (current === 'visiting') {
+      throw new Error(`Dependency cycle: ${[...path, stage.name].join(' → ')}`);
+    }
+    state.set(stage.name, 'visiting');
+    for (const dep of stage.dependsOn) {
+      const depStage = byName.get(dep);
+      if (!depStage) throw new Error(`Stage "${stage.name}" depends on unknown stage "${dep}"`);
+      visit(depStage, [...path, stage.name]);
+    }
+    state.set(stage.name, 'done');
+    ordered.push(stage);
+  }
+
+  for (const stage of stages) visit(stage, []);
+  return ordered;
+}
+
+/**
+ * Resolve --from/--only/--skip into the ordered list of stage names to run.
+ * `from` keeps that stage and everything after it; `only` and `skip` then
+ * filter by name.
+ * @param {{ name: string }[]} ordered
+ * @param {{ from?: string | null, only?: string[], skip?: string[] }} [options]
+ * @returns {string[]}
+ */
+export function selectStages(ordered, { from, only = [], skip = [] } = {}) {
+  let names = ordered.map((s) => s.name);
+  if (from) {
+    const idx = names.indexOf(from);
+    if (idx === -1) throw new Error(`Unknown stage "${from}". Stages: ${names.join(', ')}`);
+    names = names.slice(idx);
+  }
+  if (only.length > 0) names = names.filter((n) => only.includes(n));
+  return names.filter((n) => !skip.includes(n));
+}
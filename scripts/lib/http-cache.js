@@ -0,0 +1,185 @@
+/**
+ * Cached HTTP Client
+ *
+ * JSON requests made during enrichment go through an on-disk cache,
+ * one file per request in `.cache/http/<namespace>/<hash>.json`, so a rerun
+ * within the TTL costs no API calls:
+ *
+ *   const http = createHttpClient('google', { mode: 'live', ttlMs: 7 * DAY_MS });
+ *   const { status, body } = await http.getJSON(url, { headers });
+ *   const { body: found } = await http.postJSON(searchUrl, { textQuery }, { headers });
+ *
+ * Modes:
+ *   live    — serve cached responses younger than the TTL, fetch the rest
+ *   refresh — always fetch, and store what comes back
+ *   replay  — serve cached responses of any age and never touch the network;
+ *             a request with no recorded response throws (offline runs, tests)
+ *   off     — no cache at all
+ *
+ * A POST is cached by its URL and JSON payload, so only send read-only
+ * queries (searches) this way. API keys are never part of a cache entry:
+ * secret query parameters are redacted from the stored URL and the cache
+ * key, and headers aren't stored. Recorded responses can therefore be committed as fixtures and
+ * replayed without keys.
+ *
+ * Requests that reach the network are spaced `minIntervalMs` apart per
+ * client, so cache hits aren't rate-limited.
+ */
+
+import { createHash } from 'crypto';
+import { existsSync } from 'fs';
+import { resolve } from 'path';
+import { readJSON, writeJSON } from './json.js';
+import { ROOT } from './paths.js';
+
+export const HTTP_CACHE_DIR = resolve(ROOT, '.cache/http');
+export const CACHE_MODES = ['live', 'refresh', 'replay', 'off'];
+export const DAY_MS = 24 * 60 * 60 * 1000;
+
+const SECRET_PARAMS = ['key', 'api_key', 'apikey', 'access_token', 'client_secret'];
+
+/**
+ * The URL with secret query parameters replaced by `REDACTED`.
+ * @param {string} url
+ * @returns {string}
+ */
+export function redactUrl(url) {
+  const parsed = new URL(url);
+  for (const name of SECRET_PARAMS) {
+    if (parsed.searchParams.has(name)) parsed.searchParams.set(name, 'REDACTED');
+  }
+  return parsed.toString();
+}
+
+/**
+ * Cache file name for a request (hash of the method, redacted URL and payload).
+ * @param {string} url
+ * @param {string} [method]
+ * @param {string} [payload] - serialized request body
+ * @returns {string}
+ */
+export function cacheKey(url, method = 'GET', payload) {
+  const request = `${method} ${redactUrl(url)}${payload ? `\n${payload}` : ''}`;
+  return createHash('sha256').update(request).digest('hex').slice(0, 24);
+}
+
+/**
+ * @typedef {{ headers?: Record<string, string>, cacheable?: (status: number, body: any) => boolean }} RequestOptions
+ */
+
+/** Responses worth keeping: successes and stable "not found" answers. */
+function defaultCacheable(status) {
+  return (status >= 200 && status < 300) || status === 404;
+}
+
+/**
+ * Create a cached JSON client for one API.
+ * @param {string} namespace - cache subdirectory, usually the provider name
+ * @param {{
+ *   mode?: string,
+ *   ttlMs?: number,
+ *   dir?: string,
+ *   minIntervalMs?: number,
+ *   fetch?: typeof globalThis.fetch,
+ *   now?: () => number,
+ * }} [options]
+ */
+export function createHttpClient(
+  namespace,
+  {
+    mode = 'live',
+    ttlMs = 30 * DAY_MS,
+    dir = HTTP_CACHE_DIR,
+    minIntervalMs = 0,
+    fetch = globalThis.fetch,
+    now = Date.now,
+  } = {}
+) {
+  if (!CACHE_MODES.includes(mode)) {
+    throw new Error(`Unknown cache mode "${mode}". Modes: ${CACHE_MODES.join(', ')}`);
+  }
+  const stats = { hits: 0, misses: 0, requests: 0 };
+  let lastRequestAt = 0;
+
+  async function throttle() {
+    const wait = lastRequestAt + minIntervalMs - now();
+    if (wait > 0) await new Promise((r) => setTimeout(r, wait));
+    lastRequestAt = now();
+  }
+
+  /**
+   * @param {string} method
+   * @param {string} url
+   * @param {string | undefined} payload - serialized JSON body
+   * @param {RequestOptions} [options]
+   */
+  async function request(method, url, payload, { headers = {}, cacheable = defaultCacheable } = {}) {
+    const path = resolve(dir, namespace, `${cacheKey(url, method, payload)}.json`);
+
+    if (mode === 'live' || mode === 'replay') {
+      const entry = existsSync(path) ? readJSON(path) : null;
+      const fresh = entry && (mode === 'replay' || now() - Date.parse(entry.fetchedAt) < ttlMs);
+      if (fresh) {
+        stats.hits++;
+        return { status: entry.status, body: entry.body, cached: true };
+      }
+      if (mode === 'replay') {
+        throw new Error(`No recorded response for ${method} ${redactUrl(url)} (offline replay)`);
+      }
+    }
+
+    stats.misses++;
+    stats.requests++;
+    await throttle();
+    const response = await fetch(url, {
+      method,
+      headers: payload ? { 'Content-Type': 'application/json', ...headers } : headers,
+      ...(payload ? { body: payload } : {}),
+    });
+    const text = await response.text();
+    let body;
+    try {
+      body = text ? JSON.parse(text) : null;
+    } catch {
+      throw new Error(`HTTP ${response.status} from ${redactUrl(url)}: response is not JSON`);
+    }
+
+    if (mode !== 'off' && cacheable(response.status, body)) {
+      writeJSON(path, {
+        url: redactUrl(url),
+        ...(payload ? { method, payload: JSON.parse(payload) } : {}),
+        status: response.status,
+        fetchedAt: new Date(now()).toISOString(),
+        body,
+      });
+    }
+    return { status: response.status, body, cached: false };
+  }
+
+  return {
+    namespace,
+    mode,
+    stats,
+
+    /**
+     * GET a JSON resource through the cache.
+     * @param {string} url
+     * @param {RequestOptions} [options]
+     * @returns {Promise<{ status: number, body: any, cached: boolean }>}
+     */
+    getJSON(url, options) {
+      return request('GET', url, undefined, options);
+    },
+
+    /**
+     * POST a JSON payload (a read-only query) through the cache.
+     * @param {string} url
+     * @param {unknown} payload
+     * @param {RequestOptions} [options]
+     * @returns {Promise<{ status: number, body: any, cached: boolean }>}
+     */
+    postJSON(url, payload, options) {
+      return request('POST', url, JSON.stringify(payload), options);
+    },
+  };
+}
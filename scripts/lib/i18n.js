@@ -0,0 +1,159 @@
+/**
+ * Languages
+ *
+ * The site is written in English and also built in the languages below,
+ * under a path prefix — `/oneminreviews/es/blog/`, `/oneminreviews/ru/...`
+ * — while English pages keep their unprefixed URLs. Only some pages have
+ * other-language versions (src/pages/[locale]/), and only once their
+ * generated text is translated; each page lists the versions that exist as
+ * hreflang alternates. Locale codes can't be restaurant slugs (see
+ * RESERVED_SLUGS in ./slug.js).
+ *
+ * UI strings live in src/i18n/<locale>.json and are looked up by key with
+ * createTranslator(). A key missing from a translation falls back to
+ * English. Messages interpolate `{name}` and can have plural forms, named
+ * as Intl.PluralRules names them (Russian needs one, few, many and other):
+ *
+ *   "likes": { "one": "{count} like", "other": "{count} likes" }
+ *
+ * Generated text (blog posts, FAQs) is translated by scripts/translate.js;
+ * see ./translations.js.
+ */
+
+import { BASE_PATH } from './site.js';
+
+export const LOCALES = ['en', 'es', 'ru'];
+export const DEFAULT_LOCALE = 'en';
+
+/** Every locale but English: the ones pages and text are translated into. */
+export const TRANSLATED_LOCALES = LOCALES.filter((l) => l !== DEFAULT_LOCALE);
+
+/** Each language's name in itself, for the language switcher. */
+export const LOCALE_NAMES = { en: 'English', es: 'Español', ru: 'Русский' };
+
+/** Each language's name in English, for prompts and logs. */
+export const LANGUAGE_NAMES = { en: 'English', es: 'Spanish', ru: 'Russian' };
+
+/** Locales as Intl formats dates and numbers in them. */
+const INTL_LOCALES = { en: 'en-US', es: 'es-ES', ru: 'ru-RU' };
+
+/**
+ * @param {unknown} value
+ * @returns {value is string}
+ */
+export function isLocale(value) {
+  return typeof value === 'string' && LOCALES.includes(value);
+}
+
+/**
+ * The locale a site path is in, and the path without its locale prefix
+ * (relative to `base`). Paths outside `base` are English.
+ * @param {string} path - e.g. `/oneminreviews/es/blog/`
+ * @param {string} [base]
+ * @returns {{ locale: string, rest: string }} e.g. `{ locale: 'es', rest: 'blog/' }`
+ */
+export function pathLocale(path, base = BASE_PATH) {
+  if (!path.startsWith(base)) return { locale: DEFAULT_LOCALE, rest: path };
+  const rest = path.slice(base.length);
+  const [first] = rest.split('/');
+  return first !== DEFAULT_LOCALE && isLocale(first) && rest.startsWith(`${first}/`)
+    ? { locale: first, rest: rest.slice(first.length + 1) }
+    : { locale: DEFAULT_LOCALE, rest };
+}
+
+/**
+ * The same site path in another language: `/oneminreviews/blog/x/` is
+ * `/oneminreviews/es/blog/x/` in Spanish. Paths outside `base` (other
+ * sites, `#anchors`) are returned as they are.
+ * @param {string} path
+ * @param {string} locale
+ * @param {string} [base]
+ */
+export function localizePath(path, locale, base = BASE_PATH) {
+  if (!path.startsWith(base)) return path;
+  const { rest } = pathLocale(path, base);
+  return locale === DEFAULT_LOCALE ? `${base}${rest}` : `${base}${locale}/${rest}`;
+}
+
+/**
+ * hreflang links for the versions of a page: one per locale, plus
+ * `x-default` pointing at the English one.
+ * @param {Record<string, string>} paths - site path of each version, by locale
+ * @param {string} origin - e.g. `https://greenido.github.io`
+ * @returns {{ hreflang: string, href: string }[]}
+ */
+export function alternateLinks(paths, origin) {
+  const links = LOCALES.filter((l) => paths[l]).map((l) => ({ hreflang: l, href: `${origin}${paths[l]}` }));
+  return paths[DEFAULT_LOCALE] ? [...links, { hreflang: 'x-default', href: `${origin}${paths[DEFAULT_LOCALE]}` }] : links;
+}
+
+/**
+ * @typedef {string | Record<string, string>} Message - text, or text by plural form
+ * @typedef {Record<string, Message>} Messages
+ * @typedef {(key: string, vars?: Record<string, string | number>) => string} Translate
+ */
+
+/**
+ * The message lookup for one locale. `{count}` picks the plural form;
+ * numbers are formatted for the locale. Placeholders without a value are
+ * left in, for callers that put markup there. Unknown keys throw, so a
+ * typo fails the build instead of showing up on a page.
+ * @param {Record<string, Messages>} catalogs - messages by locale
+ * @param {string} locale
+ * @returns {Translate}
+ */
+export function createTranslator(catalogs, locale) {
+  const plurals = new Intl.PluralRules(intlLocale(locale));
+  const numbers = new Intl.NumberFormat(intlLocale(locale));
+
+  return (key, vars = {}) => {
+    const message = catalogs[locale]?.[key] ?? catalogs[DEFAULT_LOCALE]?.[key];
+    if (message === undefined) throw new Error(`Unknown message "${key}"`);
+    const text =
+      typeof message === 'string'
+        ? message
+        : (message[plurals.select(Number(vars.count))] ?? message.other);
+    return text.replace(/\{(\w+)\}/g, (match, name) => {
+      const value = vars[name];
+      if (value === undefined) return match;
+      return typeof value === 'number' ? numbers.format(value) : value;
+    });
+  };
+}
+
+/**
+ * A plural message's forms in one locale (falling back to English),
+ * placeholders unfilled — for browser code that picks the form itself
+ * with Intl.PluralRules.
+ * @param {Record<string, Messages>} catalogs
+ * @param {string} locale
+ * @param {string} key
+ * @returns {Record<string, string>}
+ */
+export function pluralForms(catalogs, locale, key) {
+  const message = catalogs[locale]?.[key] ?? catalogs[DEFAULT_LOCALE]?.[key];
+  if (message === undefined) throw new Error(`Unknown message "${key}"`);
+  return typeof message === 'string' ? { other: message } : message;
+}
+
+/** The Intl locale for a site locale (`en` → `en-US`). */
+export function intlLocale(locale) {
+  return INTL_LOCALES[locale] ?? locale;
+}
+
+/**
+ * Keys that are in English but missing from a translation, and keys in a
+ * translation that English doesn't have (left over from a rename).
+ * @param {Record<string, Messages>} catalogs
+ * @returns {string[]} e.g. `ru: missing "blog.readMore"`
+ */
+export function catalogProblems(catalogs) {
+  const english = catalogs[DEFAULT_LOCALE] ?? {};
+  return TRANSLATED_LOCALES.flatMap((locale) => {
+    const messages = catalogs[locale] ?? {};
+    return [
+      ...Object.keys(english).filter((k) => !(k in messages)).map((k) => `${locale}: missing "${k}"`),
+      ...Object.keys(messages).filter((k) => !(k in english)).map((k) => `${locale}: unknown key "${k}"`),
+    ];
+  });
+}
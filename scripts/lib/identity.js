@@ -0,0 +1,430 @@
+/**
+ * Restaurant Identity Resolution
+ *
+ * Restaurants are keyed by slug, and slugs come from caption text, so the
+ * same place can end up under several slugs ("Joe's Pizza", "Joes Pizza",
+ * "Joe's Pizza Carmine St") while same-named places in different cities
+ * collapse into one. This module decides when two records are the same
+ * restaurant, using (strongest first):
+ *
+ *   - the same Google placeId
+ *   - the same Yelp business URL
+ *   - the same normalized name in the same city
+ *   - a similar name within MERGE_DISTANCE_M of each other
+ *
+ * Different placeIds, or coordinates further apart than
+ * CONFLICT_DISTANCE_M, always mean different restaurants.
+ *
+ * Merges and splits retire slugs. Each one is recorded in the redirect
+ * table (data/redirects.json) so the build can emit redirect pages from the
+ * old video URLs to the new ones:
+ *
+ *   [{ "from": "joes-pizza-carmine-st", "to": "joes-pizza",
+ *      "videoIds": ["7298765432101"], "reason": "same Google place", "date": "2026-10-19" }]
+ *
+ * A restaurantSlug override in data/overrides.json moves a video the same
+ * way; applyOverrides() returns those entries for the build, with the blog
+ * post slugs the move retires under `postSlugs` (videoId → old slug).
+ *
+ * Pure functions only — used by enrich-restaurants.js, resolve-restaurants.js,
+ * the validator and astro.config.mjs.
+ */
+
+import { slugify, citySlug, restaurantVideoPath, blogPostPath, isReservedSlug } from './slug.js';
+import { videoRestaurantSlugs } from './video.js';
+import { isLive } from './editorial.js';
+import { isChain, getLocations } from './locations.js';
+import { BASE_PATH } from './site.js';
+
+/**
+ * @typedef {Object} Redirect
+ * @property {string} from - retired restaurant slug
+ * @property {string} to - the restaurant the videos are under now
+ * @property {string[]} videoIds
+ * @property {string} [reason]
+ * @property {string} [date]
+ * @property {Record<string, string>} [postSlugs] - videoId → the blog post slug it had
+ */
+
+/** Similar names closer than this are the same place. */
+export const MERGE_DISTANCE_M = 75;
+/** Records further apart than this are never merged on name alone. */
+export const CONFLICT_DISTANCE_M = 1000;
+
+// ---- Normalization ----
+
+/**
+ * Comparable form of a restaurant name: lowercase ASCII words, no
+ * apostrophes or punctuation, "&" as "and", without a leading "the".
+ * @param {string} name
+ * @returns {string}
+ */
+export function normalizeName(name) {
+  return (name || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/['’`]/g, '')
+    .replace(/&/g, ' and ')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim()
+    .replace(/^the /, '');
+}
+
+/**
+ * Yelp business URL without query string, trailing slash or host variations.
+ * @param {string} [url]
+ * @returns {string}
+ */
+export function normalizeYelpUrl(url) {
+  if (!url) return '';
+  const match = url.match(/yelp\.[a-z.]+\/biz\/([^/?#]+)/i);
+  return match ? match[1].toLowerCase() : url.split('?')[0].replace(/\/$/, '').toLowerCase();
+}
+
+/**
+ * Great-circle distance in meters, or null when either point is unknown (0,0).
+ * @param {{ lat: number, lng: number }} a
+ * @param {{ lat: number, lng: number }} b
+ * @returns {number | null}
+ */
+export function distanceMeters(a, b) {
+  if (!a?.lat || !a?.lng || !b?.lat || !b?.lng) return null;
+  const toRad = (deg) => (deg * Math.PI) / 180;
+  const dLat = toRad(b.lat - a.lat);
+  const dLng = toRad(b.lng - a.lng);
+  const h =
+    Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRad(a.lat)) * Math.cos(toRad(b.lat)) * Math.sin(dLng / 2) ** 2;
+  return 2 * 6371000 * Math.asin(Math.sqrt(h));
+}
+
+/** True if one name's words start the other's ("joes pizza" / "joes pizza carmine st"). */
+function similarNames(a, b) {
+  const [short, long] = a.length <= b.length ? [a, b] : [b, a];
+  return short.length >= 3 && (long === short || long.startsWith(`${short} `));
+}
+
+function sameCity(a, b) {
+  return !!a.city && !!b.city && a.city.toLowerCase() === b.city.toLowerCase();
+}
+
+// ---- Matching ----
+
+/**
+ * Why two restaurant records are the same place (empty when they aren't).
+ * @param {any} a
+ * @param {any} b
+ * @returns {string[]}
+ */
+export function matchReasons(a, b) {
+  const placeA = a.google?.placeId;
+  const placeB = b.google?.placeId;
+  if (placeA && placeB && placeA !== placeB) return [];
+
+  const reasons = [];
+  if (placeA && placeA === placeB) reasons.push('same Google place');
+
+  const yelpA = normalizeYelpUrl(a.yelp?.url);
+  if (yelpA && yelpA === normalizeYelpUrl(b.yelp?.url)) reasons.push('same Yelp business');
+
+  const distance = distanceMeters(a, b);
+  if (reasons.length === 0 && distance !== null && distance > CONFLICT_DISTANCE_M) return [];
+
+  const nameA = normalizeName(a.name);
+  const nameB = normalizeName(b.name);
+  if (nameA && nameA === nameB && sameCity(a, b)) {
+    reasons.push('same name and city');
+  } else if (similarNames(nameA, nameB)) {
+    if (distance !== null && distance <= MERGE_DISTANCE_M) {
+      reasons.push(`similar name ${Math.round(distance)}m apart`);
+    } else if (sameCity(a, b) && distance === null) {
+      reasons.push('similar name in the same city');
+    }
+  }
+  return reasons;
+}
+
+/** Which record survives a merge: best-enriched, then most videos, then shortest slug. */
+function keepScore(r) {
+  return (r.google?.placeId ? 4 : 0) + (r.yelp?.url ? 2 : 0) + (r.lat && r.lng ? 1 : 0);
+}
+
+function pickKeeper(slugs, restaurants) {
+  return [...slugs].sort((a, b) => {
+    const ra = restaurants[a];
+    const rb = restaurants[b];
+    return (
+      keepScore(rb) - keepScore(ra) ||
+      (rb.videoIds?.length ?? 0) - (ra.videoIds?.length ?? 0) ||
+      a.length - b.length ||
+      a.localeCompare(b)
+    );
+  })[0];
+}
+
+/**
+ * Groups of restaurant records that look like the same place.
+ * @param {Record<string, any>} restaurants
+ * @returns {{ keep: string, retire: string[], reasons: string[] }[]}
+ */
+export function proposeMerges(restaurants) {
+  const slugs = Object.keys(restaurants).sort();
+  const parent = new Map(slugs.map((s) => [s, s]));
+  const find = (s) => (parent.get(s) === s ? s : find(parent.get(s)));
+  const reasonsBySlug = new Map();
+
+  for (let i = 0; i < slugs.length; i++) {
+    for (let j = i + 1; j < slugs.length; j++) {
+      const reasons = matchReasons(restaurants[slugs[i]], restaurants[slugs[j]]);
+      if (reasons.length === 0) continue;
+      parent.set(find(slugs[j]), find(slugs[i]));
+      for (const slug of [slugs[i], slugs[j]]) {
+        reasonsBySlug.set(slug, [...new Set([...(reasonsBySlug.get(slug) ?? []), ...reasons])]);
+      }
+    }
+  }
+
+  const groups = new Map();
+  for (const slug of slugs) {
+    const root = find(slug);
+    groups.set(root, [...(groups.get(root) ?? []), slug]);
+  }
+
+  return [...groups.values()]
+    .filter((group) => group.length > 1)
+    .map((group) => {
+      const keep = pickKeeper(group, restaurants);
+      return {
+        keep,
+        retire: group.filter((s) => s !== keep),
+        reasons: [...new Set(group.flatMap((s) => reasonsBySlug.get(s) ?? []))],
+      };
+    });
+}
+
+/**
+ * Restaurants whose videos are in more than one city, i.e. same-named
+ * places that were collapsed into one record (chains excepted). Videos in the restaurant's own
+ * city stay; each other city gets its own `<slug>-<city>` record.
+ * @param {Record<string, any>} restaurants
+ * @param {any[]} videos
+ * @returns {{ slug: string, city: string, newSlug: string, videoIds: string[] }[]}
+ */
+export function proposeSplits(restaurants, videos) {
+  const proposals = [];
+  for (const [slug, restaurant] of Object.entries(restaurants)) {
+    if (isChain(restaurant)) continue; // branches in several cities are expected
+    const byCity = new Map();
+    for (const video of videos) {
+      if (!video.city || !videoRestaurantSlugs(video).includes(slug)) continue;
+      byCity.set(video.city, [...(byCity.get(video.city) ?? []), video.videoId]);
+    }
+    if (byCity.size < 2) continue;
+
+    const home = byCity.has(restaurant.city) ? restaurant.city : [...byCity.keys()][0];
+    for (const [city, videoIds] of byCity) {
+      if (city === home) continue;
+      proposals.push({ slug, city, newSlug: `${slug}-${citySlug(city)}`, videoIds });
+    }
+  }
+  return proposals;
+}
+
+/**
+ * Slug for a restaurant found in a caption: an existing record with the same
+ * normalized name and city (or a chain with that name, wherever the video
+ * was filmed), else slugify(name) — suffixed with the city when that slug
+ * already belongs to a same-named place in another city, or is reserved for
+ * the site's own pages (see RESERVED_SLUGS in ./slug.js).
+ * @param {{ name: string, city: string }} candidate
+ * @param {Record<string, any>} restaurants
+ * @returns {string}
+ */
+export function resolveSlug({ name, city }, restaurants) {
+  const normalized = normalizeName(name);
+  const existing = Object.values(restaurants).find(
+    (r) => normalizeName(r.name) === normalized && (isChain(r) || (r.city || '') === (city || ''))
+  );
+  if (existing) return existing.slug;
+
+  const slug = slugify(name);
+  if (isReservedSlug(slug)) return city ? `${slug}-${citySlug(city)}` : `${slug}-restaurant`;
+  const taken = restaurants[slug];
+  if (taken && city && taken.city && taken.city !== city) {
+    return `${slug}-${citySlug(city)}`;
+  }
+  return slug;
+}
+
+// ---- Applying merges and splits ----
+
+function reviewKey(r) {
+  return `${r.source}|${r.author}|${r.text}`;
+}
+
+function mergeRecords(kept, retired) {
+  const merged = { ...kept };
+  for (const key of ['address', 'state', 'cuisine', 'city']) {
+    if (!merged[key] && retired[key]) merged[key] = retired[key];
+  }
+  if (!(merged.lat && merged.lng) && retired.lat && retired.lng) {
+    merged.lat = retired.lat;
+    merged.lng = retired.lng;
+  }
+  if (!merged.google?.placeId && retired.google?.placeId) merged.google = retired.google;
+  if (!merged.yelp?.url && retired.yelp?.url) merged.yelp = retired.yelp;
+  const seen = new Set((merged.reviews ?? []).map(reviewKey));
+  merged.reviews = [...(merged.reviews ?? []), ...(retired.reviews ?? []).filter((r) => !seen.has(reviewKey(r)))];
+  merged.videoIds = [...new Set([...(merged.videoIds ?? []), ...(retired.videoIds ?? [])])];
+  if (isChain(retired)) {
+    const ids = new Set(getLocations(merged).map((l) => l.id));
+    merged.locations = [...getLocations(merged), ...getLocations(retired).filter((l) => !ids.has(l.id))];
+  }
+  return merged;
+}
+
+/** Point every reference to `from` at `to` (video restaurant lists stay de-duplicated). */
+function retargetVideo(video, from, to) {
+  const next = { ...video };
+  if (next.restaurantSlug === from) next.restaurantSlug = to;
+  if (next.restaurants) {
+    const seen = new Set();
+    next.restaurants = next.restaurants
+      .map((r) => (r.slug === from ? { ...r, slug: to } : r))
+      .filter((r) => !seen.has(r.slug) && seen.add(r.slug));
+    if (next.restaurants.length < 2) delete next.restaurants;
+  }
+  return next;
+}
+
+function retargetPost(post, from, to, restaurants) {
+  if (post.restaurantSlug !== from) return post;
+  return { ...post, restaurantSlug: to, restaurantName: restaurants[to]?.name ?? post.restaurantName };
+}
+
+/**
+ * Add redirect entries, re-pointing older entries at retired slugs so a
+ * chain of merges still redirects in one hop.
+ * @param {any[]} redirects
+ * @param {any[]} entries
+ * @returns {any[]}
+ */
+export function addRedirects(redirects, entries) {
+  let table = [...redirects];
+  for (const entry of entries) {
+    table = table.map((r) => (r.to === entry.from ? { ...r, to: entry.to } : r));
+    table.push(entry);
+  }
+  return table.filter((r) => r.from !== r.to);
+}
+
+/**
+ * Merge `retire` into `keep`: combines videos and reviews, fills in data the
+ * kept record is missing, re-points videos and blog posts, and records a
+ * redirect for each retired slug. Blog post slugs are left unchanged.
+ * @param {{ videos: any[], restaurants: Record<string, any>, blogPosts: Record<string, any>, redirects: any[] }} data
+ * @param {string} keep
+ * @param {string[]} retire
+ * @param {{ reason?: string, date?: string }} [options]
+ */
+export function mergeRestaurants(data, keep, retire, { reason = 'merged', date = today() } = {}) {
+  let restaurants = { ...data.restaurants };
+  let videos = data.videos;
+  let blogPosts = data.blogPosts;
+  const entries = [];
+
+  for (const slug of retire) {
+    const retired = restaurants[slug];
+    if (!retired || slug === keep) continue;
+    restaurants[keep] = mergeRecords(restaurants[keep], retired);
+    delete restaurants[slug];
+    videos = videos.map((v) => retargetVideo(v, slug, keep));
+    blogPosts = Object.fromEntries(
+      Object.entries(blogPosts).map(([id, p]) => [id, retargetPost(p, slug, keep, restaurants)])
+    );
+    entries.push({ from: slug, to: keep, videoIds: retired.videoIds ?? [], reason, date });
+  }
+
+  return { videos, restaurants, blogPosts, redirects: addRedirects(data.redirects, entries) };
+}
+
+/**
+ * Move the videos of `slug` that were shot in `city` to a new
+ * `<slug>-<city>` restaurant (without Google/Yelp data — pin its listing in
+ * overrides.json), recording a redirect for the moved videos.
+ * @param {{ videos: any[], restaurants: Record<string, any>, blogPosts: Record<string, any>, redirects: any[] }} data
+ * @param {{ slug: string, city: string, newSlug: string, videoIds: string[] }} split
+ * @param {{ date?: string }} [options]
+ */
+export function splitRestaurant(data, { slug, city, newSlug, videoIds }, { date = today() } = {}) {
+  const source = data.restaurants[slug];
+  if (!source) throw new Error(`Unknown restaurant "${slug}"`);
+  if (data.restaurants[newSlug]) throw new Error(`Restaurant "${newSlug}" already exists`);
+  const moved = new Set(videoIds);
+  const restaurants = {
+    ...data.restaurants,
+    [slug]: { ...source, videoIds: source.videoIds.filter((id) => !moved.has(id)) },
+    [newSlug]: {
+      name: source.name,
+      slug: newSlug,
+      city,
+      state: '',
+      cuisine: source.cuisine,
+      address: '',
+      lat: 0,
+      lng: 0,
+      google: { rating: 0, reviewCount: 0 },
+      yelp: { rating: 0, reviewCount: 0 },
+      reviews: [],
+      videoIds: [...moved],
+    },
+  };
+  const videos = data.videos.map((v) => (moved.has(v.videoId) ? retargetVideo(v, slug, newSlug) : v));
+  const blogPosts = Object.fromEntries(
+    Object.entries(data.blogPosts).map(([id, p]) => [id, moved.has(id) ? retargetPost(p, slug, newSlug, restaurants) : p])
+  );
+  const redirects = addRedirects(data.redirects, [
+    { from: slug, to: newSlug, videoIds: [...moved], reason: `split by city (${city})`, date },
+  ]);
+  return { videos, restaurants, blogPosts, redirects };
+}
+
+function today() {
+  return new Date().toISOString().split('T')[0];
+}
+
+// ---- Redirect pages ----
+
+/**
+ * Astro `redirects` config for every video in the redirect table: the old
+ * page's route (relative to the site base, as Astro expects) → the current
+ * page's full path, and the same for each retired blog post slug of a live
+ * post. Entries whose old path is a live page again are skipped.
+ * @param {Redirect[]} redirects
+ * @param {{ videos: any[], blogPosts?: Record<string, any> }} data
+ * @param {string} [base]
+ * @returns {Record<string, string>}
+ */
+export function redirectRoutes(redirects, { videos, blogPosts = {} }, base = BASE_PATH) {
+  const byId = new Map(videos.map((v) => [v.videoId, v]));
+  const postSlugs = new Set(Object.values(blogPosts).map((p) => p.slug));
+  const routes = {};
+  for (const entry of redirects) {
+    for (const videoId of entry.videoIds ?? []) {
+      const video = byId.get(videoId);
+      if (!video) continue;
+      const featured = videoRestaurantSlugs(video);
+      if (featured.includes(entry.from)) continue;
+      const target = featured.includes(entry.to) ? entry.to : video.restaurantSlug;
+      if (!target) continue;
+      routes[restaurantVideoPath(entry.from, video, '/')] = restaurantVideoPath(target, video, base);
+    }
+    for (const [videoId, slug] of Object.entries(entry.postSlugs ?? {})) {
+      const post = blogPosts[videoId];
+      if (!post || !isLive(post) || postSlugs.has(slug)) continue;
+      routes[blogPostPath({ slug }, '/')] = blogPostPath(post, base);
+    }
+  }
+  return routes;
+}
@@ -0,0 +1,42 @@
+/**
+ * JSON File Helpers
+ *
+ * Writes go to a temp file in the same directory and are renamed into
+ * place, so a crash mid-write never leaves a truncated data file behind.
+ */
+
+import { readFileSync, writeFileSync, renameSync, existsSync, mkdirSync, rmSync } from 'fs';
+import { dirname, basename, resolve } from 'path';
+
+/**
+ * Read and parse a JSON file. Returns `fallback` (null when omitted) when
+ * the file does not exist; throws on invalid JSON. An explicit `undefined`
+ * fallback is kept, so callers can tell "missing" apart from `null`.
+ * @param {string} path
+ * @param {...any} fallback
+ * @returns {any}
+ */
+export function readJSON(path, ...fallback) {
+  if (!existsSync(path)) return fallback.length > 0 ? fallback[0] : null;
+  return JSON.parse(readFileSync(path, 'utf-8'));
+}
+
+/**
+ * Atomically write `data` as pretty-printed JSON, creating parent dirs.
+ * Ends with a newline, like the hand-edited data files.
+ * @param {string} path
+ * @param {unknown} data
+ */
+export function writeJSON(path, data) {
+  const dir = dirname(path);
+  if (!existsSync(dir)) mkdirSync(dir, { recursive: true });
+
+  const tmpPath = resolve(dir, `.${basename(path)}.${process.pid}.tmp`);
+  try {
+    writeFileSync(tmpPath, `${JSON.stringify(data, null, 2)}\n`);
+    renameSync(tmpPath, path);
+  } catch (e) {
+    rmSync(tmpPath, { force: true });
+    throw e;
+  }
+}
@@ -0,0 +1,105 @@
+/**
+ * LLM Providers
+ *
+ * Text generation (blog posts) goes through one of these, all with the
+ * same `complete()` call — chat messages in, the model's text out:
+ *
+ *   openai             OpenAI's chat completions API (default; needs OPENAI_API_KEY)
+ *   openai-compatible  the same API at another base URL, e.g. a local
+ *                      Ollama (http://localhost:11434/v1) or llama.cpp server
+ *   stub               deterministic canned answers, for tests and CI
+ *
+ * Settings (environment, or .env):
+ *   LLM_PROVIDER           provider to use (default: openai)
+ *   LLM_BASE_URL           base URL for openai-compatible (required there)
+ *   LLM_API_KEY            key for openai-compatible, if the server wants one
+ *   LLM_STRUCTURED_OUTPUT  json_schema | json_object | none (default: json_schema)
+ *
+ * The model comes from the calling script (TRANSCRIBE_MODEL for blog posts).
+ * `--llm=<name>` on the command line overrides LLM_PROVIDER.
+ */
+
+import { getSecret } from '../env.js';
+import { createOpenAIChat, STRUCTURED_OUTPUT_MODES } from './openai.js';
+import { createStubLLM } from './stub.js';
+
+/**
+ * @typedef {{ role: 'system' | 'user' | 'assistant', content: string }} ChatMessage
+ *
+ * @typedef {object} CompletionRequest
+ * @property {ChatMessage[]} messages
+ * @property {{ name: string, schema: Record<string, any> }} [schema] - JSON schema the answer must match
+ * @property {number} [temperature]
+ * @property {number} [maxTokens]
+ *
+ * @typedef {object} LLMProvider
+ * @property {string} name - registry name
+ * @property {string} model - model recorded on what it generates
+ * @property {string} label - name shown in logs
+ * @property {(request: CompletionRequest) => Promise<string>} complete
+ */
+
+const REGISTRY = {
+  openai: (config, options) => {
+    if (!config.openaiKey) throw new Error('OPENAI_API_KEY is not set');
+    return createOpenAIChat({
+      name: 'openai',
+      model: config.model,
+      apiKey: config.openaiKey,
+      structuredOutput: config.structuredOutput,
+      ...options,
+    });
+  },
+  'openai-compatible': (config, options) => {
+    if (!config.baseUrl) throw new Error('LLM_BASE_URL is not set (e.g. http://localhost:11434/v1 for Ollama)');
+    return createOpenAIChat({
+      name: 'openai-compatible',
+      model: config.model,
+      baseUrl: config.baseUrl,
+      apiKey: config.apiKey,
+      structuredOutput: config.structuredOutput,
+      ...options,
+    });
+  },
+  stub: () => createStubLLM(),
+};
+
+export const LLM_PROVIDER_NAMES = Object.keys(REGISTRY);
+export const DEFAULT_LLM_PROVIDER = 'openai';
+
+/**
+ * Read LLM settings from the environment and command line.
+ * @param {{ model: string }} defaults - the calling script's model
+ * @param {Record<string, string | undefined>} [env]
+ * @param {string[]} [argv]
+ */
+export function llmConfig({ model }, env = process.env, argv = process.argv) {
+  const flag = argv.find((arg) => arg.startsWith('--llm='));
+  const structuredOutput = (env.LLM_STRUCTURED_OUTPUT || 'json_schema').toLowerCase();
+  if (!STRUCTURED_OUTPUT_MODES.includes(structuredOutput)) {
+    throw new Error(`LLM_STRUCTURED_OUTPUT must be one of ${STRUCTURED_OUTPUT_MODES.join(', ')}, got "${structuredOutput}"`);
+  }
+  return {
+    provider: (flag ? flag.slice('--llm='.length) : env.LLM_PROVIDER || DEFAULT_LLM_PROVIDER).trim().toLowerCase(),
+    model,
+    openaiKey: getSecret('OPENAI_API_KEY', env),
+    baseUrl: env.LLM_BASE_URL || '',
+    apiKey: getSecret('LLM_API_KEY', env),
+    structuredOutput: /** @type {'json_schema' | 'json_object' | 'none'} */ (structuredOutput),
+  };
+}
+
+/**
+ * Create the configured provider. Throws when it's unknown or can't run
+ * (missing key or base URL), so the script can stop up front.
+ * @param {ReturnType<typeof llmConfig>} config
+ * @param {{ fetch?: typeof globalThis.fetch }} [options]
+ * @returns {LLMProvider}
+ */
+export function createLLM(config, options = {}) {
+  const create = REGISTRY[config.provider];
+  if (!create) {
+    throw new Error(`unknown LLM provider "${config.provider}" (available: ${LLM_PROVIDER_NAMES.join(', ')})`);
+  }
+  return create(config, options);
+}
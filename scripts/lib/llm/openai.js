@@ -0,0 +1,99 @@
+/**
+ * OpenAI Chat Provider
+ *
+ * Chat completions against OpenAI, or any server that speaks the same API
+ * at another base URL (Ollama, llama.cpp's server, vLLM, LM Studio). When
+ * a JSON schema is given, it is sent as structured output in whichever
+ * form the server understands:
+ *
+ *   json_schema  { type: 'json_schema', json_schema: { name, schema, strict } }
+ *                (OpenAI, recent Ollama and llama.cpp)
+ *   json_object  { type: 'json_object' } — valid JSON, shape left to the prompt
+ *   none         nothing; the prompt alone asks for JSON
+ *
+ * Strict mode rejects length limits, so those are left out of the schema
+ * sent and only checked locally (see ../generation.js).
+ */
+
+export const OPENAI_BASE = 'https://api.openai.com/v1';
+export const STRUCTURED_OUTPUT_MODES = ['json_schema', 'json_object', 'none'];
+
+const LOCAL_ONLY_KEYWORDS = ['minLength', 'maxLength'];
+
+/**
+ * `schema` without the keywords strict structured output rejects.
+ * @param {any} schema
+ * @returns {any}
+ */
+export function strictSchema(schema) {
+  if (Array.isArray(schema)) return schema.map(strictSchema);
+  if (!schema || typeof schema !== 'object') return schema;
+  return Object.fromEntries(
+    Object.entries(schema)
+      .filter(([key]) => !LOCAL_ONLY_KEYWORDS.includes(key))
+      .map(([key, value]) => [
+        key,
+        // property names are data, not keywords
+        key === 'properties'
+          ? Object.fromEntries(Object.entries(value).map(([name, child]) => [name, strictSchema(child)]))
+          : strictSchema(value),
+      ])
+  );
+}
+
+/**
+ * @param {{
+ *   name: string,
+ *   model: string,
+ *   baseUrl?: string,
+ *   apiKey?: string,
+ *   structuredOutput?: 'json_schema' | 'json_object' | 'none',
+ *   fetch?: typeof globalThis.fetch,
+ * }} options
+ * @returns {import('./index.js').LLMProvider}
+ */
+export function createOpenAIChat({
+  name,
+  model,
+  baseUrl = OPENAI_BASE,
+  apiKey = '',
+  structuredOutput = 'json_schema',
+  fetch = globalThis.fetch,
+}) {
+  const base = baseUrl.replace(/\/+$/, '');
+
+  return {
+    name,
+    model,
+    label: base === OPENAI_BASE ? model : `${model} at ${base}`,
+
+    async complete({ messages, schema, temperature, maxTokens }) {
+      /** @type {Record<string, unknown>} */
+      const body = { model, messages, temperature, max_tokens: maxTokens };
+      if (schema && structuredOutput === 'json_schema') {
+        body.response_format = { type: 'json_schema', json_schema: { name: schema.name, schema: strictSchema(schema.schema), strict: true } };
+      } else if (schema && structuredOutput === 'json_object') {
+        body.response_format = { type: 'json_object' };
+      }
+
+      const res = await fetch(`${base}/chat/completions`, {
+        method: 'POST',
+        headers: {
+          ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {}),
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify(body),
+      });
+
+      if (!res.ok) {
+        const errBody = await res.text();
+        throw new Error(`Chat API error ${res.status}: ${errBody}`);
+      }
+
+      const data = await res.json();
+      const content = data.choices?.[0]?.message?.content?.trim();
+      if (!content) throw new Error('Empty response from Chat API');
+      return content;
+    },
+  };
+}
@@ -0,0 +1,64 @@
+/**
+ * Stub Provider
+ *
+ * A deterministic stand-in for a model, for tests and offline runs: no
+ * network, no key, and the same prompt always gets the same answer. It
+ * answers with `responses` in order while there are any (to script
+ * invalid output, retries and so on), then with a generated object that
+ * fits the requested schema — every string says which field it is and
+ * carries a short hash of the prompt.
+ */
+
+import { createHash } from 'crypto';
+
+/**
+ * A value of `schema`'s shape, with strings built from `tag`.
+ * @param {any} schema
+ * @param {string} tag
+ * @param {string} key
+ * @returns {unknown}
+ */
+function sampleValue(schema, tag, key) {
+  if (schema?.enum) return schema.enum[0];
+  // A list of types (`['number', 'null']`) is answered with the first
+  switch (Array.isArray(schema?.type) ? schema.type[0] : schema?.type) {
+    case 'object':
+      return Object.fromEntries(
+        Object.entries(schema.properties ?? {}).map(([k, s]) => [k, sampleValue(s, tag, k)])
+      );
+    case 'array':
+      return [sampleValue(schema.items, tag, key)];
+    case 'number':
+    case 'integer':
+      return 0;
+    case 'boolean':
+      return true;
+    default:
+      return `Stub ${key} ${tag}`;
+  }
+}
+
+/**
+ * @param {{ model?: string, responses?: string[] }} [options]
+ * @returns {import('./index.js').LLMProvider & { calls: import('./index.js').CompletionRequest[] }}
+ */
+export function createStubLLM({ model = 'stub', responses = [] } = {}) {
+  const queue = [...responses];
+  /** @type {import('./index.js').CompletionRequest[]} */
+  const calls = [];
+
+  return {
+    name: 'stub',
+    model,
+    label: 'stub (deterministic)',
+    calls,
+
+    async complete(request) {
+      calls.push(request);
+      if (queue.length > 0) return /** @type {string} */ (queue.shift());
+      const prompt = request.messages.map((m) => m.content).join('\n');
+      const tag = `[${createHash('sha256').update(prompt).digest('hex').slice(0, 8)}]`;
+      return JSON.stringify(sampleValue(request.schema?.schema ?? { type: 'object' }, tag, 'text'));
+    },
+  };
+}
@@ -0,0 +1,155 @@
+/**
+ * Multi-Location Chains
+ *
+ * A restaurant record with a `locations` list is a brand (Portillo's, Lou
+ * Malnati's) and each entry is one branch with its own address,
+ * coordinates, Google/Yelp listing and reviews:
+ *
+ *   "portillos": {
+ *     "name": "Portillo's", ...,
+ *     "locations": [
+ *       { "id": "river-north", "name": "River North", "address": "...",
+ *         "city": "Chicago", "state": "IL", "lat": 41.89, "lng": -87.63,
+ *         "google": { ... }, "yelp": { ... }, "reviews": [ ... ] }
+ *     ]
+ *   }
+ *
+ * A video names the branch it was filmed at with `location` (and
+ * `restaurants[].location` for secondary restaurants). The brand's own
+ * address, coordinates and ratings describe its flagship and are only used
+ * when a video's branch isn't known.
+ *
+ * Pure functions only — shared by the pipeline scripts and src/lib/data.ts.
+ */
+
+import { slugify } from './slug.js';
+
+/**
+ * The branches of a restaurant (empty for single-location restaurants).
+ * @param {{ locations?: any[] }} [restaurant]
+ * @returns {any[]}
+ */
+export function getLocations(restaurant) {
+  return Array.isArray(restaurant?.locations) ? restaurant.locations : [];
+}
+
+/**
+ * True if the restaurant is a brand with branches.
+ * @param {{ locations?: any[] }} [restaurant]
+ * @returns {boolean}
+ */
+export function isChain(restaurant) {
+  return getLocations(restaurant).length > 0;
+}
+
+/**
+ * A branch id for `label` (usually the neighborhood or city) that no other
+ * branch of the restaurant uses yet.
+ * @param {{ locations?: any[] }} restaurant
+ * @param {string} label
+ * @returns {string}
+ */
+export function uniqueLocationId(restaurant, label) {
+  const taken = new Set(getLocations(restaurant).map((l) => l.id));
+  const base = slugify(label) || 'location';
+  let id = base;
+  for (let n = 2; taken.has(id); n++) id = `${base}-${n}`;
+  return id;
+}
+
+/**
+ * The branch id a video names for one of its restaurants (primary by default).
+ * @param {{ restaurantSlug: string, location?: string, restaurants?: { slug: string, location?: string }[] }} video
+ * @param {string} [slug]
+ * @returns {string | undefined}
+ */
+export function videoLocationId(video, slug = video.restaurantSlug) {
+  if (slug === video.restaurantSlug && video.location) return video.location;
+  return video.restaurants?.find((r) => r.slug === slug)?.location;
+}
+
+/**
+ * The branch a video was filmed at: the one it names, else the only branch
+ * in the video's city. Undefined for single-location restaurants.
+ * @param {{ locations?: any[] }} restaurant
+ * @param {{ restaurantSlug: string, city?: string, location?: string, restaurants?: { slug: string, location?: string }[] }} video
+ * @param {string} [slug]
+ * @returns {any | undefined}
+ */
+export function findVideoLocation(restaurant, video, slug = video.restaurantSlug) {
+  const locations = getLocations(restaurant);
+  const id = videoLocationId(video, slug);
+  if (id) return locations.find((l) => l.id === id);
+  const inCity = locations.filter((l) => l.city === video.city);
+  return inCity.length === 1 ? inCity[0] : undefined;
+}
+
+/**
+ * The restaurant as seen at one branch: the branch's address, area, coordinates,
+ * ratings, reviews, hours, phone and status over the brand record, plus the
+ * branch as `location`. Website, price level and summary fall back to the
+ * brand's.
+ * Returns the restaurant unchanged when no branch is given.
+ * @template {Record<string, any>} R
+ * @param {R} restaurant
+ * @param {any} [location]
+ * @returns {R & { location?: any }}
+ */
+export function atLocation(restaurant, location) {
+  if (!location) return restaurant;
+  return {
+    ...restaurant,
+    city: location.city || restaurant.city,
+    state: location.state || restaurant.state,
+    locality: location.locality,
+    neighborhood: location.neighborhood,
+    address: location.address,
+    lat: location.lat,
+    lng: location.lng,
+    google: location.google ?? { rating: 0, reviewCount: 0 },
+    yelp: location.yelp,
+    foursquare: location.foursquare,
+    reviews: location.reviews ?? [],
+    openingHours: location.openingHours,
+    phone: location.phone,
+    businessStatus: location.businessStatus,
+    website: location.website ?? restaurant.website,
+    priceLevel: location.priceLevel ?? restaurant.priceLevel,
+    editorialSummary: location.editorialSummary ?? restaurant.editorialSummary,
+    location,
+  };
+}
+
+/**
+ * Brand-wide figures for a chain: branch count, cities, and the Google
+ * rating averaged over every rated branch (weighted by review count).
+ * @param {{ locations?: any[] }} restaurant
+ * @returns {{ locationCount: number, cities: string[], google: { rating: number, reviewCount: number } }}
+ */
+export function brandSummary(restaurant) {
+  const locations = getLocations(restaurant);
+  const rated = locations.filter((l) => l.google?.rating > 0 && l.google?.reviewCount > 0);
+  const reviewCount = rated.reduce((sum, l) => sum + l.google.reviewCount, 0);
+  const weighted = rated.reduce((sum, l) => sum + l.google.rating * l.google.reviewCount, 0);
+  return {
+    locationCount: locations.length,
+    cities: [...new Set(locations.map((l) => l.city).filter(Boolean))].sort(),
+    google: {
+      rating: reviewCount > 0 ? Math.round((weighted / reviewCount) * 10) / 10 : 0,
+      reviewCount,
+    },
+  };
+}
+
+/**
+ * A video's restaurant (primary by default) as seen at the branch the video
+ * was filmed at, or undefined for an unknown slug.
+ * @param {Record<string, any>} restaurants
+ * @param {{ restaurantSlug: string, city?: string, location?: string, restaurants?: { slug: string, location?: string }[] }} video
+ * @param {string} [slug]
+ * @returns {any | undefined}
+ */
+export function restaurantForVideo(restaurants, video, slug = video.restaurantSlug) {
+  const restaurant = restaurants[slug];
+  return restaurant && atLocation(restaurant, findVideoLocation(restaurant, video, slug));
+}
@@ -0,0 +1,42 @@
+/**
+ * Structured Logging
+ *
+ * `createLogger('enrich')` returns `log`/`warn`/`error` functions that print
+ * `[enrich] message` to the console and append one JSON line per call to
+ * logs/enrich.log: `{"time", "level", "scope", "msg", ...fields}`.
+ *
+ * Writing the log file is best-effort; a failure there never stops a run.
+ */
+
+import { appendFileSync, existsSync, mkdirSync } from 'fs';
+import { resolve } from 'path';
+import { LOG_DIR } from './paths.js';
+
+export function createLogger(scope, { logDir = LOG_DIR } = {}) {
+  const logFile = resolve(logDir, `${scope}.log`);
+
+  function write(level, msg, fields) {
+    try {
+      if (!existsSync(logDir)) mkdirSync(logDir, { recursive: true });
+      const entry = { time: new Date().toISOString(), level, scope, msg: String(msg).trim(), ...fields };
+      appendFileSync(logFile, JSON.stringify(entry) + '\n');
+    } catch {
+      // Logging failure is non-fatal
+    }
+  }
+
+  return {
+    log(msg, fields) {
+      console.log(`[${scope}] ${msg}`);
+      write('info', msg, fields);
+    },
+    warn(msg, fields) {
+      console.warn(`[${scope}] WARN: ${msg}`);
+      write('warn', msg, fields);
+    },
+    error(msg, fields) {
+      console.error(`[${scope}] ERROR: ${msg}`);
+      write('error', msg, fields);
+    },
+  };
+}
@@ -0,0 +1,240 @@
+/**
+ * Markdown Rendering
+ *
+ * Blog posts are written by a model, so their Markdown is untrusted input.
+ * renderMarkdown() parses it as GitHub-flavored Markdown (lists, links,
+ * blockquotes, tables, strikethrough), drops raw HTML, and keeps only the
+ * elements and attributes on an allow-list: no scripts, event handlers,
+ * styles, images or `javascript:` links make it into the page.
+ *
+ * Headings get ids and a `#` anchor, and are returned for a table of
+ * contents. Links to this site's own pages are returned too, so the build
+ * can refuse a post that links to a page that doesn't exist (brokenLinks()).
+ *
+ * Pure functions only — safe to import from Astro components.
+ */
+
+import { unified } from 'unified';
+import remarkParse from 'remark-parse';
+import remarkGfm from 'remark-gfm';
+import remarkRehype from 'remark-rehype';
+import rehypeStringify from 'rehype-stringify';
+import GithubSlugger from 'github-slugger';
+import { SITE_URL, BASE_PATH } from './site.js';
+
+/**
+ * @typedef {import('hast').Root} Root
+ * @typedef {import('hast').Element} Element
+ * @typedef {import('hast').ElementContent} ElementContent
+ *
+ * @typedef {object} Heading
+ * @property {2 | 3 | 4} depth
+ * @property {string} id
+ * @property {string} text
+ *
+ * @typedef {object} InternalLink
+ * @property {string} href - as written in the post
+ * @property {string} path - the page it resolves to, e.g. `/oneminreviews/city/new-york/`
+ *
+ * @typedef {object} RenderedMarkdown
+ * @property {string} html
+ * @property {Heading[]} headings
+ * @property {InternalLink[]} links
+ */
+
+/** Elements kept, and the attributes each may keep. */
+const ALLOWED = /** @type {Record<string, string[]>} */ ({
+  p: [],
+  br: [],
+  hr: [],
+  h2: [],
+  h3: [],
+  h4: [],
+  strong: [],
+  em: [],
+  sup: [],
+  del: [],
+  code: ['className'],
+  pre: [],
+  blockquote: [],
+  ul: [],
+  ol: ['start'],
+  li: [],
+  a: ['href', 'title'],
+  table: [],
+  thead: [],
+  tbody: [],
+  tr: [],
+  th: ['align'],
+  td: ['align'],
+});
+
+/** Footnotes link to each other by ids remark-rehype gives this prefix. */
+const FOOTNOTE_ID = /^user-content-fn/;
+
+/** Elements dropped with everything inside them; anything else not allowed is unwrapped. */
+const DROPPED = new Set([
+  'script', 'style', 'iframe', 'object', 'embed', 'img', 'input', 'svg', 'math',
+  'form', 'button', 'select', 'textarea', 'template', 'noscript',
+]);
+
+/** The page's title is its only h1, so headings in the post start at h2. */
+const HEADING_LEVEL = /** @type {Record<string, string>} */ ({ h1: 'h2', h5: 'h4', h6: 'h4' });
+
+const HAS_SCHEME = /^[a-z][a-z\d+.-]*:/i;
+const SAFE_SCHEME = /^(https?|mailto):/i;
+
+/**
+ * `href` if it's safe to link to: relative, http(s) or mailto.
+ * @param {unknown} href
+ * @returns {string | null}
+ */
+export function safeHref(href) {
+  if (typeof href !== 'string') return null;
+  // Browsers ignore whitespace and control characters inside a scheme
+  const value = href.trim();
+  const compact = value.replace(/[\s\x00-\x1f]/g, '');
+  if (HAS_SCHEME.test(compact) && !SAFE_SCHEME.test(compact)) return null;
+  return value;
+}
+
+/**
+ * Keep only allowed elements and attributes, in place.
+ * @param {Root | Element} node
+ */
+function sanitize(node) {
+  /** @type {any[]} */
+  const children = [];
+  for (const child of node.children) {
+    if (child.type === 'text') {
+      children.push(child);
+    } else if (child.type === 'element') {
+      const tagName = HEADING_LEVEL[child.tagName] ?? child.tagName;
+      if (DROPPED.has(tagName)) continue;
+      sanitize(child);
+      const allowed = ALLOWED[tagName];
+      if (!allowed) {
+        children.push(...child.children);
+        continue;
+      }
+      /** @type {Record<string, any>} */
+      const properties = {};
+      for (const name of allowed) {
+        const value = child.properties[name];
+        if (value === undefined || value === null) continue;
+        if (name === 'className') {
+          const languages = (Array.isArray(value) ? value : [value]).filter((c) => /^language-[\w-]+$/.test(String(c)));
+          if (languages.length > 0) properties.className = languages;
+        } else if (name === 'href') {
+          const href = safeHref(value);
+          if (href !== null) properties.href = href;
+        } else {
+          properties[name] = value;
+        }
+      }
+      if (FOOTNOTE_ID.test(String(child.properties.id ?? ''))) properties.id = child.properties.id;
+      // A paragraph that only held an image
+      if (tagName === 'p' && child.children.every((c) => c.type === 'text' && !c.value.trim())) continue;
+      // A link whose target was removed keeps its text
+      if (tagName === 'a' && !properties.href) {
+        children.push(...child.children);
+        continue;
+      }
+      children.push({ ...child, tagName, properties });
+    }
+    // comments, doctypes and raw HTML are dropped
+  }
+  node.children = children;
+}
+
+/**
+ * Text content of an element.
+ * @param {Element | ElementContent} node
+ * @returns {string}
+ */
+function textOf(node) {
+  if (node.type === 'text') return node.value;
+  if (node.type === 'element') return node.children.map(textOf).join('');
+  return '';
+}
+
+/**
+ * Visit every element below `node`.
+ * @param {Root | Element} node
+ * @param {(element: Element) => void} visit
+ */
+function eachElement(node, visit) {
+  for (const child of node.children) {
+    if (child.type !== 'element') continue;
+    visit(child);
+    eachElement(child, visit);
+  }
+}
+
+const processor = unified().use(remarkParse).use(remarkGfm).use(remarkRehype).use(rehypeStringify);
+
+/**
+ * Render untrusted Markdown to safe HTML.
+ * @param {string} markdown
+ * @param {{ pagePath?: string, site?: string, base?: string }} [options]
+ *   pagePath: path of the page the HTML goes on, for resolving relative links
+ * @returns {RenderedMarkdown}
+ */
+export function renderMarkdown(markdown, { pagePath, site = SITE_URL, base = BASE_PATH } = {}) {
+  const tree = /** @type {Root} */ (processor.runSync(processor.parse(markdown ?? '')));
+  sanitize(tree);
+
+  const origin = new URL(site).origin;
+  const pageUrl = new URL(pagePath ?? base, origin);
+  const slugger = new GithubSlugger();
+  /** @type {Heading[]} */
+  const headings = [];
+  /** @type {Map<string, InternalLink>} */
+  const links = new Map();
+
+  eachElement(tree, (element) => {
+    const depth = Number(element.tagName.slice(1));
+    if (/^h[2-4]$/.test(element.tagName)) {
+      const text = textOf(element).trim();
+      const id = slugger.slug(text || 'section');
+      element.properties.id = id;
+      element.children.push({
+        type: 'element',
+        tagName: 'a',
+        properties: { href: `#${id}`, className: ['heading-anchor'], ariaLabel: `Link to “${text}”` },
+        children: [{ type: 'text', value: '#' }],
+      });
+      headings.push({ depth: /** @type {2 | 3 | 4} */ (depth), id, text });
+      return;
+    }
+    if (element.tagName !== 'a' || typeof element.properties.href !== 'string') return;
+    const href = element.properties.href;
+    if (href.startsWith('#') || /^mailto:/i.test(href)) return;
+
+    let url;
+    try {
+      url = new URL(href, pageUrl);
+    } catch {
+      url = null;
+    }
+    if (!url || url.origin !== origin) {
+      element.properties.rel = ['nofollow', 'noopener', 'noreferrer'];
+      return;
+    }
+    // Pages are directories: /city/new-york and /city/new-york/ are the same page
+    const path = /\/$|\.[a-z0-9]+$/i.test(url.pathname) ? url.pathname : `${url.pathname}/`;
+    if (!links.has(href)) links.set(href, { href, path });
+  });
+
+  return { html: processor.stringify(tree), headings, links: [...links.values()] };
+}
+
+/**
+ * The internal links that don't lead to one of `pages`.
+ * @param {InternalLink[]} links
+ * @param {Set<string>} pages - every page path the site builds
+ * @returns {InternalLink[]}
+ */
+export function brokenLinks(links, pages) {
+  return links.filter((link) => !pages.has(link.path));
+}
@@ -0,0 +1,380 @@
+/**
+ * Manual Overrides
+ *
+ * data/overrides.json holds hand corrections that survive pipeline runs,
+ * keyed by videoId and restaurant slug:
+ *
+ *   {
+ *     "videos": {
+ *       "<videoId>": {
+ *         "restaurantName": "Joe's Pizza",  // name to enrich with (enrich only)
+ *         "restaurants": [                   // several places, primary first (enrich only)
+ *           { "name": "Joe's Pizza", "start": 0 },
+ *           { "name": "Prince Street Pizza", "start": 21 }
+ *         ],
+ *         "restaurantSlug": "joes-pizza",   // attach to an existing restaurant (its blog post too)
+ *         "location": "river-north",        // branch of a chain it was filmed at
+ *         "city": "New York",
+ *         "cuisine": "Pizza",
+ *         "verdictScore": 8.5,               // replaces the extracted verdict score (out of 10)
+ *         "doNotPublish": true
+ *       }
+ *     },
+ *     "restaurants": {
+ *       "<slug>": {
+ *         "name": "...", "city": "...", "state": "NY", "cuisine": "...",
+ *         "locality": "Brooklyn", "neighborhood": "Williamsburg", // see geography.js
+ *         "address": "...", "lat": 40.7, "lng": -73.9,
+ *         "googlePlaceId": "ChIJ...",        // pinned Google place
+ *         "yelpAlias": "joes-pizza-new-york", // pinned Yelp business
+ *         "foursquareId": "4a1b...",         // pinned Foursquare place
+ *         "website": "...", "phone": "...",
+ *         "businessStatus": "CLOSED_PERMANENTLY", // when Google hasn't caught up
+ *         "hiddenReviews": [{ "source": "google", "author": "Jane D." }],
+ *         "locations": [                     // branches of a chain (added if new)
+ *           { "id": "gold-coast", "name": "Gold Coast", "city": "Chicago",
+ *             "googlePlaceId": "ChIJ...", "yelpAlias": "..." }
+ *         ],
+ *         "doNotPublish": true
+ *       }
+ *     }
+ *   }
+ *
+ * Overrides are the last layer: enrich-restaurants.js applies them to what
+ * it writes, and src/lib/data.ts applies them again at build time, so a
+ * hand-edited or freshly regenerated data file can't undo a correction.
+ *
+ * The legacy format `{ "overrides": { "<videoId>": "<restaurant name>" } }`
+ * is still read as `videos.<videoId>.restaurantName`.
+ */
+
+import { blogPostSlug } from './slug.js';
+
+const VIDEO_FIELDS = {
+  restaurantName: 'string',
+  restaurantSlug: 'string',
+  restaurants: 'array',
+  location: 'string',
+  city: 'string',
+  cuisine: 'string',
+  verdictScore: 'number',
+  doNotPublish: 'boolean',
+};
+
+const RESTAURANT_FIELDS = {
+  name: 'string',
+  city: 'string',
+  state: 'string',
+  locality: 'string',
+  neighborhood: 'string',
+  cuisine: 'string',
+  address: 'string',
+  lat: 'number',
+  lng: 'number',
+  googlePlaceId: 'string',
+  yelpAlias: 'string',
+  foursquareId: 'string',
+  website: 'string',
+  phone: 'string',
+  businessStatus: 'string',
+  hiddenReviews: 'array',
+  locations: 'array',
+  doNotPublish: 'boolean',
+};
+
+const LOCATION_FIELDS = {
+  id: 'string',
+  name: 'string',
+  address: 'string',
+  city: 'string',
+  state: 'string',
+  locality: 'string',
+  neighborhood: 'string',
+  lat: 'number',
+  lng: 'number',
+  googlePlaceId: 'string',
+  yelpAlias: 'string',
+  foursquareId: 'string',
+  website: 'string',
+  phone: 'string',
+  businessStatus: 'string',
+};
+
+/** Yelp business page for a business alias. */
+export function yelpBusinessUrl(alias) {
+  return `https://www.yelp.com/biz/${encodeURIComponent(alias)}`;
+}
+
+// ---- Parsing ----
+
+/**
+ * Normalize raw overrides.json contents into `{ videos, restaurants }`,
+ * folding in the legacy videoId → name map.
+ * @param {any} raw
+ * @returns {{ videos: Record<string, any>, restaurants: Record<string, any> }}
+ */
+export function normalizeOverrides(raw) {
+  const videos = { ...(raw?.videos ?? {}) };
+  for (const [videoId, name] of Object.entries(raw?.overrides ?? {})) {
+    if (typeof name === 'string' && name) {
+      videos[videoId] = { restaurantName: name, ...videos[videoId] };
+    }
+  }
+  return { videos, restaurants: { ...(raw?.restaurants ?? {}) } };
+}
+
+/** Keep the well-typed known fields of an override entry, warning about the rest. */
+function checkFields(entry, fields, label, warnings) {
+  if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+    warnings.push(`${label}: expected an object`);
+    return null;
+  }
+  const valid = {};
+  for (const [key, value] of Object.entries(entry)) {
+    const type = fields[key];
+    if (!type) {
+      warnings.push(`${label}: unknown field "${key}"`);
+    } else if (type === 'array' ? !Array.isArray(value) : typeof value !== type) {
+      warnings.push(`${label}: "${key}" should be ${type === 'array' ? 'an array' : `a ${type}`}`);
+    } else {
+      valid[key] = value;
+    }
+  }
+  return valid;
+}
+
+/**
+ * Apply listing fields (address, coordinates, pinned Google place, Yelp
+ * business or Foursquare place) to a restaurant or one of its branches, in place.
+ */
+function applyListing(target, entry) {
+  for (const key of [
+    'name',
+    'city',
+    'state',
+    'locality',
+    'neighborhood',
+    'cuisine',
+    'address',
+    'lat',
+    'lng',
+    'website',
+    'phone',
+    'businessStatus',
+  ]) {
+    if (entry[key] !== undefined) target[key] = entry[key];
+  }
+  if (entry.googlePlaceId) {
+    target.google = { rating: 0, reviewCount: 0, ...target.google, placeId: entry.googlePlaceId };
+  }
+  if (entry.yelpAlias) {
+    target.yelp = {
+      rating: 0,
+      reviewCount: 0,
+      ...target.yelp,
+      alias: entry.yelpAlias,
+      url: yelpBusinessUrl(entry.yelpAlias),
+    };
+  }
+  if (entry.foursquareId) {
+    target.foursquare = { rating: 0, reviewCount: 0, ...target.foursquare, placeId: entry.foursquareId };
+  }
+}
+
+/** Patch or add the branches listed in a restaurant override. */
+function applyLocations(restaurant, entries, label, warnings) {
+  const locations = (restaurant.locations ?? []).map((l) => ({ ...l }));
+  entries.forEach((raw, i) => {
+    const entry = checkFields(raw, LOCATION_FIELDS, `${label}.locations[${i}]`, warnings);
+    if (!entry) return;
+    if (!entry.id) {
+      warnings.push(`${label}.locations[${i}]: missing "id"`);
+      return;
+    }
+    let location = locations.find((l) => l.id === entry.id);
+    if (!location) {
+      location = {
+        id: entry.id,
+        address: '',
+        city: restaurant.city ?? '',
+        state: restaurant.state ?? '',
+        lat: 0,
+        lng: 0,
+        google: { rating: 0, reviewCount: 0 },
+        reviews: [],
+      };
+      locations.push(location);
+    }
+    applyListing(location, entry);
+  });
+  restaurant.locations = locations;
+}
+
+/** True if a `hiddenReviews` entry (author string or `{ source?, author }`) matches a review. */
+function matchesHidden(review, hidden) {
+  if (typeof hidden === 'string') return review.author === hidden;
+  return review.author === hidden?.author && (!hidden.source || review.source === hidden.source);
+}
+
+// ---- Apply ----
+
+/**
+ * Apply overrides to the data set. Inputs are not mutated.
+ *
+ * Options:
+ *   dropUnpublished — remove `doNotPublish` videos and restaurants (and the
+ *                     videos and blog posts whose primary restaurant is
+ *                     hidden; other videos just stop featuring it). Enrichment
+ *                     keeps them so they aren't rediscovered on every run.
+ *
+ * `redirects` has an entry, in the redirect table's format (identity.js),
+ * for each video a restaurantSlug override moves, with the blog post slug
+ * it retires, so the build keeps the old video and post URLs working.
+ *
+ * @param {{ videos: any[], restaurants: Record<string, any>, blogPosts?: Record<string, any> }} data
+ * @param {any} rawOverrides
+ * @param {{ dropUnpublished?: boolean }} [options]
+ * @returns {{ videos: any[], restaurants: Record<string, any>, blogPosts: Record<string, any>, redirects: import('./identity.js').Redirect[], warnings: string[] }}
+ */
+export function applyOverrides(data, rawOverrides, { dropUnpublished = true } = {}) {
+  const overrides = normalizeOverrides(rawOverrides);
+  const warnings = [];
+
+  const restaurants = Object.fromEntries(
+    Object.entries(data.restaurants ?? {}).map(([slug, r]) => [slug, { ...r, videoIds: [...(r.videoIds ?? [])] }])
+  );
+  const videos = (data.videos ?? []).map((v) => ({ ...v }));
+  const blogPosts = Object.fromEntries(
+    Object.entries(data.blogPosts ?? {}).map(([id, p]) => [id, { ...p }])
+  );
+  const videosById = new Map(videos.map((v) => [v.videoId, v]));
+  /** @type {import('./identity.js').Redirect[]} */
+  const redirects = [];
+
+  // Video overrides
+  for (const [videoId, raw] of Object.entries(overrides.videos)) {
+    const label = `videos.${videoId}`;
+    const entry = checkFields(raw, VIDEO_FIELDS, label, warnings);
+    if (!entry) continue;
+    const video = videosById.get(videoId);
+    if (!video) {
+      warnings.push(`${label}: no video with this id`);
+      continue;
+    }
+
+    // The stored post keeps its old restaurant, also once enrichment has
+    // stored the move in videos.json
+    const post = blogPosts[videoId];
+    const from = post?.restaurantSlug || video.restaurantSlug;
+    const target = entry.restaurantSlug ? restaurants[entry.restaurantSlug] : undefined;
+    if (entry.restaurantSlug && entry.restaurantSlug !== video.restaurantSlug) {
+      if (!target) {
+        warnings.push(`${label}: restaurantSlug "${entry.restaurantSlug}" is not a known restaurant`);
+      } else {
+        const previous = restaurants[video.restaurantSlug];
+        if (previous) previous.videoIds = previous.videoIds.filter((id) => id !== videoId);
+        if (!target.videoIds.includes(videoId)) target.videoIds.push(videoId);
+        if (video.restaurants) {
+          video.restaurants = [
+            { ...video.restaurants[0], slug: entry.restaurantSlug },
+            ...video.restaurants.slice(1).filter((r) => r.slug !== entry.restaurantSlug),
+          ];
+        }
+        video.restaurantSlug = entry.restaurantSlug;
+        delete video.location; // a branch of the old restaurant
+      }
+    }
+    if (target && from && from !== entry.restaurantSlug) {
+      /** @type {import('./identity.js').Redirect} */
+      const redirect = { from, to: entry.restaurantSlug, videoIds: [videoId], reason: 'restaurantSlug override' };
+      if (post) {
+        // The post's slug names the restaurant; follow the move unless it was set by hand
+        if (post.slug === blogPostSlug({ ...video, restaurantSlug: from })) {
+          redirect.postSlugs = { [videoId]: post.slug };
+          post.slug = blogPostSlug(video);
+        }
+        post.restaurantSlug = entry.restaurantSlug;
+        post.restaurantName = target.name;
+      }
+      redirects.push(redirect);
+    }
+
+    if (entry.location !== undefined) video.location = entry.location;
+    if (entry.city !== undefined) video.city = entry.city;
+    if (entry.cuisine !== undefined) video.cuisine = entry.cuisine;
+    if (entry.verdictScore !== undefined) video.verdictScore = entry.verdictScore;
+  }
+
+  // Restaurant overrides
+  for (const [slug, raw] of Object.entries(overrides.restaurants)) {
+    const label = `restaurants.${slug}`;
+    const entry = checkFields(raw, RESTAURANT_FIELDS, label, warnings);
+    if (!entry) continue;
+    const restaurant = restaurants[slug];
+    if (!restaurant) {
+      warnings.push(`${label}: no restaurant with this slug`);
+      continue;
+    }
+
+    applyListing(restaurant, entry);
+    if (entry.locations) applyLocations(restaurant, entry.locations, label, warnings);
+    if (Array.isArray(entry.hiddenReviews)) {
+      const visible = (reviews) =>
+        reviews.filter((review) => !entry.hiddenReviews.some((hidden) => matchesHidden(review, hidden)));
+      if (Array.isArray(restaurant.reviews)) restaurant.reviews = visible(restaurant.reviews);
+      if (restaurant.locations) {
+        restaurant.locations = restaurant.locations.map((l) =>
+          Array.isArray(l.reviews) ? { ...l, reviews: visible(l.reviews) } : l
+        );
+      }
+    }
+  }
+
+  // Keep blog posts in step with the corrected video/restaurant fields
+  for (const post of Object.values(blogPosts)) {
+    const video = videosById.get(post.videoId);
+    if (!video) continue;
+    if (overrides.videos[video.videoId]) {
+      post.restaurantSlug = video.restaurantSlug;
+      post.city = video.city;
+      post.cuisine = video.cuisine;
+    }
+    const restaurant = restaurants[post.restaurantSlug];
+    if (restaurant && (overrides.videos[video.videoId] || overrides.restaurants[post.restaurantSlug]?.name)) {
+      post.restaurantName = restaurant.name;
+    }
+  }
+
+  if (!dropUnpublished) return { videos, restaurants, blogPosts, redirects, warnings };
+
+  // Do-not-publish: drop hidden restaurants with their videos, then hidden videos
+  const hiddenSlugs = new Set(
+    Object.keys(restaurants).filter((slug) => overrides.restaurants[slug]?.doNotPublish === true)
+  );
+  const hiddenVideoIds = new Set(
+    videos
+      .filter((v) => overrides.videos[v.videoId]?.doNotPublish === true || hiddenSlugs.has(v.restaurantSlug))
+      .map((v) => v.videoId)
+  );
+
+  for (const slug of hiddenSlugs) delete restaurants[slug];
+  for (const restaurant of Object.values(restaurants)) {
+    restaurant.videoIds = restaurant.videoIds.filter((id) => !hiddenVideoIds.has(id));
+  }
+  for (const videoId of hiddenVideoIds) delete blogPosts[videoId];
+
+  // Multi-restaurant videos keep their page but lose hidden secondary restaurants
+  for (const video of videos) {
+    if (!video.restaurants?.some((r) => hiddenSlugs.has(r.slug))) continue;
+    video.restaurants = video.restaurants.filter((r) => !hiddenSlugs.has(r.slug));
+    if (video.restaurants.length < 2) delete video.restaurants;
+  }
+
+  return {
+    videos: videos.filter((v) => !hiddenVideoIds.has(v.videoId)),
+    restaurants,
+    blogPosts,
+    redirects,
+    warnings,
+  };
+}
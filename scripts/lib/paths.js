@@ -0,0 +1,33 @@
+/**
+ * Repository Paths
+ *
+ * Absolute paths to the directories and data files the pipeline reads
+ * and writes, resolved from the repo root.
+ */
+
+import { resolve, dirname } from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+
+export const ROOT = resolve(__dirname, '../..');
+export const DATA_DIR = resolve(ROOT, 'data');
+export const DIST_DIR = resolve(ROOT, 'dist');
+export const LOG_DIR = resolve(ROOT, 'logs');
+export const TMP_DIR = resolve(ROOT, 'tmp');
+export const VIDEOS_DIR = resolve(ROOT, 'assets/videos');
+export const IMAGES_DIR = resolve(ROOT, 'assets/images');
+export const PROMPTS_DIR = resolve(ROOT, 'scripts/prompts');
+export const PAGES_DIR = resolve(ROOT, 'src/pages');
+export const TRANSLATIONS_DIR = resolve(DATA_DIR, 'translations');
+
+export const VIDEOS_PATH = resolve(DATA_DIR, 'videos.json');
+export const RESTAURANTS_PATH = resolve(DATA_DIR, 'restaurants.json');
+export const BLOG_POSTS_PATH = resolve(DATA_DIR, 'blog-posts.json');
+export const VERDICTS_PATH = resolve(DATA_DIR, 'verdicts.json');
+export const OVERRIDES_PATH = resolve(DATA_DIR, 'overrides.json');
+export const BLOG_EDITS_PATH = resolve(DATA_DIR, 'blog-edits.json');
+export const REDIRECTS_PATH = resolve(DATA_DIR, 'redirects.json');
+export const GAZETTEER_PATH = resolve(DATA_DIR, 'gazetteer.json');
+export const DISHES_PATH = resolve(DATA_DIR, 'dishes.json');
+export const SCORING_PATH = resolve(DATA_DIR, 'scoring.json');
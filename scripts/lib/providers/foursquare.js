@@ -0,0 +1,65 @@
+/**
+ * Foursquare Places Provider
+ *
+ * Place search and details from the Foursquare Places API. Foursquare rates
+ * on a 0–10 scale, stored halved as `{ rating, reviewCount, placeId, url }`
+ * under `restaurant.foursquare`. Its tips carry no rating, so no reviews
+ * are imported.
+ */
+
+const API = 'https://api.foursquare.com/v3/places';
+const FIELDS = 'fsq_id,name,location,geocodes,rating,stats';
+
+function toPlace(place) {
+  return {
+    id: place.fsq_id,
+    name: place.name ?? '',
+    address: place.location?.formatted_address ?? '',
+    lat: place.geocodes?.main?.latitude ?? 0,
+    lng: place.geocodes?.main?.longitude ?? 0,
+  };
+}
+
+/**
+ * @param {{ apiKey: string, http: ReturnType<typeof import('../http-cache.js').createHttpClient> }} options
+ * @returns {import('./index.js').EnrichmentProvider}
+ */
+export function createFoursquareProvider({ apiKey, http }) {
+  const headers = { Authorization: apiKey, Accept: 'application/json' };
+
+  return {
+    name: 'foursquare',
+    label: 'Foursquare',
+    field: 'foursquare',
+    pinField: 'foursquareId',
+
+    idOf(listing) {
+      return listing.foursquare?.placeId;
+    },
+
+    async search({ name, city }) {
+      const url = `${API}/search?query=${encodeURIComponent(name)}&near=${encodeURIComponent(city)}&limit=1&fields=${FIELDS}`;
+      const { body } = await http.getJSON(url, { headers });
+      const place = body?.results?.[0];
+      return place ? toPlace(place) : null;
+    },
+
+    async details(fsqId) {
+      const { body: place } = await http.getJSON(`${API}/${encodeURIComponent(fsqId)}?fields=${FIELDS}`, { headers });
+      if (!place?.fsq_id) return null;
+      return {
+        ...toPlace(place),
+        rating: {
+          rating: place.rating ? Math.round(place.rating * 5) / 10 : 0,
+          reviewCount: place.stats?.total_ratings ?? 0,
+          placeId: place.fsq_id,
+          url: `https://foursquare.com/v/${place.fsq_id}`,
+        },
+      };
+    },
+
+    async reviews() {
+      return [];
+    },
+  };
+}
@@ -0,0 +1,174 @@
+/**
+ * Google Places Provider
+ *
+ * Text Search (`places:searchText`) and Place Details (`places/{id}`) from
+ * the Places API (New). Every request names the fields it needs in a field
+ * mask, which also decides what Google bills for. Details and reviews share
+ * one request (the cache serves the second call).
+ *
+ * Stores `{ rating, reviewCount, placeId, url }` under `restaurant.google`,
+ * and the listing facts (price level, opening hours, website, phone,
+ * business status, editorial summary) on the restaurant itself. Its address
+ * and coordinates replace whatever the restaurant had, and its address
+ * components give the locality, neighborhood and state that
+ * scripts/lib/geography.js places the restaurant with.
+ */
+
+const API = 'https://places.googleapis.com/v1';
+
+const SEARCH_FIELDS = ['places.id', 'places.displayName', 'places.formattedAddress', 'places.location'];
+const DETAIL_FIELDS = [
+  'id',
+  'displayName',
+  'formattedAddress',
+  'addressComponents',
+  'location',
+  'rating',
+  'userRatingCount',
+  'googleMapsUri',
+  'priceLevel',
+  'regularOpeningHours',
+  'websiteUri',
+  'nationalPhoneNumber',
+  'internationalPhoneNumber',
+  'businessStatus',
+  'editorialSummary',
+  'reviews',
+];
+
+/** `priceLevel` enum values; the index is the number of "$" signs. */
+export const PRICE_LEVELS = [
+  'PRICE_LEVEL_FREE',
+  'PRICE_LEVEL_INEXPENSIVE',
+  'PRICE_LEVEL_MODERATE',
+  'PRICE_LEVEL_EXPENSIVE',
+  'PRICE_LEVEL_VERY_EXPENSIVE',
+];
+
+/** Restaurant fields filled from Place Details besides the rating. */
+const INFO_FIELDS = [
+  'priceLevel',
+  'openingHours',
+  'website',
+  'phone',
+  'businessStatus',
+  'editorialSummary',
+  'locality',
+  'neighborhood',
+];
+
+/**
+ * Locality, neighborhood and state from Place Details `addressComponents`.
+ * Outside Manhattan, New York addresses have no locality; the borough
+ * (`sublocality_level_1`) stands in, as it does in the formatted address.
+ * @param {{ longText?: string, shortText?: string, types?: string[] }[]} [components]
+ * @returns {{ locality?: string, neighborhood?: string, state?: string }}
+ */
+export function addressParts(components = []) {
+  const find = (type) => components.find((c) => c.types?.includes(type));
+  return {
+    locality: (find('locality') ?? find('sublocality_level_1'))?.longText,
+    neighborhood: find('neighborhood')?.longText,
+    state: find('administrative_area_level_1')?.shortText,
+  };
+}
+
+/**
+ * The listing facts of a Place Details response, as stored on a restaurant.
+ * Fields Google doesn't return are left out.
+ * @param {any} place
+ * @returns {Record<string, any>}
+ */
+export function placeInfo(place) {
+  const priceLevel = PRICE_LEVELS.indexOf(place.priceLevel);
+  const info = {
+    priceLevel: priceLevel >= 0 ? priceLevel : undefined,
+    openingHours: place.regularOpeningHours?.weekdayDescriptions,
+    website: place.websiteUri,
+    phone: place.nationalPhoneNumber ?? place.internationalPhoneNumber,
+    businessStatus: place.businessStatus,
+    editorialSummary: place.editorialSummary?.text,
+    ...addressParts(place.addressComponents),
+  };
+  return Object.fromEntries(Object.entries(info).filter(([, value]) => value !== undefined));
+}
+
+/**
+ * @param {{ apiKey: string, http: ReturnType<typeof import('../http-cache.js').createHttpClient> }} options
+ * @returns {import('./index.js').EnrichmentProvider}
+ */
+export function createGoogleProvider({ apiKey, http }) {
+  // The key travels in a header, so it never reaches the cache; the field
+  // mask is a URL parameter, so changing it invalidates cached responses.
+  const headers = { 'X-Goog-Api-Key': apiKey };
+
+  async function fetchDetails(placeId) {
+    const url = `${API}/places/${encodeURIComponent(placeId)}?fields=${DETAIL_FIELDS.join(',')}`;
+    const { status, body } = await http.getJSON(url, { headers });
+    if (status === 404) return null;
+    if (status !== 200) throw new Error(body?.error?.message ?? `HTTP ${status}`);
+    return body;
+  }
+
+  return {
+    name: 'google',
+    label: 'Google Places',
+    field: 'google',
+    pinField: 'googlePlaceId',
+    location: 'replace',
+    infoFields: INFO_FIELDS,
+
+    idOf(listing) {
+      return listing.google?.placeId;
+    },
+
+    async search({ name, city }) {
+      const url = `${API}/places:searchText?fields=${SEARCH_FIELDS.join(',')}`;
+      const { status, body } = await http.postJSON(
+        url,
+        { textQuery: `${name} restaurant ${city}`, includedType: 'restaurant', pageSize: 1 },
+        { headers }
+      );
+      if (status !== 200) throw new Error(body?.error?.message ?? `HTTP ${status}`);
+      const place = body?.places?.[0];
+      if (!place) return null;
+      return {
+        id: place.id,
+        name: place.displayName?.text ?? name,
+        address: place.formattedAddress ?? '',
+        lat: place.location?.latitude ?? 0,
+        lng: place.location?.longitude ?? 0,
+      };
+    },
+
+    async details(placeId) {
+      const place = await fetchDetails(placeId);
+      if (!place) return null;
+      return {
+        id: placeId,
+        name: place.displayName?.text ?? '',
+        address: place.formattedAddress ?? '',
+        lat: place.location?.latitude ?? 0,
+        lng: place.location?.longitude ?? 0,
+        rating: {
+          rating: place.rating || 0,
+          reviewCount: place.userRatingCount || 0,
+          placeId,
+          ...(place.googleMapsUri ? { url: place.googleMapsUri } : {}),
+        },
+        info: placeInfo(place),
+      };
+    },
+
+    async reviews(placeId) {
+      const place = await fetchDetails(placeId);
+      return (place?.reviews ?? []).map((r) => ({
+        source: 'google',
+        author: r.authorAttribution?.displayName ?? 'Google user',
+        rating: r.rating,
+        text: (r.text ?? r.originalText)?.text?.slice(0, 300) || '',
+        date: r.publishTime?.split('T')[0] ?? '',
+      }));
+    },
+  };
+}
@@ -0,0 +1,143 @@
+/**
+ * Enrichment Providers
+ *
+ * Every listing source (Google Places, Yelp, OpenStreetMap, Foursquare)
+ * implements the same interface, so enrich-restaurants.js treats them
+ * alike and a new source only needs a module here and a registry entry.
+ * Providers make their requests through a cached HTTP client
+ * (see ../http-cache.js), one cache namespace per provider.
+ *
+ * Settings (environment, or .env):
+ *   ENRICH_PROVIDERS       providers to run, in order (default: google,yelp)
+ *   ENRICH_CACHE           live | refresh | replay | off (default: live)
+ *   ENRICH_CACHE_TTL_DAYS  how long cached responses stay fresh (default: 30)
+ *   ENRICH_CACHE_DIR       cache directory (default: .cache/http); point it
+ *                          at recorded fixtures to replay them
+ *   NOMINATIM_USER_AGENT   identifying User-Agent for OpenStreetMap
+ *
+ * `--offline` on the command line means ENRICH_CACHE=replay and
+ * `--refresh` means ENRICH_CACHE=refresh.
+ */
+
+import { resolve } from 'path';
+import { createHttpClient, HTTP_CACHE_DIR, DAY_MS } from '../http-cache.js';
+import { getSecret } from '../env.js';
+import { ROOT } from '../paths.js';
+import { SITE_URL } from '../site.js';
+import { createGoogleProvider } from './google.js';
+import { createYelpProvider } from './yelp.js';
+import { createNominatimProvider } from './nominatim.js';
+import { createFoursquareProvider } from './foursquare.js';
+
+/**
+ * @typedef {{ id: string, name: string, address: string, lat: number, lng: number }} ProviderMatch
+ *
+ * @typedef {ProviderMatch & { rating: Record<string, any> | null, info?: Record<string, any> }} ProviderDetails
+ *   `rating` is stored as-is under the restaurant's `field`; `info` fields
+ *   (opening hours, phone, ...) are copied onto the restaurant.
+ *
+ * @typedef {object} EnrichmentProvider
+ * @property {string} name - registry name, also the cache namespace
+ * @property {string} label - name shown in logs
+ * @property {string | null} field - restaurant key ratings are stored under (null: location only)
+ * @property {string | null} pinField - overrides.json field that pins a listing id
+ * @property {'replace' | 'fill'} [location] - whether its address and coordinates
+ *   replace the restaurant's, or only fill them in when missing
+ * @property {string[]} [infoFields] - restaurant fields its `info` fills in; a
+ *   matched listing that has none of them yet is looked up again
+ * @property {(listing: any) => string | undefined} idOf - listing id already stored on a restaurant
+ * @property {(query: { name: string, city: string, state?: string }) => Promise<ProviderMatch | null>} search
+ * @property {(id: string) => Promise<ProviderDetails | null>} details
+ * @property {(id: string) => Promise<any[]>} reviews - ReviewEntry objects
+ */
+
+const REGISTRY = {
+  google: {
+    create: (options) => createGoogleProvider(options),
+    secret: 'GOOGLE_PLACES_KEY',
+    minIntervalMs: 200,
+  },
+  yelp: {
+    create: (options) => createYelpProvider(options),
+    secret: 'YELP_API_KEY',
+    minIntervalMs: 200,
+  },
+  nominatim: {
+    create: (options) => createNominatimProvider(options),
+    minIntervalMs: 1000,
+  },
+  foursquare: {
+    create: (options) => createFoursquareProvider(options),
+    secret: 'FOURSQUARE_API_KEY',
+    minIntervalMs: 200,
+  },
+};
+
+export const PROVIDER_NAMES = Object.keys(REGISTRY);
+export const DEFAULT_PROVIDERS = ['google', 'yelp'];
+
+/**
+ * Read enrichment settings from the environment and command line.
+ * @param {Record<string, string | undefined>} [env]
+ * @param {string[]} [argv]
+ */
+export function enrichmentConfig(env = process.env, argv = process.argv) {
+  const names = (env.ENRICH_PROVIDERS || DEFAULT_PROVIDERS.join(','))
+    .split(',')
+    .map((n) => n.trim().toLowerCase())
+    .filter(Boolean);
+
+  let cacheMode = env.ENRICH_CACHE || 'live';
+  if (argv.includes('--refresh')) cacheMode = 'refresh';
+  if (argv.includes('--offline')) cacheMode = 'replay';
+
+  const ttlDays = Number(env.ENRICH_CACHE_TTL_DAYS);
+  return {
+    providers: [...new Set(names)],
+    cacheMode,
+    ttlMs: (Number.isFinite(ttlDays) && ttlDays >= 0 ? ttlDays : 30) * DAY_MS,
+    cacheDir: env.ENRICH_CACHE_DIR ? resolve(ROOT, env.ENRICH_CACHE_DIR) : HTTP_CACHE_DIR,
+    keys: Object.fromEntries(
+      Object.entries(REGISTRY)
+        .filter(([, entry]) => entry.secret)
+        .map(([name, entry]) => [name, getSecret(entry.secret, env)])
+    ),
+    userAgent: env.NOMINATIM_USER_AGENT || `oneminreviews-enrich (${SITE_URL})`,
+  };
+}
+
+/**
+ * Create the configured providers. One that needs an API key is skipped
+ * when the key is missing, except in replay mode, where recorded responses
+ * stand in for the API.
+ * @param {ReturnType<typeof enrichmentConfig>} config
+ * @param {{ fetch?: typeof globalThis.fetch }} [options]
+ * @returns {{ providers: EnrichmentProvider[], skipped: { name: string, reason: string }[] }}
+ */
+export function createProviders(config, { fetch } = {}) {
+  const providers = [];
+  const skipped = [];
+
+  for (const name of config.providers) {
+    const entry = REGISTRY[name];
+    if (!entry) {
+      skipped.push({ name, reason: `unknown provider (available: ${PROVIDER_NAMES.join(', ')})` });
+      continue;
+    }
+    const apiKey = config.keys[name] ?? '';
+    if (entry.secret && !apiKey && config.cacheMode !== 'replay') {
+      skipped.push({ name, reason: `${entry.secret} is not set` });
+      continue;
+    }
+    const http = createHttpClient(name, {
+      mode: config.cacheMode,
+      ttlMs: config.ttlMs,
+      dir: config.cacheDir,
+      minIntervalMs: entry.minIntervalMs,
+      ...(fetch ? { fetch } : {}),
+    });
+    providers.push({ ...entry.create({ apiKey, http, userAgent: config.userAgent }), http });
+  }
+
+  return { providers, skipped };
+}
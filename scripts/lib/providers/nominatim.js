@@ -0,0 +1,57 @@
+/**
+ * OpenStreetMap Nominatim Provider
+ *
+ * Free geocoding with no API key: finds a restaurant's address and
+ * coordinates. OSM has no ratings or reviews, so this provider only fills
+ * in the location when no other provider has. Nominatim's usage policy asks
+ * for an identifying User-Agent and at most one request per second.
+ */
+
+const API = 'https://nominatim.openstreetmap.org';
+
+function toMatch(place) {
+  return {
+    id: `${place.osm_type?.[0]?.toUpperCase() ?? 'N'}${place.osm_id}`,
+    name: place.name ?? '',
+    address: place.display_name ?? '',
+    lat: Number(place.lat) || 0,
+    lng: Number(place.lon) || 0,
+  };
+}
+
+/**
+ * @param {{ userAgent: string, http: ReturnType<typeof import('../http-cache.js').createHttpClient> }} options
+ * @returns {import('./index.js').EnrichmentProvider}
+ */
+export function createNominatimProvider({ userAgent, http }) {
+  const headers = { 'User-Agent': userAgent };
+
+  return {
+    name: 'nominatim',
+    label: 'OpenStreetMap',
+    field: null,
+    pinField: null,
+    location: 'fill',
+
+    idOf() {
+      return undefined;
+    },
+
+    async search({ name, city, state }) {
+      const query = [name, city, state].filter(Boolean).join(', ');
+      const url = `${API}/search?q=${encodeURIComponent(query)}&format=jsonv2&limit=1`;
+      const { body } = await http.getJSON(url, { headers });
+      return Array.isArray(body) && body[0] ? toMatch(body[0]) : null;
+    },
+
+    async details(osmId) {
+      const url = `${API}/lookup?osm_ids=${encodeURIComponent(osmId)}&format=jsonv2`;
+      const { body } = await http.getJSON(url, { headers });
+      return Array.isArray(body) && body[0] ? { ...toMatch(body[0]), rating: null } : null;
+    },
+
+    async reviews() {
+      return [];
+    },
+  };
+}
@@ -0,0 +1,86 @@
+/**
+ * Yelp Fusion Provider
+ *
+ * Business search, business details and review excerpts from the Yelp
+ * Fusion API. A business is identified by its alias. Stores
+ * `{ rating, reviewCount, url, alias }` under `restaurant.yelp`.
+ */
+
+import { yelpBusinessUrl } from '../overrides.js';
+
+const API = 'https://api.yelp.com/v3/businesses';
+
+/**
+ * Yelp alias of a stored listing (older records only kept the URL).
+ * @param {{ alias?: string, url?: string }} [yelp]
+ * @returns {string | undefined}
+ */
+export function yelpAlias(yelp) {
+  if (yelp?.alias) return yelp.alias;
+  const match = yelp?.url?.match(/\/biz\/([^/?#]+)/);
+  return match ? decodeURIComponent(match[1]) : undefined;
+}
+
+/**
+ * @param {{ apiKey: string, http: ReturnType<typeof import('../http-cache.js').createHttpClient> }} options
+ * @returns {import('./index.js').EnrichmentProvider}
+ */
+export function createYelpProvider({ apiKey, http }) {
+  const headers = { Authorization: `Bearer ${apiKey}` };
+
+  return {
+    name: 'yelp',
+    label: 'Yelp',
+    field: 'yelp',
+    pinField: 'yelpAlias',
+
+    idOf(listing) {
+      return yelpAlias(listing.yelp);
+    },
+
+    async search({ name, city }) {
+      const url = `${API}/search?term=${encodeURIComponent(name)}&location=${encodeURIComponent(city)}&limit=1&categories=restaurants`;
+      const { body } = await http.getJSON(url, { headers });
+      const biz = body?.businesses?.[0];
+      if (!biz) return null;
+      return {
+        id: biz.alias,
+        name: biz.name ?? name,
+        address: biz.location?.display_address?.join(', ') ?? '',
+        lat: biz.coordinates?.latitude ?? 0,
+        lng: biz.coordinates?.longitude ?? 0,
+      };
+    },
+
+    async details(alias) {
+      const { body: biz } = await http.getJSON(`${API}/${encodeURIComponent(alias)}`, { headers });
+      if (!biz?.alias) return null;
+      return {
+        id: biz.alias,
+        name: biz.name ?? '',
+        address: biz.location?.display_address?.join(', ') ?? '',
+        lat: biz.coordinates?.latitude ?? 0,
+        lng: biz.coordinates?.longitude ?? 0,
+        rating: {
+          rating: biz.rating || 0,
+          reviewCount: biz.review_count || 0,
+          url: biz.url ? biz.url.split('?')[0] : yelpBusinessUrl(biz.alias),
+          alias: biz.alias,
+        },
+      };
+    },
+
+    async reviews(alias) {
+      const { body } = await http.getJSON(`${API}/${encodeURIComponent(alias)}/reviews?limit=3&sort_by=yelp_sort`, {
+        headers,
+      });
+      return (body?.reviews ?? []).map((r) => ({
+        source: 'yelp',
+        author: r.user?.name ?? 'Yelp user',
+        rating: r.rating,
+        text: r.text?.slice(0, 300) || '',
+        date: (r.time_created ?? '').split(' ')[0],
+      }));
+    },
+  };
+}
@@ -0,0 +1,708 @@
+/**
+ * Data Schema Validation
+ *
+ * Checks data/videos.json, data/restaurants.json, data/blog-posts.json and
+ * data/verdicts.json against the Video, Restaurant, BlogPost and Verdict
+ * interfaces in src/lib/data.ts, plus the cross-references between them:
+ * - every video.restaurantSlug (and each video.restaurants entry) points at
+ *   an existing restaurant
+ * - every restaurant.videoIds entry points at a video that points back
+ * - every blog post and verdict belongs to an existing video (and restaurant)
+ * - every branch a video names (`location`) belongs to its restaurant
+ * - every redirect (data/redirects.json) points at an existing restaurant
+ *   and doesn't shadow a live page
+ * - no restaurant has a slug the site's own pages or languages use
+ *
+ * Each issue carries the file path and a JSON pointer (RFC 6901) to the
+ * offending value, e.g. `data/videos.json#/3/restaurantSlug`.
+ *
+ * Used by `npm run validate` and by every script that writes data/*.json.
+ */
+
+import { videoRestaurantSlugs } from './video.js';
+import { isReservedSlug } from './slug.js';
+import { videoLocationId, getLocations } from './locations.js';
+import { SENTIMENTS, VERDICT_SOURCES } from './verdict.js';
+import { POST_STATUSES } from './editorial.js';
+import { CLAIM_KINDS, FLAG_PROBLEMS } from './fact-check.js';
+
+export const VIDEOS_FILE = 'data/videos.json';
+export const RESTAURANTS_FILE = 'data/restaurants.json';
+export const BLOG_POSTS_FILE = 'data/blog-posts.json';
+export const REDIRECTS_FILE = 'data/redirects.json';
+export const VERDICTS_FILE = 'data/verdicts.json';
+
+// ---- Schemas ----
+// Field type is one of: string, number, integer, boolean, array, object,
+// or a nested schema. A trailing `?` marks the field optional.
+
+const VIDEO_STATS_SCHEMA = {
+  likes: 'number',
+  comments: 'number',
+  shares: 'number',
+};
+
+const VIDEO_SCHEMA = {
+  videoId: 'string',
+  caption: 'string',
+  createTime: 'integer',
+  thumbnailUrl: 'string',
+  embedUrl: 'string',
+  restaurantSlug: 'string',
+  city: 'string',
+  cuisine: 'string',
+  stats: VIDEO_STATS_SCHEMA,
+  'restaurants?': 'array',
+  'location?': 'string',
+  'verdictScore?': 'number',
+};
+
+const VIDEO_RESTAURANT_SCHEMA = {
+  slug: 'string',
+  'start?': 'number',
+  'location?': 'string',
+};
+
+const RATING_SCHEMA = {
+  rating: 'number',
+  reviewCount: 'number',
+  'placeId?': 'string',
+  'url?': 'string',
+  'alias?': 'string',
+};
+
+const REVIEW_SCHEMA = {
+  source: 'string',
+  author: 'string',
+  rating: 'number',
+  text: 'string',
+  date: 'string',
+};
+
+// Listing facts from Google Places, on a restaurant or one of its branches
+const LISTING_INFO_SCHEMA = {
+  'priceLevel?': 'integer',
+  'openingHours?': 'array',
+  'website?': 'string',
+  'phone?': 'string',
+  'businessStatus?': 'string',
+  'editorialSummary?': 'string',
+};
+
+const RESTAURANT_SCHEMA = {
+  name: 'string',
+  slug: 'string',
+  city: 'string',
+  state: 'string',
+  'locality?': 'string',
+  'neighborhood?': 'string',
+  cuisine: 'string',
+  address: 'string',
+  lat: 'number',
+  lng: 'number',
+  google: RATING_SCHEMA,
+  'yelp?': RATING_SCHEMA,
+  'foursquare?': RATING_SCHEMA,
+  ...LISTING_INFO_SCHEMA,
+  reviews: 'array',
+  videoIds: 'array',
+  'locations?': 'array',
+};
+
+const LOCATION_SCHEMA = {
+  id: 'string',
+  'name?': 'string',
+  address: 'string',
+  city: 'string',
+  state: 'string',
+  'locality?': 'string',
+  'neighborhood?': 'string',
+  lat: 'number',
+  lng: 'number',
+  google: RATING_SCHEMA,
+  'yelp?': RATING_SCHEMA,
+  'foursquare?': RATING_SCHEMA,
+  ...LISTING_INFO_SCHEMA,
+  'reviews?': 'array',
+};
+
+const FACT_CHECK_SCHEMA = {
+  checkedAt: 'string',
+  passed: 'boolean',
+  flags: 'array',
+};
+
+const FACT_FLAG_SCHEMA = {
+  kind: 'string',
+  claim: 'string',
+  problem: 'string',
+  detail: 'string',
+};
+
+const BLOG_POST_SCHEMA = {
+  videoId: 'string',
+  slug: 'string',
+  restaurantSlug: 'string',
+  restaurantName: 'string',
+  city: 'string',
+  cuisine: 'string',
+  title: 'string',
+  summary: 'string',
+  content: 'string',
+  'model?': 'string',
+  'template?': 'string',
+  transcript: 'string',
+  'transcriptDuration?': 'number',
+  'segments?': 'array',
+  'transcriptLanguage?': 'string',
+  thumbnailUrl: 'string',
+  embedUrl: 'string',
+  createTime: 'integer',
+  generatedAt: 'string',
+  status: 'string',
+  'reviewedAt?': 'string',
+  'reviewNote?': 'string',
+  'publishedAt?': 'string',
+  'factCheck?': FACT_CHECK_SCHEMA,
+  'factCheckOverriddenAt?': 'string',
+  'revision?': {
+    title: 'string',
+    summary: 'string',
+    content: 'string',
+    'model?': 'string',
+    'template?': 'string',
+    generatedAt: 'string',
+    'factCheck?': FACT_CHECK_SCHEMA,
+  },
+};
+
+const TRANSCRIPT_SEGMENT_SCHEMA = {
+  start: 'number',
+  end: 'number',
+  text: 'string',
+};
+
+const VERDICT_DISH_SCHEMA = {
+  name: 'string',
+  sentiment: 'string',
+  'note?': 'string',
+};
+
+const VERDICT_SCHEMA = {
+  videoId: 'string',
+  score: 'number',
+  worthIt: 'boolean',
+  summary: 'string',
+  dishes: 'array',
+  'pricePaid?': 'number',
+  'waitMinutes?': 'number',
+  source: 'string',
+  model: 'string',
+  'template?': 'string',
+  extractedAt: 'string',
+};
+
+const REDIRECT_SCHEMA = {
+  from: 'string',
+  to: 'string',
+  videoIds: 'array',
+  'reason?': 'string',
+  'date?': 'string',
+  'postSlugs?': 'object',
+};
+
+const REVIEW_SOURCES = ['google', 'yelp'];
+const BUSINESS_STATUSES = ['OPERATIONAL', 'CLOSED_TEMPORARILY', 'CLOSED_PERMANENTLY'];
+
+// ---- Helpers ----
+
+/** Escape a single JSON pointer reference token (RFC 6901). */
+function escapePointerToken(token) {
+  return String(token).replace(/~/g, '~0').replace(/\//g, '~1');
+}
+
+/** Build a JSON pointer from a list of reference tokens. */
+export function jsonPointer(...tokens) {
+  return tokens.map((t) => `/${escapePointerToken(t)}`).join('');
+}
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  switch (type) {
+    case 'integer':
+      return Number.isInteger(value);
+    case 'number':
+      return typeof value === 'number' && Number.isFinite(value);
+    case 'array':
+      return Array.isArray(value);
+    case 'object':
+      return typeOf(value) === 'object';
+    default:
+      return typeof value === type;
+  }
+}
+
+/**
+ * Check `value` against a field schema, pushing one issue per missing field
+ * or bad type. Nested schemas are checked recursively.
+ */
+function checkShape(value, schema, file, pointer, issues) {
+  if (typeOf(value) !== 'object') {
+    issues.push({ file, pointer, message: `expected object, got ${typeOf(value)}` });
+    return false;
+  }
+
+  for (const [rawKey, type] of Object.entries(schema)) {
+    const optional = rawKey.endsWith('?');
+    const key = optional ? rawKey.slice(0, -1) : rawKey;
+    const fieldPointer = `${pointer}/${escapePointerToken(key)}`;
+    const fieldValue = value[key];
+
+    if (fieldValue === undefined || (optional && fieldValue === null)) {
+      if (!optional) issues.push({ file, pointer: fieldPointer, message: 'missing required field' });
+      continue;
+    }
+
+    if (typeof type === 'object') {
+      checkShape(fieldValue, type, file, fieldPointer, issues);
+    } else if (!matchesType(fieldValue, type)) {
+      issues.push({
+        file,
+        pointer: fieldPointer,
+        message: `expected ${type}, got ${typeOf(fieldValue)}`,
+      });
+    }
+  }
+  return true;
+}
+
+// ---- Validators ----
+
+function validateVideos(videos, restaurants, options, issues) {
+  if (!Array.isArray(videos)) {
+    issues.push({ file: VIDEOS_FILE, pointer: '', message: `expected array, got ${typeOf(videos)}` });
+    return;
+  }
+
+  const seen = new Map();
+  videos.forEach((video, i) => {
+    const pointer = jsonPointer(i);
+    if (!checkShape(video, VIDEO_SCHEMA, VIDEOS_FILE, pointer, issues)) return;
+
+    if (typeof video.videoId === 'string') {
+      if (seen.has(video.videoId)) {
+        issues.push({
+          file: VIDEOS_FILE,
+          pointer: `${pointer}/videoId`,
+          message: `duplicate videoId "${video.videoId}" (first seen at ${jsonPointer(seen.get(video.videoId))})`,
+        });
+      } else {
+        seen.set(video.videoId, i);
+      }
+    }
+
+    if (typeof video.restaurantSlug !== 'string') return;
+    if (!video.restaurantSlug) {
+      if (!options.allowPending) {
+        issues.push({
+          file: VIDEOS_FILE,
+          pointer: `${pointer}/restaurantSlug`,
+          message: 'video has not been matched to a restaurant yet',
+        });
+      }
+    } else if (restaurants && !Object.hasOwn(restaurants, video.restaurantSlug)) {
+      issues.push({
+        file: VIDEOS_FILE,
+        pointer: `${pointer}/restaurantSlug`,
+        message: `references unknown restaurant "${video.restaurantSlug}"`,
+      });
+    }
+
+    if (Array.isArray(video.restaurants)) {
+      validateVideoRestaurants(video, restaurants, pointer, issues);
+    }
+    if (restaurants && typeof video.location === 'string') {
+      checkVideoLocation(video, video.restaurantSlug, restaurants, `${pointer}/location`, issues);
+    }
+  });
+}
+
+/** Check that the branch a video names belongs to the restaurant. */
+function checkVideoLocation(video, slug, restaurants, pointer, issues) {
+  const id = videoLocationId(video, slug);
+  const restaurant = restaurants[slug];
+  if (!id || !restaurant) return;
+  if (!getLocations(restaurant).some((l) => l?.id === id)) {
+    issues.push({ file: VIDEOS_FILE, pointer, message: `"${slug}" has no location "${id}"` });
+  }
+}
+
+/** Check the featured-restaurant list of a multi-restaurant video. */
+function validateVideoRestaurants(video, restaurants, pointer, issues) {
+  const seen = new Set();
+  video.restaurants.forEach((entry, i) => {
+    const entryPointer = `${pointer}/restaurants/${i}`;
+    if (!checkShape(entry, VIDEO_RESTAURANT_SCHEMA, VIDEOS_FILE, entryPointer, issues)) return;
+    if (typeof entry.slug !== 'string') return;
+
+    if (seen.has(entry.slug)) {
+      issues.push({ file: VIDEOS_FILE, pointer: `${entryPointer}/slug`, message: `duplicate restaurant "${entry.slug}"` });
+    }
+    seen.add(entry.slug);
+
+    if (i === 0 && entry.slug !== video.restaurantSlug) {
+      issues.push({
+        file: VIDEOS_FILE,
+        pointer: `${entryPointer}/slug`,
+        message: `first entry must be the primary restaurant "${video.restaurantSlug}"`,
+      });
+    }
+    if (restaurants && !Object.hasOwn(restaurants, entry.slug)) {
+      issues.push({
+        file: VIDEOS_FILE,
+        pointer: `${entryPointer}/slug`,
+        message: `references unknown restaurant "${entry.slug}"`,
+      });
+    }
+    if (restaurants && typeof entry.location === 'string') {
+      checkVideoLocation(video, entry.slug, restaurants, `${entryPointer}/location`, issues);
+    }
+    if (typeof entry.start === 'number' && entry.start < 0) {
+      issues.push({ file: VIDEOS_FILE, pointer: `${entryPointer}/start`, message: 'start must not be negative' });
+    }
+  });
+}
+
+function validateReviews(reviews, pointer, issues) {
+  if (!Array.isArray(reviews)) return;
+  reviews.forEach((review, i) => {
+    const reviewPointer = `${pointer}/${i}`;
+    checkShape(review, REVIEW_SCHEMA, RESTAURANTS_FILE, reviewPointer, issues);
+    if (typeof review?.source === 'string' && !REVIEW_SOURCES.includes(review.source)) {
+      issues.push({
+        file: RESTAURANTS_FILE,
+        pointer: `${reviewPointer}/source`,
+        message: `expected one of ${REVIEW_SOURCES.join(', ')}, got "${review.source}"`,
+      });
+    }
+  });
+}
+
+function validateListingInfo(listing, pointer, issues) {
+  if (typeof listing.businessStatus === 'string' && !BUSINESS_STATUSES.includes(listing.businessStatus)) {
+    issues.push({
+      file: RESTAURANTS_FILE,
+      pointer: `${pointer}/businessStatus`,
+      message: `expected one of ${BUSINESS_STATUSES.join(', ')}, got "${listing.businessStatus}"`,
+    });
+  }
+  if (Number.isInteger(listing.priceLevel) && (listing.priceLevel < 0 || listing.priceLevel > 4)) {
+    issues.push({ file: RESTAURANTS_FILE, pointer: `${pointer}/priceLevel`, message: 'expected 0 to 4' });
+  }
+}
+
+function validateRestaurants(restaurants, videos, issues) {
+  if (typeOf(restaurants) !== 'object') {
+    issues.push({ file: RESTAURANTS_FILE, pointer: '', message: `expected object, got ${typeOf(restaurants)}` });
+    return;
+  }
+
+  const videosById = new Map(
+    (Array.isArray(videos) ? videos : []).map((v) => [v?.videoId, v])
+  );
+
+  for (const [key, restaurant] of Object.entries(restaurants)) {
+    const pointer = jsonPointer(key);
+    if (!checkShape(restaurant, RESTAURANT_SCHEMA, RESTAURANTS_FILE, pointer, issues)) continue;
+
+    if (isReservedSlug(key)) {
+      issues.push({
+        file: RESTAURANTS_FILE,
+        pointer,
+        message: `slug "${key}" is reserved for the site's own pages`,
+      });
+    }
+
+    if (typeof restaurant.slug === 'string' && restaurant.slug !== key) {
+      issues.push({
+        file: RESTAURANTS_FILE,
+        pointer: `${pointer}/slug`,
+        message: `slug "${restaurant.slug}" does not match its key "${key}"`,
+      });
+    }
+
+    validateReviews(restaurant.reviews, `${pointer}/reviews`, issues);
+    validateListingInfo(restaurant, pointer, issues);
+
+    if (Array.isArray(restaurant.locations)) {
+      const ids = new Set();
+      restaurant.locations.forEach((location, i) => {
+        const locationPointer = `${pointer}/locations/${i}`;
+        if (!checkShape(location, LOCATION_SCHEMA, RESTAURANTS_FILE, locationPointer, issues)) return;
+        if (typeof location.id === 'string') {
+          if (!location.id || ids.has(location.id)) {
+            issues.push({
+              file: RESTAURANTS_FILE,
+              pointer: `${locationPointer}/id`,
+              message: location.id ? `duplicate location id "${location.id}"` : 'location id must not be empty',
+            });
+          }
+          ids.add(location.id);
+        }
+        validateReviews(location.reviews, `${locationPointer}/reviews`, issues);
+        validateListingInfo(location, locationPointer, issues);
+      });
+    }
+
+    if (Array.isArray(restaurant.videoIds)) {
+      restaurant.videoIds.forEach((videoId, i) => {
+        const idPointer = `${pointer}/videoIds/${i}`;
+        if (typeof videoId !== 'string') {
+          issues.push({ file: RESTAURANTS_FILE, pointer: idPointer, message: `expected string, got ${typeOf(videoId)}` });
+          return;
+        }
+        const video = videosById.get(videoId);
+        if (!video) {
+          issues.push({
+            file: RESTAURANTS_FILE,
+            pointer: idPointer,
+            message: `orphaned videoIds entry: no video "${videoId}"`,
+          });
+        } else if (!videoRestaurantSlugs(video).includes(key)) {
+          issues.push({
+            file: RESTAURANTS_FILE,
+            pointer: idPointer,
+            message: `orphaned videoIds entry: video "${videoId}" belongs to "${video.restaurantSlug || '(none)'}"`,
+          });
+        }
+      });
+    }
+  }
+}
+
+function validateBlogPosts(blogPosts, videos, restaurants, issues) {
+  if (typeOf(blogPosts) !== 'object') {
+    issues.push({ file: BLOG_POSTS_FILE, pointer: '', message: `expected object, got ${typeOf(blogPosts)}` });
+    return;
+  }
+
+  const videoIds = new Set((Array.isArray(videos) ? videos : []).map((v) => v?.videoId));
+  const slugs = new Map();
+
+  for (const [key, post] of Object.entries(blogPosts)) {
+    const pointer = jsonPointer(key);
+    if (!checkShape(post, BLOG_POST_SCHEMA, BLOG_POSTS_FILE, pointer, issues)) continue;
+
+    if (typeof post.videoId === 'string') {
+      if (post.videoId !== key) {
+        issues.push({
+          file: BLOG_POSTS_FILE,
+          pointer: `${pointer}/videoId`,
+          message: `videoId "${post.videoId}" does not match its key "${key}"`,
+        });
+      }
+      if (!videoIds.has(post.videoId)) {
+        issues.push({
+          file: BLOG_POSTS_FILE,
+          pointer: `${pointer}/videoId`,
+          message: `references unknown video "${post.videoId}"`,
+        });
+      }
+    }
+
+    if (post.restaurantSlug && restaurants && !Object.hasOwn(restaurants, post.restaurantSlug)) {
+      issues.push({
+        file: BLOG_POSTS_FILE,
+        pointer: `${pointer}/restaurantSlug`,
+        message: `references unknown restaurant "${post.restaurantSlug}"`,
+      });
+    }
+
+    if (typeof post.slug === 'string') {
+      if (slugs.has(post.slug)) {
+        issues.push({
+          file: BLOG_POSTS_FILE,
+          pointer: `${pointer}/slug`,
+          message: `duplicate slug "${post.slug}" (also used by ${jsonPointer(slugs.get(post.slug))})`,
+        });
+      } else {
+        slugs.set(post.slug, key);
+      }
+    }
+
+    if (typeof post.status === 'string' && !POST_STATUSES.includes(post.status)) {
+      issues.push({
+        file: BLOG_POSTS_FILE,
+        pointer: `${pointer}/status`,
+        message: `expected one of ${POST_STATUSES.join(', ')}, got "${post.status}"`,
+      });
+    }
+
+    for (const [checkPointer, factCheck] of [
+      [`${pointer}/factCheck`, post.factCheck],
+      [`${pointer}/revision/factCheck`, post.revision?.factCheck],
+    ]) {
+      if (!Array.isArray(factCheck?.flags)) continue;
+      factCheck.flags.forEach((flag, i) => {
+        const flagPointer = `${checkPointer}/flags/${i}`;
+        if (!checkShape(flag, FACT_FLAG_SCHEMA, BLOG_POSTS_FILE, flagPointer, issues)) return;
+        if (typeof flag.kind === 'string' && !CLAIM_KINDS.includes(flag.kind)) {
+          issues.push({ file: BLOG_POSTS_FILE, pointer: `${flagPointer}/kind`, message: `expected one of ${CLAIM_KINDS.join(', ')}, got "${flag.kind}"` });
+        }
+        if (typeof flag.problem === 'string' && !FLAG_PROBLEMS.includes(flag.problem)) {
+          issues.push({ file: BLOG_POSTS_FILE, pointer: `${flagPointer}/problem`, message: `expected one of ${FLAG_PROBLEMS.join(', ')}, got "${flag.problem}"` });
+        }
+      });
+      if (typeof factCheck.passed === 'boolean' && factCheck.passed !== (factCheck.flags.length === 0)) {
+        issues.push({ file: BLOG_POSTS_FILE, pointer: `${checkPointer}/passed`, message: 'passed must mean no flags' });
+      }
+    }
+
+    if (Array.isArray(post.segments)) {
+      let previousStart = 0;
+      post.segments.forEach((segment, i) => {
+        const segmentPointer = `${pointer}/segments/${i}`;
+        if (!checkShape(segment, TRANSCRIPT_SEGMENT_SCHEMA, BLOG_POSTS_FILE, segmentPointer, issues)) return;
+        if (typeof segment.start !== 'number' || typeof segment.end !== 'number') return;
+        if (segment.start < previousStart) {
+          issues.push({ file: BLOG_POSTS_FILE, pointer: `${segmentPointer}/start`, message: 'segments must be in order of start time' });
+        }
+        if (segment.end < segment.start) {
+          issues.push({ file: BLOG_POSTS_FILE, pointer: `${segmentPointer}/end`, message: 'ends before it starts' });
+        }
+        previousStart = segment.start;
+      });
+    }
+  }
+}
+
+function validateVerdicts(verdicts, videos, issues) {
+  if (typeOf(verdicts) !== 'object') {
+    issues.push({ file: VERDICTS_FILE, pointer: '', message: `expected object, got ${typeOf(verdicts)}` });
+    return;
+  }
+
+  const videoIds = Array.isArray(videos) ? new Set(videos.map((v) => v?.videoId)) : null;
+
+  for (const [key, verdict] of Object.entries(verdicts)) {
+    const pointer = jsonPointer(key);
+    if (!checkShape(verdict, VERDICT_SCHEMA, VERDICTS_FILE, pointer, issues)) continue;
+
+    if (typeof verdict.videoId === 'string') {
+      if (verdict.videoId !== key) {
+        issues.push({
+          file: VERDICTS_FILE,
+          pointer: `${pointer}/videoId`,
+          message: `videoId "${verdict.videoId}" does not match its key "${key}"`,
+        });
+      }
+      if (videoIds && !videoIds.has(verdict.videoId)) {
+        issues.push({ file: VERDICTS_FILE, pointer: `${pointer}/videoId`, message: `references unknown video "${verdict.videoId}"` });
+      }
+    }
+    if (typeof verdict.score === 'number' && (verdict.score < 0 || verdict.score > 10)) {
+      issues.push({ file: VERDICTS_FILE, pointer: `${pointer}/score`, message: 'expected 0 to 10' });
+    }
+    if (typeof verdict.source === 'string' && !VERDICT_SOURCES.includes(verdict.source)) {
+      issues.push({
+        file: VERDICTS_FILE,
+        pointer: `${pointer}/source`,
+        message: `expected one of ${VERDICT_SOURCES.join(', ')}, got "${verdict.source}"`,
+      });
+    }
+    for (const field of ['pricePaid', 'waitMinutes']) {
+      if (typeof verdict[field] === 'number' && verdict[field] < 0) {
+        issues.push({ file: VERDICTS_FILE, pointer: `${pointer}/${field}`, message: 'must not be negative' });
+      }
+    }
+    if (Array.isArray(verdict.dishes)) {
+      verdict.dishes.forEach((dish, i) => {
+        const dishPointer = `${pointer}/dishes/${i}`;
+        if (!checkShape(dish, VERDICT_DISH_SCHEMA, VERDICTS_FILE, dishPointer, issues)) return;
+        if (typeof dish.sentiment === 'string' && !SENTIMENTS.includes(dish.sentiment)) {
+          issues.push({
+            file: VERDICTS_FILE,
+            pointer: `${dishPointer}/sentiment`,
+            message: `expected one of ${SENTIMENTS.join(', ')}, got "${dish.sentiment}"`,
+          });
+        }
+      });
+    }
+  }
+}
+
+function validateRedirects(redirects, restaurants, issues) {
+  if (!Array.isArray(redirects)) {
+    issues.push({ file: REDIRECTS_FILE, pointer: '', message: `expected array, got ${typeOf(redirects)}` });
+    return;
+  }
+
+  redirects.forEach((entry, i) => {
+    const pointer = jsonPointer(i);
+    if (!checkShape(entry, REDIRECT_SCHEMA, REDIRECTS_FILE, pointer, issues)) return;
+    if (!restaurants) return;
+
+    if (typeof entry.to === 'string' && !Object.hasOwn(restaurants, entry.to)) {
+      issues.push({
+        file: REDIRECTS_FILE,
+        pointer: `${pointer}/to`,
+        message: `redirects to unknown restaurant "${entry.to}"`,
+      });
+    }
+    const live = restaurants[entry.from];
+    if (live && Array.isArray(entry.videoIds) && Array.isArray(live.videoIds)) {
+      const shadowed = entry.videoIds.filter((id) => live.videoIds.includes(id));
+      if (shadowed.length > 0) {
+        issues.push({
+          file: REDIRECTS_FILE,
+          pointer: `${pointer}/from`,
+          message: `"${entry.from}" still lists ${shadowed.map((id) => `"${id}"`).join(', ')}; the redirect would replace a live page`,
+        });
+      }
+    }
+  });
+}
+
+// ---- Public API ----
+
+/**
+ * Validate the full data set. Any of the inputs may be omitted, in
+ * which case its own checks (and references into it) are skipped.
+ *
+ * Options:
+ *   allowPending — don't flag videos with an empty restaurantSlug (freshly
+ *                  scraped videos that enrichment could not match yet)
+ *
+ * Returns an array of `{ file, pointer, message }` issues (empty when valid).
+ */
+export function validateData({ videos, restaurants, blogPosts, verdicts, redirects } = {}, options = {}) {
+  const issues = [];
+  if (videos !== undefined) validateVideos(videos, restaurants, options, issues);
+  if (restaurants !== undefined) validateRestaurants(restaurants, videos, issues);
+  if (blogPosts !== undefined) validateBlogPosts(blogPosts, videos, restaurants, issues);
+  if (verdicts !== undefined) validateVerdicts(verdicts, videos, issues);
+  if (redirects !== undefined) validateRedirects(redirects, restaurants, issues);
+  return issues;
+}
+
+/** Render an issue as `file#/pointer: message`. */
+export function formatIssue(issue) {
+  return `${issue.file}#${issue.pointer}: ${issue.message}`;
+}
+
+/**
+ * Validate before writing: logs every issue through `log` and throws if
+ * there are any, so callers never persist data the site can't build from.
+ */
+export function assertValidData(data, { log = console.error, ...options } = {}) {
+  const issues = validateData(data, options);
+  if (issues.length > 0) {
+    for (const issue of issues) log(`  ${formatIssue(issue)}`);
+    throw new Error(`Data validation failed with ${issues.length} issue(s); nothing was written`);
+  }
+}
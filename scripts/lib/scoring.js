@@ -0,0 +1,154 @@
+/**
+ * Restaurant Score
+ *
+ * One 0–5 score per restaurant (or chain branch), used for every ranking
+ * on the site and the rating in OG images. Third-party ratings are pooled
+ * into a Bayesian average, so a 5.0 from a dozen reviews doesn't outrank a
+ * 4.7 from ten thousand, and the @oneminreviews verdict (0–10), when there
+ * is one, is blended in on top:
+ *
+ *   crowd = (prior.rating × prior.reviews + Σ weight × reviewCount × rating)
+ *           / (prior.reviews + Σ weight × reviewCount)
+ *   score = crowd × (1 − verdict) + (verdict score / 2) × verdict
+ *
+ * `sources` weighs each rating source's reviews (a Yelp review can count for
+ * less than a Google one, Foursquare for nothing). The weights live in
+ * data/scoring.json; anything it leaves out falls back to DEFAULT_WEIGHTS.
+ *
+ * Pure functions only — shared by src/lib/data.ts and
+ * generate-og-images.js.
+ */
+
+/**
+ * @typedef {Object} ScoringWeights
+ * @property {{ rating: number, reviews: number }} prior - the rating an unknown place is assumed to have, and how many reviews that assumption is worth
+ * @property {Record<string, number>} sources - weight of one review per rating source (`google`, `yelp`, `foursquare`)
+ * @property {number} verdict - share of the score that comes from the reviewer's verdict, 0–1
+ */
+
+/**
+ * @typedef {Object} SourceScore
+ * @property {string} source
+ * @property {number} rating
+ * @property {number} reviewCount
+ * @property {number} weight
+ */
+
+/**
+ * How a score was reached, for display next to it.
+ * @typedef {Object} ScoreBreakdown
+ * @property {number} score - 0–5, rounded to 2 decimals
+ * @property {number} crowd - the Bayesian average of the third-party ratings
+ * @property {SourceScore[]} sources - the ratings that counted
+ * @property {{ rating: number, reviews: number }} prior
+ * @property {{ score: number, weight: number }} [verdict] - reviewer's score out of 10
+ */
+
+/** @type {ScoringWeights} */
+export const DEFAULT_WEIGHTS = {
+  prior: { rating: 3.8, reviews: 200 },
+  sources: { google: 1, yelp: 1, foursquare: 0 },
+  verdict: 0.25,
+};
+
+/**
+ * Weights from data/scoring.json over the defaults. Throws on a weight that
+ * isn't a non-negative number, so a typo can't silently reorder the site.
+ * @param {any} [config]
+ * @returns {ScoringWeights}
+ */
+export function scoringWeights(config = {}) {
+  const weights = {
+    prior: { ...DEFAULT_WEIGHTS.prior, ...config.prior },
+    sources: { ...DEFAULT_WEIGHTS.sources, ...config.sources },
+    verdict: config.verdict ?? DEFAULT_WEIGHTS.verdict,
+  };
+  const numbers = [
+    ['prior.rating', weights.prior.rating],
+    ['prior.reviews', weights.prior.reviews],
+    ['verdict', weights.verdict],
+    ...Object.entries(weights.sources).map(([source, weight]) => [`sources.${source}`, weight]),
+  ];
+  for (const [name, value] of numbers) {
+    if (typeof value !== 'number' || !Number.isFinite(value) || value < 0) {
+      throw new Error(`scoring weight ${name} must be a non-negative number, got ${JSON.stringify(value)}`);
+    }
+  }
+  if (weights.verdict > 1) throw new Error(`scoring weight verdict must be between 0 and 1, got ${weights.verdict}`);
+  return weights;
+}
+
+/**
+ * Score a restaurant or branch from its ratings and, optionally, the
+ * reviewer's verdict. Returns undefined when there is nothing to score it
+ * on (no weighted ratings and no verdict), so unrated places rank last
+ * rather than at the prior.
+ * @param {Record<string, any>} listing - restaurant or branch with `google`, `yelp`, ... rating data
+ * @param {{ verdict?: number, weights?: ScoringWeights }} [options]
+ * @returns {ScoreBreakdown | undefined}
+ */
+export function scoreListing(listing, { verdict, weights = DEFAULT_WEIGHTS } = {}) {
+  /** @type {SourceScore[]} */
+  const sources = [];
+  for (const [source, weight] of Object.entries(weights.sources)) {
+    const data = listing[source];
+    if (weight > 0 && data?.rating > 0 && data.reviewCount > 0) {
+      sources.push({ source, rating: data.rating, reviewCount: data.reviewCount, weight });
+    }
+  }
+  const hasVerdict = typeof verdict === 'number' && Number.isFinite(verdict);
+  if (sources.length === 0 && !hasVerdict) return undefined;
+
+  const { prior } = weights;
+  let total = prior.rating * prior.reviews;
+  let count = prior.reviews;
+  for (const s of sources) {
+    total += s.weight * s.reviewCount * s.rating;
+    count += s.weight * s.reviewCount;
+  }
+  const crowd = count > 0 ? total / count : prior.rating;
+
+  const score = hasVerdict
+    ? crowd * (1 - weights.verdict) + (clamp(verdict, 0, 10) / 2) * weights.verdict
+    : crowd;
+  return {
+    score: round(score),
+    crowd: round(crowd),
+    sources,
+    prior,
+    ...(hasVerdict ? { verdict: { score: clamp(verdict, 0, 10), weight: weights.verdict } } : {}),
+  };
+}
+
+/**
+ * A score for display: one decimal ("4.6").
+ * @param {number} score
+ * @returns {string}
+ */
+export function formatScore(score) {
+  return score.toFixed(1);
+}
+
+const SOURCE_LABELS = { google: 'Google', yelp: 'Yelp', foursquare: 'Foursquare' };
+
+/**
+ * What a score is based on, in one line: "Google 4.5 (12,000) · Yelp 4.0
+ * (3,100) · verdict 8/10".
+ * @param {ScoreBreakdown} breakdown
+ * @returns {string}
+ */
+export function describeScore(breakdown) {
+  const parts = breakdown.sources.map(
+    (s) => `${SOURCE_LABELS[s.source] ?? s.source} ${s.rating.toFixed(1)} (${s.reviewCount.toLocaleString('en-US')})`
+  );
+  if (breakdown.verdict) parts.push(`verdict ${breakdown.verdict.score}/10`);
+  return parts.join(' · ');
+}
+
+function clamp(n, min, max) {
+  return Math.min(max, Math.max(min, n));
+}
+
+function round(n) {
+  return Math.round(n * 100) / 100;
+}
@@ -0,0 +1,349 @@
+/**
+ * Full-Text Search
+ *
+ * The site's search runs entirely in the browser against an index built at
+ * build time (src/pages/search-index.json.ts), so it works on GitHub Pages
+ * with no search service and offline once the page and index are loaded.
+ *
+ * Build time:  buildSearchIndex(documents) → a compact JSON index
+ * Browser:     searchIndex(index, query, filters) → ranked results + facets
+ *
+ * Documents are video pages (which are also the restaurant pages, so they
+ * carry the restaurant's details and review snippets), blog posts and dish
+ * pages. Each
+ * has weighted text fields (title, names, caption, post, transcript,
+ * reviews) that are tokenized into one inverted index. A term's
+ * weight in a document is precomputed with BM25F (field-weighted term
+ * frequency, length-normalized, times IDF), so ranking a query is a sum of
+ * lookups. Query terms also match indexed terms that start with them
+ * (prefix matching, so results appear while typing) and terms within one or
+ * two edits (typo tolerance), at a discount.
+ *
+ * Pure functions only — shared by the build and the client-side search page.
+ */
+
+export const SEARCH_INDEX_VERSION = 1;
+
+/** Field weights: a match in a title counts far more than one in a transcript. */
+export const FIELD_WEIGHTS = {
+  title: 6,
+  names: 4,
+  place: 3,
+  caption: 2,
+  post: 1.5,
+  transcript: 1,
+  reviews: 1,
+};
+
+/** Minimum ratings offered as the rating facet. */
+export const RATING_BUCKETS = [4.5, 4, 3.5];
+
+const K1 = 1.2;
+const B = 0.75;
+const PREFIX_FACTOR = 0.7;
+const TYPO_FACTOR = [1, 0.5, 0.3];
+const MIN_PREFIX_LENGTH = 2;
+
+const STOP_WORDS = new Set(
+  'a an and are as at be but by for from has have i if in into is it its of on or our so that the their then there this to was we were what when which who will with you your'.split(
+    ' '
+  )
+);
+
+// ---- Text ----
+
+/**
+ * Light English stemming: plural and possessive endings only, so "tacos"
+ * finds "taco" without conflating unrelated words.
+ * @param {string} word
+ * @returns {string}
+ */
+export function stem(word) {
+  if (word.length > 4 && word.endsWith('ies')) return `${word.slice(0, -3)}y`;
+  if (word.length > 4 && /(ches|shes|sses|xes)$/.test(word)) return word.slice(0, -2);
+  if (word.length > 3 && word.endsWith('s') && !/(ss|us|is)$/.test(word)) return word.slice(0, -1);
+  return word;
+}
+
+/**
+ * Lowercased, accent-free, stemmed words of `text`, without stop words.
+ * @param {string} text
+ * @returns {string[]}
+ */
+export function tokenize(text) {
+  return (text ?? '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/['’]s\b/g, '')
+    .split(/[^a-z0-9]+/)
+    .filter((word) => word && !STOP_WORDS.has(word))
+    .map(stem);
+}
+
+/**
+ * Edit distance between two words (insertions, deletions, substitutions and
+ * adjacent transpositions), or `max + 1` once it exceeds `max`.
+ * @param {string} a
+ * @param {string} b
+ * @param {number} max
+ * @returns {number}
+ */
+export function editDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+  let prevPrev = [];
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const row = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      row[j] = Math.min(prev[j] + 1, row[j - 1] + 1, prev[j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        row[j] = Math.min(row[j], prevPrev[j - 2] + 1);
+      }
+      rowMin = Math.min(rowMin, row[j]);
+    }
+    if (rowMin > max) return max + 1;
+    prevPrev = prev;
+    prev = row;
+  }
+  return prev[b.length];
+}
+
+/** Typos tolerated for a query word of this length. */
+function maxTypos(length) {
+  if (length >= 8) return 2;
+  if (length >= 4) return 1;
+  return 0;
+}
+
+// ---- Index ----
+
+/**
+ * @typedef {object} SearchDocument
+ * @property {string} id - unique across the index, e.g. "video:123"
+ * @property {'video' | 'post' | 'dish'} type
+ * @property {string} title
+ * @property {string} url
+ * @property {string} [city]
+ * @property {string} [cuisine]
+ * @property {string[]} [dishes] - canonical dishes the restaurant is known for (data/dishes.json)
+ * @property {number} [rating] - Google rating, 0 when unknown
+ * @property {string} [snippet] - short text shown under the result
+ * @property {number} [date] - unix seconds
+ * @property {Partial<Record<keyof typeof FIELD_WEIGHTS, string>>} fields - searchable text
+ */
+
+/**
+ * Build the search index for a set of documents. The result is plain JSON:
+ * `docs` keeps what a result needs for display and filtering, `terms` maps
+ * each indexed term to `[docIndex, weight, docIndex, weight, ...]`.
+ * @param {SearchDocument[]} documents
+ */
+export function buildSearchIndex(documents) {
+  const fieldNames = /** @type {(keyof typeof FIELD_WEIGHTS)[]} */ (Object.keys(FIELD_WEIGHTS));
+  const tokenized = documents.map((doc) =>
+    Object.fromEntries(fieldNames.map((field) => [field, tokenize(doc.fields[field] ?? '')]))
+  );
+
+  const avgLength = Object.fromEntries(
+    fieldNames.map((field) => [
+      field,
+      tokenized.reduce((sum, fields) => sum + fields[field].length, 0) / Math.max(documents.length, 1) || 1,
+    ])
+  );
+
+  /** @type {Map<string, Map<number, number>>} term → doc → BM25F pseudo term frequency */
+  const postings = new Map();
+  tokenized.forEach((fields, docIndex) => {
+    for (const field of fieldNames) {
+      const words = fields[field];
+      if (words.length === 0) continue;
+      const norm = 1 - B + B * (words.length / avgLength[field]);
+      const counts = new Map();
+      for (const word of words) counts.set(word, (counts.get(word) ?? 0) + 1);
+      for (const [word, count] of counts) {
+        if (!postings.has(word)) postings.set(word, new Map());
+        const docs = postings.get(word);
+        docs.set(docIndex, (docs.get(docIndex) ?? 0) + (FIELD_WEIGHTS[field] * count) / norm);
+      }
+    }
+  });
+
+  /** @type {Record<string, number[]>} */
+  const terms = {};
+  for (const word of [...postings.keys()].sort()) {
+    const docs = postings.get(word);
+    const idf = Math.log(1 + (documents.length - docs.size + 0.5) / (docs.size + 0.5));
+    terms[word] = [...docs].flatMap(([docIndex, tf]) => [
+      docIndex,
+      Math.round(((idf * tf * (K1 + 1)) / (tf + K1)) * 100) / 100,
+    ]);
+  }
+
+  return {
+    version: SEARCH_INDEX_VERSION,
+    docs: documents.map(({ fields: _fields, ...doc }) => doc),
+    terms,
+  };
+}
+
+// ---- Query ----
+
+/**
+ * Indexed terms a query word matches, with how well: 1 for the exact term,
+ * less for a term it is a prefix of, less again for a term within a typo or
+ * two.
+ * @param {string[]} vocabulary
+ * @param {string} word
+ * @returns {Map<string, number>}
+ */
+export function matchTerms(vocabulary, word) {
+  const matches = new Map();
+  const typos = maxTypos(word.length);
+  for (const term of vocabulary) {
+    if (term === word) {
+      matches.set(term, 1);
+    } else if (word.length >= MIN_PREFIX_LENGTH && term.startsWith(word)) {
+      matches.set(term, PREFIX_FACTOR * (word.length / term.length) ** 0.5);
+    } else if (typos > 0) {
+      // Also forgive a typo in the part typed so far ("piza" → "pizzeria")
+      const head = term.length > word.length + typos ? term.slice(0, word.length) : term;
+      const distance = editDistance(word, head, typos);
+      if (distance <= typos) {
+        const factor = TYPO_FACTOR[distance] * (head === term ? 1 : PREFIX_FACTOR);
+        matches.set(term, Math.max(matches.get(term) ?? 0, factor));
+      }
+    }
+  }
+  return matches;
+}
+
+/**
+ * @typedef {{ city?: string, cuisine?: string, dish?: string, minRating?: number, type?: string }} SearchFilters
+ */
+
+function passes(doc, filters, skip) {
+  if (skip !== 'city' && filters.city && doc.city !== filters.city) return false;
+  if (skip !== 'cuisine' && filters.cuisine && doc.cuisine !== filters.cuisine) return false;
+  if (skip !== 'dish' && filters.dish && !doc.dishes?.includes(filters.dish)) return false;
+  if (skip !== 'rating' && filters.minRating && !((doc.rating ?? 0) >= filters.minRating)) return false;
+  if (skip !== 'type' && filters.type && doc.type !== filters.type) return false;
+  return true;
+}
+
+function countBy(docs, key) {
+  const counts = {};
+  for (const doc of docs) {
+    for (const value of Array.isArray(doc[key]) ? doc[key] : [doc[key]]) {
+      if (value) counts[value] = (counts[value] ?? 0) + 1;
+    }
+  }
+  return counts;
+}
+
+/**
+ * Search the index. Every query word must match (directly, by prefix or with
+ * a typo); when no document matches them all, documents matching any of
+ * them are returned instead. An empty query lists every document, best
+ * rated first. Facet counts for each filter are computed with the other
+ * filters applied, so choosing a city still shows how many results each
+ * other city has.
+ * @param {ReturnType<typeof buildSearchIndex>} index
+ * @param {string} query
+ * @param {SearchFilters} [filters]
+ * @param {{ vocabulary?: string[] }} [options] - pass `Object.keys(index.terms)` once when searching repeatedly
+ */
+export function searchIndex(index, query, filters = {}, { vocabulary = Object.keys(index.terms) } = {}) {
+  const words = [...new Set(tokenize(query))];
+
+  /** @type {Map<number, { score: number, matched: number }>} */
+  const scores = new Map();
+  for (const word of words) {
+    const best = new Map();
+    for (const [term, factor] of matchTerms(vocabulary, word)) {
+      const postings = index.terms[term];
+      for (let i = 0; i < postings.length; i += 2) {
+        const score = postings[i + 1] * factor;
+        if (score > (best.get(postings[i]) ?? 0)) best.set(postings[i], score);
+      }
+    }
+    for (const [docIndex, score] of best) {
+      const entry = scores.get(docIndex) ?? { score: 0, matched: 0 };
+      entry.score += score;
+      entry.matched += 1;
+      scores.set(docIndex, entry);
+    }
+  }
+
+  let hits;
+  let partial = false;
+  if (words.length === 0) {
+    hits = index.docs.map((doc, i) => ({ doc, score: 0, i }));
+  } else {
+    const all = [...scores].filter(([, s]) => s.matched === words.length);
+    partial = all.length === 0;
+    hits = (partial ? [...scores] : all).map(([i, s]) => ({ doc: index.docs[i], score: s.score * s.matched, i }));
+  }
+
+  hits.sort((a, b) => b.score - a.score || (b.doc.rating ?? 0) - (a.doc.rating ?? 0) || a.i - b.i);
+  const docs = hits.map((h) => h.doc);
+
+  return {
+    results: hits.filter((h) => passes(h.doc, filters)).map(({ doc, score }) => ({ ...doc, score })),
+    partial,
+    facets: {
+      city: countBy(docs.filter((d) => passes(d, filters, 'city')), 'city'),
+      cuisine: countBy(docs.filter((d) => passes(d, filters, 'cuisine')), 'cuisine'),
+      dish: countBy(docs.filter((d) => passes(d, filters, 'dish')), 'dishes'),
+      rating: Object.fromEntries(
+        RATING_BUCKETS.map((min) => [
+          min,
+          docs.filter((d) => passes(d, filters, 'rating') && (d.rating ?? 0) >= min).length,
+        ])
+      ),
+      type: countBy(docs.filter((d) => passes(d, filters, 'type')), 'type'),
+    },
+  };
+}
+
+// ---- URL state ----
+
+/**
+ * Query and filters from a search page URL
+ * (`?q=pizza&city=New+York&dish=Spicy+Spring&rating=4`).
+ * @param {URLSearchParams} params
+ * @returns {{ query: string, filters: SearchFilters }}
+ */
+export function parseSearchParams(params) {
+  const minRating = Number(params.get('rating'));
+  return {
+    query: params.get('q') ?? '',
+    filters: {
+      city: params.get('city') || undefined,
+      cuisine: params.get('cuisine') || undefined,
+      dish: params.get('dish') || undefined,
+      minRating: Number.isFinite(minRating) && minRating > 0 ? minRating : undefined,
+      type: params.get('type') || undefined,
+    },
+  };
+}
+
+/**
+ * The URL query string for a search, leaving out empty values.
+ * @param {string} query
+ * @param {SearchFilters} filters
+ * @returns {string}
+ */
+export function searchParamsString(query, filters) {
+  const params = new URLSearchParams();
+  if (query.trim()) params.set('q', query.trim());
+  if (filters.city) params.set('city', filters.city);
+  if (filters.cuisine) params.set('cuisine', filters.cuisine);
+  if (filters.dish) params.set('dish', filters.dish);
+  if (filters.minRating) params.set('rating', String(filters.minRating));
+  if (filters.type) params.set('type', filters.type);
+  const string = params.toString();
+  return string ? `?${string}` : '';
+}
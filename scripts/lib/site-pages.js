@@ -0,0 +1,94 @@
+/**
+ * Site Pages
+ *
+ * The path of every page the build creates that a blog post could link to:
+ * the pages without route parameters, one per restaurant of each video,
+ * the city, area, cuisine and dish pages, and the live blog posts. The
+ * build refuses a post that links to a page of the site outside this set
+ * (src/lib/data.ts), and the fact check flags it first (fact-check.js), so
+ * a broken link is caught in review rather than by a failed build.
+ *
+ * pagePaths() takes the data as the site sees it; sitePages() gets there
+ * from the stored files — overrides, hand edits and geography applied,
+ * unpublished posts left out — the way src/lib/data.ts does.
+ *
+ * Pure functions only — used by src/lib/data.ts, scripts/fact-check-posts.js
+ * and scripts/review-posts.js.
+ */
+
+import { restaurantVideoPath, cityPath, areaPath, cuisinePath, dishPath, blogPostPath } from './slug.js';
+import { videoRestaurantSlugs } from './video.js';
+import { restaurantForVideo } from './locations.js';
+import { fillGeography, areaOf, areaTrail } from './geography.js';
+import { applyOverrides } from './overrides.js';
+import { applyBlogEdits, isLive } from './editorial.js';
+import { findDishMentions, summarizeDishes } from './dishes.js';
+import { BASE_PATH } from './site.js';
+
+// src/pages/map.astro, src/pages/blog/index.astro — not [city].astro or blog/[slug].astro
+const STATIC_PAGE = /^(?:([^/[\]]+)\/index|([^/[\]]+))\.astro$/;
+
+/**
+ * Paths, relative to the base, of the pages without route parameters.
+ * @param {string[]} files - page files relative to src/pages, e.g. "blog/index.astro"
+ * @returns {string[]} e.g. "", "map/", "blog/"
+ */
+export function staticPagePaths(files) {
+  return files
+    .map((file) => file.replaceAll('\\', '/').match(STATIC_PAGE))
+    .filter((match) => match !== null)
+    .map(([, dir, name]) => (dir ? `${dir}/` : name === 'index' ? '' : `${name}/`));
+}
+
+/**
+ * Every page path the site builds from this data.
+ * @param {{ videos: any[], restaurants: Record<string, any>, blogPosts: any[], dishes: { name: string }[], staticPages: string[] }} site
+ *   restaurants with their geography filled in; blogPosts the live ones;
+ *   dishes the ones with a page; staticPages from staticPagePaths()
+ * @param {string} [base]
+ * @returns {Set<string>}
+ */
+export function pagePaths({ videos, restaurants, blogPosts, dishes, staticPages }, base = BASE_PATH) {
+  const pages = new Set(staticPages.map((page) => `${base}${page}`));
+  for (const video of videos) {
+    if (video.city) pages.add(cityPath(video.city, base));
+    if (video.cuisine) pages.add(cuisinePath(video.cuisine, base));
+    for (const slug of videoRestaurantSlugs(video)) {
+      pages.add(restaurantVideoPath(slug, video, base));
+      const restaurant = restaurantForVideo(restaurants, video, slug);
+      if (!restaurant?.city) continue;
+      for (const step of areaTrail(areaOf(restaurant))) pages.add(areaPath(step.area, base));
+    }
+  }
+  for (const dish of dishes) pages.add(dishPath(dish.name, base));
+  for (const post of blogPosts) pages.add(blogPostPath(post, base));
+  return pages;
+}
+
+/**
+ * Every page path the site would build from the stored data.
+ * @param {{ videos: any[], restaurants: Record<string, any>, blogPosts: Record<string, any>, overrides?: any, edits?: any, verdicts?: Record<string, any>, catalog: import('./dishes.js').CatalogDish[], places: import('./gazetteer.js').GazetteerPlace[] }} data
+ * @param {string[]} pageFiles - page files relative to src/pages
+ * @param {string} [base]
+ * @returns {Set<string>}
+ */
+export function sitePages({ overrides = {}, edits = {}, verdicts = {}, catalog, places, ...stored }, pageFiles, base = BASE_PATH) {
+  const data = applyOverrides(stored, overrides);
+  const posts = Object.fromEntries(
+    Object.entries(applyBlogEdits(data.blogPosts, edits).posts).filter(([, post]) => isLive(post))
+  );
+  const restaurants = Object.fromEntries(
+    Object.entries(data.restaurants).map(([slug, restaurant]) => [slug, fillGeography(restaurant, places)])
+  );
+  const mentions = findDishMentions({ videos: data.videos, restaurants, blogPosts: posts, verdicts }, catalog);
+  return pagePaths(
+    {
+      videos: data.videos,
+      restaurants,
+      blogPosts: Object.values(posts),
+      dishes: summarizeDishes(catalog, mentions),
+      staticPages: staticPagePaths(pageFiles),
+    },
+    base
+  );
+}
@@ -0,0 +1,19 @@
+/**
+ * Site Config
+ *
+ * The public origin and base path the site is deployed under. Shared by
+ * astro.config.mjs, the Astro data layer and every script that builds
+ * absolute URLs, so they can never disagree.
+ *
+ * Map tiles default to OpenStreetMap's free raster tiles. Any server with
+ * the same `{z}/{x}/{y}` scheme works (a self-hosted tileserver, or tiles
+ * pre-rendered into public/): set PUBLIC_MAP_TILE_URL and
+ * PUBLIC_MAP_TILE_ATTRIBUTION at build time.
+ */
+
+export const SITE_URL = 'https://greenido.github.io';
+export const BASE_PATH = '/oneminreviews/';
+export const TIKTOK_HANDLE = 'oneminreviews';
+export const MAP_TILE_URL = 'https://tile.openstreetmap.org/{z}/{x}/{y}.png';
+export const MAP_TILE_ATTRIBUTION =
+  '&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors';
@@ -0,0 +1,197 @@
+/**
+ * Slug & Path Building
+ *
+ * The single source of truth for URL slugs. Imported by the pipeline
+ * scripts (sitemaps, blog generation, enrichment) and by src/lib/data.ts,
+ * so a slug change reaches the built pages and the sitemaps together.
+ *
+ * Pure functions only — safe to import from Astro components.
+ */
+
+import { BASE_PATH, TIKTOK_HANDLE } from './site.js';
+import { LOCALES } from './i18n.js';
+
+/**
+ * Lowercase kebab-case slug: strips anything outside [a-z0-9], collapses
+ * whitespace and dashes, trims leading/trailing dashes.
+ * @param {string} text
+ * @returns {string}
+ */
+export function slugify(text) {
+  return text
+    .toLowerCase()
+    .replace(/[^a-z0-9\s-]/g, '')
+    .replace(/\s+/g, '-')
+    .replace(/-+/g, '-')
+    .replace(/^-|-$/g, '');
+}
+
+/**
+ * First path segments taken by the site's own pages (src/pages/, public/)
+ * and language prefixes. Restaurant pages live at `/<restaurant slug>/`, so
+ * a restaurant with one of these slugs would collide with them —
+ * `/es/<video>/` would be read as a Spanish page.
+ */
+export const RESERVED_SLUGS = [
+  ...LOCALES,
+  'all-reviews',
+  'assets',
+  'blog',
+  'captions',
+  'city',
+  'cuisine',
+  'dish',
+  'feeds',
+  'gazetteer',
+  'map',
+  'search',
+  'top-rated',
+];
+
+/**
+ * @param {string} slug
+ * @returns {boolean} whether a restaurant can't have this slug
+ */
+export function isReservedSlug(slug) {
+  return RESERVED_SLUGS.includes(slug);
+}
+
+/**
+ * Video page slug: first 50 chars of the slugified caption + the video ID.
+ * @param {{ caption: string, videoId: string }} video
+ * @returns {string}
+ */
+export function videoSlug(video) {
+  const captionSlug = slugify(video.caption).slice(0, 50).replace(/-$/, '');
+  return `${captionSlug}-${video.videoId}`;
+}
+
+/**
+ * Video page path, e.g. `/oneminreviews/joes-pizza/joes-pizza-in-the-village-7298765432101/`.
+ * @param {{ caption: string, videoId: string, restaurantSlug: string }} video
+ * @param {string} [base]
+ * @returns {string}
+ */
+export function videoPath(video, base = BASE_PATH) {
+  return restaurantVideoPath(video.restaurantSlug, video, base);
+}
+
+/**
+ * Path of a video's page under one of the restaurants it features. For the
+ * primary restaurant this is the canonical videoPath(); pages under the
+ * other restaurants of a multi-restaurant video point their canonical URL
+ * back at it.
+ * @param {string} restaurantSlug
+ * @param {{ caption: string, videoId: string }} video
+ * @param {string} [base]
+ * @returns {string}
+ */
+export function restaurantVideoPath(restaurantSlug, video, base = BASE_PATH) {
+  return `${base}${restaurantSlug}/${videoSlug(video)}/`;
+}
+
+/**
+ * Blog post slug: `<restaurantSlug>-review-<videoId>`, falling back to the
+ * start of the caption for videos without a restaurant.
+ * @param {{ caption: string, videoId: string, restaurantSlug: string }} video
+ * @returns {string}
+ */
+export function blogPostSlug(video) {
+  return `${video.restaurantSlug || slugify(video.caption.slice(0, 40))}-review-${video.videoId}`;
+}
+
+/**
+ * @param {{ slug: string }} post
+ * @param {string} [base]
+ * @returns {string}
+ */
+export function blogPostPath(post, base = BASE_PATH) {
+  return `${base}blog/${post.slug}/`;
+}
+
+/**
+ * @param {string} city
+ * @returns {string}
+ */
+export function citySlug(city) {
+  return slugify(city);
+}
+
+/**
+ * @param {string} city
+ * @param {string} [base]
+ * @returns {string}
+ */
+export function cityPath(city, base = BASE_PATH) {
+  return `${base}city/${citySlug(city)}/`;
+}
+
+/**
+ * Page for one level of the geography: `/city/<metro>/` for a metro,
+ * `/city/<metro>/<city>/` for a city or borough inside it, and
+ * `/city/<metro>/<city>/<neighborhood>/` for a neighborhood. The city level
+ * is left out when it is the metro itself, so a Manhattan neighborhood is
+ * `/city/new-york/nolita/` rather than `/city/new-york/new-york/nolita/`.
+ * @param {{ metro: string, city?: string, neighborhood?: string }} area
+ * @param {string} [base]
+ * @returns {string}
+ */
+export function areaPath({ metro, city, neighborhood }, base = BASE_PATH) {
+  const parts = [citySlug(metro)];
+  if (city && citySlug(city) !== parts[0]) parts.push(citySlug(city));
+  if (neighborhood) parts.push(citySlug(neighborhood));
+  return `${base}city/${parts.join('/')}/`;
+}
+
+/**
+ * @param {string} cuisine
+ * @returns {string}
+ */
+export function cuisineSlug(cuisine) {
+  return slugify(cuisine);
+}
+
+/**
+ * @param {string} cuisine
+ * @param {string} [base]
+ * @returns {string}
+ */
+export function cuisinePath(cuisine, base = BASE_PATH) {
+  return `${base}cuisine/${cuisineSlug(cuisine)}/`;
+}
+
+/**
+ * @param {string} dish - canonical dish name from data/dishes.json
+ * @returns {string}
+ */
+export function dishSlug(dish) {
+  return slugify(dish);
+}
+
+/**
+ * @param {string} dish
+ * @param {string} [base]
+ * @returns {string}
+ */
+export function dishPath(dish, base = BASE_PATH) {
+  return `${base}dish/${dishSlug(dish)}/`;
+}
+
+/**
+ * The WebVTT captions of a video's transcript.
+ * @param {string} videoId
+ * @param {string} [base]
+ * @returns {string}
+ */
+export function captionsPath(videoId, base = BASE_PATH) {
+  return `${base}captions/${videoId}.vtt`;
+}
+
+/**
+ * Canonical TikTok watch URL for a video ID.
+ * @param {string} videoId
+ * @returns {string}
+ */
+export function tiktokWatchUrl(videoId) {
+  return `https://www.tiktok.com/@${TIKTOK_HANDLE}/video/${videoId}`;
+}
@@ -0,0 +1,133 @@
+/**
+ * Per-Video Change Detection
+ *
+ * Each stage records a content hash of its inputs per video in
+ * data/stage-state.json, e.g. for OG images the frame file plus the
+ * restaurant name, rating and city. On the next run only items whose
+ * inputs changed (or whose output is missing) are reprocessed, so a
+ * corrected name or a new Google rating reaches the generated assets
+ * without redoing everything.
+ *
+ *   const state = openStageState('og-images');
+ *   const hash = hashInputs({ frame: hashFile(framePath), name, rating });
+ *   const reason = state.staleReason(videoId, hash, existsSync(ogPath));
+ *   if (reason) { ...regenerate...; state.record(videoId, hash); }
+ *   state.save();
+ *
+ * Items with an existing output but no recorded hash (outputs created
+ * before change detection existed) are adopted as the baseline rather
+ * than regenerated; pass `--force` to rebuild them.
+ *
+ * `--force` reprocesses everything; `--force=<videoId>[,<videoId>]` only
+ * the listed videos.
+ */
+
+import { createHash } from 'crypto';
+import { existsSync, readFileSync } from 'fs';
+import { resolve } from 'path';
+import { readJSON, writeJSON } from './json.js';
+import { DATA_DIR } from './paths.js';
+
+export const STAGE_STATE_PATH = resolve(DATA_DIR, 'stage-state.json');
+
+// ---- Hashing ----
+
+/** JSON.stringify with object keys sorted, so equal inputs hash equally. */
+function stableStringify(value) {
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`;
+  if (value && typeof value === 'object') {
+    const keys = Object.keys(value).filter((k) => value[k] !== undefined).sort();
+    return `{${keys.map((k) => `${JSON.stringify(k)}:${stableStringify(value[k])}`).join(',')}}`;
+  }
+  return JSON.stringify(value ?? null);
+}
+
+/**
+ * Short content hash of any JSON-serializable inputs.
+ * @param {unknown} inputs
+ * @returns {string}
+ */
+export function hashInputs(inputs) {
+  return createHash('sha256').update(stableStringify(inputs)).digest('hex').slice(0, 16);
+}
+
+/**
+ * Short content hash of a file's bytes, or null if it doesn't exist.
+ * @param {string} path
+ * @returns {string | null}
+ */
+export function hashFile(path) {
+  if (!existsSync(path)) return null;
+  return createHash('sha256').update(readFileSync(path)).digest('hex').slice(0, 16);
+}
+
+// ---- --force ----
+
+/**
+ * Parse `--force` / `--force=<id>[,<id>]` from argv.
+ * @param {string[]} [argv]
+ * @returns {{ all: boolean, ids: Set<string> }}
+ */
+export function parseForce(argv = process.argv) {
+  const ids = new Set();
+  let all = false;
+  for (const arg of argv) {
+    if (arg === '--force') all = true;
+    else if (arg.startsWith('--force=')) {
+      for (const id of arg.slice('--force='.length).split(',')) {
+        if (id.trim()) ids.add(id.trim());
+      }
+    }
+  }
+  return { all, ids };
+}
+
+// ---- State ----
+
+/**
+ * Open the recorded hashes for one stage.
+ * @param {string} stage
+ * @param {{ path?: string, force?: { all: boolean, ids: Set<string> } }} [options]
+ */
+export function openStageState(stage, { path = STAGE_STATE_PATH, force = parseForce() } = {}) {
+  const entries = { ...(readJSON(path, {})[stage] ?? {}) };
+
+  return {
+    /**
+     * Why this item must be (re)processed, or null when it's up to date.
+     * @param {string} id
+     * @param {string} hash
+     * @param {boolean} outputExists
+     * @returns {string | null}
+     */
+    staleReason(id, hash, outputExists) {
+      if (force.all || force.ids.has(id)) return 'forced';
+      if (!outputExists) return 'no output yet';
+      if (!(id in entries)) {
+        entries[id] = hash; // adopt pre-existing output as the baseline
+        return null;
+      }
+      return entries[id] === hash ? null : 'inputs changed';
+    },
+
+    /** Record the input hash an item was just processed with. */
+    record(id, hash) {
+      entries[id] = hash;
+    },
+
+    /** Drop entries for items that no longer exist. */
+    prune(ids) {
+      const keep = new Set(ids);
+      for (const id of Object.keys(entries)) {
+        if (!keep.has(id)) delete entries[id];
+      }
+    },
+
+    /** Persist this stage's hashes, keeping other stages' entries intact. */
+    save() {
+      const all = readJSON(path, {});
+      all[stage] = Object.fromEntries(Object.entries(entries).sort(([a], [b]) => a.localeCompare(b)));
+      writeJSON(path, all);
+    },
+  };
+}
@@ -0,0 +1,26 @@
+/**
+ * External Tool Detection
+ *
+ * The pipeline shells out to FFmpeg, ffprobe and yt-dlp. These helpers
+ * check whether a tool is on PATH before a script depends on it.
+ */
+
+import { execSync } from 'child_process';
+
+/** Return the first line of `<cmd> <versionFlag>`, or null if the tool is missing. */
+export function toolVersion(cmd, versionFlag = '--version') {
+  try {
+    const out = execSync(`${cmd} ${versionFlag}`, { encoding: 'utf-8', stdio: 'pipe' });
+    return out.trim().split('\n')[0];
+  } catch {
+    return null;
+  }
+}
+
+export function ffmpegAvailable() {
+  return toolVersion('ffmpeg', '-version') !== null;
+}
+
+export function ytDlpVersion() {
+  return toolVersion('yt-dlp', '--version');
+}
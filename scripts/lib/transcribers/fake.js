@@ -0,0 +1,38 @@
+/**
+ * Fixture Backend
+ *
+ * Returns recorded Whisper `verbose_json` responses from
+ * `<dir>/<videoId>.json` instead of transcribing anything, so the
+ * transcription step runs offline and deterministically in tests and CI.
+ * It needs no audio; a video without a fixture fails like a real
+ * transcription error would (the post falls back to the caption).
+ */
+
+import { existsSync } from 'fs';
+import { resolve } from 'path';
+import { readJSON } from '../json.js';
+import { normalizeSegments, languageCode } from '../transcript.js';
+
+/**
+ * @param {{ dir: string }} options
+ * @returns {import('./index.js').Transcriber}
+ */
+export function createFakeTranscriber({ dir }) {
+  return {
+    name: 'fake',
+    label: `fixtures (${dir})`,
+    audioFormat: null,
+
+    async transcribe({ videoId }) {
+      const path = resolve(dir, `${videoId}.json`);
+      if (!existsSync(path)) throw new Error(`no transcript fixture for ${videoId} in ${dir}`);
+      const data = readJSON(path);
+      return {
+        text: data.text,
+        duration: data.duration ?? null,
+        segments: normalizeSegments(data.segments),
+        language: languageCode(data.language),
+      };
+    },
+  };
+}
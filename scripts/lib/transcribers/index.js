@@ -0,0 +1,106 @@
+/**
+ * Transcription Backends
+ *
+ * transcribe-videos.js turns a video's audio into text through one of
+ * these, all returning the same result — the transcript text, its duration
+ * in seconds, timestamped segments (see ../transcript.js) and the language
+ * spoken, which Whisper detects (videos aren't all in English):
+ *
+ *   openai       OpenAI's Whisper API (default; needs OPENAI_API_KEY)
+ *   whisper-cpp  a local whisper.cpp build on the CPU, offline
+ *   fake         recorded responses from fixture files, for tests and CI
+ *
+ * Settings (environment, or .env):
+ *   TRANSCRIBE_BACKEND        backend to use (default: openai)
+ *   TRANSCRIBE_LANGUAGE       ISO 639-1 code to transcribe every video as,
+ *                             instead of detecting it (e.g. en)
+ *   WHISPER_CPP_BIN           whisper.cpp binary (default: whisper-cli)
+ *   WHISPER_CPP_MODEL         ggml model file, required for whisper-cpp
+ *   WHISPER_CPP_THREADS       CPU threads for whisper-cpp (default: its own)
+ *   TRANSCRIBE_FIXTURES_DIR   fixture directory for fake
+ *                             (default: tests/fixtures/transcripts)
+ *
+ * `--backend=<name>` on the command line overrides TRANSCRIBE_BACKEND.
+ */
+
+import { existsSync } from 'fs';
+import { resolve } from 'path';
+import { getSecret } from '../env.js';
+import { ROOT } from '../paths.js';
+import { toolVersion } from '../tools.js';
+import { createOpenAITranscriber } from './openai.js';
+import { createWhisperCppTranscriber } from './whisper-cpp.js';
+import { createFakeTranscriber } from './fake.js';
+
+/**
+ * @typedef {object} TranscriptionResult
+ * @property {string} text
+ * @property {number | null} duration - seconds
+ * @property {import('../transcript.js').TranscriptSegment[]} segments
+ * @property {string | null} language - ISO 639 code, null when unknown
+ *
+ * @typedef {object} Transcriber
+ * @property {string} name - registry name
+ * @property {string} label - name shown in logs
+ * @property {'mp3' | 'wav' | null} audioFormat - audio it reads (null: needs no audio)
+ * @property {(input: { videoId: string, audioPath: string }) => Promise<TranscriptionResult>} transcribe
+ */
+
+const REGISTRY = {
+  openai: (config, options) => {
+    if (!config.openaiKey) throw new Error('OPENAI_API_KEY is not set');
+    return createOpenAITranscriber({ apiKey: config.openaiKey, language: config.language, ...options });
+  },
+  'whisper-cpp': (config) => {
+    if (!config.whisperCpp.model) throw new Error('WHISPER_CPP_MODEL is not set (path to a ggml model file)');
+    if (!existsSync(config.whisperCpp.model)) throw new Error(`WHISPER_CPP_MODEL not found: ${config.whisperCpp.model}`);
+    if (toolVersion(config.whisperCpp.binary, '--help') === null) {
+      throw new Error(`whisper.cpp binary "${config.whisperCpp.binary}" not found (set WHISPER_CPP_BIN)`);
+    }
+    return createWhisperCppTranscriber({ ...config.whisperCpp, language: config.language });
+  },
+  fake: (config) => createFakeTranscriber({ dir: config.fixturesDir }),
+};
+
+export const BACKEND_NAMES = Object.keys(REGISTRY);
+export const DEFAULT_BACKEND = 'openai';
+
+/**
+ * Read transcription settings from the environment and command line.
+ * @param {Record<string, string | undefined>} [env]
+ * @param {string[]} [argv]
+ */
+export function transcriptionConfig(env = process.env, argv = process.argv) {
+  const flag = argv.find((arg) => arg.startsWith('--backend='));
+  const threads = parseInt(env.WHISPER_CPP_THREADS || '', 10);
+  const language = (env.TRANSCRIBE_LANGUAGE || '').trim().toLowerCase();
+  if (language && !/^[a-z]{2,3}$/.test(language)) {
+    throw new Error(`TRANSCRIBE_LANGUAGE must be an ISO 639-1 code like "en", got "${language}"`);
+  }
+  return {
+    backend: (flag ? flag.slice('--backend='.length) : env.TRANSCRIBE_BACKEND || DEFAULT_BACKEND).trim().toLowerCase(),
+    language,
+    openaiKey: getSecret('OPENAI_API_KEY', env),
+    whisperCpp: {
+      binary: env.WHISPER_CPP_BIN || 'whisper-cli',
+      model: env.WHISPER_CPP_MODEL ? resolve(ROOT, env.WHISPER_CPP_MODEL) : '',
+      ...(threads > 0 ? { threads } : {}),
+    },
+    fixturesDir: resolve(ROOT, env.TRANSCRIBE_FIXTURES_DIR || 'tests/fixtures/transcripts'),
+  };
+}
+
+/**
+ * Create the configured backend. Throws when it's unknown or can't run
+ * here (missing key, model or binary), so the script can stop up front.
+ * @param {ReturnType<typeof transcriptionConfig>} config
+ * @param {{ fetch?: typeof globalThis.fetch }} [options]
+ * @returns {Transcriber}
+ */
+export function createTranscriber(config, options = {}) {
+  const create = REGISTRY[config.backend];
+  if (!create) {
+    throw new Error(`unknown transcription backend "${config.backend}" (available: ${BACKEND_NAMES.join(', ')})`);
+  }
+  return create(config, options);
+}
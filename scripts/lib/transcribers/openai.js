@@ -0,0 +1,55 @@
+/**
+ * OpenAI Whisper Backend
+ *
+ * Uploads the audio to OpenAI's `/audio/transcriptions` endpoint and asks
+ * for `verbose_json`, which carries the duration, timestamped segments and
+ * the spoken language. Whisper detects the language unless one is given.
+ * Needs OPENAI_API_KEY and network access.
+ */
+
+import { readFile } from 'fs/promises';
+import { normalizeSegments, languageCode } from '../transcript.js';
+
+const OPENAI_BASE = 'https://api.openai.com/v1';
+export const WHISPER_MODEL = 'whisper-1';
+
+/**
+ * @param {{ apiKey: string, language?: string, fetch?: typeof globalThis.fetch }} options
+ *   `language`: ISO 639-1 code the audio is in (default: detect it)
+ * @returns {import('./index.js').Transcriber}
+ */
+export function createOpenAITranscriber({ apiKey, language, fetch = globalThis.fetch }) {
+  return {
+    name: 'openai',
+    label: `OpenAI ${WHISPER_MODEL}`,
+    audioFormat: 'mp3',
+
+    async transcribe({ audioPath }) {
+      const audioBuffer = await readFile(audioPath);
+      const formData = new FormData();
+      formData.append('model', WHISPER_MODEL);
+      if (language) formData.append('language', language);
+      formData.append('response_format', 'verbose_json');
+      formData.append('file', new Blob([audioBuffer], { type: 'audio/mpeg' }), 'audio.mp3');
+
+      const res = await fetch(`${OPENAI_BASE}/audio/transcriptions`, {
+        method: 'POST',
+        headers: { Authorization: `Bearer ${apiKey}` },
+        body: formData,
+      });
+
+      if (!res.ok) {
+        const errBody = await res.text();
+        throw new Error(`Whisper API error ${res.status}: ${errBody}`);
+      }
+
+      const data = await res.json();
+      return {
+        text: data.text,
+        duration: data.duration ?? null,
+        segments: normalizeSegments(data.segments),
+        language: languageCode(data.language) ?? (language || null),
+      };
+    },
+  };
+}
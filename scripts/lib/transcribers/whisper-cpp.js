@@ -0,0 +1,79 @@
+/**
+ * whisper.cpp Backend
+ *
+ * Runs a local whisper.cpp build (https://github.com/ggerganov/whisper.cpp)
+ * on the CPU: no API key, no network. Needs the `whisper-cli` binary and a
+ * ggml model file (e.g. `models/ggml-base.bin`, fetched once with the
+ * project's `download-ggml-model.sh`). whisper.cpp reads 16 kHz WAV, so the
+ * audio is extracted in that format.
+ *
+ * It detects the spoken language (`-l auto`) unless one is given. That
+ * needs a multilingual model: the English-only `.en` models transcribe
+ * everything as English.
+ *
+ * `-oj` makes it write `<out>.json`:
+ *
+ *   { "result": { "language": "en" },
+ *     "transcription": [
+ *       { "offsets": { "from": 0, "to": 4200 }, "text": " Okay so this is..." }
+ *   ] }
+ *
+ * with offsets in milliseconds; parseWhisperCppOutput() turns that into the
+ * shared `{ text, duration, segments, language }` result.
+ */
+
+import { execFileSync } from 'child_process';
+import { existsSync, readFileSync, unlinkSync } from 'fs';
+import { normalizeSegments, languageCode } from '../transcript.js';
+
+/**
+ * The shared transcription result from whisper.cpp's JSON output. There is
+ * no duration in it, so the end of the last segment stands in.
+ * @param {any} output
+ * @returns {import('./index.js').TranscriptionResult}
+ */
+export function parseWhisperCppOutput(output) {
+  const segments = normalizeSegments(
+    (output?.transcription ?? []).map((/** @type {any} */ s) => ({
+      start: (s.offsets?.from ?? NaN) / 1000,
+      end: (s.offsets?.to ?? NaN) / 1000,
+      text: s.text,
+    }))
+  );
+  return {
+    text: segments.map((s) => s.text).join(' '),
+    duration: segments.length > 0 ? segments[segments.length - 1].end : null,
+    segments,
+    language: languageCode(output?.result?.language),
+  };
+}
+
+/**
+ * @param {{ binary: string, model: string, threads?: number, language?: string, run?: typeof execFileSync }} options
+ *   `language`: ISO 639-1 code the audio is in (default: detect it);
+ *   `run` replaces execFileSync in tests
+ * @returns {import('./index.js').Transcriber}
+ */
+export function createWhisperCppTranscriber({ binary, model, threads, language, run = execFileSync }) {
+  return {
+    name: 'whisper-cpp',
+    label: `whisper.cpp (${model.split(/[\\/]/).pop()})`,
+    audioFormat: 'wav',
+
+    async transcribe({ audioPath }) {
+      const outBase = audioPath.replace(/\.[^./\\]+$/, '');
+      const args = ['-m', model, '-f', audioPath, '-l', language || 'auto', '-oj', '-of', outBase, '-np'];
+      if (threads) args.push('-t', String(threads));
+      run(binary, args, { stdio: 'pipe', timeout: 600_000 });
+
+      const outPath = `${outBase}.json`;
+      if (!existsSync(outPath)) throw new Error(`whisper.cpp wrote no output (${outPath})`);
+      try {
+        const result = parseWhisperCppOutput(JSON.parse(readFileSync(outPath, 'utf-8')));
+        return { ...result, language: result.language ?? (language || null) };
+      } finally {
+        unlinkSync(outPath);
+      }
+    },
+  };
+}
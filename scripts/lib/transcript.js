@@ -0,0 +1,129 @@
+/**
+ * Timestamped Transcripts
+ *
+ * Whisper's `verbose_json` response splits the transcript into segments with
+ * start and end times in seconds. scripts/transcribe-videos.js keeps them on
+ * the blog post next to the plain text:
+ *
+ *   "transcript": "Okay so this is Prince Street Pizza...",
+ *   "segments": [
+ *     { "start": 0, "end": 4.2, "text": "Okay so this is Prince Street Pizza" },
+ *     { "start": 4.2, "end": 9.86, "text": "and everyone orders the spicy spring." }
+ *   ]
+ *
+ * The site renders them as a searchable transcript next to the video and
+ * publishes each one as a WebVTT caption file (toWebVTT()).
+ *
+ * Pure functions only — shared by the pipeline scripts and src/lib/data.ts.
+ */
+
+/**
+ * @typedef {Object} TranscriptSegment
+ * @property {number} start - seconds
+ * @property {number} end - seconds
+ * @property {string} text
+ */
+
+/** Seconds rounded to hundredths, so the JSON stays readable. */
+function roundSeconds(seconds) {
+  return Math.round(seconds * 100) / 100;
+}
+
+/**
+ * Normalize Whisper `segments` into stored TranscriptSegments: trimmed text,
+ * rounded times, empty and untimed segments dropped, in order of start time.
+ * @param {unknown} raw
+ * @returns {TranscriptSegment[]}
+ */
+export function normalizeSegments(raw) {
+  if (!Array.isArray(raw)) return [];
+  return raw
+    .filter(
+      (s) =>
+        s &&
+        typeof s.text === 'string' &&
+        s.text.trim() &&
+        Number.isFinite(s.start) &&
+        Number.isFinite(s.end) &&
+        s.start >= 0
+    )
+    .map((s) => ({
+      start: roundSeconds(s.start),
+      end: roundSeconds(Math.max(s.start, s.end)),
+      text: s.text.trim().replace(/\s+/g, ' '),
+    }))
+    .sort((a, b) => a.start - b.start);
+}
+
+/**
+ * The segment being spoken at `seconds`: the last one that started by then.
+ * @param {{ start: number }[]} segments - in order of start time
+ * @param {number} seconds
+ * @returns {number} its index, or -1 before the first segment
+ */
+export function activeSegment(segments, seconds) {
+  let active = -1;
+  for (let i = 0; i < segments.length && segments[i].start <= seconds; i++) active = i;
+  return active;
+}
+
+/**
+ * `HH:MM:SS.mmm`, the WebVTT cue timestamp for `seconds`.
+ * @param {number} seconds
+ * @returns {string}
+ */
+export function vttTimestamp(seconds) {
+  const ms = Math.round(Math.max(0, seconds) * 1000);
+  const pad = (n, width = 2) => String(n).padStart(width, '0');
+  return `${pad(Math.floor(ms / 3_600_000))}:${pad(Math.floor(ms / 60_000) % 60)}:${pad(Math.floor(ms / 1000) % 60)}.${pad(ms % 1000, 3)}`;
+}
+
+/**
+ * A WebVTT caption file with one cue per segment.
+ * @param {TranscriptSegment[]} segments
+ * @returns {string}
+ */
+export function toWebVTT(segments) {
+  const cues = segments.map((s, i) => {
+    const text = s.text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+    return `${i + 1}\n${vttTimestamp(s.start)} --> ${vttTimestamp(s.end)}\n${text}`;
+  });
+  return ['WEBVTT', ...cues].join('\n\n') + '\n';
+}
+
+/** Whisper's names for some of the languages it detects. */
+const WHISPER_LANGUAGES = {
+  english: 'en',
+  spanish: 'es',
+  russian: 'ru',
+  ukrainian: 'uk',
+  portuguese: 'pt',
+  french: 'fr',
+  italian: 'it',
+  german: 'de',
+  chinese: 'zh',
+  cantonese: 'yue',
+  japanese: 'ja',
+  korean: 'ko',
+  vietnamese: 'vi',
+  tagalog: 'tl',
+  hindi: 'hi',
+  arabic: 'ar',
+  hebrew: 'he',
+  greek: 'el',
+  polish: 'pl',
+  turkish: 'tr',
+};
+
+/**
+ * The ISO 639 code of a transcript's language, from what the backend
+ * reports: OpenAI names it ("spanish"), whisper.cpp gives the code ("es").
+ * @param {unknown} language
+ * @returns {string | null} null when it isn't reported or not recognized
+ */
+export function languageCode(language) {
+  if (typeof language !== 'string') return null;
+  const value = language.trim().toLowerCase();
+  if (/^[a-z]{2,3}$/.test(value)) return value;
+  return WHISPER_LANGUAGES[value] ?? null;
+}
@@ -0,0 +1,114 @@
+/**
+ * Translations of Generated Text
+ *
+ * Blog posts and video-page FAQs are written in English. scripts/translate.js
+ * has a model translate them into every other locale (see ./i18n.js) and
+ * caches the results in data/translations/<locale>.json:
+ *
+ *   {
+ *     "posts": {
+ *       "<videoId>": {
+ *         "source": "3f2a9c1e0b7d4a55",   // hash of the English it was made from
+ *         "title": "...", "summary": "...", "content": "...",
+ *         "model": "gpt-4o-mini", "template": "translate-post@1",
+ *         "translatedAt": "2026-10-19T12:00:00.000Z"
+ *       }
+ *     },
+ *     "strings": { "<hash of the English>": "..." }
+ *   }
+ *
+ * Posts are translated as they are live (with hand edits), FAQ questions
+ * and answers one string at a time. When the English changes — a revision
+ * is approved, a rating moves — its hash does too and the cached
+ * translation no longer applies: the site shows English until the next
+ * translate run, never a translation of outdated text.
+ *
+ * Pure functions only — shared by scripts/translate.js and src/lib/data.ts.
+ */
+
+import { createHash } from 'crypto';
+
+/** @typedef {{ title: string, summary: string, content: string }} PostText */
+
+/**
+ * @typedef {object} PostTranslation
+ * @property {string} source - sourceHash() of the English post
+ * @property {string} title
+ * @property {string} summary
+ * @property {string} content
+ * @property {string} model
+ * @property {string} template
+ * @property {string} translatedAt
+ *
+ * @typedef {{ posts: Record<string, PostTranslation>, strings: Record<string, string> }} TranslationCache
+ */
+
+/** An empty cache, for a locale nothing has been translated into yet. */
+export function emptyTranslations() {
+  return { posts: {}, strings: {} };
+}
+
+/**
+ * A short, stable hash of English source text.
+ * @param {string} text
+ */
+export function sourceHash(text) {
+  return createHash('sha256').update(text).digest('hex').slice(0, 16);
+}
+
+/**
+ * The hash a post's translation is made from: its title, summary and content.
+ * @param {PostText} post
+ */
+export function postSourceHash(post) {
+  return sourceHash([post.title, post.summary, post.content].join('\n\n'));
+}
+
+/**
+ * A post in another language, when its cached translation is of the
+ * current English text; otherwise undefined.
+ * @template {PostText} T
+ * @param {Partial<TranslationCache> | undefined} cache
+ * @param {T & { videoId: string }} post
+ * @returns {T | undefined}
+ */
+export function translatePost(cache, post) {
+  const entry = cache?.posts?.[post.videoId];
+  if (!entry || entry.source !== postSourceHash(post)) return undefined;
+  return { ...post, title: entry.title, summary: entry.summary, content: entry.content };
+}
+
+/**
+ * A string in another language, when it has been translated; otherwise undefined.
+ * @param {Partial<TranslationCache> | undefined} cache
+ * @param {string} text
+ * @returns {string | undefined}
+ */
+export function translateString(cache, text) {
+  return cache?.strings?.[sourceHash(text)];
+}
+
+/**
+ * What a locale's cache is missing, and the entries nothing needs any more.
+ * @param {Partial<TranslationCache> | undefined} cache
+ * @param {{ posts: Array<PostText & { videoId: string }>, strings: string[] }} wanted
+ *   live posts (with hand edits) and every FAQ string
+ * @returns {{
+ *   posts: Array<PostText & { videoId: string }>,
+ *   strings: string[],
+ *   unusedPosts: string[],
+ *   unusedStrings: string[],
+ * }} posts and strings to translate; videoIds and hashes to drop
+ */
+export function pendingTranslations(cache, wanted) {
+  const posts = wanted.posts.filter((post) => !translatePost(cache, post));
+  const strings = [...new Set(wanted.strings)].filter((text) => translateString(cache, text) === undefined);
+  const livePosts = new Set(wanted.posts.map((p) => p.videoId));
+  const liveStrings = new Set(wanted.strings.map(sourceHash));
+  return {
+    posts,
+    strings,
+    unusedPosts: Object.keys(cache?.posts ?? {}).filter((id) => !livePosts.has(id)),
+    unusedStrings: Object.keys(cache?.strings ?? {}).filter((hash) => !liveStrings.has(hash)),
+  };
+}
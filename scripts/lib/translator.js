@@ -0,0 +1,99 @@
+/**
+ * Translation Generation
+ *
+ * What translate.js asks the model for: a blog post, or a batch of FAQ
+ * strings, in another language — with the scripts/prompts/translate-post.md
+ * and translate-strings.md templates. See ./translations.js for how the
+ * results are cached and used.
+ */
+
+import { generateStructured, loadPromptTemplate } from './generation.js';
+import { postSourceHash } from './translations.js';
+import { LANGUAGE_NAMES } from './i18n.js';
+
+/** @type {import('./generation.js').OutputSchema} */
+export const TRANSLATED_POST_OUTPUT = {
+  name: 'translated_post',
+  schema: {
+    type: 'object',
+    properties: {
+      title: { type: 'string', minLength: 1 },
+      summary: { type: 'string', minLength: 1 },
+      content: { type: 'string', minLength: 1 },
+    },
+    required: ['title', 'summary', 'content'],
+    additionalProperties: false,
+  },
+};
+
+/**
+ * The answer to a batch of strings: one property per string, `s0`, `s1`...
+ * so a model that drops or merges one fails the schema and is asked again.
+ * @param {number} count
+ * @returns {import('./generation.js').OutputSchema}
+ */
+export function translatedStringsOutput(count) {
+  const keys = Array.from({ length: count }, (_, i) => `s${i}`);
+  return {
+    name: 'translated_strings',
+    schema: {
+      type: 'object',
+      properties: Object.fromEntries(keys.map((key) => [key, { type: 'string', minLength: 1 }])),
+      required: keys,
+      additionalProperties: false,
+    },
+  };
+}
+
+/** @param {string} locale */
+function languageName(locale) {
+  const name = LANGUAGE_NAMES[/** @type {keyof typeof LANGUAGE_NAMES} */ (locale)];
+  if (!name) throw new Error(`No language name for locale "${locale}"`);
+  return name;
+}
+
+/**
+ * Translate a live post (with hand edits) into `locale`.
+ * @param {import('./llm/index.js').LLMProvider} llm
+ * @param {{ title: string, summary: string, content: string }} post
+ * @param {string} locale
+ * @param {{ promptsDir?: string, now?: string }} [options]
+ * @returns {Promise<import('./translations.js').PostTranslation>}
+ */
+export async function translatePostText(llm, post, locale, { promptsDir, now = new Date().toISOString() } = {}) {
+  const { value, model, template } = await generateStructured({
+    llm,
+    template: loadPromptTemplate('translate-post', promptsDir),
+    vars: { language: languageName(locale), title: post.title, summary: post.summary, content: post.content },
+    schema: TRANSLATED_POST_OUTPUT,
+  });
+  return {
+    source: postSourceHash(post),
+    title: value.title.trim(),
+    summary: value.summary.trim(),
+    content: value.content.trim(),
+    model,
+    template,
+    translatedAt: now,
+  };
+}
+
+/**
+ * Translate a batch of strings into `locale`, in order.
+ * @param {import('./llm/index.js').LLMProvider} llm
+ * @param {string[]} strings
+ * @param {string} locale
+ * @param {{ promptsDir?: string }} [options]
+ * @returns {Promise<string[]>}
+ */
+export async function translateStrings(llm, strings, locale, { promptsDir } = {}) {
+  if (strings.length === 0) return [];
+  const input = Object.fromEntries(strings.map((text, i) => [`s${i}`, text]));
+  const { value } = await generateStructured({
+    llm,
+    template: loadPromptTemplate('translate-strings', promptsDir),
+    vars: { language: languageName(locale), strings: JSON.stringify(input, null, 2) },
+    schema: translatedStringsOutput(strings.length),
+  });
+  return strings.map((_, i) => value[`s${i}`].trim());
+}
@@ -0,0 +1,78 @@
+/**
+ * Verdict Extraction
+ *
+ * What extract-verdicts.js asks the model for: the variables of the
+ * scripts/prompts/verdict.md template and the JSON schema of the answer,
+ * which parseVerdict() (./verdict.js) then normalizes into a stored verdict.
+ */
+
+import { generateStructured, loadPromptTemplate } from './generation.js';
+import { parseVerdict, SENTIMENTS } from './verdict.js';
+
+/** @type {import('./generation.js').OutputSchema} */
+export const VERDICT_OUTPUT = {
+  name: 'verdict',
+  schema: {
+    type: 'object',
+    properties: {
+      score: { type: 'number' },
+      worthIt: { type: 'boolean' },
+      summary: { type: 'string', minLength: 1 },
+      dishes: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            name: { type: 'string', minLength: 1 },
+            sentiment: { type: 'string', enum: SENTIMENTS },
+            note: { type: 'string' },
+          },
+          required: ['name', 'sentiment', 'note'],
+          additionalProperties: false,
+        },
+      },
+      pricePaid: { type: ['number', 'null'] },
+      waitMinutes: { type: ['number', 'null'] },
+    },
+    required: ['score', 'worthIt', 'summary', 'dishes', 'pricePaid', 'waitMinutes'],
+    additionalProperties: false,
+  },
+};
+
+/**
+ * Template variables for a video's verdict.
+ * @param {{ caption: string }} video
+ * @param {{ name: string, cuisine?: string } | null | undefined} restaurant
+ * @param {string} [transcript]
+ * @returns {Record<string, string>}
+ */
+export function verdictVars(video, restaurant, transcript = '') {
+  return {
+    restaurant: `${restaurant?.name ?? 'Unknown'}${restaurant?.cuisine ? ` (${restaurant.cuisine})` : ''}`,
+    caption: video.caption,
+    transcript: transcript || '(no transcript — use the caption only)',
+  };
+}
+
+/**
+ * Extract the reviewer's verdict on a video's primary restaurant, from its
+ * transcript when there is one.
+ * @param {import('./llm/index.js').LLMProvider} llm
+ * @param {{ video: any, restaurant: any, transcript?: string, promptsDir?: string, now?: string }} input
+ * @returns {Promise<import('./verdict.js').Verdict>}
+ */
+export async function extractVerdict(llm, { video, restaurant, transcript = '', promptsDir, now }) {
+  const { value, model, template } = await generateStructured({
+    llm,
+    template: loadPromptTemplate('verdict', promptsDir),
+    vars: verdictVars(video, restaurant, transcript),
+    schema: VERDICT_OUTPUT,
+  });
+  return parseVerdict(value, {
+    videoId: video.videoId,
+    source: transcript ? 'transcript' : 'caption',
+    model,
+    template,
+    extractedAt: now,
+  });
+}
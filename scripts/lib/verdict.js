@@ -0,0 +1,138 @@
+/**
+ * Reviewer Verdicts
+ *
+ * The creator's own opinion of the restaurant a video reviews (its primary
+ * restaurant), pulled out of the caption and Whisper transcript by
+ * scripts/extract-verdicts.js and stored in data/verdicts.json by videoId:
+ *
+ *   {
+ *     "videoId": "7312456789012",
+ *     "score": 8.5,                 // out of 10
+ *     "worthIt": true,
+ *     "summary": "The spicy spring square is worth the line.",
+ *     "dishes": [
+ *       { "name": "Spicy Spring", "sentiment": "positive", "note": "crispy cup-and-char pepperoni" }
+ *     ],
+ *     "pricePaid": 14.5,            // USD, only when the video says
+ *     "waitMinutes": 20,            // only when the video says
+ *     "source": "transcript",       // or "caption" when there's no transcript
+ *     "model": "gpt-4o-mini",
+ *     "template": "verdict@1",      // prompt template and version
+ *     "extractedAt": "2026-01-01T00:00:00.000Z"
+ *   }
+ *
+ * The prompt is scripts/prompts/verdict.md (see ./verdict-extractor.js).
+ * parseVerdict() turns the model's JSON into that shape (or rejects it);
+ * scripts/lib/schema.js validates the stored file like every other one.
+ */
+
+export const SENTIMENTS = ['positive', 'mixed', 'negative'];
+export const VERDICT_SOURCES = ['transcript', 'caption'];
+
+/**
+ * @typedef {Object} VerdictDish
+ * @property {string} name
+ * @property {'positive' | 'mixed' | 'negative'} sentiment
+ * @property {string} [note]
+ */
+
+/**
+ * @typedef {Object} Verdict
+ * @property {string} videoId
+ * @property {number} score - 0–10, in half points
+ * @property {boolean} worthIt
+ * @property {string} summary
+ * @property {VerdictDish[]} dishes
+ * @property {number} [pricePaid] - USD
+ * @property {number} [waitMinutes]
+ * @property {'transcript' | 'caption'} source
+ * @property {string} model
+ * @property {string} [template] - `<name>@<version>` of the prompt
+ * @property {string} extractedAt
+ */
+
+/**
+ * A number from model output: 12, "12", "$12.50", "20 min". NaN otherwise.
+ * @param {unknown} value
+ * @returns {number}
+ */
+function toNumber(value) {
+  if (typeof value === 'number') return value;
+  if (typeof value === 'string') {
+    const match = /-?\d+(?:\.\d+)?/.exec(value.replace(/,/g, ''));
+    if (match) return Number(match[0]);
+  }
+  return NaN;
+}
+
+/**
+ * Normalize a model's verdict JSON into a stored Verdict. Missing optional
+ * facts are left out; a missing or out-of-range score, a missing worth-it
+ * answer or an empty summary are errors, since a guessed verdict is worse
+ * than none.
+ * @param {any} raw
+ * @param {{ videoId: string, source: 'transcript' | 'caption', model: string, template?: string, extractedAt?: string }} meta
+ * @returns {Verdict}
+ */
+export function parseVerdict(raw, { videoId, source, model, template, extractedAt = new Date().toISOString() }) {
+  if (!raw || typeof raw !== 'object') throw new Error('verdict is not a JSON object');
+
+  const score = toNumber(raw.score);
+  if (!Number.isFinite(score) || score < 0 || score > 10) {
+    throw new Error(`verdict score must be 0–10, got ${JSON.stringify(raw.score)}`);
+  }
+  if (typeof raw.worthIt !== 'boolean') {
+    throw new Error(`verdict worthIt must be true or false, got ${JSON.stringify(raw.worthIt)}`);
+  }
+  const summary = typeof raw.summary === 'string' ? raw.summary.trim() : '';
+  if (!summary) throw new Error('verdict summary is empty');
+
+  /** @type {VerdictDish[]} */
+  const dishes = (Array.isArray(raw.dishes) ? raw.dishes : [])
+    .filter((d) => d && typeof d.name === 'string' && d.name.trim())
+    .map((d) => ({
+      name: d.name.trim(),
+      sentiment: SENTIMENTS.includes(d.sentiment) ? d.sentiment : 'mixed',
+      ...(typeof d.note === 'string' && d.note.trim() ? { note: d.note.trim() } : {}),
+    }));
+
+  const pricePaid = toNumber(raw.pricePaid);
+  const waitMinutes = toNumber(raw.waitMinutes);
+  return {
+    videoId,
+    score: Math.round(score * 2) / 2,
+    worthIt: raw.worthIt,
+    summary,
+    dishes,
+    ...(pricePaid > 0 ? { pricePaid: Math.round(pricePaid * 100) / 100 } : {}),
+    ...(waitMinutes >= 0 ? { waitMinutes: Math.round(waitMinutes) } : {}),
+    source,
+    model,
+    ...(template ? { template } : {}),
+    extractedAt,
+  };
+}
+
+/**
+ * The verdict on a video's primary restaurant; undefined for the other
+ * restaurants of a multi-restaurant video. A `verdictScore` override
+ * (data/overrides.json) replaces the extracted score.
+ * @param {Record<string, Verdict>} verdicts - by videoId
+ * @param {{ videoId: string, restaurantSlug: string, verdictScore?: number }} video
+ * @param {{ slug: string }} [restaurant]
+ * @returns {Verdict | undefined}
+ */
+export function verdictFor(verdicts, video, restaurant) {
+  if (restaurant && restaurant.slug !== video.restaurantSlug) return undefined;
+  const verdict = verdicts[video.videoId];
+  if (!verdict || video.verdictScore === undefined) return verdict;
+  return { ...verdict, score: video.verdictScore };
+}
+
+/**
+ * "$14.50" or "$14".
+ * @param {number} usd
+ */
+export function formatPrice(usd) {
+  return `$${Number.isInteger(usd) ? usd : usd.toFixed(2)}`;
+}
@@ -0,0 +1,64 @@
+/**
+ * Video Helpers
+ *
+ * A video's `restaurantSlug` is its primary restaurant, which also decides
+ * its canonical URL. Videos that cover several places (a "best 3 slices"
+ * round-up, a food-hall tour) additionally list every featured restaurant,
+ * primary first, with an optional start time in seconds:
+ *
+ *   "restaurantSlug": "joes-pizza",
+ *   "restaurants": [
+ *     { "slug": "joes-pizza", "start": 0 },
+ *     { "slug": "prince-street-pizza", "start": 21 }
+ *   ]
+ *
+ * Pure functions only — shared by the pipeline scripts and src/lib/data.ts.
+ */
+
+import { restaurantVideoPath } from './slug.js';
+import { BASE_PATH } from './site.js';
+
+/**
+ * Slugs of every restaurant a video features, primary first.
+ * @param {{ restaurantSlug: string, restaurants?: { slug: string }[] }} video
+ * @returns {string[]}
+ */
+export function videoRestaurantSlugs(video) {
+  const slugs = [video.restaurantSlug, ...(video.restaurants ?? []).map((r) => r.slug)];
+  return [...new Set(slugs.filter(Boolean))];
+}
+
+/**
+ * When a restaurant appears in a video, in seconds (undefined if unknown).
+ * @param {{ restaurants?: { slug: string, start?: number }[] }} video
+ * @param {string} slug
+ * @returns {number | undefined}
+ */
+export function restaurantStart(video, slug) {
+  return video.restaurants?.find((r) => r.slug === slug)?.start;
+}
+
+/**
+ * `m:ss` for a start time in seconds.
+ * @param {number} seconds
+ * @returns {string}
+ */
+export function formatTimestamp(seconds) {
+  const whole = Math.max(0, Math.floor(seconds));
+  return `${Math.floor(whole / 60)}:${String(whole % 60).padStart(2, '0')}`;
+}
+
+/**
+ * Paths of the non-canonical pages of multi-restaurant videos (one per
+ * secondary restaurant). Kept out of the sitemap.
+ * @param {{ caption: string, videoId: string, restaurantSlug: string, restaurants?: { slug: string }[] }[]} videos
+ * @param {string} [base]
+ * @returns {string[]}
+ */
+export function secondaryVideoPaths(videos, base = BASE_PATH) {
+  return videos.flatMap((video) =>
+    videoRestaurantSlugs(video)
+      .slice(1)
+      .map((slug) => restaurantVideoPath(slug, video, base))
+  );
+}
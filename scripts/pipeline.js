@@ -0,0 +1,373 @@
+/**
+ * Pipeline Orchestrator
+ *
+ * Runs the data + build pipeline as a dependency graph:
+ *
+ *   scrape → process-media → enrich → transcribe → verdicts → fact-check
+ *          → translate → generate-og → sync-assets → validate → build → sitemaps
+ *
+ * Each stage's status is recorded in a run manifest
+ * (.cache/pipeline/manifest.json), so a failed run can be resumed at the
+ * stage that broke instead of starting from scratch.
+ *
+ * Data-refresh stages (scrape … generate-og) are optional: when one fails,
+ * the stages after it still run against the existing data/*.json, as the
+ * site can always be rebuilt from what's checked in. A failure in a
+ * required stage (validate, build, sitemaps) blocks everything that
+ * depends on it and makes the run exit non-zero.
+ *
+ * Stages whose tools or keys are missing are skipped with a reason
+ * (e.g. process-media without FFmpeg, transcribe without OPENAI_API_KEY).
+ *
+ * Usage: node scripts/pipeline.js [options]
+ *   --from=<stage>      start at <stage>, running it and everything after
+ *   --only=<a,b>        run only these stages
+ *   --skip=<a,b>        run everything except these stages
+ *   --resume            rerun the last run's selection from the stage that broke
+ *   --dry-run           print the plan without running anything
+ *   --list              list stages and their dependencies
+ */
+
+import { spawn } from 'child_process';
+import { cpSync, existsSync, readdirSync, mkdirSync } from 'fs';
+import { resolve } from 'path';
+import { readJSON, writeJSON } from './lib/json.js';
+import { loadEnv } from './lib/env.js';
+import { createLogger } from './lib/log.js';
+import { ffmpegAvailable, ytDlpVersion } from './lib/tools.js';
+import { transcriptionConfig, createTranscriber } from './lib/transcribers/index.js';
+import { llmConfig, createLLM } from './lib/llm/index.js';
+import { topoSort, selectStages } from './lib/graph.js';
+import { ROOT, VIDEOS_DIR, IMAGES_DIR } from './lib/paths.js';
+
+loadEnv();
+
+const MANIFEST_PATH = resolve(ROOT, '.cache/pipeline/manifest.json');
+const PUBLIC_IMAGES_DIR = resolve(ROOT, 'public/assets/images');
+
+const { log, warn, error } = createLogger('pipeline');
+
+// ---- Stages ----
+
+/**
+ * Stage definition:
+ *   name       — stage id used by --from/--only/--skip
+ *   dependsOn  — stages that must run first (when selected)
+ *   optional   — failure doesn't block dependents or fail the run
+ *   script     — npm script to run, or
+ *   run        — in-process function
+ *   skipReason — returns a string when the stage has nothing to do / can't run
+ */
+const STAGES = [
+  {
+    name: 'scrape',
+    dependsOn: [],
+    optional: true,
+    script: 'scrape',
+    skipReason: () => (ytDlpVersion() ? null : 'yt-dlp is not installed'),
+  },
+  {
+    name: 'process-media',
+    dependsOn: ['scrape'],
+    optional: true,
+    script: 'process-media',
+    skipReason: () => {
+      if (!ffmpegAvailable()) return 'FFmpeg is not installed';
+      if (!existsSync(VIDEOS_DIR) || !readdirSync(VIDEOS_DIR).some((f) => f.endsWith('.mp4'))) {
+        return 'no MP4 files in assets/videos/';
+      }
+      return null;
+    },
+  },
+  {
+    name: 'enrich',
+    dependsOn: ['scrape'],
+    optional: true,
+    script: 'enrich',
+  },
+  {
+    name: 'transcribe',
+    dependsOn: ['enrich'],
+    optional: true,
+    script: 'transcribe',
+    skipReason: () => {
+      let transcriber;
+      try {
+        transcriber = createTranscriber(transcriptionConfig(process.env, []));
+        createLLM(llmConfig({ model: process.env.TRANSCRIBE_MODEL || 'gpt-4o-mini' }, process.env, []));
+      } catch (err) {
+        return err.message;
+      }
+      if (transcriber.audioFormat && !ffmpegAvailable()) return 'FFmpeg is not installed';
+      return null;
+    },
+  },
+  {
+    name: 'verdicts',
+    dependsOn: ['transcribe'],
+    optional: true,
+    script: 'verdicts',
+    skipReason: () => {
+      try {
+        createLLM(llmConfig({ model: process.env.VERDICT_MODEL || 'gpt-4o-mini' }, process.env, []));
+      } catch (err) {
+        return err.message;
+      }
+      return null;
+    },
+  },
+  {
+    name: 'fact-check',
+    dependsOn: ['enrich', 'transcribe', 'verdicts'],
+    optional: true,
+    script: 'fact-check',
+  },
+  {
+    name: 'translate',
+    dependsOn: ['fact-check'],
+    optional: true,
+    script: 'translate',
+    skipReason: () => {
+      try {
+        createLLM(llmConfig({ model: process.env.TRANSLATE_MODEL || 'gpt-4o-mini' }, process.env, []));
+      } catch (err) {
+        return err.message;
+      }
+      return null;
+    },
+  },
+  {
+    name: 'generate-og',
+    dependsOn: ['process-media', 'enrich'],
+    optional: true,
+    script: 'generate-og',
+  },
+  {
+    name: 'sync-assets',
+    dependsOn: ['generate-og'],
+    run: syncAssets,
+  },
+  {
+    name: 'validate',
+    dependsOn: ['enrich', 'transcribe', 'verdicts', 'fact-check', 'translate'],
+    script: 'validate',
+  },
+  {
+    name: 'build',
+    dependsOn: ['sync-assets', 'validate'],
+    script: 'build',
+  },
+  {
+    name: 'sitemaps',
+    dependsOn: ['build'],
+    script: 'generate-sitemaps',
+  },
+];
+
+const STAGE_NAMES = STAGES.map((s) => s.name);
+
+/** Copy generated images into public/ so Astro serves them. */
+function syncAssets() {
+  if (!existsSync(IMAGES_DIR)) return;
+  mkdirSync(PUBLIC_IMAGES_DIR, { recursive: true });
+  cpSync(IMAGES_DIR, PUBLIC_IMAGES_DIR, { recursive: true });
+  const dirs = readdirSync(PUBLIC_IMAGES_DIR, { withFileTypes: true }).filter((d) => d.isDirectory());
+  log(`  Synced ${dirs.length} video image dirs to public/`);
+}
+
+// ---- Options ----
+
+function parseList(value) {
+  if (!value) return [];
+  const names = value.split(',').map((s) => s.trim()).filter(Boolean);
+  for (const name of names) {
+    if (!STAGE_NAMES.includes(name)) {
+      throw new Error(`Unknown stage "${name}". Stages: ${STAGE_NAMES.join(', ')}`);
+    }
+  }
+  return names;
+}
+
+// ---- Manifest ----
+
+function loadManifest() {
+  try {
+    return readJSON(MANIFEST_PATH);
+  } catch {
+    warn('Could not parse previous run manifest, ignoring it');
+    return null;
+  }
+}
+
+function saveManifest(manifest) {
+  writeJSON(MANIFEST_PATH, manifest);
+}
+
+// ---- Runner ----
+
+function runScript(script) {
+  return new Promise((resolvePromise) => {
+    const child = spawn('npm', ['run', '--silent', script], {
+      cwd: ROOT,
+      stdio: 'inherit',
+      env: process.env,
+    });
+    child.on('error', (e) => resolvePromise({ exitCode: 1, message: e.message }));
+    child.on('close', (code) => resolvePromise({ exitCode: code ?? 1 }));
+  });
+}
+
+async function runStage(stage) {
+  if (stage.run) {
+    try {
+      await stage.run();
+      return { exitCode: 0 };
+    } catch (e) {
+      return { exitCode: 1, message: e.message };
+    }
+  }
+  return runScript(stage.script);
+}
+
+function getArg(flag) {
+  const arg = process.argv.find((a) => a.startsWith(flag + '='));
+  return arg ? arg.slice(flag.length + 1) : null;
+}
+
+// ---- Main ----
+
+async function main() {
+  const ordered = topoSort(STAGES);
+
+  if (process.argv.includes('--list')) {
+    for (const stage of ordered) {
+      const deps = stage.dependsOn.length ? ` (after ${stage.dependsOn.join(', ')})` : '';
+      console.log(`${stage.name}${stage.optional ? ' [optional]' : ''}${deps}`);
+    }
+    return;
+  }
+
+  let manifest;
+  let toRun;
+  if (process.argv.includes('--resume')) {
+    const previous = loadManifest();
+    if (!previous) {
+      log('No previous run to resume');
+      return;
+    }
+    const broken = previous.selected.find(
+      (name) => !['succeeded', 'skipped'].includes(previous.stages[name]?.status)
+    );
+    if (!broken) {
+      log(`Previous run ${previous.runId} completed; nothing to resume`);
+      return;
+    }
+    toRun = previous.selected.slice(previous.selected.indexOf(broken));
+    manifest = {
+      ...previous,
+      status: 'running',
+      resumedAt: new Date().toISOString(),
+      finishedAt: null,
+      stages: {
+        ...previous.stages,
+        ...Object.fromEntries(toRun.map((name) => [name, { status: 'pending' }])),
+      },
+    };
+    log(`Resuming run ${previous.runId} at "${broken}"`);
+  } else {
+    toRun = selectStages(ordered, {
+      from: getArg('--from'),
+      only: parseList(getArg('--only')),
+      skip: parseList(getArg('--skip')),
+    });
+    manifest = {
+      runId: new Date().toISOString(),
+      startedAt: new Date().toISOString(),
+      finishedAt: null,
+      status: 'running',
+      selected: toRun,
+      stages: Object.fromEntries(toRun.map((name) => [name, { status: 'pending' }])),
+    };
+  }
+
+  log('=== Pipeline ===');
+  log(`Stages: ${toRun.join(' → ') || '(none)'}`);
+  if (process.argv.includes('--dry-run')) return;
+
+  saveManifest(manifest);
+
+  const byName = new Map(STAGES.map((s) => [s.name, s]));
+  const blocked = new Set();
+
+  for (const name of toRun) {
+    const stage = byName.get(name);
+    const record = manifest.stages[name];
+
+    const blocker = stage.dependsOn.find((dep) => blocked.has(dep));
+    if (blocker) {
+      Object.assign(record, { status: 'blocked', reason: `"${blocker}" did not complete` });
+      blocked.add(name);
+      warn(`${name}: blocked — ${record.reason}`);
+      saveManifest(manifest);
+      continue;
+    }
+
+    const reason = stage.skipReason?.();
+    if (reason) {
+      Object.assign(record, { status: 'skipped', reason });
+      log(`${name}: skipped — ${reason}`);
+      saveManifest(manifest);
+      continue;
+    }
+
+    log(`\n--- ${name} ---`);
+    const start = Date.now();
+    Object.assign(record, { status: 'running', startedAt: new Date(start).toISOString() });
+    saveManifest(manifest);
+
+    const result = await runStage(stage);
+
+    Object.assign(record, {
+      status: result.exitCode === 0 ? 'succeeded' : 'failed',
+      exitCode: result.exitCode,
+      finishedAt: new Date().toISOString(),
+      durationMs: Date.now() - start,
+      ...(result.message ? { reason: result.message } : {}),
+    });
+    saveManifest(manifest);
+
+    if (record.status === 'failed') {
+      if (stage.optional) {
+        warn(`${name}: failed (exit ${result.exitCode}) — continuing with existing data`, { stage: name });
+      } else {
+        error(`${name}: failed (exit ${result.exitCode})`, { stage: name });
+        blocked.add(name);
+      }
+    } else {
+      log(`${name}: done in ${(record.durationMs / 1000).toFixed(1)}s`, { stage: name });
+    }
+  }
+
+  const statuses = Object.values(manifest.stages).map((s) => s.status);
+  const requiredFailed = manifest.selected.some(
+    (name) => !byName.get(name).optional && ['failed', 'blocked'].includes(manifest.stages[name].status)
+  );
+  manifest.status = statuses.includes('failed') || statuses.includes('blocked') ? 'failed' : 'succeeded';
+  manifest.finishedAt = new Date().toISOString();
+  saveManifest(manifest);
+
+  log('\n=== Summary ===');
+  for (const name of manifest.selected) {
+    const { status, reason } = manifest.stages[name];
+    log(`${name.padEnd(14)} ${status}${reason ? ` (${reason})` : ''}`);
+  }
+  if (manifest.status === 'failed') {
+    log('Resume with: node scripts/pipeline.js --resume');
+  }
+  if (requiredFailed) process.exit(1);
+}
+
+main().catch((e) => {
+  error(`Fatal error: ${e.message}`);
+  process.exit(1);
+});
@@ -7,20 +7,22 @@
  * 3. Convert all frames to WebP
  * 4. Skip already-processed videos (idempotent)
  *
+ * A hash of each MP4 plus the extraction settings is recorded in
+ * data/stage-state.json; when a video file is replaced, its frames are
+ * re-extracted.
+ *
  * Requires: FFmpeg installed on the system
- * Usage: node scripts/process-media.js
+ * Usage: node scripts/process-media.js [--force[=<videoId>,...]]
  */
 
 import { execSync, exec } from 'child_process';
-import { readFileSync, existsSync, mkdirSync, readdirSync } from 'fs';
-import { resolve, dirname } from 'path';
-import { fileURLToPath } from 'url';
-
-const __dirname = dirname(fileURLToPath(import.meta.url));
-const ROOT = resolve(__dirname, '..');
-const DATA_DIR = resolve(ROOT, 'data');
-const VIDEOS_DIR = resolve(ROOT, 'assets/videos');
-const IMAGES_DIR = resolve(ROOT, 'assets/images');
+import { existsSync, mkdirSync, readdirSync } from 'fs';
+import { resolve } from 'path';
+import { readJSON } from './lib/json.js';
+import { createLogger } from './lib/log.js';
+import { ffmpegAvailable } from './lib/tools.js';
+import { openStageState, hashInputs, hashFile } from './lib/stage-state.js';
+import { VIDEOS_PATH, VIDEOS_DIR, IMAGES_DIR } from './lib/paths.js';
 
 // ---- Config ----
 
@@ -30,9 +32,7 @@ const MAX_WIDTH = 1200;
 
 // ---- Helpers ----
 
-function log(msg) {
-  console.log(`[process-media] ${msg}`);
-}
+const { log } = createLogger('process-media');
 
 function execPromise(cmd) {
   return new Promise((resolve, reject) => {
@@ -43,15 +43,6 @@ function execPromise(cmd) {
   });
 }
 
-function ffmpegAvailable() {
-  try {
-    execSync('ffmpeg -version', { stdio: 'pipe' });
-    return true;
-  } catch {
-    return false;
-  }
-}
-
 function getVideoDuration(videoPath) {
   try {
     const result = execSync(
@@ -66,7 +57,7 @@ function getVideoDuration(videoPath) {
 
 // ---- Frame Extraction ----
 
-async function extractKeyframes(videoPath, videoId) {
+async function extractKeyframes(videoPath, videoId, { overwrite = false } = {}) {
   const outputDir = resolve(IMAGES_DIR, videoId);
   if (!existsSync(outputDir)) mkdirSync(outputDir, { recursive: true });
 
@@ -84,7 +75,7 @@ async function extractKeyframes(videoPath, videoId) {
     const timestamp = duration * position;
     const outputPath = resolve(outputDir, `frame-${i + 1}.jpg`);
 
-    if (existsSync(outputPath)) {
+    if (!overwrite && existsSync(outputPath)) {
       log(`  frame-${i + 1}.jpg already exists, skipping`);
       continue;
     }
@@ -101,7 +92,7 @@ async function extractKeyframes(videoPath, videoId) {
 
   // Scene detection for sharpest frame
   const sceneFramePath = resolve(outputDir, 'scene-best.jpg');
-  if (!existsSync(sceneFramePath)) {
+  if (overwrite || !existsSync(sceneFramePath)) {
     try {
       await execPromise(
         `ffmpeg -i "${videoPath}" -vf "select='gt(scene,${SCENE_THRESHOLD})',scale='min(${MAX_WIDTH},iw)':-1" -vframes 1 -q:v 2 "${sceneFramePath}" -y`
@@ -115,7 +106,7 @@ async function extractKeyframes(videoPath, videoId) {
 
 // ---- WebP Conversion ----
 
-async function convertToWebP(videoId) {
+async function convertToWebP(videoId, { overwrite = false } = {}) {
   const imageDir = resolve(IMAGES_DIR, videoId);
   if (!existsSync(imageDir)) return;
 
@@ -123,7 +114,7 @@ async function convertToWebP(videoId) {
 
   for (const jpg of jpgFiles) {
     const webpPath = resolve(imageDir, jpg.replace('.jpg', '.webp'));
-    if (existsSync(webpPath)) continue;
+    if (!overwrite && existsSync(webpPath)) continue;
 
     const jpgPath = resolve(imageDir, jpg);
     try {
@@ -148,7 +139,8 @@ async function main() {
     process.exit(1);
   }
 
-  const videos = JSON.parse(readFileSync(resolve(DATA_DIR, 'videos.json'), 'utf-8'));
+  const videos = readJSON(VIDEOS_PATH);
+  const state = openStageState('process-media');
   log(`Processing ${videos.length} videos`);
 
   let processed = 0;
@@ -171,17 +163,39 @@ async function main() {
       continue;
     }
 
-    log(`Processing ${video.videoId}...`);
+    const hash = hashInputs({
+      video: hashFile(videoPath),
+      positions: KEYFRAME_POSITIONS,
+      sceneThreshold: SCENE_THRESHOLD,
+      maxWidth: MAX_WIDTH,
+    });
+    const reason = state.staleReason(
+      video.videoId,
+      hash,
+      existsSync(resolve(imageDir, 'frame-1.jpg'))
+    );
+    if (!reason) {
+      log(`${video.videoId}: Frames up to date, skipping`);
+      skipped++;
+      continue;
+    }
+
+    log(`Processing ${video.videoId} (${reason})...`);
+    const overwrite = reason !== 'no output yet';
 
     // Extract keyframes
-    await extractKeyframes(videoPath, video.videoId);
+    await extractKeyframes(videoPath, video.videoId, { overwrite });
 
     // Convert to WebP
-    await convertToWebP(video.videoId);
+    await convertToWebP(video.videoId, { overwrite });
 
+    state.record(video.videoId, hash);
     processed++;
   }
 
+  state.prune(videos.map((v) => v.videoId));
+  state.save();
+
   log(`\nComplete. Processed: ${processed}, Skipped: ${skipped}`);
 }
 
@@ -0,0 +1,156 @@
+/**
+ * Restaurant Identity Resolver
+ *
+ * Finds restaurant records that are the same place (same Google placeId,
+ * Yelp business, normalized name + city, or nearby coordinates) and
+ * same-named places in different cities that were collapsed into one, and
+ * proposes merges and splits. See scripts/lib/identity.js for the rules.
+ *
+ * Applying a merge or split rewrites videos.json, restaurants.json and
+ * blog-posts.json, moves overrides.json entries to the surviving slug, and
+ * records every retired slug in data/redirects.json so the build emits
+ * redirect pages from the old URLs.
+ *
+ * Usage: node scripts/resolve-restaurants.js [options]
+ *   (no options)            list proposed merges and splits
+ *   --apply                 apply every proposal
+ *   --merge=<keep>,<slug>   merge one or more slugs into <keep>
+ *   --split=<slug>:<city>   move <slug>'s videos in <city> to <slug>-<city>
+ *   --dry-run               show what would change without writing
+ */
+
+import { assertValidData } from './lib/schema.js';
+import { citySlug } from './lib/slug.js';
+import {
+  proposeMerges,
+  proposeSplits,
+  mergeRestaurants,
+  splitRestaurant,
+} from './lib/identity.js';
+import { readJSON, writeJSON } from './lib/json.js';
+import { createLogger } from './lib/log.js';
+import {
+  VIDEOS_PATH,
+  RESTAURANTS_PATH,
+  BLOG_POSTS_PATH,
+  OVERRIDES_PATH,
+  REDIRECTS_PATH,
+} from './lib/paths.js';
+
+const APPLY = process.argv.includes('--apply');
+const DRY_RUN = process.argv.includes('--dry-run');
+
+// ---- Helpers ----
+
+const { log, warn, error } = createLogger('resolve');
+
+function getArg(flag) {
+  const arg = process.argv.find((a) => a.startsWith(flag + '='));
+  return arg ? arg.slice(flag.length + 1) : null;
+}
+
+/** Move overrides.json entries keyed by a retired slug to the slug that replaced it. */
+function migrateOverrides(overrides, from, to) {
+  const restaurants = overrides.restaurants ?? {};
+  if (restaurants[from]) {
+    if (restaurants[to]) {
+      warn(`overrides.json: restaurants.${from} and restaurants.${to} both exist; merge them by hand`);
+    } else {
+      restaurants[to] = restaurants[from];
+      delete restaurants[from];
+      log(`  overrides.json: moved restaurants.${from} to restaurants.${to}`);
+    }
+  }
+  for (const entry of Object.values(overrides.videos ?? {})) {
+    if (entry?.restaurantSlug === from) entry.restaurantSlug = to;
+  }
+}
+
+// ---- Main ----
+
+function main() {
+  log('=== Restaurant Identity Resolver ===');
+
+  let data = {
+    videos: readJSON(VIDEOS_PATH, []),
+    restaurants: readJSON(RESTAURANTS_PATH, {}),
+    blogPosts: readJSON(BLOG_POSTS_PATH, {}),
+    redirects: readJSON(REDIRECTS_PATH, []),
+  };
+  const overrides = readJSON(OVERRIDES_PATH, {});
+
+  const mergeArg = getArg('--merge');
+  const splitArg = getArg('--split');
+
+  let merges;
+  let splits;
+  if (mergeArg || splitArg) {
+    merges = [];
+    splits = [];
+    if (mergeArg) {
+      const [keep, ...retire] = mergeArg.split(',').map((s) => s.trim()).filter(Boolean);
+      for (const slug of [keep, ...retire]) {
+        if (!data.restaurants[slug]) throw new Error(`Unknown restaurant "${slug}"`);
+      }
+      merges.push({ keep, retire, reasons: ['manual merge'] });
+    }
+    if (splitArg) {
+      const [slug, city] = splitArg.split(':');
+      const videoIds = data.videos
+        .filter((v) => v.city === city && [v.restaurantSlug, ...(v.restaurants ?? []).map((r) => r.slug)].includes(slug))
+        .map((v) => v.videoId);
+      if (videoIds.length === 0) throw new Error(`"${slug}" has no videos in "${city}"`);
+      splits.push({ slug, city, newSlug: `${slug}-${citySlug(city)}`, videoIds });
+    }
+  } else {
+    merges = proposeMerges(data.restaurants);
+    splits = proposeSplits(data.restaurants, data.videos);
+  }
+
+  if (merges.length === 0 && splits.length === 0) {
+    log('No duplicate or collapsed restaurants found');
+    return;
+  }
+
+  for (const { keep, retire, reasons } of merges) {
+    log(`merge: ${retire.join(', ')} → ${keep} (${reasons.join('; ')})`);
+  }
+  for (const { slug, city, newSlug, videoIds } of splits) {
+    log(`split: ${slug} → ${newSlug} (${videoIds.length} video(s) in ${city})`);
+  }
+
+  if (!APPLY && !mergeArg && !splitArg) {
+    log('\nRun with --apply to apply these, or --merge / --split to apply one');
+    return;
+  }
+
+  for (const { keep, retire, reasons } of merges) {
+    data = { ...data, ...mergeRestaurants(data, keep, retire, { reason: reasons.join('; ') }) };
+    for (const slug of retire) migrateOverrides(overrides, slug, keep);
+  }
+  for (const split of splits) {
+    data = { ...data, ...splitRestaurant(data, split) };
+    log(`  ${split.newSlug} has no Google/Yelp data yet — pin it in overrides.json (googlePlaceId / yelpAlias)`);
+  }
+
+  assertValidData(data, { log: error, allowPending: true });
+
+  if (DRY_RUN) {
+    log('Dry run — no files written');
+    return;
+  }
+
+  writeJSON(VIDEOS_PATH, data.videos);
+  writeJSON(RESTAURANTS_PATH, data.restaurants);
+  writeJSON(BLOG_POSTS_PATH, data.blogPosts);
+  writeJSON(REDIRECTS_PATH, data.redirects);
+  writeJSON(OVERRIDES_PATH, overrides);
+  log(`Saved. ${Object.keys(data.restaurants).length} restaurants, ${data.redirects.length} redirect(s)`);
+}
+
+try {
+  main();
+} catch (e) {
+  error(`Fatal error: ${e.message}`);
+  process.exit(1);
+}
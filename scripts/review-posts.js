@@ -0,0 +1,247 @@
+/**
+ * Blog Post Review
+ *
+ * Generated blog posts stay off the site until they are approved. This
+ * lists what is waiting — new drafts, and revisions of live posts that were
+ * regenerated — shows what would change, and records the decision in
+ * data/blog-posts.json. See scripts/lib/editorial.js for the statuses.
+ *
+ * Hand edits are not made here: put them in data/blog-edits.json, where no
+ * regeneration can overwrite them.
+ *
+ * Approving re-runs the fact check (scripts/lib/fact-check.js) on the text
+ * as it would go live, with its hand edits, and refuses text with flagged
+ * claims or links to pages the site doesn't build: fix them with a hand
+ * edit, or pass --force to approve anyway.
+ *
+ * Usage: node scripts/review-posts.js [command] [options]
+ *   (no command)              list posts waiting for review
+ *   show <videoId>            print a post (and its revision, if any)
+ *   diff <videoId>            diff the live text against its revision
+ *   approve <videoId>...      approve drafts, promote revisions, or (with --force)
+ *                             accept a live post its fact check held back
+ *   reject <videoId>...       reject drafts, or drop revisions
+ *   publish                   mark every approved post published (after a deploy)
+ *   --note="..."              reason recorded with approve/reject
+ *   --force                   approve text that failed its fact check
+ *   --dry-run                 show what would change without writing
+ */
+
+import { readdirSync } from 'fs';
+import { assertValidData } from './lib/schema.js';
+import {
+  pendingReview,
+  approvePost,
+  rejectPost,
+  publishApproved,
+  revisionDiff,
+  applyBlogEdits,
+  isLive,
+  heldBack,
+  failedFactCheck,
+} from './lib/editorial.js';
+import { createFactChecker, formatFlag } from './lib/fact-check.js';
+import { sitePages } from './lib/site-pages.js';
+import { readJSON, writeJSON } from './lib/json.js';
+import { createLogger } from './lib/log.js';
+import {
+  VIDEOS_PATH,
+  RESTAURANTS_PATH,
+  BLOG_POSTS_PATH,
+  BLOG_EDITS_PATH,
+  OVERRIDES_PATH,
+  VERDICTS_PATH,
+  DISHES_PATH,
+  GAZETTEER_PATH,
+  PAGES_DIR,
+} from './lib/paths.js';
+
+const DRY_RUN = process.argv.includes('--dry-run');
+const FORCE = process.argv.includes('--force');
+
+// ---- Helpers ----
+
+const { log, warn, error } = createLogger('review');
+
+function getArg(flag) {
+  const arg = process.argv.find((a) => a.startsWith(flag + '='));
+  return arg ? arg.slice(flag.length + 1) : null;
+}
+
+/** The fact check result in a few characters. */
+function factCheckLabel(text) {
+  if (!text.factCheck) return 'unchecked';
+  return text.factCheck.passed ? 'checked' : `${text.factCheck.flags.length} flag(s)`;
+}
+
+/** One line per post: id, status, what's waiting, its fact check and the title. */
+function describe(post) {
+  const waiting = post.revision
+    ? `revision of ${post.status} post`
+    : isLive(post) && heldBack(post)
+    ? `${post.status}, held back`
+    : post.status;
+  const text = post.revision ?? post;
+  return `${post.videoId}  ${waiting.padEnd(26)} ${text.generatedAt.slice(0, 10)}  ${factCheckLabel(text).padEnd(10)} ${text.title}`;
+}
+
+function printPost(label, post) {
+  console.log(`--- ${label}${post.model ? ` (${post.model}, ${post.template ?? 'no template'})` : ''}`);
+  console.log(`Title:   ${post.title}`);
+  console.log(`Summary: ${post.summary}\n`);
+  console.log(post.content);
+  console.log('');
+  if (post.factCheck?.flags.length > 0) {
+    console.log(`Fact check (${post.factCheck.checkedAt.slice(0, 10)}):`);
+    for (const flag of post.factCheck.flags) console.log(`  ${formatFlag(flag)}`);
+    console.log('');
+  }
+}
+
+/**
+ * The fact check approval runs, against today's data and the pages the
+ * site would build from it.
+ * @param {Record<string, any>} blogPosts
+ * @param {any} edits
+ */
+function createApprovalCheck(blogPosts, edits) {
+  const data = {
+    videos: readJSON(VIDEOS_PATH, []),
+    restaurants: readJSON(RESTAURANTS_PATH, {}),
+    verdicts: readJSON(VERDICTS_PATH, {}),
+    catalog: readJSON(DISHES_PATH, []),
+    places: readJSON(GAZETTEER_PATH, []),
+  };
+  const pages = sitePages(
+    { ...data, blogPosts, edits, overrides: readJSON(OVERRIDES_PATH, {}) },
+    readdirSync(PAGES_DIR, { recursive: true, encoding: 'utf8' })
+  );
+  return createFactChecker({ ...data, pages });
+}
+
+// ---- Main ----
+
+function main() {
+  const [command = 'list', ...args] = process.argv.slice(2).filter((a) => !a.startsWith('--'));
+  const note = getArg('--note') ?? undefined;
+
+  const blogPosts = readJSON(BLOG_POSTS_PATH, {});
+  const edits = readJSON(BLOG_EDITS_PATH, {});
+
+  const postFor = (videoId) => {
+    if (!videoId) throw new Error(`${command} needs a videoId`);
+    const post = blogPosts[videoId];
+    if (!post) throw new Error(`No blog post for video "${videoId}"`);
+    return post;
+  };
+
+  switch (command) {
+    case 'list': {
+      const pending = pendingReview(blogPosts);
+      if (pending.length === 0) {
+        log('Nothing waiting for review');
+        return;
+      }
+      log(`${pending.length} post(s) waiting for review:`);
+      for (const post of pending) console.log(`  ${describe(post)}`);
+      log('\nSee one with `show <videoId>` or `diff <videoId>`, then `approve` or `reject` it');
+      return;
+    }
+
+    case 'show': {
+      const post = postFor(args[0]);
+      const { posts } = applyBlogEdits({ [post.videoId]: post }, edits);
+      printPost(`${post.status}${posts[post.videoId].edited ? ', with hand edits' : ''}`, posts[post.videoId]);
+      if (post.revision) printPost('revision', post.revision);
+      return;
+    }
+
+    case 'diff': {
+      const post = postFor(args[0]);
+      if (!post.revision) {
+        log(`${post.videoId} has no revision${post.status === 'draft' ? ' (it is a new draft: use show)' : ''}`);
+        return;
+      }
+      const changes = revisionDiff(post, edits.posts?.[post.videoId]);
+      if (changes.length === 0) log('The revision only differs where hand edits apply');
+      for (const { field, edited, lines } of changes) {
+        console.log(`--- ${field} (live${edited ? ', hand-edited — the edit stays after approval' : ''})`);
+        console.log(`+++ ${field} (regenerated)`);
+        for (const { op, line } of lines) console.log(`${op}${line}`);
+        console.log('');
+      }
+      return;
+    }
+
+    case 'approve':
+    case 'reject': {
+      if (args.length === 0) throw new Error(`${command} needs at least one videoId`);
+      const factCheckPost = command === 'approve' && createApprovalCheck(blogPosts, edits);
+      for (const videoId of args) {
+        let post = postFor(videoId);
+        try {
+          if (factCheckPost) {
+            // Check the text as it would go live, against today's data
+            post = blogPosts[videoId] = factCheckPost(post, { edit: edits.posts?.[videoId] });
+            blogPosts[videoId] = approvePost(post, undefined, { force: FORCE });
+          } else {
+            blogPosts[videoId] = rejectPost(post, { note });
+          }
+        } catch (e) {
+          warn(e.message);
+          const text = post.revision ?? post;
+          if (factCheckPost && failedFactCheck(text)) {
+            for (const flag of text.factCheck.flags) warn(`  ${formatFlag(flag)}`);
+            warn('  Fix these with a hand edit in data/blog-edits.json, or approve with --force');
+          }
+          continue;
+        }
+        const what = post.revision ? 'revision' : 'post';
+        log(`${command === 'approve' ? 'Approved' : 'Rejected'} ${what} ${videoId}: ${blogPosts[videoId].title}`, {
+          videoId,
+          decision: command,
+          what,
+          status: blogPosts[videoId].status,
+          ...(note ? { note } : {}),
+          ...(command === 'approve' && failedFactCheck(post.revision ?? post) ? { factCheckOverridden: true } : {}),
+        });
+        if (command === 'reject' && isLive(post) && !post.revision) warn(`${videoId} was live and is now off the site`);
+      }
+      break;
+    }
+
+    case 'publish': {
+      const { posts, published, held } = publishApproved(blogPosts);
+      if (held.length > 0) warn(`Held back by their fact check: ${held.join(', ')}`);
+      if (published.length === 0) {
+        log('No approved posts to publish');
+        return;
+      }
+      Object.assign(blogPosts, posts);
+      log(`Published ${published.length} post(s): ${published.join(', ')}`, { published });
+      break;
+    }
+
+    default:
+      throw new Error(`Unknown command "${command}" (list, show, diff, approve, reject, publish)`);
+  }
+
+  assertValidData(
+    { videos: readJSON(VIDEOS_PATH, []), restaurants: readJSON(RESTAURANTS_PATH, {}), blogPosts },
+    { log: error, allowPending: true }
+  );
+
+  if (DRY_RUN) {
+    log('Dry run — no files written');
+    return;
+  }
+  writeJSON(BLOG_POSTS_PATH, blogPosts);
+  log('Saved data/blog-posts.json');
+}
+
+try {
+  main();
+} catch (e) {
+  error(`Fatal error: ${e.message}`);
+  process.exit(1);
+}
@@ -15,21 +15,22 @@
  * Usage: node scripts/scrape-tiktok.js [--max=50] [--manual]
  */
 
-import { readFileSync, writeFileSync, existsSync, mkdirSync } from 'fs';
+import { existsSync } from 'fs';
 import { execSync } from 'child_process';
-import { resolve, dirname } from 'path';
-import { fileURLToPath } from 'url';
+import { resolve } from 'path';
+import { assertValidData } from './lib/schema.js';
+import { tiktokWatchUrl } from './lib/slug.js';
+import { readJSON, writeJSON } from './lib/json.js';
+import { createLogger } from './lib/log.js';
+import { ytDlpVersion } from './lib/tools.js';
+import { TIKTOK_HANDLE } from './lib/site.js';
+import { DATA_DIR, VIDEOS_PATH, RESTAURANTS_PATH } from './lib/paths.js';
 
-const __dirname = dirname(fileURLToPath(import.meta.url));
-const ROOT = resolve(__dirname, '..');
-const DATA_DIR = resolve(ROOT, 'data');
-const VIDEOS_PATH = resolve(DATA_DIR, 'videos.json');
 const MANUAL_PATH = resolve(DATA_DIR, 'manual-videos.json');
-const LOG_DIR = resolve(ROOT, 'logs');
 
 // ---- Config ----
 
-const TIKTOK_PROFILE = 'https://www.tiktok.com/@oneminreviews';
+const TIKTOK_PROFILE = `https://www.tiktok.com/@${TIKTOK_HANDLE}`;
 const MAX_VIDEOS = parseInt(getArg('--max') || process.env.SCRAPE_MAX || '50', 10);
 const IS_MANUAL = process.argv.includes('--manual');
 
@@ -40,34 +41,22 @@ function getArg(flag) {
   return arg ? arg.split('=')[1] : null;
 }
 
-function log(msg) {
-  const timestamp = new Date().toISOString();
-  const line = `[${timestamp}] ${msg}`;
-  console.log(line);
-  try {
-    if (!existsSync(LOG_DIR)) mkdirSync(LOG_DIR, { recursive: true });
-    writeFileSync(
-      resolve(LOG_DIR, 'scrape.log'),
-      line + '\n',
-      { flag: 'a' }
-    );
-  } catch (e) {
-    // Logging failure is non-fatal
-  }
-}
+const { log } = createLogger('scrape');
 
 function loadExistingVideos() {
-  if (!existsSync(VIDEOS_PATH)) return [];
   try {
-    return JSON.parse(readFileSync(VIDEOS_PATH, 'utf-8'));
+    return readJSON(VIDEOS_PATH, []);
   } catch {
     return [];
   }
 }
 
 function saveVideos(videos) {
-  if (!existsSync(DATA_DIR)) mkdirSync(DATA_DIR, { recursive: true });
-  writeFileSync(VIDEOS_PATH, JSON.stringify(videos, null, 2));
+  // New videos have no restaurant yet — enrichment fills restaurantSlug in
+  const restaurants = readJSON(RESTAURANTS_PATH, undefined);
+  assertValidData({ videos, restaurants }, { log, allowPending: true });
+
+  writeJSON(VIDEOS_PATH, videos);
   log(`Saved ${videos.length} videos to ${VIDEOS_PATH}`);
 }
 
@@ -82,7 +71,7 @@ function runManualMode() {
     process.exit(0);
   }
 
-  const manualVideos = JSON.parse(readFileSync(MANUAL_PATH, 'utf-8'));
+  const manualVideos = readJSON(MANUAL_PATH);
   const existing = loadExistingVideos();
   const existingIds = new Set(existing.map((v) => v.videoId));
 
@@ -106,17 +95,16 @@ function runManualMode() {
  * Check that yt-dlp is available on the system.
  */
 function ensureYtDlp() {
-  try {
-    const version = execSync('yt-dlp --version', { encoding: 'utf-8' }).trim();
-    log(`yt-dlp version: ${version}`);
-    return true;
-  } catch {
+  const version = ytDlpVersion();
+  if (!version) {
     log('ERROR: yt-dlp is not installed.');
     log('Install it with:  brew install yt-dlp  (macOS)');
     log('              or:  pip install yt-dlp');
     log('              or:  https://github.com/yt-dlp/yt-dlp#installation');
     return false;
   }
+  log(`yt-dlp version: ${version}`);
+  return true;
 }
 
 /**
@@ -211,7 +199,7 @@ function parseYtDlpItem(item) {
     caption,
     createTime,
     thumbnailUrl,
-    embedUrl: `https://www.tiktok.com/@oneminreviews/video/${videoId}`,
+    embedUrl: tiktokWatchUrl(videoId),
     restaurantSlug: '', // Will be filled by enrichment pipeline
     city: '',
     cuisine: '',
@@ -4,76 +4,75 @@
  * For each video in videos.json:
  * 1. Check for MP4 in assets/videos/
  * 2. Extract audio via FFmpeg
- * 3. Transcribe audio via OpenAI Whisper API
- * 4. Generate a blog-post-style review via GPT
- * 5. Save results to data/blog-posts.json
+ * 3. Transcribe the audio (text + timestamped segments) with the configured
+ *    backend: OpenAI Whisper by default, or whisper.cpp locally
+ *    (see scripts/lib/transcribers/)
+ * 4. Generate a blog-post-style review with the configured LLM, from the
+ *    prompt templates in scripts/prompts/ (see scripts/lib/blog-post.js)
+ * 5. Fact-check the post against the restaurant data, caption and
+ *    transcript, flagging claims they don't back (see
+ *    scripts/lib/fact-check.js)
+ * 6. Save results to data/blog-posts.json — new posts as drafts waiting for
+ *    review; a regenerated post that is already live keeps its text, with
+ *    the new one as a revision (see scripts/lib/editorial.js)
  *
- * Requires: FFmpeg installed, OPENAI_API_KEY env variable
- * Usage:    node scripts/transcribe-videos.js
- * Env:      OPENAI_API_KEY  — required
+ * Videos that already have a post are skipped unless the metadata the post
+ * is written from (caption, city, cuisine, restaurant details) changed since
+ * it was generated — then the post is regenerated, reusing the stored
+ * transcript instead of transcribing again. Posts transcribed before
+ * segments were kept are transcribed again to get them.
+ *
+ * Requires: FFmpeg installed, OPENAI_API_KEY env variable (for the default
+ *           OpenAI transcription backend and LLM provider)
+ * Usage:    node scripts/transcribe-videos.js [--force[=<videoId>,...]] [--backend=<name>] [--llm=<name>]
+ * Env:      OPENAI_API_KEY  — required by the OpenAI backend/provider
  *           TRANSCRIBE_MAX  — max videos to process (default: all)
- *           TRANSCRIBE_MODEL — GPT model for blog generation (default: gpt-4o-mini)
+ *           TRANSCRIBE_MODEL — model for blog generation (default: gpt-4o-mini)
+ *           TRANSCRIBE_BACKEND — openai | whisper-cpp | fake (default: openai)
+ *           TRANSCRIBE_LANGUAGE — language of every video (default: detected per video)
+ *           LLM_PROVIDER    — openai | openai-compatible | stub (default: openai)
  */
 
 import { execSync } from 'child_process';
+import { existsSync, mkdirSync, unlinkSync, readdirSync, rmdirSync } from 'fs';
+import { resolve } from 'path';
+import { assertValidData } from './lib/schema.js';
+import { blogPostSlug } from './lib/slug.js';
+import { restaurantForVideo } from './lib/locations.js';
+import { transcriptionConfig, createTranscriber } from './lib/transcribers/index.js';
+import { llmConfig, createLLM } from './lib/llm/index.js';
+import { generateBlogPost } from './lib/blog-post.js';
+import { storeGenerated } from './lib/editorial.js';
+import { createFactChecker, formatFlag } from './lib/fact-check.js';
+import { readJSON, writeJSON } from './lib/json.js';
+import { loadEnv } from './lib/env.js';
+import { createLogger } from './lib/log.js';
+import { ffmpegAvailable } from './lib/tools.js';
+import { openStageState, hashInputs } from './lib/stage-state.js';
 import {
-  readFileSync,
-  writeFileSync,
-  existsSync,
-  mkdirSync,
-  unlinkSync,
-} from 'fs';
-import { readFile } from 'fs/promises';
-import { resolve, dirname } from 'path';
-import { fileURLToPath } from 'url';
-
-const __dirname = dirname(fileURLToPath(import.meta.url));
-const ROOT = resolve(__dirname, '..');
-
-// ---- Load .env file (no external dependencies) ----
-const envPath = resolve(ROOT, '.env');
-if (existsSync(envPath)) {
-  for (const line of readFileSync(envPath, 'utf-8').split('\n')) {
-    const trimmed = line.trim();
-    if (!trimmed || trimmed.startsWith('#')) continue;
-    const eqIdx = trimmed.indexOf('=');
-    if (eqIdx === -1) continue;
-    const key = trimmed.slice(0, eqIdx).trim();
-    const val = trimmed.slice(eqIdx + 1).trim();
-    if (!process.env[key]) process.env[key] = val; // don't override existing
-  }
-}
-const DATA_DIR = resolve(ROOT, 'data');
-const VIDEOS_DIR = resolve(ROOT, 'assets/videos');
-const AUDIO_TMP_DIR = resolve(ROOT, 'tmp/audio');
-const BLOG_POSTS_PATH = resolve(DATA_DIR, 'blog-posts.json');
+  VIDEOS_PATH,
+  RESTAURANTS_PATH,
+  BLOG_POSTS_PATH,
+  BLOG_EDITS_PATH,
+  VERDICTS_PATH,
+  DISHES_PATH,
+  GAZETTEER_PATH,
+  VIDEOS_DIR,
+  TMP_DIR,
+} from './lib/paths.js';
+
+loadEnv();
+
+const AUDIO_TMP_DIR = resolve(TMP_DIR, 'audio');
 
 // ---- Config ----
 
-const OPENAI_API_KEY = process.env.OPENAI_API_KEY;
 const TRANSCRIBE_MAX = parseInt(process.env.TRANSCRIBE_MAX || '0', 10) || Infinity;
 const GPT_MODEL = process.env.TRANSCRIBE_MODEL || 'gpt-4o-mini';
-const WHISPER_MODEL = 'whisper-1';
-const OPENAI_BASE = 'https://api.openai.com/v1';
 
 // ---- Helpers ----
 
-function log(msg) {
-  console.log(`[transcribe] ${msg}`);
-}
-
-function warn(msg) {
-  console.warn(`[transcribe] WARN: ${msg}`);
-}
-
-function ffmpegAvailable() {
-  try {
-    execSync('ffmpeg -version', { stdio: 'pipe' });
-    return true;
-  } catch {
-    return false;
-  }
-}
+const { log, warn } = createLogger('transcribe');
 
 /**
  * Download a TikTok video via yt-dlp when no local MP4 exists.
@@ -97,230 +96,37 @@ function downloadVideo(embedUrl, outputPath) {
   }
 }
 
-/** Extract audio from video as MP3 (small, Whisper-compatible). */
-function extractAudio(videoPath, outputPath) {
+/** FFmpeg audio options per format a transcription backend reads (16 kHz mono). */
+const AUDIO_CODECS = {
+  mp3: '-acodec libmp3lame -ar 16000 -ac 1 -q:a 6', // small, for uploading
+  wav: '-acodec pcm_s16le -ar 16000 -ac 1', // what whisper.cpp reads
+};
+
+/** Extract audio from video in the given format. */
+function extractAudio(videoPath, outputPath, format) {
   execSync(
-    `ffmpeg -i "${videoPath}" -vn -acodec libmp3lame -ar 16000 -ac 1 -q:a 6 "${outputPath}" -y`,
+    `ffmpeg -i "${videoPath}" -vn ${AUDIO_CODECS[format]} "${outputPath}" -y`,
     { stdio: 'pipe' }
   );
 }
 
-/** Call OpenAI Whisper API to transcribe an audio file. */
-async function transcribeAudio(audioPath) {
-  const audioBuffer = await readFile(audioPath);
-  const formData = new FormData();
-  formData.append('model', WHISPER_MODEL);
-  formData.append('language', 'en');
-  formData.append('response_format', 'verbose_json');
-  formData.append(
-    'file',
-    new Blob([audioBuffer], { type: 'audio/mpeg' }),
-    'audio.mp3'
-  );
-
-  const res = await fetch(`${OPENAI_BASE}/audio/transcriptions`, {
-    method: 'POST',
-    headers: { Authorization: `Bearer ${OPENAI_API_KEY}` },
-    body: formData,
-  });
-
-  if (!res.ok) {
-    const errBody = await res.text();
-    throw new Error(`Whisper API error ${res.status}: ${errBody}`);
-  }
-
-  const data = await res.json();
-  return {
-    text: data.text,
-    duration: data.duration ?? null,
-    segments: data.segments ?? [],
-  };
-}
-
-/**
- * Generate a blog post from caption + metadata only (no transcript).
- * Used as fallback when video can't be downloaded / transcribed.
- */
-async function generateBlogPostFromCaption(video, restaurant) {
-  const ratingInfo = restaurant?.google?.rating
-    ? `Google Rating: ${restaurant.google.rating}/5 (${restaurant.google.reviewCount?.toLocaleString()} reviews)`
-    : 'No Google rating available';
-
-  const yelpInfo =
-    restaurant?.yelp?.rating && restaurant.yelp.rating > 0
-      ? `Yelp Rating: ${restaurant.yelp.rating}/5`
-      : '';
-
-  const prompt = `You are a food blogger writing for @oneminreviews — a TikTok channel that posts honest, unsponsored one-minute restaurant video reviews.
-
-Based on the video caption and restaurant details below, write an engaging blog-post-style review.
-Note: You do NOT have a transcript, so write based on the caption, restaurant info, and your knowledge of the restaurant.
-
-## Restaurant Details
-- Name: ${restaurant?.name ?? 'Unknown Restaurant'}
-- City: ${video.city || 'Unknown'}${restaurant?.state ? `, ${restaurant.state}` : ''}
-- Cuisine: ${video.cuisine || restaurant?.cuisine || 'Unknown'}
-- Address: ${restaurant?.address || 'Not available'}
-- ${ratingInfo}
-${yelpInfo ? `- ${yelpInfo}` : ''}
-
-## Video Info
-- Caption: ${video.caption}
-- Posted: ${new Date(video.createTime * 1000).toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric' })}
-- Engagement: ${video.stats?.likes?.toLocaleString() ?? 0} likes, ${video.stats?.comments?.toLocaleString() ?? 0} comments
-
-## Instructions
-Write a blog post that:
-1. Has a catchy, SEO-friendly title (don't just repeat the restaurant name)
-2. Opens with a hook that draws readers in
-3. Describes the food, atmosphere, and overall experience based on the caption and your knowledge
-4. Includes a clear verdict/recommendation
-5. Ends with practical visiting info (location, cuisine type)
-6. Uses a conversational, authentic tone — like talking to a friend
-7. Is 300-500 words long
-8. Includes 2-3 relevant subheadings (use ## for h2)
-
-Return ONLY valid JSON with this exact structure (no markdown code fences):
-{
-  "title": "Blog post title here",
-  "summary": "A 1-2 sentence summary for previews/SEO (max 160 chars)",
-  "content": "Full blog post content in Markdown format"
-}`;
-
-  const res = await fetch(`${OPENAI_BASE}/chat/completions`, {
-    method: 'POST',
-    headers: {
-      Authorization: `Bearer ${OPENAI_API_KEY}`,
-      'Content-Type': 'application/json',
+/** Hash of everything a blog post is written from, besides the transcript. */
+function hashPostInputs(video, restaurant) {
+  return hashInputs({
+    caption: video.caption,
+    city: video.city,
+    cuisine: video.cuisine,
+    restaurantSlug: video.restaurantSlug,
+    restaurant: restaurant && {
+      name: restaurant.name,
+      state: restaurant.state,
+      cuisine: restaurant.cuisine,
+      address: restaurant.address,
+      google: restaurant.google?.rating,
+      googleCount: restaurant.google?.reviewCount,
+      yelp: restaurant.yelp?.rating,
     },
-    body: JSON.stringify({
-      model: GPT_MODEL,
-      messages: [{ role: 'user', content: prompt }],
-      temperature: 0.7,
-      max_tokens: 1500,
-    }),
   });
-
-  if (!res.ok) {
-    const errBody = await res.text();
-    throw new Error(`Chat API error ${res.status}: ${errBody}`);
-  }
-
-  const data = await res.json();
-  const raw = data.choices?.[0]?.message?.content?.trim();
-  if (!raw) throw new Error('Empty response from Chat API');
-
-  const cleaned = raw.replace(/^```json?\s*/i, '').replace(/\s*```$/i, '');
-  try {
-    return JSON.parse(cleaned);
-  } catch {
-    warn('Failed to parse GPT JSON response (caption fallback), using raw text');
-    return {
-      title: `${restaurant?.name ?? 'Restaurant'} Review — @oneminreviews`,
-      summary: video.caption.slice(0, 160),
-      content: raw,
-    };
-  }
-}
-
-/** Call OpenAI Chat API to generate a blog post from transcript + metadata. */
-async function generateBlogPost(transcript, video, restaurant) {
-  const ratingInfo = restaurant?.google?.rating
-    ? `Google Rating: ${restaurant.google.rating}/5 (${restaurant.google.reviewCount?.toLocaleString()} reviews)`
-    : 'No Google rating available';
-
-  const yelpInfo =
-    restaurant?.yelp?.rating && restaurant.yelp.rating > 0
-      ? `Yelp Rating: ${restaurant.yelp.rating}/5`
-      : '';
-
-  const prompt = `You are a food blogger writing for @oneminreviews — a TikTok channel that posts honest, unsponsored one-minute restaurant video reviews.
-
-Based on the video transcript and restaurant details below, write an engaging blog-post-style review.
-
-## Restaurant Details
-- Name: ${restaurant?.name ?? 'Unknown Restaurant'}
-- City: ${video.city || 'Unknown'}${restaurant?.state ? `, ${restaurant.state}` : ''}
-- Cuisine: ${video.cuisine || restaurant?.cuisine || 'Unknown'}
-- Address: ${restaurant?.address || 'Not available'}
-- ${ratingInfo}
-${yelpInfo ? `- ${yelpInfo}` : ''}
-
-## Video Info
-- Caption: ${video.caption}
-- Posted: ${new Date(video.createTime * 1000).toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric' })}
-- Engagement: ${video.stats?.likes?.toLocaleString() ?? 0} likes, ${video.stats?.comments?.toLocaleString() ?? 0} comments
-
-## Video Transcript
-${transcript}
-
-## Instructions
-Write a blog post that:
-1. Has a catchy, SEO-friendly title (don't just repeat the restaurant name)
-2. Opens with a hook that draws readers in
-3. Describes the food, atmosphere, and overall experience based on what was said in the video
-4. Includes a clear verdict/recommendation
-5. Ends with practical visiting info (location, cuisine type)
-6. Uses a conversational, authentic tone — like talking to a friend
-7. Is 300-500 words long
-8. Includes 2-3 relevant subheadings (use ## for h2)
-
-Return ONLY valid JSON with this exact structure (no markdown code fences):
-{
-  "title": "Blog post title here",
-  "summary": "A 1-2 sentence summary for previews/SEO (max 160 chars)",
-  "content": "Full blog post content in Markdown format"
-}`;
-
-  const res = await fetch(`${OPENAI_BASE}/chat/completions`, {
-    method: 'POST',
-    headers: {
-      Authorization: `Bearer ${OPENAI_API_KEY}`,
-      'Content-Type': 'application/json',
-    },
-    body: JSON.stringify({
-      model: GPT_MODEL,
-      messages: [{ role: 'user', content: prompt }],
-      temperature: 0.7,
-      max_tokens: 1500,
-    }),
-  });
-
-  if (!res.ok) {
-    const errBody = await res.text();
-    throw new Error(`Chat API error ${res.status}: ${errBody}`);
-  }
-
-  const data = await res.json();
-  const raw = data.choices?.[0]?.message?.content?.trim();
-
-  if (!raw) throw new Error('Empty response from Chat API');
-
-  // Parse the JSON response (strip markdown fences if present)
-  const cleaned = raw.replace(/^```json?\s*/i, '').replace(/\s*```$/i, '');
-
-  try {
-    return JSON.parse(cleaned);
-  } catch {
-    // If JSON parsing fails, create a structured response from raw text
-    warn('Failed to parse GPT JSON response, using raw text');
-    return {
-      title: `${restaurant?.name ?? 'Restaurant'} Review — @oneminreviews`,
-      summary: video.caption.slice(0, 160),
-      content: raw,
-    };
-  }
-}
-
-// ---- Slug Helper ----
-
-function slugify(text) {
-  return text
-    .toLowerCase()
-    .replace(/[^a-z0-9\s-]/g, '')
-    .replace(/\s+/g, '-')
-    .replace(/-+/g, '-')
-    .replace(/^-|-$/g, '');
 }
 
 // ---- Main ----
@@ -329,29 +135,44 @@ async function main() {
   log('=== Video Transcription & Blog Post Pipeline ===');
 
   // Validate prerequisites
-  if (!OPENAI_API_KEY) {
-    log('ERROR: OPENAI_API_KEY environment variable is required.');
-    log('Set it in .env or export it: export OPENAI_API_KEY=sk-...');
+  let transcriber;
+  let llm;
+  try {
+    transcriber = createTranscriber(transcriptionConfig());
+    llm = createLLM(llmConfig({ model: GPT_MODEL }));
+  } catch (err) {
+    log(`ERROR: ${err.message}`);
+    log('Set it in .env or export it, e.g. export OPENAI_API_KEY=sk-...');
     process.exit(1);
   }
+  const needsAudio = transcriber.audioFormat !== null;
+  log(`Transcription backend: ${transcriber.label}`);
+  log(`Blog post model: ${llm.label}`);
 
-  if (!ffmpegAvailable()) {
+  if (needsAudio && !ffmpegAvailable()) {
     log('ERROR: FFmpeg is not installed or not in PATH.');
     log('Install FFmpeg: brew install ffmpeg (macOS) or apt install ffmpeg (Linux)');
     process.exit(1);
   }
 
   // Load data
-  const videos = JSON.parse(readFileSync(resolve(DATA_DIR, 'videos.json'), 'utf-8'));
-  const restaurants = existsSync(resolve(DATA_DIR, 'restaurants.json'))
-    ? JSON.parse(readFileSync(resolve(DATA_DIR, 'restaurants.json'), 'utf-8'))
-    : {};
+  const videos = readJSON(VIDEOS_PATH);
+  const restaurants = readJSON(RESTAURANTS_PATH, {});
+  const state = openStageState('transcribe');
+  const edits = readJSON(BLOG_EDITS_PATH, {});
+  const factCheckPost = createFactChecker({
+    videos,
+    restaurants,
+    verdicts: readJSON(VERDICTS_PATH, {}),
+    catalog: readJSON(DISHES_PATH, []),
+    places: readJSON(GAZETTEER_PATH, []),
+  });
 
   // Load existing blog posts (or start fresh)
   let blogPosts = {};
   if (existsSync(BLOG_POSTS_PATH)) {
     try {
-      blogPosts = JSON.parse(readFileSync(BLOG_POSTS_PATH, 'utf-8'));
+      blogPosts = readJSON(BLOG_POSTS_PATH);
       log(`Loaded ${Object.keys(blogPosts).length} existing blog posts`);
     } catch {
       warn('Could not parse existing blog-posts.json, starting fresh');
@@ -371,18 +192,27 @@ async function main() {
     if (processed >= TRANSCRIBE_MAX) break;
 
     const { videoId } = video;
-
-    // Skip already-transcribed videos
-    if (blogPosts[videoId]) {
+    const restaurant = restaurantForVideo(restaurants, video) || null;
+    const inputHash = hashPostInputs(video, restaurant);
+    const existing = blogPosts[videoId];
+
+    // Skip videos whose post is up to date (and has its transcript segments)
+    const missingSegments = existing?.source === 'transcription' && !existing.segments;
+    const reason = state.staleReason(videoId, inputHash, !!existing) ?? (missingSegments ? 'no transcript segments' : null);
+    if (!reason) {
       log(`${videoId}: Already transcribed, skipping`);
       skipped++;
       continue;
     }
 
+    // Only the metadata changed: rewrite the post from the stored transcript
+    const reuseTranscript =
+      reason === 'inputs changed' && existing?.source === 'transcription' && !!existing.transcript && !missingSegments;
+
     // Check for MP4 file — try downloading if not present
     const videoPath = resolve(VIDEOS_DIR, `${videoId}.mp4`);
     let downloaded = false;
-    if (!existsSync(videoPath)) {
+    if (!reuseTranscript && needsAudio && !existsSync(videoPath)) {
       if (video.embedUrl) {
         const result = downloadVideo(video.embedUrl, videoPath);
         if (result) {
@@ -391,39 +221,49 @@ async function main() {
       }
     }
 
-    const hasVideo = existsSync(videoPath);
-    const restaurant = restaurants[video.restaurantSlug] || null;
+    const hasVideo = reuseTranscript || !needsAudio || existsSync(videoPath);
 
-    log(`\nProcessing ${videoId}...${hasVideo ? '' : ' (caption-only mode)'}`);
-    const audioPath = resolve(AUDIO_TMP_DIR, `${videoId}.mp3`);
+    log(`\nProcessing ${videoId} (${reason})...${hasVideo ? '' : ' (caption-only mode)'}`);
+    const audioPath = resolve(AUDIO_TMP_DIR, `${videoId}.${transcriber.audioFormat ?? 'mp3'}`);
 
     try {
       let transcriptionText = null;
       let transcriptionDuration = null;
+      let transcriptionSegments = [];
+      let transcriptionLanguage = null;
       let blogPost;
       let usedCaption = false;
 
-      if (hasVideo) {
-        // ---- Full pipeline: extract audio → Whisper → GPT ----
+      if (reuseTranscript) {
+        // ---- Metadata changed: reuse the transcript, regenerate the post ----
+        transcriptionText = existing.transcript;
+        transcriptionDuration = existing.transcriptDuration;
+        transcriptionSegments = existing.segments;
+        transcriptionLanguage = existing.transcriptLanguage ?? null;
+        log(`  Reusing stored transcript`);
+        log(`  Generating blog post with ${llm.label}...`);
+        blogPost = await generateBlogPost(llm, { video, restaurant, transcript: transcriptionText, language: transcriptionLanguage });
+      } else if (hasVideo) {
+        // ---- Full pipeline: extract audio → transcribe → generate ----
         try {
           // Step 1: Extract audio
-          log(`  Extracting audio...`);
-          extractAudio(videoPath, audioPath);
-
-          // Step 2: Transcribe with Whisper
-          log(`  Transcribing with Whisper...`);
-          const transcription = await transcribeAudio(audioPath);
+          if (needsAudio) {
+            log(`  Extracting audio...`);
+            extractAudio(videoPath, audioPath, transcriber.audioFormat);
+          }
+
+          // Step 2: Transcribe
+          log(`  Transcribing with ${transcriber.label}...`);
+          const transcription = await transcriber.transcribe({ videoId, audioPath });
           transcriptionText = transcription.text;
           transcriptionDuration = transcription.duration;
-          log(`  Transcript: "${transcriptionText.slice(0, 80)}..."`);
-
-          // Step 3: Generate blog post with GPT (from transcript)
-          log(`  Generating blog post with ${GPT_MODEL}...`);
-          blogPost = await generateBlogPost(
-            transcriptionText,
-            video,
-            restaurant
-          );
+          transcriptionSegments = transcription.segments;
+          transcriptionLanguage = transcription.language;
+          log(`  Transcript (${transcriptionSegments.length} segments, ${transcriptionLanguage ?? 'language unknown'}): "${transcriptionText.slice(0, 80)}..."`);
+
+          // Step 3: Generate blog post (from transcript)
+          log(`  Generating blog post with ${llm.label}...`);
+          blogPost = await generateBlogPost(llm, { video, restaurant, transcript: transcriptionText, language: transcriptionLanguage });
         } catch (audioErr) {
           // Video has no audio stream or extraction failed — fall back to caption
           warn(`  Audio extraction/transcription failed: ${audioErr.message?.split('\n')[0]}`);
@@ -435,16 +275,17 @@ async function main() {
       if (!hasVideo || usedCaption) {
         // ---- Fallback: generate blog post from caption only ----
         log(`  No audio available — generating from caption + metadata...`);
-        log(`  Generating blog post with ${GPT_MODEL} (caption mode)...`);
-        blogPost = await generateBlogPostFromCaption(video, restaurant);
+        log(`  Generating blog post with ${llm.label} (caption mode)...`);
+        blogPost = await generateBlogPost(llm, { video, restaurant });
       }
 
       log(`  Title: "${blogPost.title}"`);
 
       // Step 4: Store result
-      const slug = `${video.restaurantSlug || slugify(video.caption.slice(0, 40))}-review-${videoId}`;
+      const slug = blogPostSlug(video);
 
-      blogPosts[videoId] = {
+      // New posts are drafts; a live post keeps its text and gets a revision to review
+      const stored = storeGenerated(existing, {
         videoId,
         slug,
         restaurantSlug: video.restaurantSlug || '',
@@ -454,15 +295,31 @@ async function main() {
         title: blogPost.title,
         summary: blogPost.summary,
         content: blogPost.content,
+        model: blogPost.model,
+        template: blogPost.template,
         transcript: transcriptionText || '',
         transcriptDuration: transcriptionDuration,
+        ...(transcriptionText ? { segments: transcriptionSegments } : {}),
+        ...(transcriptionText && transcriptionLanguage ? { transcriptLanguage: transcriptionLanguage } : {}),
         source: (hasVideo && !usedCaption) ? 'transcription' : 'caption',
         thumbnailUrl: video.thumbnailUrl || '',
         embedUrl: video.embedUrl || '',
         createTime: video.createTime,
         generatedAt: new Date().toISOString(),
-      };
+      });
+
+      // Step 5: Fact-check what was just written, with any hand edits
+      blogPosts[videoId] = factCheckPost(stored, { edit: edits.posts?.[videoId] });
+      const { factCheck } = blogPosts[videoId].revision ?? blogPosts[videoId];
+      if (factCheck.passed) {
+        log(`  Fact check passed`);
+      } else {
+        warn(`  Fact check failed — ${factCheck.flags.length} flag(s):`);
+        for (const flag of factCheck.flags) warn(`    ${formatFlag(flag)}`);
+      }
+      log(`  Stored as ${blogPosts[videoId].revision ? 'a revision for review' : blogPosts[videoId].status}`);
 
+      state.record(videoId, inputHash);
       processed++;
       log(`  Done (${processed} processed so far)`);
     } catch (err) {
@@ -480,8 +337,10 @@ async function main() {
     }
   }
 
-  // Write results
-  writeFileSync(BLOG_POSTS_PATH, JSON.stringify(blogPosts, null, 2));
+  // Validate, then write results
+  assertValidData({ videos, restaurants, blogPosts }, { log: warn, allowPending: true });
+  writeJSON(BLOG_POSTS_PATH, blogPosts);
+  state.save();
   log(`\nSaved ${Object.keys(blogPosts).length} blog posts to data/blog-posts.json`);
 
   // Summary
@@ -493,11 +352,7 @@ async function main() {
 
   // Clean up tmp dir if empty
   try {
-    const { readdirSync } = await import('fs');
-    if (readdirSync(AUDIO_TMP_DIR).length === 0) {
-      const { rmdirSync } = await import('fs');
-      rmdirSync(AUDIO_TMP_DIR);
-    }
+    if (readdirSync(AUDIO_TMP_DIR).length === 0) rmdirSync(AUDIO_TMP_DIR);
   } catch { /* ignore */ }
 }
 
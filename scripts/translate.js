@@ -0,0 +1,159 @@
+/**
+ * Translation
+ *
+ * Translates what the site generates in English — live blog posts (with
+ * hand edits) and the FAQs of every video page — into each other locale
+ * (scripts/lib/i18n.js), and caches the results in
+ * data/translations/<locale>.json (see scripts/lib/translations.js).
+ *
+ * Only what is missing or out of date is sent to the model: a post whose
+ * English changed since it was translated, an FAQ answer whose rating
+ * moved. Entries nothing uses any more are dropped. Until a post is
+ * translated the site lists it in English; until an FAQ string is, the
+ * page shows it in English.
+ *
+ * UI strings are not translated here: they live in src/i18n/<locale>.json.
+ *
+ * Usage: node scripts/translate.js [locale...] [--dry-run] [--llm=<provider>]
+ * Env:   OPENAI_API_KEY   — required for the default provider
+ *        TRANSLATE_MODEL  — model to translate with (default: gpt-4o-mini)
+ *        TRANSLATE_MAX    — max posts per locale (default: all)
+ *        LLM_PROVIDER     — openai | openai-compatible | stub (default: openai)
+ */
+
+import { resolve } from 'path';
+import { applyOverrides } from './lib/overrides.js';
+import { applyBlogEdits, isLive } from './lib/editorial.js';
+import { fillGeography } from './lib/geography.js';
+import { allVideoFAQs } from './lib/faq.js';
+import { TRANSLATED_LOCALES, LANGUAGE_NAMES, isLocale } from './lib/i18n.js';
+import { emptyTranslations, pendingTranslations, sourceHash } from './lib/translations.js';
+import { translatePostText, translateStrings } from './lib/translator.js';
+import { llmConfig, createLLM } from './lib/llm/index.js';
+import { readJSON, writeJSON } from './lib/json.js';
+import { loadEnv } from './lib/env.js';
+import { createLogger } from './lib/log.js';
+import {
+  VIDEOS_PATH,
+  RESTAURANTS_PATH,
+  BLOG_POSTS_PATH,
+  BLOG_EDITS_PATH,
+  OVERRIDES_PATH,
+  VERDICTS_PATH,
+  GAZETTEER_PATH,
+  TRANSLATIONS_DIR,
+} from './lib/paths.js';
+
+loadEnv();
+
+// ---- Config ----
+
+const DRY_RUN = process.argv.includes('--dry-run');
+const MODEL = process.env.TRANSLATE_MODEL || 'gpt-4o-mini';
+const TRANSLATE_MAX = parseInt(process.env.TRANSLATE_MAX || '0', 10) || Infinity;
+// FAQ strings sent to the model at once
+const STRING_BATCH = 20;
+
+const { log, warn, error } = createLogger('translate');
+
+// ---- Helpers ----
+
+/** The site's English text, as src/lib/data.ts builds it. */
+function loadEnglish() {
+  const data = applyOverrides(
+    {
+      videos: readJSON(VIDEOS_PATH, []),
+      restaurants: readJSON(RESTAURANTS_PATH, {}),
+      blogPosts: readJSON(BLOG_POSTS_PATH, {}),
+    },
+    readJSON(OVERRIDES_PATH, {})
+  );
+  const { posts } = applyBlogEdits(data.blogPosts, readJSON(BLOG_EDITS_PATH, {}));
+  const gazetteer = readJSON(GAZETTEER_PATH, []);
+  const restaurants = Object.fromEntries(
+    Object.entries(data.restaurants).map(([slug, restaurant]) => [slug, fillGeography(restaurant, gazetteer)])
+  );
+  const faqs = allVideoFAQs({ videos: data.videos, restaurants, verdicts: readJSON(VERDICTS_PATH, {}) });
+
+  return {
+    posts: Object.values(posts).filter(isLive),
+    strings: faqs.flatMap((faq) => [faq.question, faq.answer]),
+  };
+}
+
+/** Translate what one locale is missing into its cache; returns the error count. */
+async function translateLocale(llm, locale, english) {
+  const path = resolve(TRANSLATIONS_DIR, `${locale}.json`);
+  const cache = readJSON(path, emptyTranslations());
+  const pending = pendingTranslations(cache, english);
+  const language = LANGUAGE_NAMES[locale];
+  const posts = pending.posts.slice(0, TRANSLATE_MAX);
+
+  const unused = pending.unusedPosts.length + pending.unusedStrings.length;
+  log(`${language}: ${posts.length} post(s) and ${pending.strings.length} FAQ string(s) to translate, ${unused} unused to drop`);
+  if (DRY_RUN) return 0;
+
+  let errors = 0;
+  for (const post of posts) {
+    try {
+      cache.posts[post.videoId] = await translatePostText(llm, post, locale);
+      log(`  ${post.videoId}: ${cache.posts[post.videoId].title}`);
+    } catch (err) {
+      warn(`  ${post.videoId}: translation failed — ${err.message}`, { videoId: post.videoId, locale });
+      errors++;
+    }
+  }
+
+  for (let i = 0; i < pending.strings.length; i += STRING_BATCH) {
+    const batch = pending.strings.slice(i, i + STRING_BATCH);
+    try {
+      const translated = await translateStrings(llm, batch, locale);
+      batch.forEach((text, j) => {
+        cache.strings[sourceHash(text)] = translated[j];
+      });
+    } catch (err) {
+      warn(`  FAQ strings ${i + 1}–${i + batch.length}: translation failed — ${err.message}`, { locale });
+      errors++;
+    }
+  }
+
+  for (const videoId of pending.unusedPosts) delete cache.posts[videoId];
+  for (const hash of pending.unusedStrings) delete cache.strings[hash];
+
+  writeJSON(path, cache);
+  log(`  Saved data/translations/${locale}.json`);
+  return errors;
+}
+
+// ---- Main ----
+
+async function main() {
+  log('=== Translation ===');
+
+  const only = process.argv.slice(2).filter((a) => !a.startsWith('--'));
+  const unknown = only.filter((l) => !isLocale(l) || !TRANSLATED_LOCALES.includes(l));
+  if (unknown.length > 0) throw new Error(`Not a translated locale: ${unknown.join(', ')} (available: ${TRANSLATED_LOCALES.join(', ')})`);
+  const locales = only.length > 0 ? only : TRANSLATED_LOCALES;
+
+  const english = loadEnglish();
+  log(`${english.posts.length} live post(s), ${new Set(english.strings).size} FAQ string(s) in English`);
+
+  let llm;
+  if (!DRY_RUN) {
+    llm = createLLM(llmConfig({ model: MODEL }));
+    log(`Model: ${llm.label}`);
+  }
+
+  let errors = 0;
+  for (const locale of locales) errors += await translateLocale(llm, locale, english);
+
+  if (DRY_RUN) log('Dry run — no files written');
+  if (errors > 0) {
+    warn(`${errors} translation(s) failed; the site shows English for those until the next run`);
+  }
+}
+
+main().catch((e) => {
+  error(`Fatal error: ${e.message}`);
+  process.exit(1);
+});
@@ -0,0 +1,88 @@
+/**
+ * Data Validator
+ *
+ * Checks data/videos.json, data/restaurants.json, data/blog-posts.json,
+ * data/verdicts.json and data/redirects.json
+ * against the types in src/lib/data.ts and reports every broken reference,
+ * missing field, bad type and orphaned videoIds entry as
+ * `file#/json/pointer: message`.
+ *
+ * Overrides in data/overrides.json that point at unknown videos or
+ * restaurants, and hand edits in data/blog-edits.json for unknown posts or
+ * fields, are reported as warnings — as are UI strings missing from (or
+ * left over in) a translation in src/i18n/, which fall back to English.
+ *
+ * Exits non-zero when any issue is found.
+ *
+ * Usage: node scripts/validate-data.js [--allow-pending]
+ *   --allow-pending  don't flag videos that have no restaurantSlug yet
+ */
+
+import { resolve } from 'path';
+import {
+  validateData,
+  formatIssue,
+  VIDEOS_FILE,
+  RESTAURANTS_FILE,
+  BLOG_POSTS_FILE,
+  VERDICTS_FILE,
+  REDIRECTS_FILE,
+} from './lib/schema.js';
+import { applyOverrides } from './lib/overrides.js';
+import { applyBlogEdits } from './lib/editorial.js';
+import { LOCALES, catalogProblems } from './lib/i18n.js';
+import { readJSON } from './lib/json.js';
+import { createLogger } from './lib/log.js';
+import { ROOT, OVERRIDES_PATH, BLOG_EDITS_PATH } from './lib/paths.js';
+
+const ALLOW_PENDING = process.argv.includes('--allow-pending');
+
+// ---- Helpers ----
+
+const { log, warn, error } = createLogger('validate');
+
+// ---- Main ----
+
+function main() {
+  const data = {};
+  const parseIssues = [];
+
+  for (const [key, file] of [
+    ['videos', VIDEOS_FILE],
+    ['restaurants', RESTAURANTS_FILE],
+    ['blogPosts', BLOG_POSTS_FILE],
+    ['verdicts', VERDICTS_FILE],
+    ['redirects', REDIRECTS_FILE],
+  ]) {
+    try {
+      data[key] = readJSON(resolve(ROOT, file), undefined);
+      if (data[key] === undefined) log(`${file} not found, skipping`);
+    } catch (e) {
+      parseIssues.push({ file, pointer: '', message: `invalid JSON: ${e.message}` });
+    }
+  }
+
+  const issues = [...parseIssues, ...validateData(data, { allowPending: ALLOW_PENDING })];
+
+  if (Array.isArray(data.videos) && data.restaurants) {
+    const { warnings } = applyOverrides(data, readJSON(OVERRIDES_PATH, {}));
+    for (const warning of warnings) warn(`data/overrides.json: ${warning}`);
+  }
+  if (data.blogPosts && typeof data.blogPosts === 'object') {
+    const { warnings } = applyBlogEdits(data.blogPosts, readJSON(BLOG_EDITS_PATH, {}));
+    for (const warning of warnings) warn(`data/blog-edits.json: ${warning}`);
+  }
+  const catalogs = Object.fromEntries(LOCALES.map((l) => [l, readJSON(resolve(ROOT, `src/i18n/${l}.json`), {})]));
+  for (const problem of catalogProblems(catalogs)) warn(`src/i18n: ${problem}`);
+
+  if (issues.length === 0) {
+    log('All data files are valid');
+    return;
+  }
+
+  for (const issue of issues) error(formatIssue(issue), issue);
+  log(`${issues.length} issue(s) found`);
+  process.exit(1);
+}
+
+main();
@@ -1,6 +1,98 @@
 import videosData from '../../data/videos.json';
 import restaurantsData from '../../data/restaurants.json';
 import blogPostsData from '../../data/blog-posts.json';
+import overridesData from '../../data/overrides.json';
+import blogEditsData from '../../data/blog-edits.json';
+import gazetteerData from '../../data/gazetteer.json';
+import scoringData from '../../data/scoring.json';
+import verdictsData from '../../data/verdicts.json';
+import dishesData from '../../data/dishes.json';
+import { applyOverrides } from '../../scripts/lib/overrides.js';
+import { applyBlogEdits, isLive } from '../../scripts/lib/editorial.js';
+import {
+  slugify,
+  videoSlug,
+  videoPath as buildVideoPath,
+  restaurantVideoPath as buildRestaurantVideoPath,
+  blogPostPath as buildBlogPostPath,
+  citySlug,
+  cityPath as buildCityPath,
+  cuisineSlug,
+  cuisinePath as buildCuisinePath,
+  areaPath as buildAreaPath,
+  dishSlug,
+  dishPath as buildDishPath,
+  captionsPath as buildCaptionsPath,
+  tiktokWatchUrl,
+} from '../../scripts/lib/slug.js';
+import { videoRestaurantSlugs, formatTimestamp } from '../../scripts/lib/video.js';
+import { restaurantForVideo, isChain, getLocations, brandSummary } from '../../scripts/lib/locations.js';
+import { hasCoordinates, byDistance, formatDistance } from '../../scripts/lib/geo.js';
+import { fillGeography, areaOf, areaTrail, type Area } from '../../scripts/lib/geography.js';
+import type { GazetteerPlace } from '../../scripts/lib/gazetteer.js';
+import { scoringWeights, scoreListing, formatScore, describeScore, type ScoreBreakdown } from '../../scripts/lib/scoring.js';
+import type { SearchDocument } from '../../scripts/lib/search.js';
+import type { TranscriptSegment } from '../../scripts/lib/transcript.js';
+import { renderMarkdown, brokenLinks, type Heading } from '../../scripts/lib/markdown.js';
+import { pagePaths, staticPagePaths } from '../../scripts/lib/site-pages.js';
+import { verdictFor, formatPrice } from '../../scripts/lib/verdict.js';
+import { generateFAQs as buildFAQs, type FAQItem } from '../../scripts/lib/faq.js';
+import {
+  LOCALES,
+  DEFAULT_LOCALE,
+  TRANSLATED_LOCALES,
+  LOCALE_NAMES,
+  isLocale,
+  localizePath,
+  alternateLinks,
+  createTranslator,
+  pluralForms,
+  intlLocale,
+  type Messages,
+  type Translate,
+} from '../../scripts/lib/i18n.js';
+import { translatePost, translateString, type TranslationCache } from '../../scripts/lib/translations.js';
+import {
+  FEED_FORMATS,
+  feedPath,
+  renderFeed,
+  type FeedEntry,
+  type FeedRestaurant,
+  type FeedRating,
+} from '../../scripts/lib/feeds.js';
+import {
+  findDishMentions,
+  summarizeDishes,
+  mentionCount,
+  type CatalogDish,
+  type DishSource,
+} from '../../scripts/lib/dishes.js';
+
+export {
+  slugify,
+  videoSlug,
+  citySlug,
+  cuisineSlug,
+  dishSlug,
+  tiktokWatchUrl,
+  videoRestaurantSlugs,
+  formatTimestamp,
+  isChain,
+  getLocations,
+  brandSummary,
+  hasCoordinates,
+  formatDistance,
+  formatScore,
+  describeScore,
+  formatPrice,
+  LOCALES,
+  DEFAULT_LOCALE,
+  TRANSLATED_LOCALES,
+  LOCALE_NAMES,
+  isLocale,
+  alternateLinks,
+};
+export type { Area, ScoreBreakdown, DishSource, TranscriptSegment, Heading, Translate };
 
 // ---------- Types ----------
 
@@ -10,18 +102,63 @@ export interface VideoStats {
   shares: number;
 }
 
+/** A restaurant featured in a multi-restaurant video. */
+export interface VideoRestaurantRef {
+  slug: string;
+  /** Seconds into the video where this restaurant appears. */
+  start?: number;
+  /** Branch of a chain this part was filmed at. */
+  location?: string;
+}
+
 export interface Video {
   videoId: string;
   caption: string;
   createTime: number;
   thumbnailUrl: string;
   embedUrl: string;
+  /** Primary restaurant — decides the video's canonical URL. */
   restaurantSlug: string;
+  /** Every featured restaurant, primary first (multi-restaurant videos only). */
+  restaurants?: VideoRestaurantRef[];
+  /** Branch of a chain (primary restaurant) the video was filmed at. */
+  location?: string;
   city: string;
   cuisine: string;
   stats: VideoStats;
+  /**
+   * The reviewer's score for the primary restaurant, out of 10, set in
+   * overrides.json. Wins over the extracted verdict's score.
+   */
+  verdictScore?: number;
 }
 
+export interface VerdictDish {
+  name: string;
+  sentiment: 'positive' | 'mixed' | 'negative';
+  note?: string;
+}
+
+/** What the reviewer thought of a video's primary restaurant (scripts/lib/verdict.js). */
+export interface Verdict {
+  videoId: string;
+  /** Out of 10. */
+  score: number;
+  worthIt: boolean;
+  summary: string;
+  dishes: VerdictDish[];
+  /** US dollars. */
+  pricePaid?: number;
+  waitMinutes?: number;
+  source: 'transcript' | 'caption';
+  model: string;
+  /** Prompt template and version it was extracted with, e.g. `verdict@1` */
+  template?: string;
+  extractedAt: string;
+}
+
+export type VerdictMap = Record<string, Verdict>;
+
 export interface ReviewEntry {
   source: 'google' | 'yelp';
   author: string;
@@ -35,21 +172,66 @@ export interface RatingData {
   reviewCount: number;
   placeId?: string;
   url?: string;
+  /** Yelp business alias (pinned via overrides.json). */
+  alias?: string;
+}
+
+export type BusinessStatus = 'OPERATIONAL' | 'CLOSED_TEMPORARILY' | 'CLOSED_PERMANENTLY';
+
+/** Listing facts from Google Places, for a restaurant or one of its branches. */
+export interface ListingInfo {
+  /** 0 (free) to 4 ("$$$$"). */
+  priceLevel?: number;
+  /** One line per weekday, e.g. "Monday: 11:00 AM – 10:00 PM". */
+  openingHours?: string[];
+  website?: string;
+  phone?: string;
+  businessStatus?: BusinessStatus;
+  editorialSummary?: string;
 }
 
-export interface Restaurant {
+/** One branch of a multi-location chain. */
+export interface RestaurantLocation extends ListingInfo {
+  id: string;
+  /** Neighborhood or branch name, e.g. "River North". */
+  name?: string;
+  address: string;
+  /** Metro area. */
+  city: string;
+  state: string;
+  /** City or borough, e.g. "Brooklyn". */
+  locality?: string;
+  neighborhood?: string;
+  lat: number;
+  lng: number;
+  google: RatingData;
+  yelp?: RatingData;
+  foursquare?: RatingData;
+  reviews?: ReviewEntry[];
+}
+
+export interface Restaurant extends ListingInfo {
   name: string;
   slug: string;
+  /** Metro area, e.g. "New York" for a Brooklyn restaurant. */
   city: string;
   state: string;
+  /** City or borough, e.g. "Brooklyn". */
+  locality?: string;
+  neighborhood?: string;
   cuisine: string;
   address: string;
   lat: number;
   lng: number;
   google: RatingData;
   yelp?: RatingData;
+  foursquare?: RatingData;
   reviews: ReviewEntry[];
   videoIds: string[];
+  /** Branches of a chain; the fields above then describe the flagship. */
+  locations?: RestaurantLocation[];
+  /** The branch this record is seen at (set by getVideoRestaurant). */
+  location?: RestaurantLocation;
 }
 
 export type RestaurantMap = Record<string, Restaurant>;
@@ -64,24 +246,84 @@ export interface BlogPost {
   title: string;
   summary: string;
   content: string;
+  /** Model that wrote the post */
+  model?: string;
+  /** Prompt template and version it was written from, e.g. `blog-post@1` */
+  template?: string;
   transcript: string;
   transcriptDuration: number | null;
+  /** Whisper segments with start/end times, for posts written from a transcription */
+  segments?: TranscriptSegment[];
+  /** ISO 639 code of the language spoken in the video, as Whisper detected it */
+  transcriptLanguage?: string;
   thumbnailUrl: string;
   embedUrl: string;
   createTime: number;
   generatedAt: string;
+  /** Editorial status; only approved and published posts are built */
+  status: PostStatus;
+  reviewedAt?: string;
+  reviewNote?: string;
+  publishedAt?: string;
+  /** Claims the data doesn't back (scripts/lib/fact-check.js) */
+  factCheck?: FactCheck;
+  /** A reviewer approved the post although it failed its fact check */
+  factCheckOverriddenAt?: string;
+  /** Regenerated text of a live post, waiting for review */
+  revision?: Pick<BlogPost, 'title' | 'summary' | 'content' | 'model' | 'template' | 'generatedAt' | 'factCheck'>;
+  /** Title, summary or content were edited by hand (data/blog-edits.json) */
+  edited?: boolean;
+}
+
+export type PostStatus = 'draft' | 'approved' | 'published' | 'rejected';
+
+export interface FactFlag {
+  kind: 'address' | 'rating' | 'reviewCount' | 'price' | 'dish' | 'city' | 'link';
+  /** As written in the post */
+  claim: string;
+  problem: 'contradicted' | 'unsupported';
+  detail: string;
+}
+
+export interface FactCheck {
+  checkedAt: string;
+  passed: boolean;
+  flags: FactFlag[];
 }
 
 export type BlogPostMap = Record<string, BlogPost>;
 
 // ---------- Data Access ----------
 
+// data/overrides.json is applied on top of the generated data as the final
+// layer, so manual corrections and do-not-publish flags always win.
+const data = applyOverrides(
+  { videos: videosData, restaurants: restaurantsData, blogPosts: blogPostsData },
+  overridesData
+);
+for (const warning of data.warnings) console.warn(`[overrides] ${warning}`);
+
+// Only reviewed posts are built, with the hand edits from data/blog-edits.json
+// on top of the generated text.
+const editedPosts = applyBlogEdits(data.blogPosts as BlogPostMap, blogEditsData);
+for (const warning of editedPosts.warnings) console.warn(`[blog-edits] ${warning}`);
+const blogPosts: BlogPostMap = Object.fromEntries(
+  Object.entries(editedPosts.posts).filter(([, post]) => isLive(post))
+);
+
+// Records enriched before the geography model have no locality or
+// neighborhood; derive what's missing from their address and coordinates.
+const gazetteer = gazetteerData as GazetteerPlace[];
+for (const [slug, restaurant] of Object.entries(data.restaurants)) {
+  data.restaurants[slug] = fillGeography(restaurant, gazetteer);
+}
+
 export function getVideos(): Video[] {
-  return videosData as Video[];
+  return data.videos as Video[];
 }
 
 export function getRestaurants(): RestaurantMap {
-  return restaurantsData as RestaurantMap;
+  return data.restaurants as RestaurantMap;
 }
 
 export function getRestaurant(slug: string): Restaurant | undefined {
@@ -90,8 +332,9 @@ export function getRestaurant(slug: string): Restaurant | undefined {
 
 // ---------- Blog Post Access ----------
 
+/** Approved and published posts, by videoId. */
 export function getBlogPostMap(): BlogPostMap {
-  return blogPostsData as unknown as BlogPostMap;
+  return blogPosts;
 }
 
 /** Return all blog posts sorted by creation date (newest first). */
@@ -111,29 +354,216 @@ export function getBlogPostBySlug(slug: string): BlogPost | undefined {
   return getBlogPosts().find((p) => p.slug === slug);
 }
 
+/** The timestamped transcript of a video, or [] when it has none. */
+export function getTranscriptSegments(videoId: string): TranscriptSegment[] {
+  return getBlogPostByVideoId(videoId)?.segments ?? [];
+}
+
 /** Build URL path for a blog post. */
 export function blogPostPath(post: BlogPost): string {
-  return `${import.meta.env.BASE_URL}blog/${post.slug}/`;
+  return buildBlogPostPath(post, import.meta.env.BASE_URL);
+}
+
+// ---------- Blog Post Content ----------
+
+// Pages without route parameters (index.astro, map.astro, blog/index.astro...)
+const pageFiles = Object.keys(import.meta.glob(['../pages/*.astro', '../pages/*/index.astro'])).map((file) =>
+  file.replace(/^\.\.\/pages\//, '')
+);
+
+let sitePages: Set<string> | undefined;
+
+/** Path of every page the site builds that a post could link to (see scripts/lib/site-pages.js). */
+export function getSitePages(): Set<string> {
+  return (sitePages ??= pagePaths(
+    {
+      videos: getVideos(),
+      restaurants: getRestaurants(),
+      blogPosts: getBlogPosts(),
+      dishes: getDishes(),
+      staticPages: staticPagePaths(pageFiles),
+    },
+    import.meta.env.BASE_URL
+  ));
+}
+
+/**
+ * A post's Markdown as sanitized HTML, with its headings for a table of
+ * contents. Throws when the post links to a page of this site that doesn't
+ * exist, so a bad link fails the build instead of shipping as a 404. The
+ * fact check flags such links before a post goes live, so this only
+ * catches hand edits made since.
+ */
+export function renderBlogPost(post: BlogPost, pages: Set<string> = getSitePages()): { html: string; headings: Heading[] } {
+  const { html, headings, links } = renderMarkdown(post.content, {
+    pagePath: blogPostPath(post),
+    base: import.meta.env.BASE_URL,
+  });
+  const broken = brokenLinks(links, pages);
+  if (broken.length > 0) {
+    throw new Error(
+      `Blog post "${post.slug}" links to pages that don't exist: ${broken.map((link) => link.href).join(', ')}`
+    );
+  }
+  return { html, headings };
 }
 
 export function getVideoById(videoId: string): Video | undefined {
   return getVideos().find((v) => v.videoId === videoId);
 }
 
+/** Videos featuring a restaurant, including multi-restaurant videos where it isn't the primary. */
 export function getVideosByRestaurant(slug: string): Video[] {
-  return getVideos().filter((v) => v.restaurantSlug === slug);
+  return getVideos().filter((v) => videoRestaurantSlugs(v).includes(slug));
+}
+
+/**
+ * A video's restaurant (primary by default) as seen at the branch it was
+ * filmed at: for chains, that branch's address, ratings and reviews.
+ */
+export function getVideoRestaurant(video: Video, slug = video.restaurantSlug): Restaurant | undefined {
+  return restaurantForVideo(getRestaurants(), video, slug);
+}
+
+/** Every restaurant a video features, primary first, with its start time when known. */
+export function getVideoRestaurants(video: Video): { restaurant: Restaurant; start?: number }[] {
+  return videoRestaurantSlugs(video).flatMap((slug) => {
+    const restaurant = getVideoRestaurant(video, slug);
+    return restaurant
+      ? [{ restaurant, start: video.restaurants?.find((r) => r.slug === slug)?.start }]
+      : [];
+  });
+}
+
+/** Videos filmed at one branch of a chain. */
+export function getVideosByLocation(slug: string, locationId: string): Video[] {
+  return getVideosByRestaurant(slug).filter(
+    (v) => getVideoRestaurant(v, slug)?.location?.id === locationId
+  );
 }
 
 export function getVideosByCity(city: string): Video[] {
   return getVideos().filter((v) => v.city.toLowerCase() === city.toLowerCase());
 }
 
+/** A reviewed restaurant (or chain branch) near a point, with its latest review. */
+export interface NearbyRestaurant {
+  restaurant: Restaurant;
+  video: Video;
+  distanceKm: number;
+}
+
+/**
+ * The reviewed restaurants nearest to a point, nearest first. Chains count
+ * once per branch; `exclude` leaves out restaurants by slug (e.g. the one
+ * whose page is asking).
+ */
+export function getNearestRestaurants(
+  point: { lat: number; lng: number },
+  { limit = 6, maxKm = Infinity, exclude = [] }: { limit?: number; maxKm?: number; exclude?: string[] } = {}
+): NearbyRestaurant[] {
+  const candidates = [...latestReviews(getVideos()).values()].filter(
+    ({ restaurant }) => !exclude.includes(restaurant.slug)
+  );
+  const places = candidates.map((c) => ({ ...c, lat: c.restaurant.lat, lng: c.restaurant.lng }));
+  return byDistance(point, places, { limit, maxKm }).map(({ place, distanceKm }) => ({
+    restaurant: place.restaurant,
+    video: place.video,
+    distanceKm,
+  }));
+}
+
+/** Where a video was filmed: its primary restaurant's (or branch's) coordinates, if known. */
+export function getVideoCoordinates(video: Video): { lat: number; lng: number } | undefined {
+  const restaurant = getVideoRestaurant(video);
+  return restaurant && hasCoordinates(restaurant) ? { lat: restaurant.lat, lng: restaurant.lng } : undefined;
+}
+
 export function getVideosByCuisine(cuisine: string): Video[] {
   return getVideos().filter(
     (v) => v.cuisine.toLowerCase() === cuisine.toLowerCase()
   );
 }
 
+// ---------- Areas ----------
+
+/** A restaurant's (or branch's) metro, city and neighborhood. */
+export function getArea(restaurant: Restaurant): Area {
+  return areaOf(restaurant);
+}
+
+/** Page for a metro, a city inside it or a neighborhood (see scripts/lib/slug.js). */
+export function areaPath(area: { metro: string; city?: string; neighborhood?: string }): string {
+  return buildAreaPath(area, import.meta.env.BASE_URL);
+}
+
+/** Links from an area's metro down to the area itself, for breadcrumbs. */
+export function getAreaTrail(area: Area): { name: string; path: string }[] {
+  if (!area.metro) return [];
+  return areaTrail(area).map((step) => ({ name: step.name, path: areaPath(step.area) }));
+}
+
+/** One level of the geography with the videos filmed there. */
+export interface AreaPage {
+  level: 'metro' | 'city' | 'neighborhood';
+  name: string;
+  area: Area;
+  path: string;
+  /** Path of the area it sits in; none for a metro. */
+  parent?: string;
+  /** Metro down to this area, for breadcrumbs. */
+  trail: { name: string; path: string }[];
+  videos: Video[];
+}
+
+/**
+ * Every metro, city and neighborhood a reviewed restaurant is in, with the
+ * videos filmed there. A video counts toward the area of each restaurant it
+ * features (for chains, the branch it was filmed at).
+ */
+export function getAreaPages(): AreaPage[] {
+  const pages = new Map<string, AreaPage>();
+  for (const video of getVideos()) {
+    for (const { restaurant } of getVideoRestaurants(video)) {
+      if (!restaurant.city) continue;
+      const area = getArea(restaurant);
+      const trail = getAreaTrail(area);
+      areaTrail(area).forEach((step, i) => {
+        const { path } = trail[i];
+        let page = pages.get(path);
+        if (!page) {
+          page = {
+            level: step.level,
+            name: step.name,
+            area: step.area,
+            path,
+            parent: trail[i - 1]?.path,
+            trail: trail.slice(0, i + 1),
+            videos: [],
+          };
+          pages.set(path, page);
+        }
+        if (!page.videos.includes(video)) page.videos.push(video);
+      });
+    }
+  }
+  return [...pages.values()];
+}
+
+/** BreadcrumbList JSON-LD for a trail of named links (the last is the page itself). */
+export function breadcrumbJsonLd(items: { name: string; path: string }[], origin: string) {
+  return {
+    '@context': 'https://schema.org',
+    '@type': 'BreadcrumbList',
+    itemListElement: items.map((item, i) => ({
+      '@type': 'ListItem',
+      position: i + 1,
+      name: item.name,
+      item: `${origin}${item.path}`,
+    })),
+  };
+}
+
 // ---------- Google Places Availability ----------
 
 /** Returns true if this restaurant has real Google Places data (rating > 0 and a placeId). */
@@ -151,6 +581,22 @@ export function getGoogleReviews(restaurant: Restaurant): ReviewEntry[] {
   return restaurant.reviews.filter((r) => r.source === 'google');
 }
 
+// ---------- Listing Details ----------
+
+/** "$" to "$$$$" for a Google price level, "Free" for 0. */
+export function formatPriceLevel(level: number | undefined): string | undefined {
+  if (level === undefined) return undefined;
+  return level === 0 ? 'Free' : '$'.repeat(level);
+}
+
+export function isPermanentlyClosed(restaurant: ListingInfo): boolean {
+  return restaurant.businessStatus === 'CLOSED_PERMANENTLY';
+}
+
+export function isTemporarilyClosed(restaurant: ListingInfo): boolean {
+  return restaurant.businessStatus === 'CLOSED_TEMPORARILY';
+}
+
 // ---------- Aggregation ----------
 
 export function getCities(): string[] {
@@ -161,63 +607,176 @@ export function getCuisines(): string[] {
   return [...new Set(getVideos().map((v) => v.cuisine).filter(Boolean))].sort();
 }
 
-export function getTopRated(limit = 10): { video: Video; restaurant: Restaurant }[] {
-  const restaurants = getRestaurants();
-  return getVideos()
-    .map((video) => ({
-      video,
-      restaurant: restaurants[video.restaurantSlug],
-    }))
-    .filter((item) => item.restaurant)
-    .sort((a, b) => {
-      // Sort by TikTok engagement (likes) — our own reviews metric
-      const likesA = a.video.stats?.likes ?? 0;
-      const likesB = b.video.stats?.likes ?? 0;
-      return likesB - likesA;
-    })
-    .slice(0, limit);
-}
-
 export function getLatestVideos(limit = 10): Video[] {
   return [...getVideos()]
     .sort((a, b) => b.createTime - a.createTime)
     .slice(0, limit);
 }
 
-// ---------- Slug Helpers ----------
+// ---------- Verdicts ----------
+// The reviewer's own opinion, extracted from each video's transcript (or
+// caption) by scripts/extract-verdicts.js.
+
+const verdicts = verdictsData as VerdictMap;
+
+/**
+ * The reviewer's verdict on a video's primary restaurant; undefined for the
+ * other restaurants of a multi-restaurant video. A `verdictScore` override
+ * replaces the extracted score.
+ */
+export function getVerdict(video: Video, restaurant?: Restaurant): Verdict | undefined {
+  return verdictFor(verdicts, video, restaurant) as Verdict | undefined;
+}
+
+// ---------- Dishes ----------
+// Canonical dishes (data/dishes.json) and where captions, transcripts,
+// verdicts and review snippets mention them; see scripts/lib/dishes.js.
+
+export interface DishRestaurant {
+  restaurant: Restaurant;
+  /** Videos that mention the dish here, newest first. */
+  videos: Video[];
+  /** Mentions per source. */
+  sources: Partial<Record<DishSource, number>>;
+  /** What the reviewer thought of it, from their verdict. */
+  sentiment?: VerdictDish['sentiment'];
+  note?: string;
+}
+
+export interface Dish {
+  name: string;
+  slug: string;
+  category?: string;
+  aliases: string[];
+  /** Reviewer favorites first, then the most mentioned. */
+  restaurants: DishRestaurant[];
+  /** Every video that mentions the dish, newest first. */
+  videos: Video[];
+}
+
+const catalog = dishesData as CatalogDish[];
+const dishes: Dish[] = summarizeDishes(
+  catalog,
+  findDishMentions({ videos: getVideos(), restaurants: getRestaurants(), blogPosts: getBlogPostMap(), verdicts }, catalog)
+).map(({ restaurants, ...dish }) => {
+  const entries = restaurants.map(({ restaurantSlug, videoIds, ...entry }) => ({
+    ...entry,
+    restaurant: getRestaurant(restaurantSlug)!,
+    videos: videoIds
+      .map((id) => getVideoById(id)!)
+      .sort((a, b) => b.createTime - a.createTime),
+  }));
+  const videos = [...new Set(entries.flatMap((e) => e.videos))].sort((a, b) => b.createTime - a.createTime);
+  return { ...dish, restaurants: entries, videos };
+});
+
+/** Dishes with at least one mention, served at the most restaurants first. */
+export function getDishes(): Dish[] {
+  return dishes;
+}
+
+export function getDish(slug: string): Dish | undefined {
+  return dishes.find((d) => d.slug === slug);
+}
+
+/**
+ * "What to order" at a restaurant: its dishes the reviewer didn't pan,
+ * the ones they loved first, then the most mentioned.
+ */
+export function getWhatToOrder(restaurant: Restaurant): { dish: Dish; entry: DishRestaurant }[] {
+  const rank = (entry: DishRestaurant) => (entry.sentiment === 'positive' ? 0 : 1);
+  return dishes
+    .flatMap((dish) => {
+      const entry = dish.restaurants.find((e) => e.restaurant.slug === restaurant.slug);
+      return entry && entry.sentiment !== 'negative' ? [{ dish, entry }] : [];
+    })
+    .sort((a, b) => rank(a.entry) - rank(b.entry) || mentionCount(b.entry) - mentionCount(a.entry));
+}
+
+/** "Named in the caption, the transcript and 2 Google reviews". */
+export function describeDishSources(sources: DishRestaurant['sources'], locale: string = DEFAULT_LOCALE): string {
+  const t = useTranslations(locale);
+  const parts = [
+    sources.verdict ? t('dishSources.verdict') : '',
+    sources.caption ? t('dishSources.caption') : '',
+    sources.transcript ? t('dishSources.transcript') : '',
+    sources.review ? t('dishSources.reviews', { count: sources.review }) : '',
+  ].filter(Boolean);
+  return parts.length > 1 ? t('list.and', { init: parts.slice(0, -1).join(', '), last: parts.at(-1)! }) : (parts[0] ?? '');
+}
+
+// ---------- Scores ----------
+// One score per restaurant (or branch) from its Google and Yelp ratings and
+// the reviewer's verdict; see scripts/lib/scoring.js. Weights come from
+// data/scoring.json.
 
-export function slugify(text: string): string {
-  return text
-    .toLowerCase()
-    .replace(/[^a-z0-9\s-]/g, '')
-    .replace(/\s+/g, '-')
-    .replace(/-+/g, '-')
-    .replace(/^-|-$/g, '');
+const weights = scoringWeights(scoringData);
+
+export function getScoringWeights() {
+  return weights;
+}
+
+/**
+ * A restaurant's score, with the verdict of `video` when the restaurant is
+ * its primary one. Undefined when there are no ratings to score it on.
+ */
+export function getScore(restaurant: Restaurant, video?: Video): ScoreBreakdown | undefined {
+  const verdict =
+    video?.restaurantSlug === restaurant.slug ? (video.verdictScore ?? getVerdict(video)?.score) : undefined;
+  return scoreListing(restaurant, { verdict, weights });
 }
 
-export function videoSlug(video: Video): string {
-  const captionSlug = slugify(video.caption).slice(0, 50).replace(/-$/, '');
-  return `${captionSlug}-${video.videoId}`;
+/** A restaurant (or chain branch) in a ranking, with its latest review. */
+export interface RankedRestaurant {
+  restaurant: Restaurant;
+  video: Video;
+  score: ScoreBreakdown;
 }
 
+/**
+ * The best-scoring restaurants (each chain branch separately) among those
+ * `videos` feature — all videos by default, or e.g. one city's for a
+ * "best of" list. Ties go to the review with more likes.
+ */
+export function getTopRated(limit = 10, videos: Video[] = getVideos()): RankedRestaurant[] {
+  return [...latestReviews(videos).values()]
+    .flatMap(({ restaurant, video }) => {
+      const score = getScore(restaurant, video);
+      return score ? [{ restaurant, video, score }] : [];
+    })
+    .sort((a, b) => b.score.score - a.score.score || (b.video.stats?.likes ?? 0) - (a.video.stats?.likes ?? 0))
+    .slice(0, limit);
+}
+
+// ---------- Slug Helpers ----------
+// slugify, videoSlug, citySlug and cuisineSlug live in scripts/lib/slug.js so
+// the pipeline scripts (sitemaps, blog slugs) build exactly the same URLs.
+
+/** Canonical video page path (under the primary restaurant). */
 export function videoPath(video: Video): string {
-  return `${import.meta.env.BASE_URL}${video.restaurantSlug}/${videoSlug(video)}/`;
+  return buildVideoPath(video, import.meta.env.BASE_URL);
 }
 
-export function citySlug(city: string): string {
-  return slugify(city);
+/** Video page path under one of its featured restaurants. */
+export function restaurantVideoPath(restaurantSlug: string, video: Video): string {
+  return buildRestaurantVideoPath(restaurantSlug, video, import.meta.env.BASE_URL);
 }
 
 export function cityPath(city: string): string {
-  return `${import.meta.env.BASE_URL}city/${citySlug(city)}/`;
+  return buildCityPath(city, import.meta.env.BASE_URL);
 }
 
-export function cuisineSlug(cuisine: string): string {
-  return slugify(cuisine);
+export function cuisinePath(cuisine: string): string {
+  return buildCuisinePath(cuisine, import.meta.env.BASE_URL);
 }
 
-export function cuisinePath(cuisine: string): string {
-  return `${import.meta.env.BASE_URL}cuisine/${cuisineSlug(cuisine)}/`;
+export function dishPath(dish: string): string {
+  return buildDishPath(dish, import.meta.env.BASE_URL);
+}
+
+/** WebVTT captions of a video's transcript (only videos with segments have one). */
+export function captionsPath(videoId: string): string {
+  return buildCaptionsPath(videoId, import.meta.env.BASE_URL);
 }
 
 // ---------- Thumbnail Helpers ----------
@@ -261,61 +820,385 @@ export function isRealVideo(video: Video): boolean {
 
 // ---------- TikTok URL Helpers ----------
 
-const TIKTOK_HANDLE = 'oneminreviews';
-
-/** Build the canonical TikTok watch URL for a given video ID. */
-export function tiktokWatchUrl(videoId: string): string {
-  return `https://www.tiktok.com/@${TIKTOK_HANDLE}/video/${videoId}`;
-}
+// tiktokWatchUrl (the canonical watch URL) is re-exported from scripts/lib/slug.js.
 
 /** Build the TikTok embed iframe src URL for a given video ID. */
 export function tiktokEmbedUrl(videoId: string): string {
   return `https://www.tiktok.com/embed/v2/${videoId}`;
 }
 
-// ---------- FAQ Generator ----------
+// ---------- Maps ----------
 
-export function generateFAQs(
-  restaurant: Restaurant,
-  video: Video
-): { question: string; answer: string }[] {
-  const name = restaurant.name;
-  const likes = video.stats?.likes ?? 0;
-  const hasGoogle = hasGoogleData(restaurant);
-  const googleRating = restaurant.google?.rating ?? 0;
-  const googleCount = restaurant.google?.reviewCount ?? 0;
-
-  const faqs: { question: string; answer: string }[] = [
-    {
-      question: `Is ${name} worth it?`,
-      answer: hasGoogle
-        ? `With a ${googleRating}/5 rating on Google from ${googleCount.toLocaleString()} reviews, ${name} is highly regarded. Watch our honest one-minute @oneminreviews video to see for yourself — no sponsorships, just the truth.`
-        : `Watch our honest one-minute video review to decide for yourself. @oneminreviews gives you an unfiltered, unsponsored look at the food, the vibe, and whether it's worth your money.`,
-    },
-    {
-      question: `What does @oneminreviews think of ${name}?`,
-      answer: `Our reviewer visited ${name} and captured the experience in a one-minute video. With ${likes.toLocaleString()} likes, it's one of our most engaging reviews. Watch above for the honest verdict.`,
-    },
-    {
-      question: `Where is ${name} located?`,
-      answer: `${name} is located at ${restaurant.address}. It serves ${restaurant.cuisine.toLowerCase()} cuisine in ${restaurant.city}, ${restaurant.state}.`,
-    },
-    {
-      question: `Who reviews ${name}?`,
-      answer: `${name} was reviewed by @oneminreviews — honest, one-minute video restaurant reviews with no sponsorships, no paid placements, just real opinions.`,
+/** One marker on a restaurant map: a restaurant (or chain branch) and its latest review. */
+export interface MapPoint {
+  id: string;
+  name: string;
+  /** Branch name for chains. */
+  location?: string;
+  lat: number;
+  lng: number;
+  rating: number;
+  reviewCount: number;
+  cuisine: string;
+  city: string;
+  url: string;
+  thumbnail: string;
+}
+
+/** Thumbnail URL ready for an <img src>: local paths get the base prefix. */
+export function thumbnailSrc(thumbnailUrl: string): string {
+  const base = import.meta.env.BASE_URL;
+  const safe = resolveThumbnail(thumbnailUrl);
+  return safe.startsWith('/') && !safe.startsWith(base) ? base + safe.slice(1) : safe;
+}
+
+/**
+ * Map markers for a set of videos (all by default): one per restaurant, or
+ * per branch of a chain, that has coordinates, linking to its latest review.
+ */
+export function getMapPoints(videos: Video[] = getVideos()): MapPoint[] {
+  return [...latestReviews(videos)]
+    .filter(([, { restaurant }]) => hasCoordinates(restaurant))
+    .map(([id, { restaurant, video }]) => ({
+      id,
+      name: restaurant.name,
+      location: restaurant.location?.name,
+      lat: restaurant.lat,
+      lng: restaurant.lng,
+      rating: restaurant.google.rating,
+      reviewCount: restaurant.google.reviewCount,
+      cuisine: restaurant.cuisine,
+      city: restaurant.city,
+      url: restaurantVideoPath(restaurant.slug, video),
+      thumbnail: thumbnailSrc(video.thumbnailUrl),
+    }));
+}
+
+/**
+ * Every restaurant (or chain branch, keyed `slug:branch`) that one of
+ * `videos` features, with the latest of those videos.
+ */
+function latestReviews(videos: Video[]): Map<string, { restaurant: Restaurant; video: Video }> {
+  const latest = new Map<string, { restaurant: Restaurant; video: Video }>();
+  for (const video of videos) {
+    for (const { restaurant } of getVideoRestaurants(video)) {
+      const id = restaurant.location ? `${restaurant.slug}:${restaurant.location.id}` : restaurant.slug;
+      if ((latest.get(id)?.video.createTime ?? -1) >= video.createTime) continue;
+      latest.set(id, { restaurant, video });
+    }
+  }
+  return latest;
+}
+
+// ---------- Search ----------
+
+/**
+ * Documents for the site search index: every video page, carrying its
+ * restaurants' names, details, review snippets and the Whisper transcript,
+ * and every blog post.
+ */
+export function getSearchDocuments(): SearchDocument[] {
+  const dishesAt = (slug: string) =>
+    dishes.filter((d) => d.restaurants.some((e) => e.restaurant.slug === slug)).map((d) => d.name);
+
+  const videoDocs: SearchDocument[] = getVideos().map((video) => {
+    const featured = getVideoRestaurants(video).map((f) => f.restaurant);
+    const primary = featured[0];
+    const post = getBlogPostByVideoId(video.videoId);
+    const served = [...new Set(featured.flatMap((r) => dishesAt(r.slug)))];
+    return {
+      id: `video:${video.videoId}`,
+      type: 'video',
+      title: featured.map((r) => r.name).join(' & ') || video.restaurantSlug,
+      url: videoPath(video),
+      city: video.city,
+      cuisine: video.cuisine,
+      ...(served.length > 0 ? { dishes: served } : {}),
+      rating: primary?.google.rating ?? 0,
+      snippet: video.caption.slice(0, 160),
+      date: video.createTime,
+      fields: {
+        title: featured.map((r) => r.name).join(' '),
+        names: [
+          ...featured.map((r) => [r.location?.name, ...getLocations(r).map((l) => l.name)].filter(Boolean).join(' ')),
+          ...served,
+        ].join(' '),
+        place: [video.city, video.cuisine, ...featured.flatMap((r) => [r.cuisine, r.address])].join(' '),
+        caption: [video.caption, ...featured.map((r) => r.editorialSummary ?? '')].join(' '),
+        transcript: post?.transcript,
+        reviews: featured.flatMap((r) => r.reviews.map((review) => review.text)).join(' '),
+      },
+    };
+  });
+
+  const postDocs: SearchDocument[] = getBlogPosts().map((post) => ({
+    id: `post:${post.videoId}`,
+    type: 'post',
+    title: post.title,
+    url: blogPostPath(post),
+    city: post.city,
+    cuisine: post.cuisine,
+    rating: getRestaurant(post.restaurantSlug)?.google.rating ?? 0,
+    snippet: post.summary.slice(0, 160),
+    date: post.createTime,
+    fields: {
+      title: post.title,
+      names: post.restaurantName,
+      place: `${post.city} ${post.cuisine}`,
+      post: `${post.summary} ${post.content}`,
     },
-    {
-      question: `Is there a video review of ${name}?`,
-      answer: `Yes! @oneminreviews posted an honest one-minute video review of ${name}. Watch it above to see the food, the vibe, and the verdict.`,
+  }));
+
+  const dishDocs: SearchDocument[] = dishes.map((dish) => ({
+    id: `dish:${dish.slug}`,
+    type: 'dish',
+    title: dish.name,
+    url: dishPath(dish.name),
+    dishes: [dish.name],
+    snippet: `${dish.name} at ${dish.restaurants.map((e) => e.restaurant.name).join(', ')}`.slice(0, 160),
+    fields: {
+      title: dish.name,
+      names: [...dish.aliases, ...dish.restaurants.map((e) => e.restaurant.name)].join(' '),
+      place: dish.category,
     },
-  ];
+  }));
+
+  return [...videoDocs, ...postDocs, ...dishDocs];
+}
+
+// ---------- Feeds ----------
+// RSS, Atom and JSON Feed versions of the newest reviews, the blog and each
+// city and cuisine (src/pages/feeds/); see scripts/lib/feeds.js.
+
+/** Entries per feed: the newest reviews or posts. */
+const FEED_SIZE = 50;
 
-  if (hasGoogle) {
-    faqs.push({
-      question: `What is ${name}'s Google rating?`,
-      answer: `${name} has a ${googleRating}/5 rating on Google based on ${googleCount.toLocaleString()} reviews. Combined with our @oneminreviews video, you get the full picture before visiting.`,
-    });
+/** A feed the site publishes; its entries are built when the feed is. */
+export interface SiteFeed {
+  /** Path under feeds/, e.g. `city/new-york` */
+  name: string;
+  title: string;
+  description: string;
+  /** The page the feed follows */
+  home: string;
+  entries: () => FeedEntry[];
+}
+
+/** The 1200×630 JPEG scripts/generate-og-images.js makes for every video. */
+function ogImagePath(videoId: string): string {
+  return `${import.meta.env.BASE_URL}assets/images/${videoId}/og.jpg`;
+}
+
+function feedRestaurant(restaurant: Restaurant, video: Video): FeedRestaurant {
+  const verdict = getVerdict(video, restaurant);
+  const ratings: FeedRating[] = [];
+  if (hasGoogleData(restaurant)) {
+    ratings.push({ source: 'Google', rating: restaurant.google.rating, best: 5, reviewCount: restaurant.google.reviewCount });
   }
+  if (restaurant.yelp && hasYelpData(restaurant)) {
+    ratings.push({ source: 'Yelp', rating: restaurant.yelp.rating, best: 5, reviewCount: restaurant.yelp.reviewCount });
+  }
+  if (verdict) ratings.push({ source: 'OneMinReviews', rating: verdict.score, best: 10 });
+  return {
+    name: restaurant.location ? `${restaurant.name} (${restaurant.location.name})` : restaurant.name,
+    address: restaurant.address,
+    score: getScore(restaurant, video)?.score,
+    ratings,
+  };
+}
+
+function videoFeedEntry(video: Video): FeedEntry {
+  const featured = getVideoRestaurants(video).map((f) => f.restaurant);
+  const names = featured.map((r) => r.name).join(' & ') || video.restaurantSlug;
+  return {
+    url: videoPath(video),
+    title: video.city ? `${names} — ${video.city}` : names,
+    summary: getVerdict(video)?.summary ?? video.caption,
+    published: new Date(video.createTime * 1000).toISOString(),
+    image: ogImagePath(video.videoId),
+    tags: [video.city, video.cuisine].filter(Boolean),
+    restaurants: featured.map((r) => feedRestaurant(r, video)),
+    watchUrl: tiktokWatchUrl(video.videoId),
+    embedUrl: tiktokEmbedUrl(video.videoId),
+  };
+}
+
+function postFeedEntry(post: BlogPost): FeedEntry {
+  const video = getVideoById(post.videoId);
+  return {
+    url: blogPostPath(post),
+    title: post.title,
+    summary: post.summary,
+    html: renderBlogPost(post).html,
+    published: new Date(post.createTime * 1000).toISOString(),
+    updated: post.generatedAt,
+    image: ogImagePath(post.videoId),
+    tags: [post.city, post.cuisine].filter(Boolean),
+    restaurants: video ? getVideoRestaurants(video).map((f) => feedRestaurant(f.restaurant, video)) : [],
+    watchUrl: tiktokWatchUrl(post.videoId),
+    embedUrl: tiktokEmbedUrl(post.videoId),
+  };
+}
+
+const newestVideoEntries = (videos: Video[]) => () =>
+  [...videos].sort((a, b) => b.createTime - a.createTime).slice(0, FEED_SIZE).map(videoFeedEntry);
+
+export function reviewsFeed(): SiteFeed {
+  return {
+    name: 'reviews',
+    title: 'OneMinReviews — New Reviews',
+    description: 'Every new one-minute restaurant review by @oneminreviews.',
+    home: import.meta.env.BASE_URL,
+    entries: newestVideoEntries(getVideos()),
+  };
+}
+
+export function blogFeed(): SiteFeed {
+  return {
+    name: 'blog',
+    title: 'OneMinReviews Blog',
+    description: 'Write-ups of our one-minute restaurant reviews.',
+    home: `${import.meta.env.BASE_URL}blog/`,
+    entries: () => getBlogPosts().slice(0, FEED_SIZE).map(postFeedEntry),
+  };
+}
+
+export function cityFeed(city: string): SiteFeed {
+  return {
+    name: `city/${citySlug(city)}`,
+    title: `${city} Restaurant Reviews | OneMinReviews`,
+    description: `New one-minute restaurant reviews in ${city} by @oneminreviews.`,
+    home: cityPath(city),
+    entries: newestVideoEntries(getVideosByCity(city)),
+  };
+}
+
+export function cuisineFeed(cuisine: string): SiteFeed {
+  return {
+    name: `cuisine/${cuisineSlug(cuisine)}`,
+    title: `${cuisine} Restaurant Reviews | OneMinReviews`,
+    description: `New one-minute ${cuisine.toLowerCase()} restaurant reviews by @oneminreviews.`,
+    home: cuisinePath(cuisine),
+    entries: newestVideoEntries(getVideosByCuisine(cuisine)),
+  };
+}
+
+export type FeedFormat = keyof typeof FEED_FORMATS;
+export const FEED_FORMAT_NAMES = Object.keys(FEED_FORMATS) as FeedFormat[];
+
+/** Every feed the site publishes. */
+export function getFeeds(): SiteFeed[] {
+  return [reviewsFeed(), blogFeed(), ...getCities().map(cityFeed), ...getCuisines().map(cuisineFeed)];
+}
+
+/** A feed as a file in one format; `origin` makes its links absolute. */
+export function renderSiteFeed(feed: SiteFeed, format: FeedFormat, origin: string): string {
+  const { entries, ...about } = feed;
+  return renderFeed({ ...about, origin, entries: entries() }, format, import.meta.env.BASE_URL);
+}
+
+/** `<link rel="alternate">` tags for feeds, one per feed and format. */
+export function feedLinks(feeds: SiteFeed[]): { type: string; title: string; href: string }[] {
+  return feeds.flatMap((feed) =>
+    FEED_FORMAT_NAMES.map((format) => ({
+      type: FEED_FORMATS[format].type,
+      title: `${feed.title} (${FEED_FORMATS[format].label})`,
+      href: feedPath(feed.name, format, import.meta.env.BASE_URL),
+    }))
+  );
+}
 
-  return faqs;
+// ---------- Languages ----------
+// Pages with other-language versions, their UI strings and the translated
+// posts and FAQs; see scripts/lib/i18n.js and scripts/lib/translations.js.
+
+const localeOf = (file: string) => file.replace(/^.*\/([^/]+)\.json$/, '$1');
+const catalogs: Record<string, Messages> = Object.fromEntries(
+  Object.entries(import.meta.glob<Messages>('../i18n/*.json', { eager: true, import: 'default' })).map(
+    ([file, messages]) => [localeOf(file), messages]
+  )
+);
+// A locale nothing has been translated into yet has no cache file
+const translations: Record<string, TranslationCache> = Object.fromEntries(
+  Object.entries(
+    import.meta.glob<TranslationCache>('../../data/translations/*.json', { eager: true, import: 'default' })
+  ).map(([file, cache]) => [localeOf(file), cache])
+);
+
+/** The UI string lookup for a page's locale (Astro.currentLocale). */
+export function useTranslations(locale: string = DEFAULT_LOCALE): Translate {
+  return createTranslator(catalogs, locale);
+}
+
+/** A plural message's forms, for browser code to choose from (see Transcript). */
+export function usePluralForms(key: string, locale: string = DEFAULT_LOCALE): Record<string, string> {
+  return pluralForms(catalogs, locale, key);
+}
+
+/** A site path in another locale: `/blog/` → `/es/blog/`. */
+export function localePath(path: string, locale: string = DEFAULT_LOCALE): string {
+  return localizePath(path, locale, import.meta.env.BASE_URL);
+}
+
+/** A date (or Unix seconds) as the locale writes it. */
+export function formatDate(date: Date | number, locale: string = DEFAULT_LOCALE, options: Intl.DateTimeFormatOptions = { year: 'numeric', month: 'long', day: 'numeric' }): string {
+  return (typeof date === 'number' ? new Date(date * 1000) : date).toLocaleDateString(intlLocale(locale), options);
+}
+
+/** A live post in `locale`, or undefined until its current text is translated. */
+export function getTranslatedPost(post: BlogPost, locale: string): BlogPost | undefined {
+  if (locale === DEFAULT_LOCALE) return post;
+  return translatePost(translations[locale], post);
+}
+
+/** Live posts translated into `locale`, newest first. */
+export function getTranslatedPosts(locale: string): BlogPost[] {
+  return getBlogPosts().flatMap((post) => getTranslatedPost(post, locale) ?? []);
+}
+
+/** The path of a post in `locale`: the English one when it isn't translated. */
+export function localeBlogPostPath(post: BlogPost, locale: string = DEFAULT_LOCALE): string {
+  return getTranslatedPost(post, locale) ? localePath(blogPostPath(post), locale) : blogPostPath(post);
+}
+
+/** The blog index in `locale`: the English one until a post is translated. */
+export function localeBlogPath(locale: string = DEFAULT_LOCALE): string {
+  const path = `${import.meta.env.BASE_URL}blog/`;
+  return getTranslatedPosts(locale).length > 0 ? localePath(path, locale) : path;
+}
+
+/**
+ * Whether a video page has a version in `locale`: once every FAQ on it is
+ * translated, so no page in another language is mostly English.
+ */
+export function isVideoPageTranslated(video: Video, restaurant: Restaurant, locale: string): boolean {
+  return generateFAQs(restaurant, video, locale).every((faq) => !faq.lang);
+}
+
+/** The path of a video page in `locale`: the English one until it is translated. */
+export function localeVideoPath(video: Video, restaurantSlug: string, locale: string = DEFAULT_LOCALE): string {
+  const path = restaurantVideoPath(restaurantSlug, video);
+  const restaurant = getVideoRestaurant(video, restaurantSlug);
+  return restaurant && isVideoPageTranslated(video, restaurant, locale) ? localePath(path, locale) : path;
+}
+
+// ---------- FAQ Generator ----------
+
+/**
+ * The FAQs of a restaurant's video page (scripts/lib/faq.js). In another
+ * locale, questions and answers not translated yet stay in English and say
+ * so with `lang`.
+ */
+export function generateFAQs(
+  restaurant: Restaurant,
+  video: Video,
+  locale: string = DEFAULT_LOCALE
+): (FAQItem & { lang?: string })[] {
+  const faqs = buildFAQs(restaurant, video, getVerdict(video, restaurant));
+  if (locale === DEFAULT_LOCALE) return faqs;
+  return faqs.map((faq) => {
+    const question = translateString(translations[locale], faq.question);
+    const answer = translateString(translations[locale], faq.answer);
+    return question !== undefined && answer !== undefined ? { question, answer } : { ...faq, lang: DEFAULT_LOCALE };
+  });
 }
@@ -0,0 +1,17 @@
+import type { APIRoute, GetStaticPaths } from 'astro';
+import { getBlogPosts } from '../../lib/data';
+import { toWebVTT } from '../../../scripts/lib/transcript.js';
+
+// WebVTT captions for every video with a timestamped transcript
+export const getStaticPaths: GetStaticPaths = () =>
+  getBlogPosts()
+    .filter((post) => post.segments?.length)
+    .map((post) => ({
+      params: { videoId: post.videoId },
+      props: { segments: post.segments },
+    }));
+
+export const GET: APIRoute = ({ props }) =>
+  new Response(toWebVTT(props.segments), {
+    headers: { 'Content-Type': 'text/vtt; charset=utf-8' },
+  });
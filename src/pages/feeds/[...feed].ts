@@ -0,0 +1,17 @@
+import type { APIRoute, GetStaticPaths } from 'astro';
+import { getFeeds, renderSiteFeed, FEED_FORMAT_NAMES } from '../../lib/data';
+import { FEED_FORMATS } from '../../../scripts/lib/feeds.js';
+
+// RSS, Atom and JSON Feed files for every feed: /feeds/<name>/rss.xml, ...
+export const getStaticPaths: GetStaticPaths = () =>
+  getFeeds().flatMap((feed) =>
+    FEED_FORMAT_NAMES.map((format) => ({
+      params: { feed: `${feed.name}/${FEED_FORMATS[format].file}` },
+      props: { feed, format },
+    }))
+  );
+
+export const GET: APIRoute = ({ props, site }) =>
+  new Response(renderSiteFeed(props.feed, props.format, site?.origin ?? 'https://greenido.github.io'), {
+    headers: { 'Content-Type': `${FEED_FORMATS[props.format as keyof typeof FEED_FORMATS].type}; charset=utf-8` },
+  });
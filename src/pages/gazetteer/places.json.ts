@@ -0,0 +1,8 @@
+import type { APIRoute } from 'astro';
+import places from '../../../data/gazetteer.json';
+
+// Metro, city and neighborhood names the near-me box understands (see scripts/lib/gazetteer.js)
+export const GET: APIRoute = () =>
+  new Response(JSON.stringify(places), {
+    headers: { 'Content-Type': 'application/json' },
+  });
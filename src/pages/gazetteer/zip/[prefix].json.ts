@@ -0,0 +1,16 @@
+import type { APIRoute, GetStaticPaths } from 'astro';
+import usZips from 'us-zips';
+import { zipShards } from '../../../../scripts/lib/gazetteer.js';
+
+// ZIP centroids, one small file per 3-digit prefix so the near-me box
+// downloads only the shard for the ZIP it was given
+export const getStaticPaths: GetStaticPaths = () =>
+  Object.entries(zipShards(usZips)).map(([prefix, shard]) => ({
+    params: { prefix },
+    props: { shard },
+  }));
+
+export const GET: APIRoute = ({ props }) =>
+  new Response(JSON.stringify(props.shard), {
+    headers: { 'Content-Type': 'application/json' },
+  });
@@ -0,0 +1,9 @@
+import type { APIRoute } from 'astro';
+import { getSearchDocuments } from '../lib/data';
+import { buildSearchIndex } from '../../scripts/lib/search.js';
+
+// Static search index for /search/, built once per deploy
+export const GET: APIRoute = () =>
+  new Response(JSON.stringify(buildSearchIndex(getSearchDocuments())), {
+    headers: { 'Content-Type': 'application/json' },
+  });
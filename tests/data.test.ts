@@ -1,4 +1,4 @@
-import { describe, it, expect } from 'vitest';
+import { describe, it, expect, vi } from 'vitest';
 import {
   slugify,
   videoSlug,
@@ -12,12 +12,98 @@ import {
   getVideosByRestaurant,
   getVideosByCity,
   getVideosByCuisine,
+  getVideoRestaurant,
+  getVideosByLocation,
+  formatPriceLevel,
+  generateFAQs,
   citySlug,
   cityPath,
   cuisineSlug,
   cuisinePath,
+  getArea,
+  getAreaPages,
+  getAreaTrail,
+  breadcrumbJsonLd,
+  getTopRated,
+  getScore,
+  getVerdict,
+  getDishes,
+  getDish,
+  getWhatToOrder,
+  describeDishSources,
+  dishPath,
+  getBlogPosts,
+  getBlogPostByVideoId,
+  blogPostPath,
+  getSitePages,
+  renderBlogPost,
+  getFeeds,
+  reviewsFeed,
+  blogFeed,
+  cityFeed,
+  feedLinks,
+  renderSiteFeed,
+  localeVideoPath,
+  localeBlogPath,
+  isVideoPageTranslated,
+  restaurantVideoPath,
   type Video,
 } from '../src/lib/data';
+import { readdirSync } from 'fs';
+import { sitePages } from '../scripts/lib/site-pages.js';
+import videosData from '../data/videos.json';
+import restaurantsData from '../data/restaurants.json';
+import blogPostsData from '../data/blog-posts.json';
+import overridesData from '../data/overrides.json';
+import blogEditsData from '../data/blog-edits.json';
+import verdictsData from '../data/verdicts.json';
+import dishesData from '../data/dishes.json';
+import gazetteerData from '../data/gazetteer.json';
+import type { GazetteerPlace } from '../scripts/lib/gazetteer.js';
+
+// data/verdicts.json is empty until the verdict stage has run; give the
+// first video one so the verdict paths are covered.
+vi.mock('../data/verdicts.json', async () => {
+  const videos = (await vi.importActual<{ default: Video[] }>('../data/videos.json')).default;
+  const { videoId } = videos[0];
+  return {
+    default: {
+      [videoId]: {
+        videoId,
+        score: 9,
+        worthIt: true,
+        summary: 'Worth the trip.',
+        dishes: [
+          { name: 'Pastrami', sentiment: 'positive', note: 'hand-cut' },
+          { name: 'Pickles', sentiment: 'negative' },
+        ],
+        pricePaid: 32,
+        waitMinutes: 15,
+        source: 'transcript',
+        model: 'test',
+        extractedAt: '2026-01-01T00:00:00.000Z',
+      },
+    },
+  };
+});
+
+// One post waiting for review, one failing a later fact check, one a
+// reviewer approved anyway, and one hand edit.
+vi.mock('../data/blog-posts.json', async () => {
+  const posts = (await vi.importActual<{ default: Record<string, { status: string }> }>('../data/blog-posts.json')).default;
+  const failed = { checkedAt: '2026-03-01T00:00:00.000Z', passed: false, flags: [{ kind: 'dish', claim: 'Shawarma', problem: 'unsupported', detail: '' }] };
+  return {
+    default: {
+      ...posts,
+      '7265432109876': { ...posts['7265432109876'], status: 'draft' },
+      '7254321098765': { ...posts['7254321098765'], factCheck: failed },
+      '7243210987654': { ...posts['7243210987654'], factCheck: failed, factCheckOverriddenAt: '2026-03-02T00:00:00.000Z' },
+    },
+  };
+});
+vi.mock('../data/blog-edits.json', () => ({
+  default: { posts: { '7298765432101': { title: 'Joe’s Pizza, edited' } } },
+}));
 
 // ---------------------------------------------------------------------------
 // slugify
@@ -338,6 +424,22 @@ describe('getVideosByRestaurant', () => {
   });
 });
 
+describe('getVideoRestaurant', () => {
+  it('sees a chain at the branch the video was filmed at', () => {
+    const video = getVideos().find((v) => v.location);
+    if (!video) return; // skip if no chain videos
+    const restaurant = getVideoRestaurant(video)!;
+    expect(restaurant.location?.id).toBe(video.location);
+    expect(restaurant.address).toBe(restaurant.location?.address);
+    expect(getVideosByLocation(video.restaurantSlug, video.location!)).toContain(video);
+  });
+
+  it('returns single-location restaurants unchanged', () => {
+    const video = getVideos().find((v) => !getRestaurant(v.restaurantSlug)?.locations)!;
+    expect(getVideoRestaurant(video)).toBe(getRestaurant(video.restaurantSlug));
+  });
+});
+
 describe('getVideosByCity', () => {
   it('returns videos matching the city (case-insensitive)', () => {
     const videos = getVideos().filter((v) => v.city);
@@ -381,6 +483,61 @@ describe('citySlug / cityPath', () => {
   });
 });
 
+// ---------------------------------------------------------------------------
+// Areas: metro → city → neighborhood
+// ---------------------------------------------------------------------------
+describe('getArea', () => {
+  it('places restaurants enriched before the geography model from their address', () => {
+    expect(getArea(getRestaurant('tatiana-restaurant')!)).toMatchObject({
+      metro: 'New York',
+      city: 'Brooklyn',
+      neighborhood: 'Brighton Beach',
+    });
+    expect(getArea(getRestaurant('pizzana')!)).toMatchObject({ metro: 'Los Angeles', neighborhood: 'Brentwood' });
+  });
+});
+
+describe('getAreaPages', () => {
+  const pages = getAreaPages();
+  const byPath = new Map(pages.map((page) => [page.path, page]));
+
+  it('has a page for each level with its parent and trail', () => {
+    const brighton = byPath.get(cityPath('New York') + 'brooklyn/brighton-beach/');
+    expect(brighton?.level).toBe('neighborhood');
+    expect(brighton?.parent).toBe(cityPath('New York') + 'brooklyn/');
+    expect(brighton?.trail.map((t) => t.name)).toEqual(['New York', 'Brooklyn', 'Brighton Beach']);
+    expect(byPath.get(cityPath('New York') + 'brooklyn/')?.parent).toBe(cityPath('New York'));
+  });
+
+  it('files neighborhoods of a metro-named city directly under the metro', () => {
+    const nolita = pages.find((page) => page.name === 'Nolita');
+    expect(nolita?.path).toBe(cityPath('New York') + 'nolita/');
+    expect(nolita?.parent).toBe(cityPath('New York'));
+  });
+
+  it('counts every video toward each area it was filmed in', () => {
+    for (const page of pages) {
+      expect(page.videos.length).toBeGreaterThan(0);
+      if (page.parent) {
+        const parent = byPath.get(page.parent)!;
+        expect(page.videos.every((v) => parent.videos.includes(v))).toBe(true);
+      }
+    }
+  });
+});
+
+describe('breadcrumbJsonLd', () => {
+  it('lists the trail as numbered absolute links', () => {
+    const trail = getAreaTrail({ metro: 'New York', state: 'NY', city: 'Brooklyn' });
+    const ld = breadcrumbJsonLd(trail, 'https://example.com');
+    expect(ld['@type']).toBe('BreadcrumbList');
+    expect(ld.itemListElement).toEqual([
+      { '@type': 'ListItem', position: 1, name: 'New York', item: `https://example.com${cityPath('New York')}` },
+      { '@type': 'ListItem', position: 2, name: 'Brooklyn', item: `https://example.com${cityPath('New York')}brooklyn/` },
+    ]);
+  });
+});
+
 describe('cuisineSlug / cuisinePath', () => {
   it('slugifies cuisine names', () => {
     expect(cuisineSlug('Pizza')).toBe('pizza');
@@ -414,3 +571,251 @@ describe('TikTok URL consistency', () => {
     }
   });
 });
+
+// ---------------------------------------------------------------------------
+// Scores and rankings
+// ---------------------------------------------------------------------------
+describe('getTopRated', () => {
+  it('ranks scored restaurants by score, each once', () => {
+    const ranked = getTopRated(50);
+    expect(ranked.length).toBeGreaterThan(0);
+    for (let i = 1; i < ranked.length; i++) {
+      expect(ranked[i - 1].score.score).toBeGreaterThanOrEqual(ranked[i].score.score);
+    }
+    const ids = ranked.map((r) => `${r.restaurant.slug}:${r.restaurant.location?.id ?? ''}`);
+    expect(new Set(ids).size).toBe(ids.length);
+  });
+
+  it('ranks within a set of videos for best-of lists', () => {
+    const city = getTopRated(1)[0].video.city;
+    const videos = getVideosByCity(city);
+    expect(getTopRated(5, videos).every((r) => videos.includes(r.video))).toBe(true);
+  });
+});
+
+describe('getScore', () => {
+  it('counts a verdict only for the video\'s primary restaurant', () => {
+    const video = { ...getVideos().find((v) => getRestaurant(v.restaurantSlug)?.google.rating)!, verdictScore: 10 };
+    const restaurant = getVideoRestaurant(video)!;
+    expect(getScore(restaurant, video)!.score).toBeGreaterThan(getScore(restaurant)!.score);
+    expect(getScore({ ...restaurant, slug: 'other' }, video)?.verdict).toBeUndefined();
+  });
+});
+
+describe('getVerdict', () => {
+  const video = getVideos()[0];
+  const restaurant = getVideoRestaurant(video)!;
+
+  it("returns the verdict for the video's primary restaurant only", () => {
+    expect(getVerdict(video)?.score).toBe(9);
+    expect(getVerdict(video, restaurant)?.worthIt).toBe(true);
+    expect(getVerdict(video, { ...restaurant, slug: 'other' })).toBeUndefined();
+    expect(getVerdict(getVideos()[1])).toBeUndefined();
+  });
+
+  it('lets a verdictScore override replace the extracted score', () => {
+    expect(getVerdict({ ...video, verdictScore: 6 })?.score).toBe(6);
+    expect(getScore(restaurant, video)?.verdict?.score).toBe(9);
+  });
+});
+
+describe('generateFAQs verdict', () => {
+  const video = getVideos()[0];
+  const restaurant = getVideoRestaurant(video)!;
+  const faqs = generateFAQs(restaurant, video);
+
+  it("answers whether it's worth it with the reviewer's verdict", () => {
+    expect(faqs.find((f) => f.question.includes('worth it'))?.answer).toBe(
+      `Yes — @oneminreviews gave ${restaurant.name} 9/10. Worth the trip. They paid $32 and waited 15 minutes.`
+    );
+  });
+
+  it('recommends the dishes the reviewer liked', () => {
+    expect(faqs.find((f) => f.question.includes('What should I order'))?.answer).toBe(
+      "Our reviewer's picks: Pastrami (hand-cut). They'd skip the Pickles."
+    );
+  });
+});
+
+// ---------------------------------------------------------------------------
+// Dishes
+// ---------------------------------------------------------------------------
+describe('getDishes', () => {
+  it('lists catalog dishes with the restaurants and videos that mention them', () => {
+    const dish = getDish('spicy-spring')!;
+    expect(dish.restaurants.map((e) => e.restaurant.slug)).toEqual(['prince-street-pizza']);
+    expect(dish.restaurants[0].sources).toEqual({ caption: 1, review: 1 });
+    expect(dish.videos.map((v) => v.videoId)).toEqual(['7312456789012']);
+    expect(dishPath(dish.name)).toMatch(/\/dish\/spicy-spring\/$/);
+    expect(getDishes().every((d) => d.restaurants.length > 0)).toBe(true);
+  });
+
+  it('keeps review-only dishes, with no videos', () => {
+    const burrata = getDish('burrata')!;
+    expect(burrata.restaurants.map((e) => e.restaurant.slug)).toEqual(['pizzana']);
+    expect(burrata.videos).toEqual([]);
+  });
+});
+
+describe('getWhatToOrder', () => {
+  it("puts the reviewer's picks first, then the most mentioned dishes", () => {
+    const restaurant = getVideoRestaurant(getVideos()[0])!;
+    const order = getWhatToOrder(restaurant);
+    expect(order[0].dish.name).toBe('Pastrami Sandwich');
+    expect(order[0].entry).toMatchObject({ sentiment: 'positive', note: 'hand-cut' });
+    expect(order.map((o) => o.dish.name)).toContain('Spicy Spring');
+  });
+});
+
+describe('describeDishSources', () => {
+  it('lists the sources in a sentence', () => {
+    expect(describeDishSources({ caption: 1 })).toBe('the caption');
+    expect(describeDishSources({ caption: 1, transcript: 1, review: 2 })).toBe('the caption, the video and 2 reviews');
+  });
+});
+
+// ---------------------------------------------------------------------------
+// Blog post content
+// ---------------------------------------------------------------------------
+describe('getSitePages', () => {
+  it('lists static, video, city, cuisine, dish and blog pages', () => {
+    const pages = getSitePages();
+    const post = getBlogPostByVideoId('7312456789012')!;
+    const base = import.meta.env.BASE_URL;
+    expect(pages).toContain(base);
+    expect(pages).toContain(`${base}blog/`);
+    expect(pages).toContain(`${base}top-rated/`);
+    expect(pages).toContain(videoPath(getVideoById('7312456789012')!));
+    expect(pages).toContain(cityPath('New York'));
+    expect(pages).toContain(cuisinePath('Pizza'));
+    expect(pages).toContain(dishPath('Spicy Spring'));
+    expect(pages).toContain(blogPostPath(post));
+  });
+
+  it('matches the pages the fact check checks links against', () => {
+    const data = {
+      videos: videosData,
+      restaurants: restaurantsData,
+      blogPosts: blogPostsData,
+      overrides: overridesData,
+      edits: blogEditsData,
+      verdicts: verdictsData,
+      catalog: dishesData,
+      places: gazetteerData as GazetteerPlace[],
+    };
+    const pageFiles = readdirSync('src/pages', { recursive: true, encoding: 'utf8' });
+    expect(sitePages(data, pageFiles, import.meta.env.BASE_URL)).toEqual(getSitePages());
+  });
+});
+
+describe('getBlogPosts', () => {
+  it('leaves out posts that are not approved', () => {
+    expect(getBlogPostByVideoId('7265432109876')).toBeUndefined();
+    expect(getBlogPosts().every((p) => p.status === 'approved' || p.status === 'published')).toBe(true);
+  });
+
+  it('keeps live posts that fail a later fact check until a reviewer decides', () => {
+    expect(getBlogPostByVideoId('7254321098765')).toBeDefined();
+    expect(getBlogPostByVideoId('7243210987654')).toBeDefined();
+  });
+
+  it('applies hand edits', () => {
+    expect(getBlogPostByVideoId('7298765432101')).toMatchObject({ title: 'Joe’s Pizza, edited', edited: true });
+  });
+});
+
+describe('pages in other languages', () => {
+  // No data/translations/*.json is committed: nothing is translated yet
+  const video = getVideoById('7312456789012')!;
+  const base = import.meta.env.BASE_URL;
+
+  it('link to the English page until it is translated', () => {
+    expect(isVideoPageTranslated(video, getVideoRestaurant(video)!, 'en')).toBe(true);
+    expect(isVideoPageTranslated(video, getVideoRestaurant(video)!, 'es')).toBe(false);
+    expect(localeVideoPath(video, video.restaurantSlug, 'es')).toBe(restaurantVideoPath(video.restaurantSlug, video));
+    expect(localeBlogPath('ru')).toBe(`${base}blog/`);
+  });
+});
+
+describe('renderBlogPost', () => {
+  const post = getBlogPostByVideoId('7312456789012')!;
+
+  it('renders the content with its headings', () => {
+    const pizza = cuisinePath('Pizza').slice(0, -1);
+    const { html, headings } = renderBlogPost({ ...post, content: `## The Slice\n\nMore [pizza](${pizza}).` });
+    expect(headings).toEqual([{ depth: 2, id: 'the-slice', text: 'The Slice' }]);
+    expect(html).toContain(`<a href="${pizza}">pizza</a>`);
+  });
+
+  it('fails on links to pages that do not exist', () => {
+    const gotham = cityPath('Gotham');
+    expect(() => renderBlogPost({ ...post, content: `See [Gotham](${gotham}).` })).toThrow(
+      `Blog post "${post.slug}" links to pages that don't exist: ${gotham}`
+    );
+  });
+
+  it('renders every stored post', () => {
+    for (const p of getBlogPosts()) expect(() => renderBlogPost(p)).not.toThrow();
+  });
+});
+
+describe('feeds', () => {
+  it('has the reviews and blog feeds, and one per city and cuisine', () => {
+    const names = getFeeds().map((f) => f.name);
+    expect(names.slice(0, 2)).toEqual(['reviews', 'blog']);
+    expect(names).toContain('city/new-york');
+    expect(names).toContain('cuisine/pizza');
+  });
+
+  it('builds video entries with the OG image, ratings and embed link', () => {
+    const video = getVideos()[0];
+    const entry = cityFeed(video.city).entries().find((e) => e.url === videoPath(video))!;
+    expect(entry.image).toBe(`${import.meta.env.BASE_URL}assets/images/${video.videoId}/og.jpg`);
+    expect(entry.embedUrl).toBe(tiktokEmbedUrl(video.videoId));
+    expect(entry.summary).toBe('Worth the trip.');
+    expect(entry.restaurants[0].ratings.map((r) => r.source)).toContain('OneMinReviews');
+  });
+
+  it('lists the newest first, live posts only', () => {
+    const reviews = reviewsFeed().entries();
+    const times = reviews.map((e) => Date.parse(e.published));
+    expect(times).toEqual([...times].sort((a, b) => b - a));
+    expect(blogFeed().entries().map((e) => e.url)).toEqual(getBlogPosts().map(blogPostPath));
+  });
+
+  it('renders and links each format', () => {
+    expect(renderSiteFeed(blogFeed(), 'rss', 'https://example.com')).toContain('<title>OneMinReviews Blog</title>');
+    expect(feedLinks([blogFeed()]).map((l) => l.type)).toEqual([
+      'application/rss+xml',
+      'application/atom+xml',
+      'application/feed+json',
+    ]);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// Listing details
+// ---------------------------------------------------------------------------
+describe('formatPriceLevel', () => {
+  it('renders Google price levels as dollar signs', () => {
+    expect(formatPriceLevel(0)).toBe('Free');
+    expect(formatPriceLevel(2)).toBe('$$');
+    expect(formatPriceLevel(undefined)).toBeUndefined();
+  });
+});
+
+describe('generateFAQs listing details', () => {
+  const video = getVideos()[0];
+  const restaurant = getVideoRestaurant(video)!;
+
+  it('answers opening hours when Google lists them', () => {
+    const faqs = generateFAQs({ ...restaurant, openingHours: ['Monday: 11:00 AM – 10:00 PM'] }, video);
+    expect(faqs.find((f) => f.question.includes('opening hours'))?.answer).toContain('Monday: 11:00 AM – 10:00 PM');
+  });
+
+  it('says when a restaurant has permanently closed', () => {
+    const faqs = generateFAQs({ ...restaurant, businessStatus: 'CLOSED_PERMANENTLY', openingHours: ['Monday: Closed'] }, video);
+    expect(faqs.find((f) => f.question.includes('still open'))?.answer).toMatch(/^No\. .*permanently closed/);
+    expect(faqs.some((f) => f.question.includes('opening hours'))).toBe(false);
+  });
+});
@@ -0,0 +1,112 @@
+import { describe, it, expect } from 'vitest';
+import {
+  createDishMatcher,
+  dishWords,
+  findDishMentions,
+  summarizeDishes,
+  type CatalogDish,
+} from '../scripts/lib/dishes.js';
+import catalog from '../data/dishes.json';
+
+const dishes: CatalogDish[] = [
+  { name: 'Lamb Neck Shawarma', aliases: ['Lamb Neck'] },
+  { name: 'Shawarma', aliases: ['Shawarma Pita'] },
+  { name: 'Falafel' },
+  { name: 'Fish Taco', aliases: ['Rockfish Taco'] },
+];
+
+describe('dishWords', () => {
+  it('lowercases, strips accents and punctuation, and folds plurals', () => {
+    expect(dishWords('Crème Brûlée & TACOS!')).toEqual(['creme', 'brulee', 'taco']);
+  });
+});
+
+describe('createDishMatcher', () => {
+  const match = createDishMatcher(dishes);
+
+  it('matches names and aliases on whole words, in order of mention', () => {
+    expect(match('Two rockfish tacos, then the lamb neck')).toEqual(['fish-taco', 'lamb-neck-shawarma']);
+    expect(match('shawarmaaa')).toEqual([]);
+  });
+
+  it('prefers the longest name, so a specific dish is not also the generic one', () => {
+    expect(match('The lamb neck shawarma is life-changing')).toEqual(['lamb-neck-shawarma']);
+    expect(match('lamb neck shawarma and a shawarma pita')).toEqual(['lamb-neck-shawarma', 'shawarma']);
+  });
+
+  it("masks the restaurant's own name", () => {
+    expect(match('Today we are at Falafel Stop for shawarma', ['Falafel Stop'])).toEqual(['shawarma']);
+    expect(match('Falafel Stop has great falafel', ['Falafel Stop'])).toEqual(['falafel']);
+  });
+
+  it('rejects a catalog where two dishes share a name', () => {
+    expect(() => createDishMatcher([{ name: 'Taco' }, { name: 'Fish Taco', aliases: ['Tacos'] }])).toThrow(
+      'used by both "taco" and "fish-taco"'
+    );
+    expect(() => createDishMatcher([{ name: 'Taco' }, { name: 'taco' }])).toThrow('twice');
+  });
+
+  it('accepts the checked-in catalog', () => {
+    expect(() => createDishMatcher(catalog)).not.toThrow();
+  });
+});
+
+describe('findDishMentions / summarizeDishes', () => {
+  const data = {
+    videos: [
+      { videoId: '1', restaurantSlug: 'bavel', caption: 'Bavel — the lamb neck shawarma 🧆', createTime: 1 },
+      { videoId: '2', restaurantSlug: 'falafel-stop', caption: 'Falafel Stop', createTime: 2 },
+    ],
+    restaurants: {
+      bavel: { slug: 'bavel', name: 'Bavel', reviews: [{ text: 'Get the lamb neck.' }] },
+      'falafel-stop': {
+        slug: 'falafel-stop',
+        name: 'Falafel Stop',
+        reviews: [{ text: 'Great shawarma pita' }],
+        locations: [{ reviews: [{ text: 'Great shawarma pita' }] }],
+      },
+    },
+    blogPosts: { 2: { transcript: 'We got the falafel and shawarma pitas at Falafel Stop' } },
+    verdicts: {
+      1: { dishes: [{ name: 'Lamb neck shawarma', sentiment: 'positive', note: 'falls apart' }, { name: 'Fries', sentiment: 'mixed' }] },
+    },
+  };
+  const mentions = findDishMentions(data, dishes);
+
+  it('attributes caption, transcript and verdict mentions to the video and reviews to the restaurant', () => {
+    expect(mentions).toEqual([
+      { dish: 'lamb-neck-shawarma', restaurantSlug: 'bavel', videoId: '1', source: 'caption' },
+      { dish: 'lamb-neck-shawarma', restaurantSlug: 'bavel', videoId: '1', source: 'verdict', sentiment: 'positive', note: 'falls apart' },
+      { dish: 'falafel', restaurantSlug: 'falafel-stop', videoId: '2', source: 'transcript' },
+      { dish: 'shawarma', restaurantSlug: 'falafel-stop', videoId: '2', source: 'transcript' },
+      { dish: 'lamb-neck-shawarma', restaurantSlug: 'bavel', source: 'review' },
+      { dish: 'shawarma', restaurantSlug: 'falafel-stop', source: 'review' },
+    ]);
+  });
+
+  it('groups mentions by dish and restaurant, leaving out dishes nobody mentions', () => {
+    expect(summarizeDishes(dishes, mentions)).toEqual([
+      { name: 'Falafel', slug: 'falafel', aliases: [], restaurants: [{ restaurantSlug: 'falafel-stop', videoIds: ['2'], sources: { transcript: 1 } }] },
+      {
+        name: 'Lamb Neck Shawarma',
+        slug: 'lamb-neck-shawarma',
+        aliases: ['Lamb Neck'],
+        restaurants: [
+          {
+            restaurantSlug: 'bavel',
+            videoIds: ['1'],
+            sources: { caption: 1, verdict: 1, review: 1 },
+            sentiment: 'positive',
+            note: 'falls apart',
+          },
+        ],
+      },
+      {
+        name: 'Shawarma',
+        slug: 'shawarma',
+        aliases: ['Shawarma Pita'],
+        restaurants: [{ restaurantSlug: 'falafel-stop', videoIds: ['2'], sources: { transcript: 1, review: 1 } }],
+      },
+    ]);
+  });
+});
@@ -0,0 +1,224 @@
+import { describe, it, expect } from 'vitest';
+import {
+  storeGenerated,
+  pendingReview,
+  approvePost,
+  rejectPost,
+  publishApproved,
+  applyBlogEdits,
+  diffLines,
+  revisionDiff,
+  isLive,
+  heldBack,
+} from '../scripts/lib/editorial.js';
+
+const NOW = '2026-03-01T12:00:00.000Z';
+
+function generated(overrides: Record<string, unknown> = {}) {
+  return {
+    videoId: '111',
+    slug: 'joes-pizza-review-111',
+    title: 'Joe’s Pizza: the classic slice',
+    summary: 'A Greenwich Village institution.',
+    content: '## The Slice\n\nThin, crisp, foldable.',
+    model: 'gpt-4o-mini',
+    template: 'blog-post@1',
+    transcript: 'Okay so this is Joe’s.',
+    generatedAt: '2026-02-01T00:00:00.000Z',
+    ...overrides,
+  };
+}
+
+describe('storeGenerated', () => {
+  it('stores new and unreviewed posts as drafts', () => {
+    expect(storeGenerated(undefined, generated()).status).toBe('draft');
+    const rejected = { ...generated(), status: 'rejected', reviewedAt: NOW, reviewNote: 'Not a review' };
+    expect(storeGenerated(rejected, generated({ title: 'Retry' }))).toEqual({ ...generated({ title: 'Retry' }), status: 'draft' });
+  });
+
+  it('keeps a live post’s text and review, with the new text as its revision', () => {
+    const live = { ...generated(), status: 'published', reviewedAt: NOW, publishedAt: NOW };
+    const regenerated = generated({
+      title: 'Joe’s Pizza, revisited',
+      transcript: 'Okay so this is Joe’s Pizza.',
+      model: 'llama3.1',
+      generatedAt: '2026-03-02T00:00:00.000Z',
+    });
+    expect(storeGenerated(live, regenerated)).toEqual({
+      ...live,
+      transcript: 'Okay so this is Joe’s Pizza.',
+      revision: {
+        title: 'Joe’s Pizza, revisited',
+        summary: live.summary,
+        content: live.content,
+        model: 'llama3.1',
+        template: 'blog-post@1',
+        generatedAt: '2026-03-02T00:00:00.000Z',
+      },
+    });
+  });
+
+  it('adds no revision when the text came out the same', () => {
+    const live = { ...generated(), status: 'approved' };
+    expect(storeGenerated(live, generated({ generatedAt: NOW }))).toEqual(live);
+  });
+});
+
+describe('review decisions', () => {
+  const draft = { ...generated(), status: 'draft' };
+  const live = {
+    ...generated(),
+    status: 'published',
+    publishedAt: NOW,
+    revision: { title: 'New title', summary: 'New summary', content: 'New content', generatedAt: NOW },
+  };
+
+  it('approves drafts and promotes revisions', () => {
+    expect(approvePost(draft, NOW)).toEqual({ ...draft, status: 'approved', reviewedAt: NOW });
+    expect(approvePost(live, NOW)).toEqual({
+      ...generated(),
+      title: 'New title',
+      summary: 'New summary',
+      content: 'New content',
+      generatedAt: NOW,
+      status: 'published',
+      publishedAt: NOW,
+      reviewedAt: NOW,
+    });
+    expect(() => approvePost({ ...draft, status: 'approved' })).toThrow('111 is already approved');
+  });
+
+  it('refuses text that failed its fact check unless forced', () => {
+    const flags = [{ kind: 'price', claim: '$5', problem: 'unsupported', detail: 'not said in the caption, transcript or verdict' }];
+    const failed = { ...draft, factCheck: { checkedAt: NOW, passed: false, flags } };
+    expect(() => approvePost(failed, NOW)).toThrow('111 failed its fact check (1 flag)');
+    expect(approvePost(failed, NOW, { force: true })).toMatchObject({ status: 'approved', factCheck: { passed: false } });
+    expect(approvePost({ ...failed, factCheck: { checkedAt: NOW, passed: true, flags: [] } }, NOW).status).toBe('approved');
+
+    const failedRevision = { ...live, revision: { ...live.revision, factCheck: failed.factCheck } };
+    expect(() => approvePost(failedRevision, NOW)).toThrow('111 failed its fact check');
+    // Only the revision's check counts: the live text's is stale once it's replaced
+    expect(approvePost({ ...failedRevision, revision: live.revision, factCheck: failed.factCheck }, NOW).title).toBe('New title');
+  });
+
+  it('rejects drafts and drops revisions', () => {
+    expect(rejectPost(draft, { note: 'Wrong restaurant', now: NOW })).toEqual({
+      ...draft,
+      status: 'rejected',
+      reviewedAt: NOW,
+      reviewNote: 'Wrong restaurant',
+    });
+    const { revision, ...kept } = live;
+    expect(rejectPost(live, { now: NOW })).toEqual({ ...kept, reviewedAt: NOW });
+    expect(() => rejectPost({ ...draft, status: 'rejected' })).toThrow('111 is already rejected');
+  });
+
+  it('lists drafts and revisions, oldest first', () => {
+    const posts = {
+      1: { ...draft, videoId: '1', generatedAt: '2026-02-03T00:00:00.000Z' },
+      2: { ...live, videoId: '2' },
+      3: { ...draft, videoId: '3', status: 'approved' },
+      4: { ...draft, videoId: '4', generatedAt: '2026-02-02T00:00:00.000Z' },
+    };
+    expect(pendingReview(posts).map((p) => p.videoId)).toEqual(['4', '1', '2']);
+  });
+
+  it('publishes approved posts', () => {
+    const { posts, published } = publishApproved({ 1: { ...draft, status: 'approved' }, 2: draft }, NOW);
+    expect(published).toEqual(['1']);
+    expect(posts[1]).toMatchObject({ status: 'published', publishedAt: NOW });
+    expect(posts[2]).toBe(draft);
+    expect([posts[1], posts[2]].map(isLive)).toEqual([true, false]);
+  });
+
+  describe('posts that fail a later fact check', () => {
+    const factCheck = {
+      checkedAt: NOW,
+      passed: false,
+      flags: [{ kind: 'dish', claim: 'Shawarma', problem: 'unsupported', detail: 'not named in the caption, transcript, verdict or reviews' }],
+    };
+    const published = { ...generated(), status: 'published', publishedAt: NOW, factCheck };
+    const approved = { ...generated(), status: 'approved', reviewedAt: NOW, factCheck };
+
+    it('keeps a published post on the site, waiting for a reviewer to decide', () => {
+      expect(isLive(published)).toBe(true);
+      expect(heldBack(published)).toBe(true);
+      expect(pendingReview({ 1: published })).toEqual([published]);
+      expect(() => approvePost(published, NOW)).toThrow('111 failed its fact check (1 flag)');
+
+      const overridden = approvePost(published, NOW, { force: true });
+      expect(overridden).toMatchObject({ status: 'published', factCheckOverriddenAt: NOW, reviewedAt: NOW });
+      expect(heldBack(overridden)).toBe(false);
+      expect(pendingReview({ 1: overridden })).toEqual([]);
+      expect(() => approvePost(overridden, NOW, { force: true })).toThrow('111 is already published');
+    });
+
+    it('does not publish an approved post that fails', () => {
+      const result = publishApproved({ 1: approved, 2: { ...approved, factCheckOverriddenAt: NOW } }, NOW);
+      expect(result.published).toEqual(['2']);
+      expect(result.held).toEqual(['1']);
+      expect(result.posts[1]).toBe(approved);
+      expect(pendingReview({ 1: approved })).toEqual([approved]);
+    });
+
+    it('drops the override when a revision that passes replaces the text', () => {
+      const revision = { title: 'New title', summary: 'New summary', content: 'New content', generatedAt: NOW };
+      const promoted = approvePost({ ...published, factCheckOverriddenAt: NOW, revision }, NOW);
+      expect(promoted).not.toHaveProperty('factCheckOverriddenAt');
+      expect(promoted).not.toHaveProperty('factCheck');
+      expect(heldBack(promoted)).toBe(false);
+    });
+  });
+});
+
+describe('applyBlogEdits', () => {
+  it('replaces edited fields and warns about the rest', () => {
+    const { posts, warnings } = applyBlogEdits(
+      { 111: { ...generated(), status: 'published' } },
+      {
+        posts: {
+          111: { title: 'Joe’s Pizza (edited)', slug: 'nope', summary: '  ' },
+          999: { title: 'Orphan' },
+        },
+      }
+    );
+    expect(posts[111]).toMatchObject({ title: 'Joe’s Pizza (edited)', summary: 'A Greenwich Village institution.', edited: true });
+    expect(warnings).toEqual([
+      'posts.111.slug: unknown field (editable: title, summary, content)',
+      'posts.111.summary: expected non-empty text',
+      'posts.999: no blog post for this video',
+    ]);
+  });
+});
+
+describe('diffs', () => {
+  it('diffs line by line', () => {
+    expect(diffLines('a\nb\nc', 'a\nc\nd')).toEqual([
+      { op: ' ', line: 'a' },
+      { op: '-', line: 'b' },
+      { op: ' ', line: 'c' },
+      { op: '+', line: 'd' },
+    ]);
+  });
+
+  it('compares the live text, with hand edits, to the revision', () => {
+    const post = {
+      ...generated(),
+      status: 'published',
+      revision: { ...generated({ title: 'New title', content: '## The Slice\n\nThin and crisp.' }) },
+    };
+    expect(revisionDiff(post, { title: 'New title' })).toEqual([
+      {
+        field: 'content',
+        edited: false,
+        lines: [
+          { op: ' ', line: '## The Slice' },
+          { op: ' ', line: '' },
+          { op: '-', line: 'Thin, crisp, foldable.' },
+          { op: '+', line: 'Thin and crisp.' },
+        ],
+      },
+    ]);
+    expect(revisionDiff({ ...post, revision: undefined })).toEqual([]);
+  });
+});
@@ -0,0 +1,197 @@
+import { describe, it, expect } from 'vitest';
+import { extractClaims, checkText, factCheckContext, createFactChecker, checkLinks } from '../scripts/lib/fact-check.js';
+import type { GazetteerPlace } from '../scripts/lib/gazetteer.js';
+
+const catalog = [
+  { name: 'Spicy Spring', aliases: ['Pepperoni Square', 'Square Slice'] },
+  { name: 'Cheese Pizza', aliases: ['Cheese Slice', 'Plain Slice'] },
+  { name: 'Margherita Pizza', aliases: ['Margherita'] },
+  { name: 'Lamb Neck Shawarma', aliases: ['Lamb Neck'] },
+  { name: 'Shawarma', aliases: ['Shawarma Pita', 'Shawarma Wrap'] },
+];
+
+const places: GazetteerPlace[] = [
+  { name: 'New York', type: 'metro', metro: 'New York', state: 'NY', lat: 40.7128, lng: -74.006, aliases: ['NYC', 'New York City'] },
+  { name: 'Manhattan', type: 'city', metro: 'New York', state: 'NY', lat: 40.7831, lng: -73.9712 },
+  { name: 'Brooklyn', type: 'city', metro: 'New York', state: 'NY', lat: 40.6782, lng: -73.9442 },
+  { name: 'Nolita', type: 'neighborhood', metro: 'New York', state: 'NY', lat: 40.7234, lng: -73.9955 },
+  { name: 'Williamsburg', type: 'neighborhood', metro: 'New York', state: 'NY', lat: 40.7081, lng: -73.9571 },
+  { name: 'Chinatown', type: 'neighborhood', metro: 'New York', state: 'NY', lat: 40.7158, lng: -73.997 },
+  { name: 'Chicago', type: 'metro', metro: 'Chicago', state: 'IL', lat: 41.8781, lng: -87.6298 },
+  { name: 'Chinatown', type: 'neighborhood', metro: 'Chicago', state: 'IL', lat: 41.8526, lng: -87.6324 },
+];
+
+const restaurant = {
+  name: 'Prince Street Pizza',
+  slug: 'prince-street-pizza',
+  city: 'New York',
+  state: 'NY',
+  address: '27 Prince St, New York, NY 10012',
+  lat: 40.7234,
+  lng: -73.9946,
+  google: { rating: 4.5, reviewCount: 8420 },
+  yelp: { rating: 4, reviewCount: 5230 },
+  reviews: [{ source: 'google', author: 'Mike T.', rating: 5, text: 'Best square slice in the city.', date: '2025-12-15' }],
+};
+
+const evidence = {
+  restaurant,
+  branches: [restaurant],
+  caption: 'The famous pepperoni square in NYC 🍕 #pizza',
+  transcript: 'Okay this slice was five dollars, no wait, 6 dollars. I give it 5 stars.',
+};
+
+const context = factCheckContext(catalog, places);
+
+describe('extractClaims', () => {
+  it('pulls addresses, ratings, review counts, prices, dishes and places out of a post', () => {
+    const claims = extractClaims(
+      [
+        'Prince Street Pizza sits at 27 Prince Street in Nolita, New York City.',
+        'It holds a 4.5-star Google rating from over 8,000 reviews, and a slice costs $6.',
+        'Get the spicy spring and a cheese slice.',
+      ].join('\n'),
+      context,
+      'Prince Street Pizza'
+    );
+    expect(claims.map(({ kind, text }) => [kind, text])).toEqual([
+      ['address', '27 Prince Street'],
+      ['rating', '4.5-star'],
+      ['reviewCount', '8,000 reviews'],
+      ['price', '$6'],
+      ['dish', 'Spicy Spring'],
+      ['dish', 'Cheese Pizza'],
+      ['city', 'Nolita'],
+      ['city', 'New York City'],
+    ]);
+    expect(claims[1]).toMatchObject({ value: 4.5, platform: 'google' });
+    expect(claims[2]).toMatchObject({ value: 8000, platform: 'google' });
+  });
+
+  it('ignores styles, the restaurant’s own name and numbers that aren’t addresses', () => {
+    const claims = extractClaims('Brooklyn Pizza Co. has served New York-style pies since 1975 the street over.', context, 'Brooklyn Pizza Co.');
+    expect(claims).toEqual([]);
+  });
+});
+
+describe('checkText', () => {
+  it('passes claims the data backs', () => {
+    const text = [
+      'Find it at 27 Prince St. in Nolita — a 4.5/5 on Google and 4 stars on Yelp, from 8.4k reviews.',
+      'The pepperoni square is $6, and worth it. I give it 5 stars.',
+    ].join('\n');
+    expect(checkText(text, evidence, context)).toEqual([]);
+  });
+
+  it('flags made-up addresses, ratings, prices, dishes and places', () => {
+    const text = [
+      'Head to 12 Spring Street, NYC.',
+      'Google users rate it 4.8 stars across 20,000 reviews.',
+      'Don’t miss the margherita ($12) — the best in Chicago, better than Williamsburg.',
+    ].join('\n');
+    expect(checkText(text, evidence, context)).toEqual([
+      { kind: 'address', claim: '12 Spring Street', problem: 'contradicted', detail: 'on record: 27 Prince St, New York, NY 10012' },
+      { kind: 'rating', claim: '4.8 stars', problem: 'contradicted', detail: 'on record: Google rating 4.5' },
+      { kind: 'reviewCount', claim: '20,000 reviews', problem: 'contradicted', detail: 'on record: Google review count 8,420' },
+      { kind: 'price', claim: '$12', problem: 'unsupported', detail: 'not said in the caption, transcript or verdict' },
+      { kind: 'dish', claim: 'Margherita Pizza', problem: 'unsupported', detail: 'not named in the caption, transcript, verdict or reviews' },
+      { kind: 'city', claim: 'Chicago', problem: 'contradicted', detail: 'Prince Street Pizza is in New York' },
+      {
+        kind: 'city',
+        claim: 'Williamsburg',
+        problem: 'unsupported',
+        detail: "Prince Street Pizza isn't there as far as its address and coordinates say",
+      },
+    ]);
+  });
+
+  it('counts a dish as named when the evidence names a longer dish containing it', () => {
+    const bavel = {
+      caption:
+        'Bavel in the Arts District — Middle Eastern food that earned every award. The lamb neck shawarma is life-changing 🧆 #la #bavel #foodreview',
+      city: 'Los Angeles',
+    };
+    expect(checkText('The shawarma is juicy, and the lamb neck falls apart.', bavel, context)).toEqual([]);
+    expect(checkText('Order the lamb neck shawarma.', { ...bavel, caption: 'The shawarma at Bavel' }, context)).toEqual([
+      { kind: 'dish', claim: 'Lamb Neck Shawarma', problem: 'unsupported', detail: 'not named in the caption, transcript, verdict or reviews' },
+    ]);
+  });
+
+  it('reads a place named in several metros as the restaurant’s', () => {
+    expect(checkText('A short walk from Chinatown.', evidence, context)).toEqual([]);
+  });
+
+  it('counts a place the caption tags as named, even run together', () => {
+    const sanTung = { caption: 'Oneminreviews part 9: San Tung #wings #newyorkcity #review', city: '' };
+    expect(checkText('A New York City favorite.', sanTung, context)).toEqual([]);
+  });
+
+  it('flags what it can’t check when the restaurant is unknown', () => {
+    expect(checkText('4.6 stars on Google, at 1 Main St in Brooklyn.', { caption: '', city: '' }, context)).toEqual([
+      { kind: 'address', claim: '1 Main St', problem: 'unsupported', detail: 'no address on record' },
+      { kind: 'rating', claim: '4.6 stars', problem: 'unsupported', detail: 'no Google rating on record' },
+      { kind: 'city', claim: 'Brooklyn', problem: 'unsupported', detail: 'no city on record' },
+    ]);
+  });
+});
+
+describe('createFactChecker', () => {
+  const data = {
+    videos: [{ videoId: '111', restaurantSlug: 'prince-street-pizza', city: 'New York', caption: evidence.caption }],
+    restaurants: { 'prince-street-pizza': restaurant },
+    verdicts: { 111: { dishes: [{ name: 'Margherita', sentiment: 'positive' }], pricePaid: 14.5 } },
+    catalog,
+    places: places,
+  };
+  const factCheckPost = createFactChecker(data);
+  const post = {
+    videoId: '111',
+    title: 'The square slice',
+    summary: 'Worth the line.',
+    content: 'We paid $14.50 for the margherita and a square slice at 99 Fake Ave.',
+    transcript: '',
+    status: 'draft',
+  };
+  const NOW = '2026-03-01T12:00:00.000Z';
+
+  it('checks a post against its video, restaurant and verdict', () => {
+    expect(factCheckPost(post, { now: NOW }).factCheck).toEqual({
+      checkedAt: NOW,
+      passed: false,
+      flags: [{ kind: 'address', claim: '99 Fake Ave', problem: 'contradicted', detail: 'on record: 27 Prince St, New York, NY 10012' }],
+    });
+  });
+
+  it('checks the text as published, with hand edits, and the revision too', () => {
+    const edited = factCheckPost(
+      { ...post, revision: { ...post, content: 'Only $3!', generatedAt: NOW } },
+      { edit: { content: 'We paid $14.50 at 27 Prince St.' }, now: NOW }
+    );
+    expect(edited.factCheck.passed).toBe(true);
+    // Hand edits stay after a revision is approved, so they apply to it too
+    expect(edited.revision.factCheck.passed).toBe(true);
+    expect(factCheckPost({ ...post, revision: { ...post, content: 'Only $3!' } }, { now: NOW }).revision.factCheck.flags).toEqual([
+      { kind: 'price', claim: '$3', problem: 'unsupported', detail: 'not said in the caption, transcript or verdict' },
+    ]);
+  });
+
+  it('flags links to pages the site does not build, given its pages', () => {
+    const linked = { ...post, slug: 'the-square-slice', content: 'More [pizza](/oneminreviews/cuisine/pizza) and [Gotham](../../city/gotham/).' };
+    expect(factCheckPost(linked, { now: NOW }).factCheck.passed).toBe(true);
+
+    const withPages = createFactChecker({ ...data, pages: new Set(['/oneminreviews/cuisine/pizza/']) });
+    expect(withPages(linked, { now: NOW }).factCheck.flags).toEqual([
+      { kind: 'link', claim: '../../city/gotham/', problem: 'contradicted', detail: 'the site has no page at /oneminreviews/city/gotham/' },
+    ]);
+  });
+});
+
+describe('checkLinks', () => {
+  it('resolves links relative to the post and ignores other sites', () => {
+    const pages = new Set(['/oneminreviews/city/new-york/']);
+    const markdown = '[NYC](../../city/new-york) [Yelp](https://www.yelp.com/) [Top](#top) [Map](/oneminreviews/map/)';
+    expect(checkLinks(markdown, '/oneminreviews/blog/the-square-slice/', pages)).toEqual([
+      { kind: 'link', claim: '/oneminreviews/map/', problem: 'contradicted', detail: 'the site has no page at /oneminreviews/map/' },
+    ]);
+  });
+});
@@ -0,0 +1,173 @@
+import { describe, it, expect } from 'vitest';
+import {
+  feedPath,
+  renderFeed,
+  absoluteUrls,
+  describeRatings,
+  entryContent,
+  toRss,
+  toAtom,
+  toJsonFeed,
+  type Feed,
+  type FeedEntry,
+} from '../scripts/lib/feeds.js';
+
+const ORIGIN = 'https://example.com';
+
+const entry: FeedEntry = {
+  url: '/oneminreviews/prince-street-pizza/review-111/',
+  title: 'Prince Street Pizza — New York',
+  summary: 'Worth the line & the hype.',
+  published: '2026-01-28T00:00:00.000Z',
+  image: '/oneminreviews/assets/images/111/og.jpg',
+  tags: ['New York', 'Pizza'],
+  restaurants: [
+    {
+      name: 'Prince Street Pizza',
+      address: '27 Prince St, New York, NY 10012',
+      score: 4.52,
+      ratings: [
+        { source: 'Google', rating: 4.5, best: 5, reviewCount: 8420 },
+        { source: 'OneMinReviews', rating: 9, best: 10 },
+      ],
+    },
+  ],
+  watchUrl: 'https://www.tiktok.com/@oneminreviews/video/111',
+  embedUrl: 'https://www.tiktok.com/embed/v2/111',
+};
+
+const feed: Feed = {
+  origin: ORIGIN,
+  name: 'city/new-york',
+  title: 'New York <Reviews>',
+  description: 'New reviews in New York.',
+  home: '/oneminreviews/city/new-york/',
+  entries: [entry, { ...entry, url: '/oneminreviews/b/', published: '2026-01-20T00:00:00.000Z', updated: '2026-02-01T00:00:00.000Z' }],
+};
+
+describe('feedPath', () => {
+  it('puts each feed in its own directory, one file per format', () => {
+    expect(feedPath('reviews', 'rss')).toBe('/oneminreviews/feeds/reviews/rss.xml');
+    expect(feedPath('city/new-york', 'atom', '/')).toBe('/feeds/city/new-york/atom.xml');
+    expect(feedPath('blog', 'json', '/')).toBe('/feeds/blog/feed.json');
+  });
+});
+
+describe('absoluteUrls', () => {
+  it('resolves site paths and anchors, and leaves other URLs alone', () => {
+    const html = '<a href="/oneminreviews/x/">x</a> <a href="#menu">menu</a> <img src="/a.jpg"> <a href="https://t.co/">t</a>';
+    expect(absoluteUrls(html, `${ORIGIN}/oneminreviews/blog/post/`)).toBe(
+      `<a href="${ORIGIN}/oneminreviews/x/">x</a> <a href="${ORIGIN}/oneminreviews/blog/post/#menu">menu</a> <img src="${ORIGIN}/a.jpg"> <a href="https://t.co/">t</a>`
+    );
+  });
+});
+
+describe('describeRatings', () => {
+  it('lists the score and each rating', () => {
+    expect(describeRatings(entry.restaurants[0])).toBe('Score 4.5/5 · Google 4.5/5 (8,420 reviews) · OneMinReviews 9/10');
+    expect(describeRatings({ name: 'New Place', ratings: [] })).toBe('');
+  });
+});
+
+describe('entryContent', () => {
+  it('shows the image, the text, the restaurant and the video links', () => {
+    const html = entryContent(entry, ORIGIN);
+    expect(html).toContain(`<img src="${ORIGIN}/oneminreviews/assets/images/111/og.jpg"`);
+    expect(html).toContain('<p>Worth the line &amp; the hype.</p>');
+    expect(html).toContain('<strong>Prince Street Pizza</strong> — 27 Prince St, New York, NY 10012 — Score 4.5/5');
+    expect(html).toContain('<a href="https://www.tiktok.com/embed/v2/111">Play the video</a>');
+  });
+
+  it('uses the full text when there is one', () => {
+    const html = entryContent({ ...entry, html: '<h2 id="menu">Menu</h2><p><a href="#menu">up</a></p>' }, ORIGIN);
+    expect(html).toContain(`<a href="${ORIGIN}/oneminreviews/prince-street-pizza/review-111/#menu">up</a>`);
+    expect(html).not.toContain('Worth the line');
+  });
+});
+
+describe('toRss', () => {
+  const xml = toRss(feed);
+
+  it('describes the channel, escaped, with a self link', () => {
+    expect(xml).toContain('<title>New York &lt;Reviews&gt;</title>');
+    expect(xml).toContain(`<link>${ORIGIN}/oneminreviews/city/new-york/</link>`);
+    expect(xml).toContain(`<atom:link href="${ORIGIN}/oneminreviews/feeds/city/new-york/rss.xml" rel="self"`);
+    expect(xml).toContain('<lastBuildDate>Sun, 01 Feb 2026 00:00:00 GMT</lastBuildDate>');
+  });
+
+  it('carries the image, embed link and score of each item', () => {
+    expect(xml).toContain(`<guid isPermaLink="true">${ORIGIN}/oneminreviews/prince-street-pizza/review-111/</guid>`);
+    expect(xml).toContain('<pubDate>Wed, 28 Jan 2026 00:00:00 GMT</pubDate>');
+    expect(xml).toContain('<category>Pizza</category>');
+    expect(xml).toContain(`<media:thumbnail url="${ORIGIN}/oneminreviews/assets/images/111/og.jpg" />`);
+    expect(xml).toContain('<media:player url="https://www.tiktok.com/embed/v2/111" />');
+    expect(xml).toContain('<media:starRating average="4.52" min="0" max="5" />');
+    expect(xml).toContain('&lt;strong&gt;Prince Street Pizza&lt;/strong&gt;');
+  });
+});
+
+describe('toAtom', () => {
+  const xml = toAtom(feed);
+
+  it('has an id, self link and the newest update', () => {
+    expect(xml).toContain(`<id>${ORIGIN}/oneminreviews/feeds/city/new-york/atom.xml</id>`);
+    expect(xml).toContain('<updated>2026-02-01T00:00:00.000Z</updated>');
+    expect(xml).toContain('<author><name>@oneminreviews</name>');
+  });
+
+  it('links each entry to its page and its video', () => {
+    expect(xml).toContain(`<link rel="alternate" type="text/html" href="${ORIGIN}/oneminreviews/b/" />`);
+    expect(xml).toContain('<link rel="related" type="text/html" href="https://www.tiktok.com/embed/v2/111" title="Video" />');
+    expect(xml).toContain('<category term="New York" />');
+  });
+
+  it('is valid with no entries', () => {
+    expect(toAtom({ ...feed, entries: [] })).toContain('<updated>1970-01-01T00:00:00.000Z</updated>');
+  });
+});
+
+describe('toJsonFeed', () => {
+  const json = JSON.parse(toJsonFeed(feed));
+
+  it('is JSON Feed 1.1', () => {
+    expect(json).toMatchObject({
+      version: 'https://jsonfeed.org/version/1.1',
+      home_page_url: `${ORIGIN}/oneminreviews/city/new-york/`,
+      feed_url: `${ORIGIN}/oneminreviews/feeds/city/new-york/feed.json`,
+      authors: [{ name: '@oneminreviews' }],
+    });
+    expect(json.items).toHaveLength(2);
+  });
+
+  it('carries the ratings and embed link in an extension', () => {
+    expect(json.items[0]).toMatchObject({
+      id: `${ORIGIN}/oneminreviews/prince-street-pizza/review-111/`,
+      external_url: 'https://www.tiktok.com/@oneminreviews/video/111',
+      image: `${ORIGIN}/oneminreviews/assets/images/111/og.jpg`,
+      date_published: '2026-01-28T00:00:00.000Z',
+      tags: ['New York', 'Pizza'],
+      _oneminreviews: {
+        embed_url: 'https://www.tiktok.com/embed/v2/111',
+        restaurants: [
+          {
+            name: 'Prince Street Pizza',
+            score: 4.52,
+            ratings: [
+              { source: 'Google', rating: 4.5, best: 5, review_count: 8420 },
+              { source: 'OneMinReviews', rating: 9, best: 10 },
+            ],
+          },
+        ],
+      },
+    });
+    expect(json.items[1].date_modified).toBe('2026-02-01T00:00:00.000Z');
+  });
+});
+
+describe('renderFeed', () => {
+  it('renders each format and rejects others', () => {
+    expect(renderFeed(feed, 'rss')).toBe(toRss(feed));
+    expect(renderFeed(feed, 'json')).toBe(toJsonFeed(feed));
+    expect(() => renderFeed(feed, 'opml' as 'rss')).toThrow('Unknown feed format "opml"');
+  });
+});
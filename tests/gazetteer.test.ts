@@ -0,0 +1,94 @@
+import { describe, it, expect } from 'vitest';
+import gazetteer from '../data/gazetteer.json';
+import { parseZip, zipPrefix, zipShards, findPlace, mentionedPlace, taggedPlaces, type GazetteerPlace } from '../scripts/lib/gazetteer.js';
+import { hasCoordinates } from '../scripts/lib/geo.js';
+
+const places = gazetteer as GazetteerPlace[];
+
+describe('parseZip', () => {
+  it('finds a 5-digit ZIP, with or without ZIP+4 or a state', () => {
+    expect(parseZip('10014')).toBe('10014');
+    expect(parseZip(' 10014-2201 ')).toBe('10014');
+    expect(parseZip('NY 10014')).toBe('10014');
+    expect(parseZip('1001')).toBeUndefined();
+    expect(parseZip('123456')).toBeUndefined();
+    expect(parseZip('Williamsburg')).toBeUndefined();
+  });
+});
+
+describe('zipShards', () => {
+  it('groups ZIPs by their 3-digit prefix with rounded coordinates', () => {
+    const shards = zipShards({
+      '10012': { latitude: 40.725581, longitude: -73.998078 },
+      '10014': { latitude: 40.734012, longitude: -74.006746 },
+      '90057': { latitude: 34.062, longitude: -118.277 },
+    });
+    expect(Object.keys(shards).sort()).toEqual(['100', '900']);
+    expect(shards['100']['10014']).toEqual([40.734, -74.0067]);
+    expect(zipPrefix('90057')).toBe('900');
+  });
+});
+
+describe('findPlace', () => {
+  it('matches names and aliases regardless of case, accents and punctuation', () => {
+    expect(findPlace(places, 'williamsburg')?.metro).toBe('New York');
+    expect(findPlace(places, 'DTLA')?.name).toBe('Downtown LA');
+    expect(findPlace(places, 'hells kitchen')?.name).toBe("Hell's Kitchen");
+    expect(findPlace(places, 'bronx')?.name).toBe('The Bronx');
+  });
+
+  it('uses a trailing city or state to pick between same-named places', () => {
+    expect(findPlace(places, 'Chinatown')?.metro).toBe('New York');
+    expect(findPlace(places, 'Chinatown, Chicago')?.metro).toBe('Chicago');
+    expect(findPlace(places, 'chinatown san francisco')?.metro).toBe('San Francisco');
+  });
+
+  it('falls back to a prefix match and gives up on unknown names', () => {
+    expect(findPlace(places, 'wicker')?.name).toBe('Wicker Park');
+    expect(findPlace(places, 'Narnia')).toBeUndefined();
+    expect(findPlace(places, '')).toBeUndefined();
+  });
+
+  it('has coordinates for every bundled place', () => {
+    expect(places.every((p) => hasCoordinates(p) && /^[A-Z]{2}$/.test(p.state))).toBe(true);
+  });
+
+  it('files every place under a bundled metro', () => {
+    const metros = new Set(places.filter((p) => p.type === 'metro').map((p) => p.name));
+    expect(places.every((p) => metros.has(p.metro))).toBe(true);
+  });
+});
+
+describe('mentionedPlace', () => {
+  it('names the metro a caption mentions, even by borough or neighborhood', () => {
+    expect(mentionedPlace(places, 'Best slice in NYC?')?.name).toBe('New York');
+    expect(mentionedPlace(places, 'Russian feast in Brooklyn')?.metro).toBe('New York');
+    expect(mentionedPlace(places, 'Wicker Park brunch')?.metro).toBe('Chicago');
+  });
+
+  it('prefers a metro over a neighborhood mentioned first', () => {
+    expect(mentionedPlace(places, 'Chinatown dim sum, San Francisco')?.name).toBe('San Francisco');
+  });
+
+  it('only matches all-caps aliases in caps', () => {
+    expect(mentionedPlace(places, 'Tacos al pastor a la parrilla')).toBeUndefined();
+    expect(mentionedPlace(places, 'Tacos in LA')?.name).toBe('Los Angeles');
+  });
+
+  it('weighs hashtags below places named in the text', () => {
+    expect(mentionedPlace(places, 'Deep dish in Chicago #nyc #foodtiktok')?.name).toBe('Chicago');
+    expect(mentionedPlace(places, 'Oneminreviews part 9: San Tung #wings #bayarea #review')?.name).toBe('San Francisco');
+    expect(mentionedPlace(places, 'Bagels #newyorkcity #williamsburg')?.name).toBe('New York');
+  });
+
+  it('ignores hashtags that tag more than one metro', () => {
+    expect(mentionedPlace(places, 'Oneminreviews Part 6: Falafel Stop #bayarea #foodtiktok #review #foodreview #minneapolis ')).toBeUndefined();
+  });
+});
+
+describe('taggedPlaces', () => {
+  it('matches hashtags to names and aliases run together, in any case', () => {
+    expect(taggedPlaces(places, '#BayArea #DTLA #foodie').map((p) => p.name)).toEqual(['Downtown LA', 'San Francisco']);
+    expect(taggedPlaces(places, 'Bay Area tacos')).toEqual([]);
+  });
+});
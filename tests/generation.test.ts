@@ -0,0 +1,216 @@
+import { describe, it, expect } from 'vitest';
+import {
+  parsePromptTemplate,
+  renderPrompt,
+  schemaErrors,
+  parseStructuredOutput,
+  generateStructured,
+} from '../scripts/lib/generation.js';
+import { llmConfig, createLLM, DEFAULT_LLM_PROVIDER } from '../scripts/lib/llm/index.js';
+import { createOpenAIChat } from '../scripts/lib/llm/openai.js';
+import { createStubLLM } from '../scripts/lib/llm/stub.js';
+import { generateBlogPost, BLOG_POST_OUTPUT } from '../scripts/lib/blog-post.js';
+
+const template = parsePromptTemplate(
+  'dish-blurb',
+  '---\nversion: 2\ntemperature: 0.3\n---\nDescribe {{dish}} at {{ restaurant }}.\n'
+);
+
+const schema = {
+  name: 'blurb',
+  schema: {
+    type: 'object',
+    properties: { blurb: { type: 'string', minLength: 1 }, stars: { type: 'integer' } },
+    required: ['blurb'],
+    additionalProperties: false,
+  },
+};
+
+/** A fetch that records its request and answers like chat completions. */
+function chatFetch(content: string) {
+  const requests: { url: string; init?: RequestInit }[] = [];
+  const fetch = (async (url: string, init?: RequestInit) => {
+    requests.push({ url, init });
+    return new Response(JSON.stringify({ choices: [{ message: { content } }] }), { status: 200 });
+  }) as unknown as typeof globalThis.fetch;
+  return { fetch, requests };
+}
+
+describe('prompt templates', () => {
+  it('reads version and settings from the front matter', () => {
+    expect(template).toEqual({
+      name: 'dish-blurb',
+      version: 2,
+      temperature: 0.3,
+      body: 'Describe {{dish}} at {{ restaurant }}.',
+    });
+  });
+
+  it('requires a whole-number version', () => {
+    expect(() => parsePromptTemplate('a', 'No front matter')).toThrow('prompt "a" has no front matter');
+    expect(() => parsePromptTemplate('a', '---\nversion: 1.5\n---\nHi')).toThrow(
+      'prompt "a" needs a whole-number version, got "1.5"'
+    );
+  });
+
+  it('fills placeholders and refuses missing variables', () => {
+    expect(renderPrompt(template, { dish: 'the spicy spring', restaurant: 'Prince Street Pizza' })).toBe(
+      'Describe the spicy spring at Prince Street Pizza.'
+    );
+    expect(() => renderPrompt(template, { dish: 'the spicy spring' })).toThrow(
+      'prompt "dish-blurb" uses {{restaurant}}, which was not provided'
+    );
+  });
+});
+
+describe('structured output', () => {
+  it('lists every way a value misses the schema', () => {
+    expect(schemaErrors({ blurb: 'Good', stars: 4 }, schema.schema)).toEqual([]);
+    expect(schemaErrors({ blurb: '  ', stars: 4.5, extra: true }, schema.schema)).toEqual([
+      '$.blurb should be at least 1 characters',
+      '$.stars should be integer, got number',
+      '$.extra is not allowed',
+    ]);
+    expect(schemaErrors({}, schema.schema)).toEqual(['$.blurb is missing']);
+    expect(schemaErrors([], schema.schema)).toEqual(['$ should be object, got array']);
+  });
+
+  it('parses fenced JSON', () => {
+    expect(parseStructuredOutput('```json\n{"blurb":"Good"}\n```', schema.schema)).toEqual({ value: { blurb: 'Good' } });
+    expect(parseStructuredOutput('Sure! Here it is', schema.schema).error).toMatch(/^not valid JSON/);
+  });
+
+  it('retries with what was wrong, then records template version and model', async () => {
+    const llm = createStubLLM({ model: 'test-model', responses: ['not json', '{"blurb":"Crisp, spicy, worth it."}'] });
+    const result = await generateStructured({
+      llm,
+      template,
+      vars: { dish: 'the spicy spring', restaurant: 'Prince Street Pizza' },
+      schema,
+    });
+    expect(result).toEqual({
+      value: { blurb: 'Crisp, spicy, worth it.' },
+      template: 'dish-blurb@2',
+      model: 'test-model',
+      attempts: 2,
+    });
+    expect(llm.calls[0].temperature).toBe(0.3);
+    expect(llm.calls[1].messages.map((m) => m.role)).toEqual(['user', 'assistant', 'user']);
+    expect(llm.calls[1].messages[2].content).toContain('not valid JSON');
+  });
+
+  it('gives up after the last retry', async () => {
+    const llm = createStubLLM({ responses: ['{}', '{}'] });
+    await expect(
+      generateStructured({ llm, template, vars: { dish: 'x', restaurant: 'y' }, schema })
+    ).rejects.toThrow('dish-blurb: no valid answer after 2 attempts ($.blurb is missing)');
+  });
+});
+
+describe('LLM providers', () => {
+  it('defaults to OpenAI, overridden by LLM_PROVIDER and --llm', () => {
+    expect(llmConfig({ model: 'm' }, {}, []).provider).toBe(DEFAULT_LLM_PROVIDER);
+    expect(llmConfig({ model: 'm' }, { LLM_PROVIDER: 'Stub' }, []).provider).toBe('stub');
+    expect(llmConfig({ model: 'm' }, { LLM_PROVIDER: 'openai' }, ['--llm=openai-compatible']).provider).toBe(
+      'openai-compatible'
+    );
+  });
+
+  it('refuses providers that cannot run', () => {
+    expect(() => createLLM(llmConfig({ model: 'm' }, { LLM_PROVIDER: 'acme' }, []))).toThrow(
+      'unknown LLM provider "acme" (available: openai, openai-compatible, stub)'
+    );
+    expect(() => createLLM(llmConfig({ model: 'm' }, { OPENAI_API_KEY: 'N/A' }, []))).toThrow('OPENAI_API_KEY is not set');
+    expect(() => createLLM(llmConfig({ model: 'm' }, { LLM_PROVIDER: 'openai-compatible' }, []))).toThrow(
+      'LLM_BASE_URL is not set'
+    );
+    expect(() => llmConfig({ model: 'm' }, { LLM_STRUCTURED_OUTPUT: 'xml' }, [])).toThrow(
+      'LLM_STRUCTURED_OUTPUT must be one of json_schema, json_object, none, got "xml"'
+    );
+  });
+
+  it('openai sends the schema as strict structured output', async () => {
+    const { fetch, requests } = chatFetch('{"blurb":"Good"}');
+    const llm = createLLM(llmConfig({ model: 'gpt-4o-mini' }, { OPENAI_API_KEY: 'sk-test' }, []), { fetch });
+    expect(await llm.complete({ messages: [{ role: 'user', content: 'Hi' }], schema, maxTokens: 100 })).toBe(
+      '{"blurb":"Good"}'
+    );
+    expect(requests[0].url).toBe('https://api.openai.com/v1/chat/completions');
+    expect((requests[0].init?.headers as Record<string, string>).Authorization).toBe('Bearer sk-test');
+    const body = JSON.parse(requests[0].init?.body as string);
+    expect(body.max_tokens).toBe(100);
+    expect(body.response_format).toEqual({
+      type: 'json_schema',
+      json_schema: {
+        name: 'blurb',
+        strict: true,
+        schema: {
+          type: 'object',
+          properties: { blurb: { type: 'string' }, stars: { type: 'integer' } },
+          required: ['blurb'],
+          additionalProperties: false,
+        },
+      },
+    });
+  });
+
+  it('openai-compatible talks to another base URL, without a key', async () => {
+    const { fetch, requests } = chatFetch('{"blurb":"Good"}');
+    const llm = createLLM(
+      llmConfig(
+        { model: 'llama3.1' },
+        { LLM_PROVIDER: 'openai-compatible', LLM_BASE_URL: 'http://localhost:11434/v1/', LLM_STRUCTURED_OUTPUT: 'json_object' },
+        []
+      ),
+      { fetch }
+    );
+    expect(llm.label).toBe('llama3.1 at http://localhost:11434/v1');
+    await llm.complete({ messages: [{ role: 'user', content: 'Hi' }], schema });
+    expect(requests[0].url).toBe('http://localhost:11434/v1/chat/completions');
+    expect(requests[0].init?.headers).not.toHaveProperty('Authorization');
+    expect(JSON.parse(requests[0].init?.body as string).response_format).toEqual({ type: 'json_object' });
+  });
+
+  it('openai reports API errors', async () => {
+    const fetch = (async () => new Response('rate limited', { status: 429 })) as unknown as typeof globalThis.fetch;
+    const llm = createOpenAIChat({ name: 'openai', model: 'gpt-4o-mini', apiKey: 'sk-test', fetch });
+    await expect(llm.complete({ messages: [] })).rejects.toThrow('Chat API error 429: rate limited');
+  });
+});
+
+describe('generateBlogPost', () => {
+  const video = {
+    id: '7312456789012',
+    caption: 'The spicy spring at Prince Street 🍕',
+    city: 'New York',
+    cuisine: 'Pizza',
+    createTime: 1706400000,
+    stats: { likes: 1200, comments: 34 },
+  };
+  const restaurant = { name: 'Prince Street Pizza', state: 'NY', address: '27 Prince St', google: { rating: 4.6, reviewCount: 9000 } };
+
+  it('writes from the transcript with the blog-post template', async () => {
+    const llm = createStubLLM();
+    const post = await generateBlogPost(llm, { video, restaurant, transcript: 'Okay so this is Prince Street Pizza.' });
+    expect(post).toMatchObject({ model: 'stub', template: 'blog-post@2' });
+    expect(post.title).toMatch(/^Stub title \[[0-9a-f]{8}\]$/);
+    const prompt = llm.calls[0].messages[0].content;
+    expect(prompt).toContain('Okay so this is Prince Street Pizza.');
+    expect(prompt).toContain('City: New York, NY');
+    expect(prompt).toContain('## Video Transcript (spoken in English)');
+    expect(llm.calls[0].schema).toBe(BLOG_POST_OUTPUT);
+  });
+
+  it('names the language of a transcript that isn’t English', async () => {
+    const llm = createStubLLM();
+    await generateBlogPost(llm, { video, restaurant, transcript: 'Bueno, esta es Prince Street Pizza.', language: 'es' });
+    expect(llm.calls[0].messages[0].content).toContain('## Video Transcript (spoken in Spanish)');
+  });
+
+  it('falls back to the caption template and is deterministic', async () => {
+    const first = await generateBlogPost(createStubLLM(), { video, restaurant });
+    const second = await generateBlogPost(createStubLLM(), { video, restaurant });
+    expect(first.template).toBe('blog-post-from-caption@3');
+    expect(second).toEqual(first);
+  });
+});
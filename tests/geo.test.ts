@@ -0,0 +1,122 @@
+import { describe, it, expect } from 'vitest';
+import {
+  hasCoordinates,
+  distanceKm,
+  byDistance,
+  formatDistance,
+  project,
+  boundsOf,
+  clusterPoints,
+} from '../scripts/lib/geo.js';
+import { getMapPoints, getNearestRestaurants, getVideos, getVideosByCity } from '../src/lib/data';
+
+const joes = { lat: 40.7306, lng: -74.0021, rating: 4.4 };
+const prince = { lat: 40.7234, lng: -73.9946, rating: 4.5 };
+const langers = { lat: 34.0558, lng: -118.2755, rating: 4.6 };
+
+describe('hasCoordinates', () => {
+  it('treats 0/0 and missing values as unknown', () => {
+    expect(hasCoordinates(joes)).toBe(true);
+    expect(hasCoordinates({ lat: 0, lng: 0 })).toBe(false);
+    expect(hasCoordinates({ lat: 40 } as { lat: number; lng: number })).toBe(false);
+    expect(hasCoordinates(undefined)).toBe(false);
+  });
+});
+
+describe('distanceKm', () => {
+  it('measures great-circle distance', () => {
+    expect(distanceKm(joes, joes)).toBe(0);
+    expect(distanceKm(joes, prince)).toBeCloseTo(1.04, 1);
+    expect(distanceKm(joes, langers)).toBeGreaterThan(3900);
+    expect(distanceKm(joes, langers)).toBeLessThan(4000);
+  });
+});
+
+describe('byDistance', () => {
+  it('orders places nearest first and skips ones without coordinates', () => {
+    const unknown = { lat: 0, lng: 0 };
+    const ranked = byDistance(joes, [langers, unknown, prince, joes]);
+    expect(ranked.map((r) => r.place)).toEqual([joes, prince, langers]);
+    expect(ranked[1].distanceKm).toBeCloseTo(1.04, 1);
+  });
+
+  it('honors limit and maxKm', () => {
+    expect(byDistance(joes, [langers, prince], { limit: 1 }).map((r) => r.place)).toEqual([prince]);
+    expect(byDistance(joes, [langers, prince], { maxKm: 100 })).toHaveLength(1);
+  });
+});
+
+describe('formatDistance', () => {
+  it('shows miles, with a decimal only for short distances', () => {
+    expect(formatDistance(0.05)).toBe('< 0.1 mi');
+    expect(formatDistance(1.04)).toBe('0.6 mi');
+    expect(formatDistance(3936)).toBe('2,446 mi');
+  });
+});
+
+describe('project', () => {
+  it('maps the world onto 256px at zoom 0 and doubles per zoom level', () => {
+    expect(project({ lat: 0, lng: 0 }, 0)).toEqual({ x: 128, y: 128 });
+    expect(project({ lat: 0, lng: 180 }, 1).x).toBe(512);
+    expect(project({ lat: 60, lng: 0 }, 0).y).toBeLessThan(128);
+  });
+});
+
+describe('clusterPoints', () => {
+  it('groups nearby points when zoomed out and separates them when zoomed in', () => {
+    const points = [joes, prince, langers];
+    const far = clusterPoints(points, 4);
+    expect(far.map((c) => c.points.length).sort()).toEqual([1, 2]);
+    const nyc = far.find((c) => c.points.length === 2)!;
+    expect(nyc.points[0]).toBe(prince);
+    expect(nyc.lat).toBeCloseTo(40.727, 2);
+
+    expect(clusterPoints(points, 16)).toHaveLength(3);
+  });
+
+  it('computes bounds around a cluster', () => {
+    expect(boundsOf([joes, prince])).toEqual([
+      [40.7234, -74.0021],
+      [40.7306, -73.9946],
+    ]);
+  });
+});
+
+describe('getMapPoints', () => {
+  it('places each reviewed restaurant or chain branch once, linking to its latest review', () => {
+    const points = getMapPoints();
+    expect(new Set(points.map((p) => p.id)).size).toBe(points.length);
+    expect(points.every((p) => hasCoordinates(p) && p.url.startsWith(import.meta.env.BASE_URL))).toBe(true);
+    expect(points.find((p) => p.id === 'portillos:river-north')?.location).toBe('River North');
+    expect(points.length).toBeLessThanOrEqual(getVideos().length * 2);
+  });
+
+  it('limits a city map to the videos filmed there', () => {
+    const points = getMapPoints(getVideosByCity('Chicago'));
+    expect(points.length).toBeGreaterThan(0);
+    expect(points.every((p) => p.city === 'Chicago')).toBe(true);
+  });
+});
+
+describe('getNearestRestaurants', () => {
+  it('returns reviewed restaurants nearest a point with their distances', () => {
+    const nearest = getNearestRestaurants(joes, { limit: 3 });
+    expect(nearest).toHaveLength(3);
+    expect(nearest[0].restaurant.slug).toBe('joes-pizza');
+    expect(nearest.map((n) => n.distanceKm)).toEqual([...nearest.map((n) => n.distanceKm)].sort((a, b) => a - b));
+    expect(nearest.every((n) => n.restaurant.city === 'New York')).toBe(true);
+  });
+
+  it('leaves out excluded restaurants and places beyond maxKm', () => {
+    const nearby = getNearestRestaurants(joes, { exclude: ['joes-pizza'], maxKm: 40 });
+    expect(nearby.some((n) => n.restaurant.slug === 'joes-pizza')).toBe(false);
+    expect(nearby.every((n) => n.distanceKm <= 40)).toBe(true);
+    expect(nearby.map((n) => n.restaurant.slug)).toContain('prince-street-pizza');
+  });
+
+  it('counts each chain branch separately', () => {
+    const [nearest] = getNearestRestaurants({ lat: 41.8932, lng: -87.6314 }, { limit: 1 });
+    expect(nearest.restaurant.slug).toBe('portillos');
+    expect(nearest.restaurant.location?.id).toBe('river-north');
+  });
+});
@@ -0,0 +1,99 @@
+import { describe, it, expect } from 'vitest';
+import gazetteer from '../data/gazetteer.json';
+import type { GazetteerPlace } from '../scripts/lib/gazetteer.js';
+import { parseAddress, resolveGeography, areaOf, areaTrail, metroState } from '../scripts/lib/geography.js';
+import { areaPath } from '../scripts/lib/slug.js';
+
+const places = gazetteer as GazetteerPlace[];
+
+describe('parseAddress', () => {
+  it('reads locality, state and ZIP from the end of a US address', () => {
+    expect(parseAddress('3152 Brighton 6th St, Brooklyn, NY 11235')).toEqual({
+      locality: 'Brooklyn',
+      state: 'NY',
+      zip: '11235',
+    });
+    expect(parseAddress('1 Main St, Boise, ID 83702-1234, USA')).toEqual({ locality: 'Boise', state: 'ID', zip: '83702' });
+    expect(parseAddress('Hoboken, NJ')).toEqual({ locality: 'Hoboken', state: 'NJ' });
+    expect(parseAddress('')).toEqual({});
+    expect(parseAddress(undefined)).toEqual({});
+  });
+});
+
+describe('resolveGeography', () => {
+  it('files a borough under its metro with the nearest neighborhood', () => {
+    expect(
+      resolveGeography(
+        { city: 'New York', address: '3152 Brighton 6th St, Brooklyn, NY 11235', lat: 40.5775, lng: -73.9614 },
+        places
+      )
+    ).toEqual({ city: 'New York', state: 'NY', locality: 'Brooklyn', neighborhood: 'Brighton Beach' });
+  });
+
+  it('keeps a neighboring state while joining the metro', () => {
+    expect(
+      resolveGeography({ city: '', address: '30 Montgomery St, Jersey City, NJ 07302', lat: 40.7163, lng: -74.0347 }, places)
+    ).toMatchObject({ city: 'New York', state: 'NJ', locality: 'Jersey City' });
+  });
+
+  it('uses the gazetteer name for an address locality', () => {
+    expect(
+      resolveGeography({ city: '', address: '1100 13th St NW, Washington, DC 20005', lat: 38.9046, lng: -77.0297 }, places)
+    ).toMatchObject({ city: 'Washington DC', state: 'DC', locality: 'Washington DC' });
+  });
+
+  it('makes a place outside every metro its own metro', () => {
+    expect(resolveGeography({ city: '', address: '1 Main St, Boise, ID 83702', lat: 43.615, lng: -116.2023 }, places)).toEqual({
+      city: 'Boise',
+      state: 'ID',
+      locality: 'Boise',
+    });
+  });
+
+  it('falls back to the nearest metro when there is no address', () => {
+    expect(resolveGeography({ city: '', state: '', lat: 41.8925, lng: -87.6324 }, places)).toMatchObject({
+      city: 'Chicago',
+      state: 'IL',
+      neighborhood: 'River North',
+    });
+  });
+
+  it('keeps stored locality and neighborhood', () => {
+    expect(
+      resolveGeography(
+        { city: 'New York', address: '7 Carmine St, New York, NY 10014', lat: 40.7306, lng: -74.0021, neighborhood: 'West Village' },
+        places
+      ).neighborhood
+    ).toBe('West Village');
+  });
+
+  it('leaves records without an address or coordinates alone', () => {
+    expect(resolveGeography({ city: '', state: '' }, places)).toEqual({ city: '', state: '' });
+  });
+});
+
+describe('areaTrail / areaPath', () => {
+  it('skips the city level when it is the metro', () => {
+    const area = areaOf({ city: 'New York', state: 'NY', locality: 'New York', neighborhood: 'Nolita' });
+    expect(areaTrail(area).map((step) => step.level)).toEqual(['metro', 'neighborhood']);
+    expect(areaPath(area, '/')).toBe('/city/new-york/nolita/');
+  });
+
+  it('nests a neighborhood under its city', () => {
+    const area = areaOf({ city: 'New York', state: 'NY', locality: 'Brooklyn', neighborhood: 'Williamsburg' });
+    expect(areaTrail(area).map((step) => step.name)).toEqual(['New York', 'Brooklyn', 'Williamsburg']);
+    expect(areaPath(area, '/')).toBe('/city/new-york/brooklyn/williamsburg/');
+    expect(areaPath({ metro: 'New York', city: 'Brooklyn' }, '/')).toBe('/city/new-york/brooklyn/');
+  });
+
+  it('sits records without a locality directly under their metro', () => {
+    expect(areaTrail(areaOf({ city: 'Austin', state: 'TX' }))).toHaveLength(1);
+  });
+});
+
+describe('metroState', () => {
+  it('knows the state of every gazetteer metro', () => {
+    expect(metroState(places, 'Chicago')).toBe('IL');
+    expect(metroState(places, 'Boise')).toBe('');
+  });
+});
@@ -0,0 +1,64 @@
+import { describe, it, expect } from 'vitest';
+import { topoSort, selectStages } from '../scripts/lib/graph.js';
+
+const stage = (name: string, dependsOn: string[] = []) => ({ name, dependsOn });
+
+// ---------------------------------------------------------------------------
+// topoSort
+// ---------------------------------------------------------------------------
+describe('topoSort', () => {
+  it('places every stage after its dependencies', () => {
+    const ordered = topoSort([
+      stage('build', ['enrich', 'og']),
+      stage('og', ['scrape']),
+      stage('enrich', ['scrape']),
+      stage('scrape'),
+    ]).map((s) => s.name);
+    expect(ordered.indexOf('scrape')).toBeLessThan(ordered.indexOf('enrich'));
+    expect(ordered.indexOf('og')).toBeLessThan(ordered.indexOf('build'));
+    expect(ordered.indexOf('enrich')).toBeLessThan(ordered.indexOf('build'));
+  });
+
+  it('keeps declaration order when there are no constraints', () => {
+    expect(topoSort([stage('a'), stage('b'), stage('c')]).map((s) => s.name)).toEqual([
+      'a',
+      'b',
+      'c',
+    ]);
+  });
+
+  it('throws on dependency cycles', () => {
+    expect(() => topoSort([stage('a', ['b']), stage('b', ['a'])])).toThrow(/cycle/);
+  });
+
+  it('throws on unknown dependencies', () => {
+    expect(() => topoSort([stage('a', ['missing'])])).toThrow(/unknown stage "missing"/);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// selectStages
+// ---------------------------------------------------------------------------
+describe('selectStages', () => {
+  const ordered = ['scrape', 'enrich', 'build', 'sitemaps'].map((n) => stage(n));
+
+  it('selects everything by default', () => {
+    expect(selectStages(ordered)).toEqual(['scrape', 'enrich', 'build', 'sitemaps']);
+  });
+
+  it('--from keeps the stage and everything after it', () => {
+    expect(selectStages(ordered, { from: 'enrich' })).toEqual(['enrich', 'build', 'sitemaps']);
+  });
+
+  it('--only and --skip filter by name', () => {
+    expect(selectStages(ordered, { only: ['build', 'scrape'] })).toEqual(['scrape', 'build']);
+    expect(selectStages(ordered, { from: 'enrich', skip: ['build'] })).toEqual([
+      'enrich',
+      'sitemaps',
+    ]);
+  });
+
+  it('rejects unknown --from stages', () => {
+    expect(() => selectStages(ordered, { from: 'nope' })).toThrow(/Unknown stage/);
+  });
+});
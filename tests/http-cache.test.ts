@@ -0,0 +1,80 @@
+import { describe, it, expect, afterEach } from 'vitest';
+import { mkdtempSync, rmSync, readdirSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { createHttpClient, redactUrl, cacheKey, DAY_MS } from '../scripts/lib/http-cache.js';
+import { readJSON } from '../scripts/lib/json.js';
+
+function fakeFetch(body: unknown = { ok: true }, status = 200) {
+  const calls: string[] = [];
+  const fetch = async (url: string) => {
+    calls.push(url);
+    return { status, text: async () => JSON.stringify(body) };
+  };
+  return { calls, fetch: fetch as unknown as typeof globalThis.fetch };
+}
+
+describe('redactUrl / cacheKey', () => {
+  it('redacts API keys so they never reach the cache', () => {
+    expect(redactUrl('https://api.test/x?q=1&key=abc')).toBe('https://api.test/x?q=1&key=REDACTED');
+    expect(cacheKey('https://api.test/x?q=1&key=abc')).toBe(cacheKey('https://api.test/x?q=1&key=other'));
+    expect(cacheKey('https://api.test/x?q=1')).not.toBe(cacheKey('https://api.test/x?q=2'));
+  });
+});
+
+describe('createHttpClient', () => {
+  let dir: string;
+
+  afterEach(() => {
+    if (dir) rmSync(dir, { recursive: true, force: true });
+  });
+
+  function client(mode: string, fetch: typeof globalThis.fetch, now = () => Date.parse('2026-01-01')) {
+    dir ??= mkdtempSync(join(tmpdir(), 'omr-http-'));
+    return createHttpClient('test', { mode, dir, ttlMs: DAY_MS, fetch, now });
+  }
+
+  it('serves fresh responses from the cache and refetches stale ones', async () => {
+    const { calls, fetch } = fakeFetch({ rating: 4.5 });
+    const url = 'https://api.test/place?key=secret';
+
+    expect(await client('live', fetch).getJSON(url)).toEqual({ status: 200, body: { rating: 4.5 }, cached: false });
+    expect((await client('live', fetch).getJSON(url)).cached).toBe(true);
+    expect(calls).toHaveLength(1);
+
+    const later = () => Date.parse('2026-01-03');
+    expect((await client('live', fetch, later).getJSON(url)).cached).toBe(false);
+    expect(calls).toHaveLength(2);
+
+    const [file] = readdirSync(join(dir, 'test'));
+    expect(readJSON(join(dir, 'test', file)).url).toBe('https://api.test/place?key=REDACTED');
+  });
+
+  it('replays recorded responses of any age and never fetches', async () => {
+    const { fetch } = fakeFetch({ a: 1 });
+    await client('refresh', fetch).getJSON('https://api.test/a');
+
+    const offline = fakeFetch();
+    const replay = client('replay', offline.fetch, () => Date.parse('2030-01-01'));
+    expect((await replay.getJSON('https://api.test/a')).body).toEqual({ a: 1 });
+    await expect(replay.getJSON('https://api.test/b')).rejects.toThrow('No recorded response');
+    expect(offline.calls).toHaveLength(0);
+  });
+
+  it('caches POST queries by payload', async () => {
+    const { calls, fetch } = fakeFetch({ places: [] });
+    const search = client('live', fetch);
+    await search.postJSON('https://api.test/search', { q: 'pizza' });
+    expect((await search.postJSON('https://api.test/search', { q: 'pizza' })).cached).toBe(true);
+    expect((await search.postJSON('https://api.test/search', { q: 'tacos' })).cached).toBe(false);
+    expect(calls).toHaveLength(2);
+    expect(cacheKey('https://api.test/search', 'POST', '{}')).not.toBe(cacheKey('https://api.test/search'));
+  });
+
+  it('does not cache errors', async () => {
+    const { calls, fetch } = fakeFetch({ error: 'rate limited' }, 429);
+    await client('live', fetch).getJSON('https://api.test/x');
+    await client('live', fetch).getJSON('https://api.test/x');
+    expect(calls).toHaveLength(2);
+  });
+});
@@ -0,0 +1,207 @@
+import { describe, it, expect } from 'vitest';
+import { readFileSync } from 'fs';
+import {
+  LOCALES,
+  pathLocale,
+  localizePath,
+  alternateLinks,
+  createTranslator,
+  pluralForms,
+  catalogProblems,
+  type Messages,
+} from '../scripts/lib/i18n.js';
+import {
+  emptyTranslations,
+  sourceHash,
+  postSourceHash,
+  translatePost,
+  translateString,
+  pendingTranslations,
+} from '../scripts/lib/translations.js';
+import { translatePostText, translateStrings } from '../scripts/lib/translator.js';
+import { allVideoFAQs } from '../scripts/lib/faq.js';
+import { createStubLLM } from '../scripts/lib/llm/stub.js';
+import { generateFAQs, getVideos, getRestaurants, getVideoRestaurant, localePath, formatDate } from '../src/lib/data';
+import { videoRestaurantSlugs } from '../scripts/lib/video.js';
+
+const BASE = '/oneminreviews/';
+
+describe('localized paths', () => {
+  it('prefixes every locale but English', () => {
+    expect(localizePath('/oneminreviews/blog/x/', 'es', BASE)).toBe('/oneminreviews/es/blog/x/');
+    expect(localizePath('/oneminreviews/es/blog/x/', 'ru', BASE)).toBe('/oneminreviews/ru/blog/x/');
+    expect(localizePath('/oneminreviews/ru/blog/x/', 'en', BASE)).toBe('/oneminreviews/blog/x/');
+    expect(localizePath('/oneminreviews/', 'es', BASE)).toBe('/oneminreviews/es/');
+  });
+
+  it('leaves paths outside the site alone', () => {
+    expect(localizePath('https://www.tiktok.com/@oneminreviews', 'es', BASE)).toBe('https://www.tiktok.com/@oneminreviews');
+    expect(localizePath('#faq', 'ru', BASE)).toBe('#faq');
+  });
+
+  it('reads the locale off a path', () => {
+    expect(pathLocale('/oneminreviews/ru/blog/', BASE)).toEqual({ locale: 'ru', rest: 'blog/' });
+    expect(pathLocale('/oneminreviews/blog/', BASE)).toEqual({ locale: 'en', rest: 'blog/' });
+    // A restaurant slug that starts like a locale isn't one
+    expect(pathLocale('/oneminreviews/espresso-bar/x/', BASE)).toEqual({ locale: 'en', rest: 'espresso-bar/x/' });
+  });
+
+  it('lists hreflang alternates with English as x-default', () => {
+    expect(alternateLinks({ en: '/oneminreviews/blog/', es: '/oneminreviews/es/blog/' }, 'https://example.com')).toEqual([
+      { hreflang: 'en', href: 'https://example.com/oneminreviews/blog/' },
+      { hreflang: 'es', href: 'https://example.com/oneminreviews/es/blog/' },
+      { hreflang: 'x-default', href: 'https://example.com/oneminreviews/blog/' },
+    ]);
+  });
+
+  it('uses the base path under the site build', () => {
+    expect(localePath('/blog/', 'es')).toBe('/es/blog/');
+  });
+});
+
+describe('createTranslator', () => {
+  const catalogs: Record<string, Messages> = {
+    en: {
+      hello: 'Hello, {name}',
+      likes: { one: '{count} like', other: '{count} likes' },
+      archive: 'An archive of {handle} content.',
+    },
+    ru: { likes: { one: '{count} лайк', few: '{count} лайка', many: '{count} лайков', other: '{count} лайка' } },
+  };
+
+  it('interpolates and picks plural forms by locale', () => {
+    const en = createTranslator(catalogs, 'en');
+    expect(en('hello', { name: 'Ana' })).toBe('Hello, Ana');
+    expect(en('likes', { count: 1 })).toBe('1 like');
+    expect(en('likes', { count: 12400 })).toBe('12,400 likes');
+
+    const ru = createTranslator(catalogs, 'ru');
+    expect([1, 3, 5, 21, 1.5].map((count) => ru('likes', { count }))).toEqual([
+      '1 лайк',
+      '3 лайка',
+      '5 лайков',
+      '21 лайк',
+      '1,5 лайка',
+    ]);
+  });
+
+  it('falls back to English, leaves unfilled placeholders and rejects unknown keys', () => {
+    const ru = createTranslator(catalogs, 'ru');
+    expect(ru('hello', { name: 'Аня' })).toBe('Hello, Аня');
+    expect(ru('archive')).toBe('An archive of {handle} content.');
+    expect(() => ru('nope')).toThrow('Unknown message "nope"');
+  });
+
+  it('hands plural forms to browser code', () => {
+    expect(pluralForms(catalogs, 'ru', 'likes')).toEqual(catalogs.ru.likes);
+    expect(pluralForms(catalogs, 'ru', 'hello')).toEqual({ other: 'Hello, {name}' });
+  });
+
+  it('reports keys missing from or unknown to a translation', () => {
+    expect(catalogProblems({ en: { a: 'A', b: 'B' }, es: { a: 'A', c: 'C' }, ru: { a: 'A', b: 'B' } })).toEqual([
+      'es: missing "b"',
+      'es: unknown key "c"',
+    ]);
+  });
+
+  it('has every UI string in every language', () => {
+    const site = Object.fromEntries(
+      LOCALES.map((l) => [l, JSON.parse(readFileSync(new URL(`../src/i18n/${l}.json`, import.meta.url), 'utf-8'))])
+    );
+    expect(catalogProblems(site)).toEqual([]);
+  });
+
+  it('formats dates for the locale', () => {
+    expect(formatDate(1700000000, 'en')).toBe('November 14, 2023');
+    expect(formatDate(1700000000, 'es')).toBe('14 de noviembre de 2023');
+  });
+});
+
+describe('translation cache', () => {
+  const post = { videoId: '111', title: 'Great slice', summary: 'Worth it.', content: '## Pizza\n\nGood.' };
+  const cache = {
+    posts: {
+      111: { source: postSourceHash(post), title: 'Gran porción', summary: 'Vale la pena.', content: '## Pizza\n\nBuena.', model: 'm', template: 'translate-post@1', translatedAt: '' },
+      999: { source: 'x', title: '', summary: '', content: '', model: 'm', template: 't@1', translatedAt: '' },
+    },
+    strings: { [sourceHash('Is it open?')]: '¿Está abierto?', deadbeef: 'old' },
+  };
+
+  it('applies a translation only while the English is unchanged', () => {
+    expect(translatePost(cache, post)).toMatchObject({ videoId: '111', title: 'Gran porción', content: '## Pizza\n\nBuena.' });
+    expect(translatePost(cache, { ...post, content: '## Pizza\n\nGreat.' })).toBeUndefined();
+    expect(translatePost(undefined, post)).toBeUndefined();
+    expect(translateString(cache, 'Is it open?')).toBe('¿Está abierto?');
+    expect(translateString(cache, 'Is it closed?')).toBeUndefined();
+  });
+
+  it('lists what is missing or stale, and what is no longer used', () => {
+    const edited = { ...post, videoId: '222' };
+    expect(pendingTranslations(cache, { posts: [post, edited], strings: ['Is it open?', 'Who?', 'Who?'] })).toEqual({
+      posts: [edited],
+      strings: ['Who?'],
+      unusedPosts: ['999'],
+      unusedStrings: ['deadbeef'],
+    });
+    expect(pendingTranslations(emptyTranslations(), { posts: [], strings: [] })).toEqual({
+      posts: [],
+      strings: [],
+      unusedPosts: [],
+      unusedStrings: [],
+    });
+  });
+});
+
+describe('translator', () => {
+  const post = { title: 'Great slice', summary: 'Worth it.', content: '## Pizza\n\nGood.' };
+
+  it('translates a post and records what it was made from', async () => {
+    const llm = createStubLLM();
+    const translation = await translatePostText(llm, post, 'es', { now: '2026-10-19T00:00:00.000Z' });
+    expect(translation).toMatchObject({
+      source: postSourceHash(post),
+      model: 'stub',
+      template: 'translate-post@1',
+      translatedAt: '2026-10-19T00:00:00.000Z',
+    });
+    expect(llm.calls[0].messages[0].content).toContain('from English into Spanish');
+    expect(llm.calls[0].messages[0].content).toContain('## Pizza\n\nGood.');
+  });
+
+  it('asks again when a string goes missing from a batch', async () => {
+    const llm = createStubLLM({ responses: ['{"s0": "¿Abierto?"}', '{"s0": "¿Abierto?", "s1": "¿Quién?"}'] });
+    await expect(translateStrings(llm, ['Open?', 'Who?'], 'ru')).resolves.toEqual(['¿Abierto?', '¿Quién?']);
+    expect(llm.calls).toHaveLength(2);
+    expect(llm.calls[1].messages.at(-1)?.content).toContain('$.s1 is missing');
+  });
+
+  it('rejects locales it has no language name for', async () => {
+    await expect(translateStrings(createStubLLM(), ['Hi'], 'de')).rejects.toThrow('No language name for locale "de"');
+  });
+});
+
+describe('video page FAQs', () => {
+  it('are the same for the site and the translate script', () => {
+    const restaurants = getRestaurants();
+    const site = getVideos().flatMap((video) =>
+      videoRestaurantSlugs(video).flatMap((slug) => {
+        const restaurant = getVideoRestaurant(video, slug);
+        return restaurant ? generateFAQs(restaurant, video) : [];
+      })
+    );
+    const verdicts = JSON.parse(readFileSync(new URL('../data/verdicts.json', import.meta.url), 'utf-8'));
+    expect(allVideoFAQs({ videos: getVideos(), restaurants, verdicts })).toEqual(site);
+  });
+
+  it('stay in English, marked as such, until translated', () => {
+    const video = getVideos()[0];
+    const restaurant = getVideoRestaurant(video, video.restaurantSlug)!;
+    const english = generateFAQs(restaurant, video);
+    const russian = generateFAQs(restaurant, video, 'ru');
+    expect(russian).toHaveLength(english.length);
+    russian.forEach((faq, i) => {
+      if (faq.lang === 'en') expect(faq).toEqual({ ...english[i], lang: 'en' });
+      else expect(faq.question).not.toBe(english[i].question);
+    });
+  });
+});
@@ -0,0 +1,183 @@
+import { describe, it, expect } from 'vitest';
+import {
+  normalizeName,
+  matchReasons,
+  proposeMerges,
+  proposeSplits,
+  resolveSlug,
+  mergeRestaurants,
+  splitRestaurant,
+  redirectRoutes,
+} from '../scripts/lib/identity.js';
+
+const makeRestaurant = (slug: string, overrides: Record<string, unknown> = {}) => ({
+  name: "Joe's Pizza",
+  slug,
+  city: 'New York',
+  state: 'NY',
+  cuisine: 'Pizza',
+  address: '',
+  lat: 0,
+  lng: 0,
+  google: { rating: 0, reviewCount: 0 },
+  reviews: [],
+  videoIds: [],
+  ...overrides,
+});
+
+const makeVideo = (videoId: string, restaurantSlug: string, city = 'New York') => ({
+  videoId,
+  caption: 'Best slice',
+  restaurantSlug,
+  city,
+});
+
+describe('normalizeName', () => {
+  it('ignores case, punctuation, accents and filler words', () => {
+    expect(normalizeName("Joe's Pizza")).toBe(normalizeName('JOES PIZZA'));
+    expect(normalizeName('The Café Luce')).toBe(normalizeName('cafe luce'));
+  });
+});
+
+describe('matchReasons', () => {
+  it('never matches records pinned to different Google places', () => {
+    const a = makeRestaurant('a', { google: { rating: 4, reviewCount: 1, placeId: 'P1' } });
+    const b = makeRestaurant('b', { google: { rating: 4, reviewCount: 1, placeId: 'P2' } });
+    expect(matchReasons(a, b)).toEqual([]);
+  });
+
+  it('matches the same Google place and the same name in one city', () => {
+    const a = makeRestaurant('a', { google: { rating: 4, reviewCount: 1, placeId: 'P1' } });
+    const b = makeRestaurant('b', { name: 'Joes Pizza', google: { rating: 4, reviewCount: 1, placeId: 'P1' } });
+    expect(matchReasons(a, b)).toEqual(['same Google place', 'same name and city']);
+  });
+
+  it('does not match same-named places in different cities', () => {
+    expect(matchReasons(makeRestaurant('a'), makeRestaurant('b', { city: 'Chicago' }))).toEqual([]);
+  });
+});
+
+describe('proposeMerges', () => {
+  it('keeps the best-enriched record', () => {
+    const restaurants = {
+      'joes-pizza': makeRestaurant('joes-pizza', { videoIds: ['1'] }),
+      'joes-pizza-nyc': makeRestaurant('joes-pizza-nyc', {
+        google: { rating: 4.5, reviewCount: 10, placeId: 'P1' },
+        videoIds: ['2'],
+      }),
+      katz: makeRestaurant('katz', { name: "Katz's Delicatessen" }),
+    };
+    expect(proposeMerges(restaurants)).toEqual([
+      { keep: 'joes-pizza-nyc', retire: ['joes-pizza'], reasons: ['same name and city'] },
+    ]);
+  });
+});
+
+describe('proposeSplits', () => {
+  it('splits off the videos shot in another city', () => {
+    const restaurants = { 'joes-pizza': makeRestaurant('joes-pizza', { videoIds: ['1', '2'] }) };
+    const videos = [makeVideo('1', 'joes-pizza'), makeVideo('2', 'joes-pizza', 'Chicago')];
+    expect(proposeSplits(restaurants, videos)).toEqual([
+      { slug: 'joes-pizza', city: 'Chicago', newSlug: 'joes-pizza-chicago', videoIds: ['2'] },
+    ]);
+  });
+});
+
+describe('resolveSlug', () => {
+  const restaurants = { 'joes-pizza-nyc': makeRestaurant('joes-pizza-nyc'), 'joes-pizza': makeRestaurant('joes-pizza') };
+
+  it('reuses the record with the same name and city', () => {
+    expect(resolveSlug({ name: 'Joes Pizza', city: 'New York' }, { 'joes-pizza-nyc': restaurants['joes-pizza-nyc'] })).toBe(
+      'joes-pizza-nyc'
+    );
+  });
+
+  it('suffixes the city when the slug belongs to a place elsewhere', () => {
+    expect(resolveSlug({ name: "Joe's Pizza", city: 'Chicago' }, restaurants)).toBe('joes-pizza-chicago');
+  });
+
+  it('reuses a chain wherever the video was filmed', () => {
+    const chain = { 'joes-pizza': makeRestaurant('joes-pizza', { locations: [{ id: 'soho' }] }) };
+    expect(resolveSlug({ name: "Joe's Pizza", city: 'Chicago' }, chain)).toBe('joes-pizza');
+  });
+
+  it('falls back to the plain slug', () => {
+    expect(resolveSlug({ name: 'Lucali', city: 'New York' }, restaurants)).toBe('lucali');
+  });
+
+  it('never takes a slug the site uses for a language or page', () => {
+    expect(resolveSlug({ name: 'ES', city: 'Miami' }, restaurants)).toBe('es-miami');
+    expect(resolveSlug({ name: 'Blog', city: '' }, restaurants)).toBe('blog-restaurant');
+  });
+});
+
+describe('mergeRestaurants', () => {
+  it('re-points videos and posts and collapses redirect chains', () => {
+    const data = {
+      videos: [makeVideo('1', 'a'), makeVideo('2', 'b')],
+      restaurants: {
+        a: makeRestaurant('a', { videoIds: ['1'], reviews: [{ source: 'google', author: 'X', text: 't' }] }),
+        b: makeRestaurant('b', { videoIds: ['2'], reviews: [{ source: 'google', author: 'X', text: 't' }] }),
+      },
+      blogPosts: { '2': { videoId: '2', restaurantSlug: 'b', restaurantName: 'Old' } },
+      redirects: [{ from: 'old', to: 'b', videoIds: ['2'] }],
+    };
+    const merged = mergeRestaurants(data, 'a', ['b'], { reason: 'test', date: '2026-01-01' });
+
+    expect(Object.keys(merged.restaurants)).toEqual(['a']);
+    expect(merged.restaurants.a.videoIds).toEqual(['1', '2']);
+    expect(merged.restaurants.a.reviews).toHaveLength(1);
+    expect(merged.videos.map((v) => v.restaurantSlug)).toEqual(['a', 'a']);
+    expect(merged.blogPosts['2']).toMatchObject({ restaurantSlug: 'a', restaurantName: "Joe's Pizza" });
+    expect(merged.redirects).toEqual([
+      { from: 'old', to: 'a', videoIds: ['2'] },
+      { from: 'b', to: 'a', videoIds: ['2'], reason: 'test', date: '2026-01-01' },
+    ]);
+    expect(data.restaurants.b).toBeDefined();
+  });
+});
+
+describe('splitRestaurant', () => {
+  it('moves the listed videos to a new record', () => {
+    const data = {
+      videos: [makeVideo('1', 'joes-pizza'), makeVideo('2', 'joes-pizza', 'Chicago')],
+      restaurants: { 'joes-pizza': makeRestaurant('joes-pizza', { videoIds: ['1', '2'] }) },
+      blogPosts: {},
+      redirects: [],
+    };
+    const split = { slug: 'joes-pizza', city: 'Chicago', newSlug: 'joes-pizza-chicago', videoIds: ['2'] };
+    const result = splitRestaurant(data, split, { date: '2026-01-01' });
+
+    expect(result.restaurants['joes-pizza'].videoIds).toEqual(['1']);
+    expect(result.restaurants['joes-pizza-chicago']).toMatchObject({ city: 'Chicago', videoIds: ['2'] });
+    expect(result.videos[1].restaurantSlug).toBe('joes-pizza-chicago');
+    expect(() => splitRestaurant(result, split)).toThrow('already exists');
+  });
+});
+
+describe('redirectRoutes', () => {
+  it('maps old routes (without the base) to the current page', () => {
+    const videos = [{ videoId: '7', caption: 'Best slice', restaurantSlug: 'a' }];
+    expect(redirectRoutes([{ from: 'b', to: 'a', videoIds: ['7'] }], { videos }, '/site/')).toEqual({
+      '/b/best-slice-7/': '/site/a/best-slice-7/',
+    });
+  });
+
+  it('skips entries whose old page is live again', () => {
+    const videos = [{ videoId: '7', caption: 'Best slice', restaurantSlug: 'b' }];
+    expect(redirectRoutes([{ from: 'b', to: 'a', videoIds: ['7'] }], { videos }, '/site/')).toEqual({});
+  });
+
+  it('maps a retired blog post slug to the live post', () => {
+    const videos = [{ videoId: '7', caption: 'Best slice', restaurantSlug: 'a' }];
+    const redirects = [{ from: 'b', to: 'a', videoIds: ['7'], postSlugs: { 7: 'b-review-7' } }];
+    const post = { videoId: '7', slug: 'a-review-7', status: 'published' };
+    expect(redirectRoutes(redirects, { videos, blogPosts: { 7: post } }, '/site/')).toEqual({
+      '/b/best-slice-7/': '/site/a/best-slice-7/',
+      '/blog/b-review-7/': '/site/blog/a-review-7/',
+    });
+    expect(redirectRoutes(redirects, { videos, blogPosts: { 7: { ...post, status: 'draft' } } }, '/site/')).toEqual({
+      '/b/best-slice-7/': '/site/a/best-slice-7/',
+    });
+  });
+});
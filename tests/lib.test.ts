@@ -0,0 +1,107 @@
+import { describe, it, expect, afterEach } from 'vitest';
+import { mkdtempSync, readFileSync, readdirSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { videoPath as libVideoPath, blogPostSlug } from '../scripts/lib/slug.js';
+import { videoRestaurantSlugs, formatTimestamp, secondaryVideoPaths } from '../scripts/lib/video.js';
+import { BASE_PATH } from '../scripts/lib/site.js';
+import { parseEnv } from '../scripts/lib/env.js';
+import { readJSON, writeJSON } from '../scripts/lib/json.js';
+import { getVideos, videoPath } from '../src/lib/data';
+
+// ---------------------------------------------------------------------------
+// slug.js — shared between scripts and the Astro data layer
+// ---------------------------------------------------------------------------
+describe('shared slug helpers', () => {
+  it('build the same video paths as the data layer', () => {
+    for (const v of getVideos()) {
+      expect(libVideoPath(v, import.meta.env.BASE_URL)).toBe(videoPath(v));
+    }
+  });
+
+  it('default to the deployed base path', () => {
+    const video = getVideos()[0];
+    expect(libVideoPath(video).startsWith(BASE_PATH)).toBe(true);
+  });
+
+  it('build blog post slugs from the restaurant slug', () => {
+    expect(
+      blogPostSlug({ caption: 'x', videoId: '123', restaurantSlug: 'joes-pizza' })
+    ).toBe('joes-pizza-review-123');
+  });
+
+  it('fall back to the caption when there is no restaurant', () => {
+    expect(
+      blogPostSlug({ caption: 'Best tacos in LA', videoId: '9', restaurantSlug: '' })
+    ).toBe('best-tacos-in-la-review-9');
+  });
+});
+
+// ---------------------------------------------------------------------------
+// video.js — multi-restaurant videos
+// ---------------------------------------------------------------------------
+describe('multi-restaurant video helpers', () => {
+  const video = {
+    videoId: '42',
+    caption: 'Best slices',
+    restaurantSlug: 'joes-pizza',
+    restaurants: [{ slug: 'joes-pizza', start: 0 }, { slug: 'prince-street-pizza', start: 21 }],
+  };
+
+  it('list the primary restaurant first, once', () => {
+    expect(videoRestaurantSlugs(video)).toEqual(['joes-pizza', 'prince-street-pizza']);
+    expect(videoRestaurantSlugs({ restaurantSlug: 'katz' })).toEqual(['katz']);
+  });
+
+  it('only treat pages under secondary restaurants as non-canonical', () => {
+    expect(secondaryVideoPaths([video], '/')).toEqual(['/prince-street-pizza/best-slices-42/']);
+  });
+
+  it('format start times as m:ss', () => {
+    expect(formatTimestamp(5)).toBe('0:05');
+    expect(formatTimestamp(81.7)).toBe('1:21');
+  });
+});
+
+// ---------------------------------------------------------------------------
+// env.js
+// ---------------------------------------------------------------------------
+describe('parseEnv', () => {
+  it('parses KEY=value lines and skips comments and blanks', () => {
+    expect(parseEnv('# comment\n\nA=1\nB = two \nnot a var')).toEqual({ A: '1', B: 'two' });
+  });
+
+  it('keeps = inside values and strips surrounding quotes', () => {
+    expect(parseEnv('URL="https://x.test/?a=b"\nK=\'v\'')).toEqual({
+      URL: 'https://x.test/?a=b',
+      K: 'v',
+    });
+  });
+});
+
+// ---------------------------------------------------------------------------
+// json.js
+// ---------------------------------------------------------------------------
+describe('readJSON / writeJSON', () => {
+  let dir: string;
+
+  afterEach(() => {
+    if (dir) rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('round-trips data and leaves no temp files behind', () => {
+    dir = mkdtempSync(join(tmpdir(), 'omr-json-'));
+    const path = join(dir, 'nested', 'data.json');
+    writeJSON(path, { a: [1, 2] });
+    expect(readJSON(path)).toEqual({ a: [1, 2] });
+    expect(readFileSync(path, 'utf-8')).toBe('{\n  "a": [\n    1,\n    2\n  ]\n}\n');
+    expect(readdirSync(join(dir, 'nested'))).toEqual(['data.json']);
+  });
+
+  it('returns the fallback for missing files', () => {
+    dir = mkdtempSync(join(tmpdir(), 'omr-json-'));
+    expect(readJSON(join(dir, 'missing.json'), [])).toEqual([]);
+    expect(readJSON(join(dir, 'missing.json'))).toBeNull();
+    expect(readJSON(join(dir, 'missing.json'), undefined)).toBeUndefined();
+  });
+});
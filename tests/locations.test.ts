@@ -0,0 +1,114 @@
+import { describe, it, expect } from 'vitest';
+import {
+  isChain,
+  uniqueLocationId,
+  videoLocationId,
+  findVideoLocation,
+  atLocation,
+  brandSummary,
+  restaurantForVideo,
+} from '../scripts/lib/locations.js';
+
+const makeLocation = (id: string, overrides: Record<string, unknown> = {}) => ({
+  id,
+  address: `${id} address`,
+  city: 'Chicago',
+  state: 'IL',
+  lat: 41.9,
+  lng: -87.6,
+  google: { rating: 4, reviewCount: 100, placeId: `place-${id}` },
+  reviews: [],
+  ...overrides,
+});
+
+const chain = {
+  name: "Portillo's",
+  slug: 'portillos',
+  city: 'Chicago',
+  state: 'IL',
+  cuisine: 'American',
+  address: 'flagship address',
+  lat: 41.89,
+  lng: -87.63,
+  google: { rating: 4.4, reviewCount: 15200 },
+  reviews: [{ source: 'google', author: 'A', rating: 5, text: 'flagship', date: '2025-01-01' }],
+  videoIds: ['1', '2'],
+  locations: [
+    makeLocation('river-north', { name: 'River North', google: { rating: 4.5, reviewCount: 300 } }),
+    makeLocation('schaumburg', { city: 'Schaumburg', google: { rating: 4, reviewCount: 100 } }),
+  ],
+};
+
+describe('isChain / uniqueLocationId', () => {
+  it('treats only records with locations as chains', () => {
+    expect(isChain(chain)).toBe(true);
+    expect(isChain({ ...chain, locations: [] })).toBe(false);
+    expect(isChain(undefined)).toBe(false);
+  });
+
+  it('suffixes ids that are already taken', () => {
+    expect(uniqueLocationId(chain, 'River North')).toBe('river-north-2');
+    expect(uniqueLocationId(chain, 'Naperville')).toBe('naperville');
+  });
+});
+
+describe('findVideoLocation', () => {
+  it('uses the branch the video names, for primary and secondary restaurants', () => {
+    const video = {
+      restaurantSlug: 'joes',
+      city: 'Chicago',
+      restaurants: [{ slug: 'joes' }, { slug: 'portillos', location: 'schaumburg' }],
+    };
+    expect(videoLocationId(video, 'portillos')).toBe('schaumburg');
+    expect(findVideoLocation(chain, video, 'portillos')?.id).toBe('schaumburg');
+  });
+
+  it("falls back to the only branch in the video's city", () => {
+    expect(findVideoLocation(chain, { restaurantSlug: 'portillos', city: 'Schaumburg' })?.id).toBe('schaumburg');
+    expect(findVideoLocation(chain, { restaurantSlug: 'portillos', city: 'Denver' })).toBeUndefined();
+  });
+});
+
+describe('atLocation', () => {
+  it("replaces the flagship's address, ratings and reviews with the branch's", () => {
+    const view = atLocation(chain, chain.locations[1]);
+    expect(view).toMatchObject({
+      name: "Portillo's",
+      city: 'Schaumburg',
+      address: 'schaumburg address',
+      google: { rating: 4, reviewCount: 100 },
+      reviews: [],
+      location: { id: 'schaumburg' },
+    });
+    expect(atLocation(chain, undefined)).toBe(chain);
+  });
+
+  it("keeps the branch's hours, phone and status but falls back to the brand's website", () => {
+    const brand = { ...chain, website: 'https://portillos.com', phone: '(312) 555-0000', priceLevel: 1 };
+    const view = atLocation(brand, makeLocation('closed', { businessStatus: 'CLOSED_PERMANENTLY', openingHours: ['Monday: Closed'] }));
+    expect(view).toMatchObject({
+      website: 'https://portillos.com',
+      priceLevel: 1,
+      businessStatus: 'CLOSED_PERMANENTLY',
+      openingHours: ['Monday: Closed'],
+    });
+    expect(view.phone).toBeUndefined();
+  });
+
+  it('resolves the restaurant a video was filmed at', () => {
+    const restaurants = { portillos: chain };
+    const video = { restaurantSlug: 'portillos', location: 'river-north', city: 'Chicago' };
+    expect(restaurantForVideo(restaurants, video)?.address).toBe('river-north address');
+    expect(restaurantForVideo(restaurants, video, 'missing')).toBeUndefined();
+  });
+});
+
+describe('brandSummary', () => {
+  it('counts branches and weights the Google rating by review count', () => {
+    expect(brandSummary(chain)).toEqual({
+      locationCount: 2,
+      cities: ['Chicago', 'Schaumburg'],
+      google: { rating: 4.4, reviewCount: 400 },
+    });
+  });
+});
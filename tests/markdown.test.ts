@@ -0,0 +1,104 @@
+import { describe, it, expect } from 'vitest';
+import { renderMarkdown, brokenLinks, safeHref } from '../scripts/lib/markdown.js';
+
+const page = { pagePath: '/oneminreviews/blog/prince-street-pizza-review-7312456789012/' };
+
+describe('renderMarkdown', () => {
+  it('renders lists, links, blockquotes and tables', () => {
+    const { html } = renderMarkdown(
+      [
+        'What to get:',
+        '',
+        '- **Spicy spring** square',
+        '- *Pepperoni* slice',
+        '',
+        '> Honestly worth the line.',
+        '',
+        '| Slice | Price |',
+        '| :--- | ---: |',
+        '| Spicy spring | $5 |',
+        '',
+        'More on [Yelp](https://www.yelp.com/biz/prince-street-pizza-new-york).',
+      ].join('\n'),
+      page
+    );
+    expect(html).toContain('<ul>\n<li><strong>Spicy spring</strong> square</li>\n<li><em>Pepperoni</em> slice</li>\n</ul>');
+    expect(html).toContain('<blockquote>\n<p>Honestly worth the line.</p>\n</blockquote>');
+    expect(html).toContain('<th align="left">Slice</th>');
+    expect(html).toContain('<td align="right">$5</td>');
+    expect(html).toContain(
+      '<a href="https://www.yelp.com/biz/prince-street-pizza-new-york" rel="nofollow noopener noreferrer">Yelp</a>'
+    );
+  });
+
+  it('drops raw HTML, event handlers, images and script links', () => {
+    const { html } = renderMarkdown(
+      [
+        'Great pizza <script>alert(1)</script> here.',
+        '',
+        '<img src="x" onerror="alert(1)">',
+        '',
+        '![photo](https://example.com/pizza.jpg)',
+        '',
+        '[click](javascript:alert(1)) and [this](  JaVaScRiPt:alert(1)) and [data](data:text/html,hi)',
+        '',
+        '<div onclick="alert(1)">**still text**</div>',
+      ].join('\n'),
+      page
+    );
+    expect(html).not.toMatch(/<script|<img|onerror|onclick|javascript:|data:|<div/i);
+    expect(html).toContain('<p>Great pizza alert(1) here.</p>');
+    expect(html).toContain('<p>click and this and data</p>');
+  });
+
+  it('escapes text', () => {
+    expect(renderMarkdown('Fish & chips < $10', page).html).toBe('<p>Fish &#x26; chips &#x3C; $10</p>');
+  });
+
+  it('anchors headings below the page title and lists them', () => {
+    const { html, headings } = renderMarkdown('# The Verdict\n\n## The Slice\n\n### Toppings\n\n## The Slice\n', page);
+    expect(html).toContain(
+      '<h2 id="the-verdict">The Verdict<a href="#the-verdict" class="heading-anchor" aria-label="Link to “The Verdict”">#</a></h2>'
+    );
+    expect(headings).toEqual([
+      { depth: 2, id: 'the-verdict', text: 'The Verdict' },
+      { depth: 2, id: 'the-slice', text: 'The Slice' },
+      { depth: 3, id: 'toppings', text: 'Toppings' },
+      { depth: 2, id: 'the-slice-1', text: 'The Slice' },
+    ]);
+  });
+
+  it('returns links to pages of the site, resolved', () => {
+    const { links, html } = renderMarkdown(
+      '[NYC](/oneminreviews/city/new-york) · [pizza](../../cuisine/pizza/) · [home](https://greenido.github.io/oneminreviews/) · [up](#the-slice) · [mail](mailto:hi@example.com)',
+      page
+    );
+    expect(links).toEqual([
+      { href: '/oneminreviews/city/new-york', path: '/oneminreviews/city/new-york/' },
+      { href: '../../cuisine/pizza/', path: '/oneminreviews/cuisine/pizza/' },
+      { href: 'https://greenido.github.io/oneminreviews/', path: '/oneminreviews/' },
+    ]);
+    expect(html).not.toContain('nofollow');
+  });
+});
+
+describe('brokenLinks', () => {
+  it('finds links to pages the site does not build', () => {
+    const { links } = renderMarkdown('[NYC](/oneminreviews/city/new-york/) and [Gotham](/oneminreviews/city/gotham/) and [root](/city/new-york/)', page);
+    expect(brokenLinks(links, new Set(['/oneminreviews/city/new-york/'])).map((l) => l.href)).toEqual([
+      '/oneminreviews/city/gotham/',
+      '/city/new-york/',
+    ]);
+  });
+});
+
+describe('safeHref', () => {
+  it('allows relative, http(s) and mailto links only', () => {
+    expect(safeHref('/oneminreviews/')).toBe('/oneminreviews/');
+    expect(safeHref('https://www.yelp.com/')).toBe('https://www.yelp.com/');
+    expect(safeHref('mailto:hi@example.com')).toBe('mailto:hi@example.com');
+    expect(safeHref('java\nscript:alert(1)')).toBeNull();
+    expect(safeHref('vbscript:msgbox')).toBeNull();
+    expect(safeHref(undefined)).toBeNull();
+  });
+});
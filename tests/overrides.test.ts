@@ -0,0 +1,174 @@
+import { describe, it, expect } from 'vitest';
+import { applyOverrides, normalizeOverrides } from '../scripts/lib/overrides.js';
+
+function fixture() {
+  return {
+    videos: [
+      { videoId: 'v1', restaurantSlug: 'joes', city: 'NYC', cuisine: 'Pizza' },
+      { videoId: 'v2', restaurantSlug: 'katz', city: 'New York', cuisine: 'Deli' },
+    ],
+    restaurants: {
+      joes: {
+        name: 'Joes',
+        slug: 'joes',
+        city: 'NYC',
+        address: '',
+        lat: 0,
+        lng: 0,
+        google: { rating: 4.5, reviewCount: 10 },
+        reviews: [
+          { source: 'google', author: 'Spammer', rating: 1, text: 'x', date: '2024-01-01' },
+          { source: 'google', author: 'Jane', rating: 5, text: 'y', date: '2024-01-01' },
+        ],
+        videoIds: ['v1'],
+      },
+      katz: { name: "Katz's", slug: 'katz', google: { rating: 4.6, reviewCount: 5 }, reviews: [], videoIds: ['v2'] },
+    },
+    blogPosts: {
+      v1: { videoId: 'v1', slug: 'joes-review-v1', restaurantSlug: 'joes', restaurantName: 'Joes', city: 'NYC', cuisine: 'Pizza' },
+      v2: { videoId: 'v2', slug: 'katz-review-v2', restaurantSlug: 'katz', restaurantName: "Katz's", city: 'New York', cuisine: 'Deli' },
+    },
+  };
+}
+
+describe('normalizeOverrides', () => {
+  it('reads the legacy videoId → name map as restaurantName', () => {
+    expect(normalizeOverrides({ overrides: { v1: "Joe's Pizza" } })).toEqual({
+      videos: { v1: { restaurantName: "Joe's Pizza" } },
+      restaurants: {},
+    });
+  });
+});
+
+describe('applyOverrides', () => {
+  it('corrects video and restaurant fields without mutating the input', () => {
+    const data = fixture();
+    const result = applyOverrides(data, {
+      videos: { v1: { city: 'New York' } },
+      restaurants: {
+        joes: {
+          name: "Joe's Pizza",
+          address: '7 Carmine St',
+          lat: 40.73,
+          lng: -74.0,
+          googlePlaceId: 'ChIJ123',
+          yelpAlias: 'joes-pizza-new-york',
+          hiddenReviews: [{ source: 'google', author: 'Spammer' }],
+        },
+      },
+    });
+
+    expect(result.warnings).toEqual([]);
+    expect(result.videos[0].city).toBe('New York');
+    const joes = result.restaurants.joes;
+    expect(joes).toMatchObject({ name: "Joe's Pizza", address: '7 Carmine St', lat: 40.73, lng: -74.0 });
+    expect(joes.google.placeId).toBe('ChIJ123');
+    expect(joes.yelp).toMatchObject({ alias: 'joes-pizza-new-york', url: 'https://www.yelp.com/biz/joes-pizza-new-york' });
+    expect(joes.reviews.map((r: { author: string }) => r.author)).toEqual(['Jane']);
+    expect(result.blogPosts.v1).toMatchObject({ city: 'New York', restaurantName: "Joe's Pizza" });
+
+    expect(data.videos[0].city).toBe('NYC');
+    expect(data.restaurants.joes.reviews).toHaveLength(2);
+  });
+
+  it('moves a video to a pinned restaurant', () => {
+    const result = applyOverrides(fixture(), { videos: { v1: { restaurantSlug: 'katz' } } });
+    expect(result.videos[0].restaurantSlug).toBe('katz');
+    expect(result.restaurants.joes.videoIds).toEqual([]);
+    expect(result.restaurants.katz.videoIds).toEqual(['v2', 'v1']);
+  });
+
+  it('moves the blog post of a video with it', () => {
+    const data = fixture();
+    const result = applyOverrides(data, { videos: { v1: { restaurantSlug: 'katz' } } });
+    expect(result.blogPosts.v1).toMatchObject({ slug: 'katz-review-v1', restaurantSlug: 'katz', restaurantName: "Katz's" });
+    expect(data.blogPosts.v1.slug).toBe('joes-review-v1');
+  });
+
+  it('records a redirect from the old video page and post slug', () => {
+    const redirect = { from: 'joes', to: 'katz', videoIds: ['v1'], reason: 'restaurantSlug override', postSlugs: { v1: 'joes-review-v1' } };
+    const overrides = { videos: { v1: { restaurantSlug: 'katz' } } };
+    expect(applyOverrides(fixture(), overrides).redirects).toEqual([redirect]);
+
+    // Enrichment stores the moved video; the stored post still has its old slug
+    const enriched = fixture();
+    enriched.videos[0].restaurantSlug = 'katz';
+    const result = applyOverrides(enriched, overrides);
+    expect(result.redirects).toEqual([redirect]);
+    expect(result.blogPosts.v1.slug).toBe('katz-review-v1');
+  });
+
+  it('keeps a hand-set blog post slug when moving the video', () => {
+    const data = fixture();
+    data.blogPosts.v1.slug = 'best-slice-in-town';
+    const result = applyOverrides(data, { videos: { v1: { restaurantSlug: 'katz' } } });
+    expect(result.blogPosts.v1).toMatchObject({ slug: 'best-slice-in-town', restaurantSlug: 'katz' });
+    expect(result.redirects[0].postSlugs).toBeUndefined();
+  });
+
+  it('drops do-not-publish videos and restaurants with their posts', () => {
+    const result = applyOverrides(fixture(), {
+      videos: { v1: { doNotPublish: true } },
+      restaurants: { katz: { doNotPublish: true } },
+    });
+    expect(result.videos).toEqual([]);
+    expect(Object.keys(result.restaurants)).toEqual(['joes']);
+    expect(result.restaurants.joes.videoIds).toEqual([]);
+    expect(result.blogPosts).toEqual({});
+  });
+
+  it('drops a hidden restaurant from multi-restaurant videos without hiding them', () => {
+    const data = fixture();
+    Object.assign(data.videos[0], { restaurants: [{ slug: 'joes' }, { slug: 'katz' }] });
+    const result = applyOverrides(data, { restaurants: { katz: { doNotPublish: true } } });
+    expect(result.videos.map((v) => v.videoId)).toEqual(['v1']);
+    expect(result.videos[0].restaurants).toBeUndefined();
+  });
+
+  it('adds and pins chain locations and links a video to one', () => {
+    const result = applyOverrides(fixture(), {
+      videos: { v1: { location: 'soho' } },
+      restaurants: {
+        joes: {
+          locations: [{ id: 'soho', name: 'SoHo', googlePlaceId: 'P1' }, { name: 'No id' }],
+          hiddenReviews: ['Spammer'],
+        },
+      },
+    });
+    expect(result.videos[0].location).toBe('soho');
+    expect(result.restaurants.joes.locations).toEqual([
+      {
+        id: 'soho',
+        name: 'SoHo',
+        address: '',
+        city: 'NYC',
+        state: '',
+        lat: 0,
+        lng: 0,
+        google: { rating: 0, reviewCount: 0, placeId: 'P1' },
+        reviews: [],
+      },
+    ]);
+    expect(result.warnings).toEqual(['restaurants.joes.locations[1]: missing "id"']);
+  });
+
+  it('keeps do-not-publish records when dropUnpublished is off', () => {
+    const result = applyOverrides(fixture(), { videos: { v1: { doNotPublish: true } } }, { dropUnpublished: false });
+    expect(result.videos).toHaveLength(2);
+  });
+
+  it('warns about unknown ids, fields and restaurant targets', () => {
+    const { warnings, restaurants } = applyOverrides(fixture(), {
+      videos: { nope: { city: 'X' }, v1: { restaurantSlug: 'missing', colour: 'red' } },
+      restaurants: { ghost: { name: 'Ghost' }, joes: { lat: 'north' } },
+    });
+    expect(warnings).toEqual([
+      'videos.nope: no video with this id',
+      'videos.v1: unknown field "colour"',
+      'videos.v1: restaurantSlug "missing" is not a known restaurant',
+      'restaurants.ghost: no restaurant with this slug',
+      'restaurants.joes: "lat" should be a number',
+    ]);
+    expect(restaurants.joes.lat).toBe(0);
+  });
+});
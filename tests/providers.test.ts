@@ -0,0 +1,119 @@
+import { describe, it, expect } from 'vitest';
+import { enrichmentConfig, createProviders, DEFAULT_PROVIDERS } from '../scripts/lib/providers/index.js';
+import { yelpAlias } from '../scripts/lib/providers/yelp.js';
+import { placeInfo, addressParts } from '../scripts/lib/providers/google.js';
+
+// Recorded responses for "Joe's Pizza" in New York (tests/fixtures/http)
+const replayConfig = enrichmentConfig({ ENRICH_CACHE_DIR: 'tests/fixtures/http' }, ['--offline']);
+
+const noNetwork = (async () => {
+  throw new Error('network access in replay mode');
+}) as unknown as typeof globalThis.fetch;
+
+describe('enrichmentConfig', () => {
+  it('defaults to Google and Yelp with a live cache', () => {
+    const config = enrichmentConfig({}, []);
+    expect(config.providers).toEqual(DEFAULT_PROVIDERS);
+    expect(config.cacheMode).toBe('live');
+    expect(config.keys).toEqual({ google: '', yelp: '', foursquare: '' });
+  });
+
+  it('reads providers and cache mode from env and flags', () => {
+    const config = enrichmentConfig({ ENRICH_PROVIDERS: 'Nominatim, google', ENRICH_CACHE: 'off' }, ['--refresh']);
+    expect(config.providers).toEqual(['nominatim', 'google']);
+    expect(config.cacheMode).toBe('refresh');
+  });
+});
+
+describe('createProviders', () => {
+  it('skips providers without keys and unknown providers', () => {
+    const { providers, skipped } = createProviders(
+      enrichmentConfig({ ENRICH_PROVIDERS: 'google,nominatim,acme' }, [])
+    );
+    expect(providers.map((p) => p.name)).toEqual(['nominatim']);
+    expect(skipped.map((s) => s.reason)).toEqual([
+      'GOOGLE_PLACES_KEY is not set',
+      'unknown provider (available: google, yelp, nominatim, foursquare)',
+    ]);
+  });
+
+  it('replays Google and Yelp from recorded fixtures without keys', async () => {
+    const { providers, skipped } = createProviders(replayConfig, { fetch: noNetwork });
+    expect(skipped).toEqual([]);
+    const [google, yelp] = providers;
+
+    const place = await google.search({ name: "Joe's Pizza", city: 'New York' });
+    expect(place?.id).toBe('ChIJfixtureJoes');
+    expect(await google.details(place!.id)).toMatchObject({
+      address: '7 Carmine St, New York, NY 10014, USA',
+      rating: { rating: 4.5, reviewCount: 12000, placeId: 'ChIJfixtureJoes', url: 'https://maps.google.com/?cid=1234567890' },
+      info: {
+        priceLevel: 1,
+        website: 'https://www.joespizzanyc.com/',
+        phone: '(212) 366-1182',
+        businessStatus: 'OPERATIONAL',
+        editorialSummary: 'Long-running counter-serve spot for classic New York slices.',
+        locality: 'New York',
+        neighborhood: 'Greenwich Village',
+        state: 'NY',
+      },
+    });
+    expect(await google.reviews(place!.id)).toEqual([
+      { source: 'google', author: 'Maria L.', rating: 5, text: 'Classic New York slice, thin and crisp.', date: '2025-01-01' },
+    ]);
+
+    const biz = await yelp.search({ name: "Joe's Pizza", city: 'New York' });
+    expect((await yelp.details(biz!.id))?.rating).toEqual({
+      rating: 4,
+      reviewCount: 9100,
+      url: 'https://www.yelp.com/biz/joes-pizza-new-york-4',
+      alias: 'joes-pizza-new-york-4',
+    });
+    expect(await yelp.reviews(biz!.id)).toHaveLength(1);
+  });
+
+  it('fails unrecorded requests in replay mode', async () => {
+    const [google] = createProviders(replayConfig, { fetch: noNetwork }).providers;
+    await expect(google.search({ name: 'Nowhere', city: 'Atlantis' })).rejects.toThrow('offline replay');
+  });
+});
+
+describe('placeInfo', () => {
+  it('maps Places API (New) fields and leaves out missing ones', () => {
+    expect(
+      placeInfo({
+        priceLevel: 'PRICE_LEVEL_VERY_EXPENSIVE',
+        regularOpeningHours: { weekdayDescriptions: ['Monday: Closed'] },
+        internationalPhoneNumber: '+1 312-555-0100',
+        businessStatus: 'CLOSED_PERMANENTLY',
+      })
+    ).toEqual({
+      priceLevel: 4,
+      openingHours: ['Monday: Closed'],
+      phone: '+1 312-555-0100',
+      businessStatus: 'CLOSED_PERMANENTLY',
+    });
+    expect(placeInfo({ priceLevel: 'PRICE_LEVEL_UNSPECIFIED' })).toEqual({});
+  });
+});
+
+describe('addressParts', () => {
+  it('reads locality, neighborhood and state, using the borough when there is no locality', () => {
+    const brooklyn = [
+      { longText: 'Brighton Beach', types: ['neighborhood', 'political'] },
+      { longText: 'Brooklyn', types: ['sublocality_level_1', 'sublocality', 'political'] },
+      { longText: 'Kings County', types: ['administrative_area_level_2', 'political'] },
+      { longText: 'New York', shortText: 'NY', types: ['administrative_area_level_1', 'political'] },
+    ];
+    expect(addressParts(brooklyn)).toEqual({ locality: 'Brooklyn', neighborhood: 'Brighton Beach', state: 'NY' });
+    expect(addressParts(undefined)).toEqual({ locality: undefined, neighborhood: undefined, state: undefined });
+  });
+});
+
+describe('yelpAlias', () => {
+  it('reads the alias from older records that only kept the URL', () => {
+    expect(yelpAlias({ url: 'https://www.yelp.com/biz/portillos-hot-dogs-chicago' })).toBe('portillos-hot-dogs-chicago');
+    expect(yelpAlias({ alias: 'a', url: 'https://www.yelp.com/biz/b' })).toBe('a');
+    expect(yelpAlias(undefined)).toBeUndefined();
+  });
+});
@@ -0,0 +1,385 @@
+import { describe, it, expect } from 'vitest';
+import {
+  validateData,
+  formatIssue,
+  assertValidData,
+  jsonPointer,
+} from '../scripts/lib/schema.js';
+import videosData from '../data/videos.json';
+import restaurantsData from '../data/restaurants.json';
+import blogPostsData from '../data/blog-posts.json';
+import verdictsData from '../data/verdicts.json';
+
+const makeVideo = (overrides: Record<string, unknown> = {}) => ({
+  videoId: '111',
+  caption: 'Great slice',
+  createTime: 1706000000,
+  thumbnailUrl: '/assets/images/111/frame-1.jpg',
+  embedUrl: 'https://www.tiktok.com/@oneminreviews/video/111',
+  restaurantSlug: 'joes-pizza',
+  city: 'New York',
+  cuisine: 'Pizza',
+  stats: { likes: 1, comments: 0, shares: 0 },
+  ...overrides,
+});
+
+const makeRestaurant = (overrides: Record<string, unknown> = {}) => ({
+  name: "Joe's Pizza",
+  slug: 'joes-pizza',
+  city: 'New York',
+  state: 'NY',
+  cuisine: 'Pizza',
+  address: '7 Carmine St',
+  lat: 40.7,
+  lng: -74,
+  google: { rating: 4.5, reviewCount: 100 },
+  reviews: [],
+  videoIds: ['111'],
+  ...overrides,
+});
+
+// ---------------------------------------------------------------------------
+// jsonPointer
+// ---------------------------------------------------------------------------
+describe('jsonPointer', () => {
+  it('joins tokens with slashes', () => {
+    expect(jsonPointer(3, 'stats', 'likes')).toBe('/3/stats/likes');
+  });
+
+  it('escapes ~ and / per RFC 6901', () => {
+    expect(jsonPointer('a/b', 'c~d')).toBe('/a~1b/c~0d');
+  });
+});
+
+// ---------------------------------------------------------------------------
+// validateData
+// ---------------------------------------------------------------------------
+describe('validateData', () => {
+  it('accepts the checked-in data files', () => {
+    expect(
+      validateData({
+        videos: videosData,
+        restaurants: restaurantsData,
+        blogPosts: blogPostsData,
+        verdicts: verdictsData,
+      })
+    ).toEqual([]);
+  });
+
+  it('accepts a consistent minimal data set', () => {
+    expect(
+      validateData({
+        videos: [makeVideo()],
+        restaurants: { 'joes-pizza': makeRestaurant() },
+      })
+    ).toEqual([]);
+  });
+
+  it('reports a video that references an unknown restaurant', () => {
+    const issues = validateData({
+      videos: [makeVideo({ restaurantSlug: 'nope' })],
+      restaurants: {},
+    });
+    expect(issues).toContainEqual({
+      file: 'data/videos.json',
+      pointer: '/0/restaurantSlug',
+      message: 'references unknown restaurant "nope"',
+    });
+  });
+
+  it('reports missing fields and bad types with JSON pointers', () => {
+    const { caption: _caption, ...noCaption } = makeVideo({
+      stats: { likes: '12', comments: 0, shares: 0 },
+    });
+    const pointers = validateData({
+      videos: [noCaption],
+      restaurants: { 'joes-pizza': makeRestaurant() },
+    }).map((i) => i.pointer);
+    expect(pointers).toContain('/0/caption');
+    expect(pointers).toContain('/0/stats/likes');
+  });
+
+  it('flags unmatched videos unless allowPending is set', () => {
+    const data = { videos: [makeVideo({ restaurantSlug: '' })], restaurants: {} };
+    expect(validateData(data)).toHaveLength(1);
+    expect(validateData(data, { allowPending: true })).toEqual([]);
+  });
+
+  it('reports orphaned videoIds entries', () => {
+    const issues = validateData({
+      videos: [makeVideo()],
+      restaurants: {
+        'joes-pizza': makeRestaurant({ videoIds: ['111', '999'] }),
+      },
+    });
+    expect(issues.map(formatIssue)).toEqual([
+      'data/restaurants.json#/joes-pizza/videoIds/1: orphaned videoIds entry: no video "999"',
+    ]);
+  });
+
+  it('accepts a multi-restaurant video listed under each restaurant', () => {
+    expect(
+      validateData({
+        videos: [
+          makeVideo({
+            restaurants: [
+              { slug: 'joes-pizza', start: 0 },
+              { slug: 'prince-street-pizza', start: 21 },
+            ],
+          }),
+        ],
+        restaurants: {
+          'joes-pizza': makeRestaurant(),
+          'prince-street-pizza': makeRestaurant({ name: 'Prince Street Pizza', slug: 'prince-street-pizza' }),
+        },
+      })
+    ).toEqual([]);
+  });
+
+  it('reports featured restaurants that are unknown or out of order', () => {
+    const issues = validateData({
+      videos: [
+        makeVideo({ restaurants: [{ slug: 'nope', start: -1 }, { slug: 'joes-pizza' }] }),
+      ],
+      restaurants: { 'joes-pizza': makeRestaurant() },
+    });
+    expect(issues.map(formatIssue)).toEqual([
+      'data/videos.json#/0/restaurants/0/slug: first entry must be the primary restaurant "joes-pizza"',
+      'data/videos.json#/0/restaurants/0/slug: references unknown restaurant "nope"',
+      'data/videos.json#/0/restaurants/0/start: start must not be negative',
+    ]);
+  });
+
+  it('reports a restaurant whose slug differs from its key', () => {
+    const issues = validateData({
+      videos: [],
+      restaurants: { 'joes-pizza': makeRestaurant({ slug: 'joes', videoIds: [] }) },
+    });
+    expect(issues[0].pointer).toBe('/joes-pizza/slug');
+  });
+
+  it('reports a restaurant whose slug is a language or site page', () => {
+    const issues = validateData({
+      videos: [],
+      restaurants: { ru: makeRestaurant({ slug: 'ru', videoIds: [] }) },
+    });
+    expect(issues.map(formatIssue)).toEqual(['data/restaurants.json#/ru: slug "ru" is reserved for the site\'s own pages']);
+  });
+
+  it('reports blog posts for unknown videos', () => {
+    const issues = validateData({
+      videos: [makeVideo()],
+      restaurants: { 'joes-pizza': makeRestaurant() },
+      blogPosts: {
+        '222': {
+          videoId: '222',
+          slug: 'joes-pizza-review-222',
+          restaurantSlug: 'joes-pizza',
+          restaurantName: "Joe's Pizza",
+          city: 'New York',
+          cuisine: 'Pizza',
+          title: 'T',
+          summary: 'S',
+          content: 'C',
+          transcript: '',
+          transcriptDuration: null,
+          thumbnailUrl: '',
+          embedUrl: '',
+          createTime: 1706000000,
+          generatedAt: '2026-01-01T00:00:00.000Z',
+          status: 'published',
+        },
+      },
+    });
+    expect(issues.map(formatIssue)).toEqual([
+      'data/blog-posts.json#/222/videoId: references unknown video "222"',
+    ]);
+  });
+
+  it('reports malformed and out-of-order transcript segments', () => {
+    const post = {
+      videoId: '111',
+      slug: 'joes-pizza-review-111',
+      restaurantSlug: 'joes-pizza',
+      restaurantName: "Joe's Pizza",
+      city: 'New York',
+      cuisine: 'Pizza',
+      title: 'T',
+      summary: 'S',
+      content: 'C',
+      transcript: 'One. Two.',
+      transcriptDuration: 6,
+      thumbnailUrl: '',
+      embedUrl: '',
+      createTime: 1706000000,
+      generatedAt: '2026-01-01T00:00:00.000Z',
+      status: 'published',
+    };
+    const valid = [
+      { start: 0, end: 3, text: 'One.' },
+      { start: 3, end: 6, text: 'Two.' },
+    ];
+    const data = { videos: [makeVideo()], restaurants: { 'joes-pizza': makeRestaurant() } };
+    expect(validateData({ ...data, blogPosts: { 111: { ...post, segments: valid } } })).toEqual([]);
+
+    const issues = validateData({
+      ...data,
+      blogPosts: {
+        111: { ...post, segments: [valid[1], { start: 1, end: 0.5, text: 'One.' }, { start: 7, text: 'Three.' }] },
+      },
+    });
+    expect(issues.map(formatIssue)).toEqual([
+      'data/blog-posts.json#/111/segments/1/start: segments must be in order of start time',
+      'data/blog-posts.json#/111/segments/1/end: ends before it starts',
+      'data/blog-posts.json#/111/segments/2/end: missing required field',
+    ]);
+  });
+
+  it('reports unknown editorial statuses, malformed revisions and fact checks', () => {
+    const data = { videos: [makeVideo()], restaurants: { 'joes-pizza': makeRestaurant() } };
+    const post = {
+      videoId: '111',
+      slug: 'joes-pizza-review-111',
+      restaurantSlug: 'joes-pizza',
+      restaurantName: "Joe's Pizza",
+      city: 'New York',
+      cuisine: 'Pizza',
+      title: 'T',
+      summary: 'S',
+      content: 'C',
+      transcript: '',
+      transcriptDuration: null,
+      thumbnailUrl: '',
+      embedUrl: '',
+      createTime: 1706000000,
+      generatedAt: '2026-01-01T00:00:00.000Z',
+    };
+    const issues = validateData({
+      ...data,
+      blogPosts: { 111: { ...post, status: 'live', revision: { title: 'T2', summary: 'S2' } } },
+    });
+    expect(issues.map(formatIssue)).toEqual([
+      'data/blog-posts.json#/111/revision/content: missing required field',
+      'data/blog-posts.json#/111/revision/generatedAt: missing required field',
+      'data/blog-posts.json#/111/status: expected one of draft, approved, published, rejected, got "live"',
+    ]);
+    expect(validateData({ ...data, blogPosts: { 111: post } }).map(formatIssue)).toEqual([
+      'data/blog-posts.json#/111/status: missing required field',
+    ]);
+    const factCheck = {
+      checkedAt: '2026-01-02T00:00:00.000Z',
+      passed: true,
+      flags: [
+        { kind: 'menu', claim: '$5', problem: 'unsupported', detail: 'not said' },
+        { kind: 'price', claim: '$5', problem: 'wrong' },
+      ],
+    };
+    expect(validateData({ ...data, blogPosts: { 111: { ...post, status: 'draft', factCheck } } }).map(formatIssue)).toEqual([
+      'data/blog-posts.json#/111/factCheck/flags/0/kind: expected one of address, rating, reviewCount, price, dish, city, link, got "menu"',
+      'data/blog-posts.json#/111/factCheck/flags/1/detail: missing required field',
+      'data/blog-posts.json#/111/factCheck/flags/1/problem: expected one of contradicted, unsupported, got "wrong"',
+      'data/blog-posts.json#/111/factCheck/passed: passed must mean no flags',
+    ]);
+  });
+
+  it('reports bad chain locations and videos naming a missing branch', () => {
+    const location = {
+      id: 'soho',
+      address: '1 Prince St',
+      city: 'New York',
+      state: 'NY',
+      lat: 40.7,
+      lng: -74,
+      google: { rating: 4.5, reviewCount: 10 },
+    };
+    const issues = validateData({
+      videos: [makeVideo({ location: 'tribeca' })],
+      restaurants: {
+        'joes-pizza': makeRestaurant({ locations: [location, { ...location, lat: 'x' }] }),
+      },
+    });
+    expect(issues.map(formatIssue)).toEqual([
+      'data/videos.json#/0/location: "joes-pizza" has no location "tribeca"',
+      'data/restaurants.json#/joes-pizza/locations/1/lat: expected number, got string',
+      'data/restaurants.json#/joes-pizza/locations/1/id: duplicate location id "soho"',
+    ]);
+  });
+
+  it('reports unknown business statuses and out-of-range price levels', () => {
+    const issues = validateData({
+      videos: [makeVideo()],
+      restaurants: {
+        'joes-pizza': makeRestaurant({ businessStatus: 'CLOSED', priceLevel: 5, openingHours: ['Monday: Closed'] }),
+      },
+    });
+    expect(issues.map(formatIssue)).toEqual([
+      'data/restaurants.json#/joes-pizza/businessStatus: expected one of OPERATIONAL, CLOSED_TEMPORARILY, CLOSED_PERMANENTLY, got "CLOSED"',
+      'data/restaurants.json#/joes-pizza/priceLevel: expected 0 to 4',
+    ]);
+  });
+
+  it('reports verdicts for unknown videos and out-of-range values', () => {
+    const verdict = {
+      videoId: '111',
+      score: 8,
+      worthIt: true,
+      summary: 'Go.',
+      dishes: [{ name: 'Slice', sentiment: 'positive' }],
+      source: 'transcript',
+      model: 'gpt-4o-mini',
+      extractedAt: '2026-01-01T00:00:00.000Z',
+    };
+    expect(validateData({ videos: [makeVideo()], verdicts: { 111: verdict } })).toEqual([]);
+
+    const issues = validateData({
+      videos: [makeVideo()],
+      verdicts: {
+        111: { ...verdict, score: 12, waitMinutes: -5, dishes: [{ name: 'Slice', sentiment: 'great' }, { sentiment: 'positive' }] },
+        222: { ...verdict, videoId: '222', source: 'guess' },
+        333: { ...verdict, worthIt: 'yes' },
+      },
+    });
+    expect(issues.map(formatIssue)).toEqual([
+      'data/verdicts.json#/111/score: expected 0 to 10',
+      'data/verdicts.json#/111/waitMinutes: must not be negative',
+      'data/verdicts.json#/111/dishes/0/sentiment: expected one of positive, mixed, negative, got "great"',
+      'data/verdicts.json#/111/dishes/1/name: missing required field',
+      'data/verdicts.json#/222/videoId: references unknown video "222"',
+      'data/verdicts.json#/222/source: expected one of transcript, caption, got "guess"',
+      'data/verdicts.json#/333/worthIt: expected boolean, got string',
+      'data/verdicts.json#/333/videoId: videoId "111" does not match its key "333"',
+    ]);
+  });
+
+  it('reports redirects to unknown restaurants and redirects that shadow live pages', () => {
+    const issues = validateData({
+      videos: [makeVideo()],
+      restaurants: { 'joes-pizza': makeRestaurant() },
+      redirects: [
+        { from: 'joes', to: 'gone', videoIds: ['111'] },
+        { from: 'joes-pizza', to: 'joes', videoIds: ['111'] },
+      ],
+    });
+    expect(issues.map(formatIssue)).toEqual([
+      'data/redirects.json#/0/to: redirects to unknown restaurant "gone"',
+      'data/redirects.json#/1/to: redirects to unknown restaurant "joes"',
+      'data/redirects.json#/1/from: "joes-pizza" still lists "111"; the redirect would replace a live page',
+    ]);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// assertValidData
+// ---------------------------------------------------------------------------
+describe('assertValidData', () => {
+  it('throws and logs every issue when data is invalid', () => {
+    const lines: string[] = [];
+    expect(() =>
+      assertValidData(
+        { videos: [makeVideo({ restaurantSlug: 'nope' })], restaurants: {} },
+        { log: (msg: string) => lines.push(msg) }
+      )
+    ).toThrow(/1 issue/);
+    expect(lines).toHaveLength(1);
+  });
+});
@@ -0,0 +1,60 @@
+import { describe, it, expect } from 'vitest';
+import { DEFAULT_WEIGHTS, scoringWeights, scoreListing, formatScore, describeScore } from '../scripts/lib/scoring.js';
+
+const weights = scoringWeights({ prior: { rating: 4, reviews: 100 }, sources: { google: 1, yelp: 0.5 }, verdict: 0.2 });
+
+describe('scoringWeights', () => {
+  it('fills what the config leaves out from the defaults', () => {
+    expect(scoringWeights()).toEqual(DEFAULT_WEIGHTS);
+    expect(scoringWeights({ sources: { yelp: 0.5 } }).sources).toEqual({ google: 1, yelp: 0.5, foursquare: 0 });
+  });
+
+  it('rejects weights that are not non-negative numbers', () => {
+    expect(() => scoringWeights({ prior: { reviews: -1 } })).toThrow('prior.reviews');
+    expect(() => scoringWeights({ sources: { google: '1' } })).toThrow('sources.google');
+    expect(() => scoringWeights({ verdict: 1.5 })).toThrow('between 0 and 1');
+  });
+});
+
+describe('scoreListing', () => {
+  it('pulls ratings with few reviews toward the prior', () => {
+    const few = scoreListing({ google: { rating: 5, reviewCount: 10 } }, { weights })!;
+    const many = scoreListing({ google: { rating: 4.7, reviewCount: 10000 } }, { weights })!;
+    expect(few.score).toBeCloseTo((4 * 100 + 5 * 10) / 110, 2);
+    expect(many.score).toBeGreaterThan(few.score);
+  });
+
+  it('weighs each source by its weight', () => {
+    const score = scoreListing(
+      { google: { rating: 4.5, reviewCount: 100 }, yelp: { rating: 3.5, reviewCount: 200 } },
+      { weights }
+    )!;
+    expect(score.crowd).toBeCloseTo((4 * 100 + 4.5 * 100 + 0.5 * 200 * 3.5) / 300, 2);
+    expect(score.sources.map((s) => s.source)).toEqual(['google', 'yelp']);
+  });
+
+  it('blends in the verdict out of 10', () => {
+    const listing = { google: { rating: 4, reviewCount: 100 } };
+    const score = scoreListing(listing, { verdict: 9, weights })!;
+    expect(score.crowd).toBe(4);
+    expect(score.score).toBeCloseTo(0.8 * 4 + 0.2 * 4.5, 2);
+    expect(score.verdict).toEqual({ score: 9, weight: 0.2 });
+  });
+
+  it('ignores unweighted and empty sources and gives up without any data', () => {
+    expect(scoreListing({ google: { rating: 0, reviewCount: 0 } }, { weights })).toBeUndefined();
+    expect(scoreListing({ foursquare: { rating: 4.5, reviewCount: 50 } })).toBeUndefined();
+    expect(scoreListing({}, { verdict: 6, weights })?.score).toBeCloseTo(0.8 * 4 + 0.2 * 3, 2);
+  });
+});
+
+describe('formatScore / describeScore', () => {
+  it('renders a score and what it is based on', () => {
+    const score = scoreListing({ google: { rating: 4.5, reviewCount: 12000 }, yelp: { rating: 4, reviewCount: 3100 } }, {
+      verdict: 8,
+      weights,
+    })!;
+    expect(formatScore(4.567)).toBe('4.6');
+    expect(describeScore(score)).toBe('Google 4.5 (12,000) · Yelp 4.0 (3,100) · verdict 8/10');
+  });
+});
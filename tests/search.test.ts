@@ -0,0 +1,154 @@
+import { describe, it, expect } from 'vitest';
+import {
+  tokenize,
+  stem,
+  editDistance,
+  buildSearchIndex,
+  searchIndex,
+  parseSearchParams,
+  searchParamsString,
+  type SearchDocument,
+} from '../scripts/lib/search.js';
+import { getSearchDocuments, getVideos } from '../src/lib/data';
+
+const doc = (id: string, overrides: Partial<SearchDocument> = {}): SearchDocument => ({
+  id,
+  type: 'video',
+  title: id,
+  url: `/${id}/`,
+  city: 'New York',
+  cuisine: 'Pizza',
+  rating: 4,
+  fields: { title: id },
+  ...overrides,
+});
+
+const index = buildSearchIndex([
+  doc('prince', {
+    title: 'Prince Street Pizza',
+    rating: 4.5,
+    dishes: ['Spicy Spring', 'Cheese Pizza'],
+    fields: { title: 'Prince Street Pizza', caption: 'The spicy spring square slice with pepperoni cups' },
+  }),
+  doc('katz', {
+    title: "Katz's Delicatessen",
+    cuisine: 'Deli',
+    dishes: ['Pastrami Sandwich'],
+    fields: { title: "Katz's Delicatessen", transcript: 'a mountain of pastrami on rye, worth the wait' },
+  }),
+  doc('veracruz', {
+    title: 'Veracruz All Natural',
+    city: 'Austin',
+    cuisine: 'Mexican',
+    rating: 4.7,
+    fields: { title: 'Veracruz All Natural', reviews: 'Best migas tacos in Austin' },
+  }),
+  doc('post-prince', {
+    type: 'post',
+    title: 'Is Prince Street Pizza Worth the Hype?',
+    rating: 4.5,
+    fields: { title: 'Is Prince Street Pizza Worth the Hype?', post: 'Pepperoni cups curl up in the oven' },
+  }),
+]);
+
+const ids = (query: string, filters = {}) => searchIndex(index, query, filters).results.map((r) => r.id);
+
+describe('tokenize', () => {
+  it('lowercases, strips accents, possessives and stop words, and stems plurals', () => {
+    expect(tokenize("Katz's Crème Brûlée and the TACOS")).toEqual(['katz', 'creme', 'brulee', 'taco']);
+    expect(stem('dumplings')).toBe('dumpling');
+    expect(stem('pastries')).toBe('pastry');
+    expect(stem('sandwiches')).toBe('sandwich');
+    expect(stem('hummus')).toBe('hummus');
+  });
+});
+
+describe('editDistance', () => {
+  it('counts transpositions as one edit and stops past the limit', () => {
+    expect(editDistance('pizza', 'pizza', 1)).toBe(0);
+    expect(editDistance('pizaz', 'pizza', 1)).toBe(1);
+    expect(editDistance('pastrami', 'pastarmi', 2)).toBe(1);
+    expect(editDistance('ramen', 'pizza', 1)).toBe(2);
+  });
+});
+
+describe('searchIndex', () => {
+  it('finds text in captions, transcripts and review snippets', () => {
+    expect(ids('pastrami')).toEqual(['katz']);
+    expect(ids('migas')).toEqual(['veracruz']);
+    expect(ids('pepperoni')).toEqual(['prince', 'post-prince']);
+  });
+
+  it('ranks title matches above body matches', () => {
+    const index = buildSearchIndex([
+      doc('mentions', { fields: { title: 'Joe', transcript: 'better than the slice at prince street' } }),
+      doc('prince', { fields: { title: 'Prince Street Pizza' } }),
+    ]);
+    expect(searchIndex(index, 'prince').results.map((r) => r.id)).toEqual(['prince', 'mentions']);
+  });
+
+  it('matches prefixes and tolerates typos', () => {
+    expect(ids('pastr')).toEqual(['katz']);
+    expect(ids('pepperonni')).toEqual(['prince', 'post-prince']);
+    expect(ids('delicatesen')).toEqual(['katz']);
+    expect(ids('xyzzy')).toEqual([]);
+  });
+
+  it('requires every word, falling back to any word when nothing has them all', () => {
+    expect(ids('spicy pepperoni')).toEqual(['prince']);
+    const { results, partial } = searchIndex(index, 'pastrami migas');
+    expect(partial).toBe(true);
+    expect(results.map((r) => r.id).sort()).toEqual(['katz', 'veracruz']);
+  });
+
+  it('filters by city, cuisine, rating and type, with facet counts that ignore their own filter', () => {
+    expect(ids('', { city: 'Austin' })).toEqual(['veracruz']);
+    expect(ids('', { minRating: 4.5 })).toEqual(['veracruz', 'prince', 'post-prince']);
+    expect(ids('pizza', { type: 'post' })).toEqual(['post-prince']);
+
+    const { facets } = searchIndex(index, '', { city: 'Austin' });
+    expect(facets.city).toEqual({ 'New York': 3, Austin: 1 });
+    expect(facets.cuisine).toEqual({ Mexican: 1 });
+    expect(facets.rating).toEqual({ 4.5: 1, 4: 1, 3.5: 1 });
+  });
+});
+
+describe('dish facet', () => {
+  it('filters by dish and counts every dish a document lists', () => {
+    expect(ids('', { dish: 'Pastrami Sandwich' })).toEqual(['katz']);
+    expect(searchIndex(index, '', { city: 'New York' }).facets.dish).toEqual({
+      'Spicy Spring': 1,
+      'Cheese Pizza': 1,
+      'Pastrami Sandwich': 1,
+    });
+    expect(parseSearchParams(new URLSearchParams('dish=Spicy+Spring')).filters.dish).toBe('Spicy Spring');
+  });
+});
+
+describe('search URLs', () => {
+  it('round-trips the query and filters', () => {
+    const search = searchParamsString(' spicy slice ', { city: 'New York', minRating: 4.5 });
+    expect(search).toBe('?q=spicy+slice&city=New+York&rating=4.5');
+    expect(parseSearchParams(new URLSearchParams(search))).toEqual({
+      query: 'spicy slice',
+      filters: { city: 'New York', cuisine: undefined, minRating: 4.5, type: undefined },
+    });
+    expect(searchParamsString('', {})).toBe('');
+  });
+});
+
+describe('getSearchDocuments', () => {
+  it('indexes every video page and blog post, transcripts included', () => {
+    const documents = getSearchDocuments();
+    expect(documents.filter((d) => d.type === 'video')).toHaveLength(getVideos().length);
+    expect(new Set(documents.map((d) => d.id)).size).toBe(documents.length);
+    expect(documents.some((d) => d.type === 'video' && d.fields.transcript)).toBe(true);
+  });
+
+  it('indexes dish pages and tags videos with their restaurant\'s dishes', () => {
+    const documents = getSearchDocuments();
+    expect(documents.find((d) => d.id === 'dish:spicy-spring')?.url).toMatch(/\/dish\/spicy-spring\/$/);
+    const prince = documents.find((d) => d.type === 'video' && d.title === 'Prince Street Pizza');
+    expect(prince?.dishes).toContain('Spicy Spring');
+  });
+});
@@ -0,0 +1,83 @@
+import { describe, it, expect, afterEach } from 'vitest';
+import { mkdtempSync, rmSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { hashInputs, hashFile, parseForce, openStageState } from '../scripts/lib/stage-state.js';
+import { readJSON } from '../scripts/lib/json.js';
+
+const NO_FORCE = { all: false, ids: new Set<string>() };
+
+describe('hashInputs', () => {
+  it('ignores key order and undefined values', () => {
+    expect(hashInputs({ a: 1, b: { c: 2, d: undefined } })).toBe(hashInputs({ b: { c: 2 }, a: 1 }));
+  });
+
+  it('changes when any input changes', () => {
+    expect(hashInputs({ name: "Joe's Pizza", rating: 4.5 })).not.toBe(
+      hashInputs({ name: "Joe's Pizza", rating: 4.6 })
+    );
+  });
+});
+
+describe('parseForce', () => {
+  it('parses --force and --force=<ids>', () => {
+    expect(parseForce(['node', 'x.js']).all).toBe(false);
+    expect(parseForce(['--force']).all).toBe(true);
+    expect([...parseForce(['--force=1,2', '--force=3']).ids]).toEqual(['1', '2', '3']);
+  });
+});
+
+describe('openStageState', () => {
+  let dir: string;
+
+  afterEach(() => {
+    if (dir) rmSync(dir, { recursive: true, force: true });
+  });
+
+  function tempState() {
+    dir = mkdtempSync(join(tmpdir(), 'omr-state-'));
+    return join(dir, 'stage-state.json');
+  }
+
+  it('adopts existing outputs as the baseline, then detects changes', () => {
+    const path = tempState();
+    const state = openStageState('og-images', { path, force: NO_FORCE });
+    expect(state.staleReason('v1', 'aaa', false)).toBe('no output yet');
+    expect(state.staleReason('v2', 'bbb', true)).toBeNull();
+    state.save();
+
+    const next = openStageState('og-images', { path, force: NO_FORCE });
+    expect(next.staleReason('v2', 'bbb', true)).toBeNull();
+    expect(next.staleReason('v2', 'ccc', true)).toBe('inputs changed');
+  });
+
+  it('forces listed videos only', () => {
+    const path = tempState();
+    const state = openStageState('og-images', { path, force: { all: false, ids: new Set(['v1']) } });
+    expect(state.staleReason('v1', 'aaa', true)).toBe('forced');
+    expect(state.staleReason('v2', 'bbb', true)).toBeNull();
+  });
+
+  it('saves one stage without touching the others', () => {
+    const path = tempState();
+    const og = openStageState('og-images', { path, force: NO_FORCE });
+    og.record('v1', 'aaa');
+    og.save();
+    const transcribe = openStageState('transcribe', { path, force: NO_FORCE });
+    transcribe.record('v1', 'bbb');
+    transcribe.prune([]);
+    transcribe.record('v2', 'ccc');
+    transcribe.save();
+    expect(readJSON(path)).toEqual({ 'og-images': { v1: 'aaa' }, transcribe: { v2: 'ccc' } });
+  });
+
+  it('hashes file contents', () => {
+    tempState();
+    const file = join(dir, 'frame.jpg');
+    expect(hashFile(file)).toBeNull();
+    writeFileSync(file, 'one');
+    const first = hashFile(file);
+    writeFileSync(file, 'two');
+    expect(hashFile(file)).not.toBe(first);
+  });
+});
@@ -0,0 +1,168 @@
+import { describe, it, expect } from 'vitest';
+import { mkdtempSync, writeFileSync, readFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join, resolve } from 'path';
+import {
+  transcriptionConfig,
+  createTranscriber,
+  DEFAULT_BACKEND,
+} from '../scripts/lib/transcribers/index.js';
+import { createWhisperCppTranscriber, parseWhisperCppOutput } from '../scripts/lib/transcribers/whisper-cpp.js';
+import { createOpenAITranscriber } from '../scripts/lib/transcribers/openai.js';
+import { validateData } from '../scripts/lib/schema.js';
+import videosData from '../data/videos.json';
+import restaurantsData from '../data/restaurants.json';
+
+// A recorded Whisper verbose_json response (tests/fixtures/transcripts)
+const VIDEO_ID = '7312456789012';
+const fixture = JSON.parse(readFileSync(resolve('tests/fixtures/transcripts', `${VIDEO_ID}.json`), 'utf-8'));
+const expected = {
+  text: fixture.text,
+  duration: 12.5,
+  segments: [
+    { start: 0, end: 3.24, text: 'Okay so this is Prince Street Pizza.' },
+    { start: 3.24, end: 7.1, text: 'Everyone orders the spicy spring square.' },
+    { start: 7.1, end: 12.5, text: "That pepperoni cups up and it's honestly worth the line." },
+  ],
+  language: 'en',
+};
+
+/** A scratch audio file (its contents don't matter to the stubs). */
+function audioFile(name: string) {
+  const path = join(mkdtempSync(join(tmpdir(), 'transcribe-')), name);
+  writeFileSync(path, 'not really audio');
+  return path;
+}
+
+describe('transcriptionConfig', () => {
+  it('defaults to OpenAI', () => {
+    const config = transcriptionConfig({}, []);
+    expect(config.backend).toBe(DEFAULT_BACKEND);
+    expect(config.whisperCpp).toEqual({ binary: 'whisper-cli', model: '' });
+    expect(config.language).toBe('');
+  });
+
+  it('reads the backend from env, overridden by --backend', () => {
+    expect(transcriptionConfig({ TRANSCRIBE_BACKEND: 'Whisper-CPP' }, []).backend).toBe('whisper-cpp');
+    expect(transcriptionConfig({ TRANSCRIBE_BACKEND: 'whisper-cpp' }, ['--backend=fake']).backend).toBe('fake');
+    expect(transcriptionConfig({ WHISPER_CPP_THREADS: '4' }, []).whisperCpp.threads).toBe(4);
+  });
+
+  it('takes a fixed language instead of detecting it', () => {
+    expect(transcriptionConfig({ TRANSCRIBE_LANGUAGE: 'ES' }, []).language).toBe('es');
+    expect(() => transcriptionConfig({ TRANSCRIBE_LANGUAGE: 'Spanish' }, [])).toThrow(
+      'TRANSCRIBE_LANGUAGE must be an ISO 639-1 code like "en", got "spanish"'
+    );
+  });
+});
+
+describe('createTranscriber', () => {
+  it('refuses backends that cannot run here', () => {
+    expect(() => createTranscriber(transcriptionConfig({ TRANSCRIBE_BACKEND: 'acme' }, []))).toThrow(
+      'unknown transcription backend "acme" (available: openai, whisper-cpp, fake)'
+    );
+    expect(() => createTranscriber(transcriptionConfig({ OPENAI_API_KEY: 'N/A' }, []))).toThrow('OPENAI_API_KEY is not set');
+    expect(() => createTranscriber(transcriptionConfig({ TRANSCRIBE_BACKEND: 'whisper-cpp' }, []))).toThrow(
+      'WHISPER_CPP_MODEL is not set'
+    );
+    expect(() =>
+      createTranscriber(transcriptionConfig({ TRANSCRIBE_BACKEND: 'whisper-cpp', WHISPER_CPP_MODEL: 'models/missing.bin' }, []))
+    ).toThrow('WHISPER_CPP_MODEL not found');
+  });
+});
+
+describe('transcription backends', () => {
+  it('fake replays the recorded response without audio', async () => {
+    const fake = createTranscriber(transcriptionConfig({ TRANSCRIBE_BACKEND: 'fake' }, []));
+    expect(fake.audioFormat).toBeNull();
+    expect(await fake.transcribe({ videoId: VIDEO_ID, audioPath: '' })).toEqual(expected);
+    await expect(fake.transcribe({ videoId: '999', audioPath: '' })).rejects.toThrow('no transcript fixture for 999');
+  });
+
+  it('openai uploads the audio and normalizes verbose_json', async () => {
+    let request: { url: string; init?: RequestInit } | undefined;
+    const fetch = (async (url: string, init?: RequestInit) => {
+      request = { url, init };
+      return new Response(JSON.stringify(fixture), { status: 200 });
+    }) as unknown as typeof globalThis.fetch;
+
+    const openai = createOpenAITranscriber({ apiKey: 'sk-test', fetch });
+    expect(await openai.transcribe({ videoId: VIDEO_ID, audioPath: audioFile('a.mp3') })).toEqual(expected);
+    expect(request?.url).toBe('https://api.openai.com/v1/audio/transcriptions');
+    expect((request?.init?.body as FormData).get('response_format')).toBe('verbose_json');
+    // Whisper detects the language unless TRANSCRIBE_LANGUAGE sets one
+    expect((request?.init?.body as FormData).has('language')).toBe(false);
+
+    const spanish = createOpenAITranscriber({ apiKey: 'sk-test', language: 'es', fetch });
+    await spanish.transcribe({ videoId: VIDEO_ID, audioPath: audioFile('a.mp3') });
+    expect((request?.init?.body as FormData).get('language')).toBe('es');
+  });
+
+  it('openai reports API errors', async () => {
+    const fetch = (async () => new Response('quota exceeded', { status: 429 })) as unknown as typeof globalThis.fetch;
+    const openai = createOpenAITranscriber({ apiKey: 'sk-test', fetch });
+    await expect(openai.transcribe({ videoId: VIDEO_ID, audioPath: audioFile('a.mp3') })).rejects.toThrow(
+      'Whisper API error 429: quota exceeded'
+    );
+  });
+
+  it('whisper-cpp runs the binary and reads its JSON output', async () => {
+    const calls: string[][] = [];
+    // Stands in for whisper-cli: writes the JSON it would for the fixture
+    const run = ((binary: string, args: string[]) => {
+      calls.push([binary, ...args]);
+      const outBase = args[args.indexOf('-of') + 1];
+      const transcription = fixture.segments.map((s: { start: number; end: number; text: string }) => ({
+        offsets: { from: Math.round(s.start * 1000), to: Math.round(s.end * 1000) },
+        text: s.text,
+      }));
+      writeFileSync(`${outBase}.json`, JSON.stringify({ result: { language: 'en' }, transcription }));
+      return Buffer.from('');
+    }) as unknown as typeof import('child_process').execFileSync;
+
+    const audioPath = audioFile(`${VIDEO_ID}.wav`);
+    const local = createWhisperCppTranscriber({ binary: 'whisper-cli', model: 'models/ggml-base.en.bin', threads: 2, run });
+    expect(local.audioFormat).toBe('wav');
+    const result = await local.transcribe({ videoId: VIDEO_ID, audioPath });
+    expect(result).toEqual({ ...expected, text: expected.segments.map((s) => s.text).join(' ') });
+    expect(calls[0]).toEqual([
+      'whisper-cli',
+      '-m', 'models/ggml-base.en.bin',
+      '-f', audioPath,
+      '-l', 'auto',
+      '-oj',
+      '-of', audioPath.replace(/\.wav$/, ''),
+      '-np',
+      '-t', '2',
+    ]);
+  });
+
+  it('whisper-cpp output with no speech has no duration', () => {
+    expect(parseWhisperCppOutput({ transcription: [] })).toEqual({ text: '', duration: null, segments: [], language: null });
+  });
+
+  it('results can be stored on a blog post', async () => {
+    const fake = createTranscriber(transcriptionConfig({ TRANSCRIBE_BACKEND: 'fake' }, []));
+    const { text, duration, segments } = await fake.transcribe({ videoId: VIDEO_ID, audioPath: '' });
+    const post = {
+      videoId: VIDEO_ID,
+      slug: `prince-street-pizza-review-${VIDEO_ID}`,
+      restaurantSlug: 'prince-street-pizza',
+      restaurantName: 'Prince Street Pizza',
+      city: 'New York',
+      cuisine: 'Pizza',
+      title: 'T',
+      summary: 'S',
+      content: 'C',
+      transcript: text,
+      transcriptDuration: duration,
+      segments,
+      thumbnailUrl: '',
+      embedUrl: '',
+      createTime: 1706400000,
+      generatedAt: '2026-01-01T00:00:00.000Z',
+      status: 'draft',
+    };
+    expect(validateData({ videos: videosData, restaurants: restaurantsData, blogPosts: { [VIDEO_ID]: post } })).toEqual([]);
+  });
+});
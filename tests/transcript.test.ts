@@ -0,0 +1,65 @@
+import { describe, it, expect } from 'vitest';
+import { normalizeSegments, activeSegment, vttTimestamp, toWebVTT } from '../scripts/lib/transcript.js';
+import { captionsPath } from '../scripts/lib/slug.js';
+
+describe('normalizeSegments', () => {
+  it('keeps start, end and trimmed text of Whisper segments, in order', () => {
+    expect(
+      normalizeSegments([
+        { id: 1, seek: 0, start: 4.2, end: 9.861234, text: '  and everyone   orders the spicy spring.', tokens: [1, 2] },
+        { id: 0, seek: 0, start: 0, end: 4.2, text: ' Okay so this is Prince Street Pizza' },
+      ])
+    ).toEqual([
+      { start: 0, end: 4.2, text: 'Okay so this is Prince Street Pizza' },
+      { start: 4.2, end: 9.86, text: 'and everyone orders the spicy spring.' },
+    ]);
+  });
+
+  it('drops empty and untimed segments and clamps ends before starts', () => {
+    expect(
+      normalizeSegments([
+        { start: 0, end: 1, text: '   ' },
+        { start: 1, text: 'No end' },
+        { start: 3, end: 2, text: 'Backwards' },
+        null,
+      ])
+    ).toEqual([{ start: 3, end: 3, text: 'Backwards' }]);
+    expect(normalizeSegments(undefined)).toEqual([]);
+  });
+});
+
+describe('activeSegment', () => {
+  const segments = [{ start: 1 }, { start: 4 }, { start: 9 }];
+
+  it('finds the segment being spoken', () => {
+    expect(activeSegment(segments, 0.5)).toBe(-1);
+    expect(activeSegment(segments, 1)).toBe(0);
+    expect(activeSegment(segments, 8.9)).toBe(1);
+    expect(activeSegment(segments, 60)).toBe(2);
+  });
+});
+
+describe('toWebVTT', () => {
+  it('formats cue timestamps', () => {
+    expect(vttTimestamp(0)).toBe('00:00:00.000');
+    expect(vttTimestamp(9.86)).toBe('00:00:09.860');
+    expect(vttTimestamp(3723.5)).toBe('01:02:03.500');
+  });
+
+  it('writes one numbered cue per segment, escaping markup', () => {
+    expect(
+      toWebVTT([
+        { start: 0, end: 4.2, text: 'Okay so this is Prince Street Pizza' },
+        { start: 4.2, end: 9.86, text: 'Pepperoni <3 & honey --> wow' },
+      ])
+    ).toBe(
+      'WEBVTT\n\n' +
+        '1\n00:00:00.000 --> 00:00:04.200\nOkay so this is Prince Street Pizza\n\n' +
+        '2\n00:00:04.200 --> 00:00:09.860\nPepperoni &lt;3 &amp; honey --&gt; wow\n'
+    );
+  });
+
+  it('is served next to the video pages', () => {
+    expect(captionsPath('7312456789012', '/oneminreviews/')).toBe('/oneminreviews/captions/7312456789012.vtt');
+  });
+});
@@ -0,0 +1,116 @@
+import { describe, it, expect } from 'vitest';
+import { parseVerdict } from '../scripts/lib/verdict.js';
+import { verdictVars, extractVerdict, VERDICT_OUTPUT } from '../scripts/lib/verdict-extractor.js';
+import { loadPromptTemplate, renderPrompt, schemaErrors } from '../scripts/lib/generation.js';
+import { createStubLLM } from '../scripts/lib/llm/stub.js';
+
+const meta = { videoId: '111', source: 'transcript' as const, model: 'gpt-4o-mini', extractedAt: '2026-01-01T00:00:00.000Z' };
+
+describe('parseVerdict', () => {
+  it('normalizes model output into a stored verdict', () => {
+    expect(
+      parseVerdict(
+        {
+          score: '8.3',
+          worthIt: true,
+          summary: '  Best square slice in the city. ',
+          dishes: [
+            { name: 'Spicy Spring', sentiment: 'positive', note: 'crispy pepperoni' },
+            { name: 'Vodka square', sentiment: 'meh', note: '' },
+            { name: '' },
+          ],
+          pricePaid: '$14.50',
+          waitMinutes: '20 min',
+        },
+        meta
+      )
+    ).toEqual({
+      ...meta,
+      score: 8.5,
+      worthIt: true,
+      summary: 'Best square slice in the city.',
+      dishes: [
+        { name: 'Spicy Spring', sentiment: 'positive', note: 'crispy pepperoni' },
+        { name: 'Vodka square', sentiment: 'mixed' },
+      ],
+      pricePaid: 14.5,
+      waitMinutes: 20,
+    });
+  });
+
+  it('leaves out price and wait time the video does not mention', () => {
+    const verdict = parseVerdict({ score: 6, worthIt: false, summary: 'Fine.', pricePaid: null, waitMinutes: null }, meta);
+    expect(verdict).not.toHaveProperty('pricePaid');
+    expect(verdict).not.toHaveProperty('waitMinutes');
+    expect(verdict.dishes).toEqual([]);
+  });
+
+  it('rejects a verdict without a usable score, worth-it answer or summary', () => {
+    expect(() => parseVerdict({ score: 11, worthIt: true, summary: 'x' }, meta)).toThrow('0–10');
+    expect(() => parseVerdict({ worthIt: true, summary: 'x' }, meta)).toThrow('0–10');
+    expect(() => parseVerdict({ score: 7, worthIt: 'yes', summary: 'x' }, meta)).toThrow('worthIt');
+    expect(() => parseVerdict({ score: 7, worthIt: true, summary: ' ' }, meta)).toThrow('summary');
+    expect(() => parseVerdict(null, meta)).toThrow('JSON object');
+  });
+});
+
+describe('verdict prompt', () => {
+  const template = loadPromptTemplate('verdict');
+
+  it('includes the restaurant, caption and transcript', () => {
+    const prompt = renderPrompt(template, verdictVars({ caption: 'Worth the line' }, { name: "Joe's Pizza", cuisine: 'Pizza' }, 'So good.'));
+    expect(prompt).toContain("Joe's Pizza (Pizza)");
+    expect(prompt).toContain('Worth the line');
+    expect(prompt).toContain('So good.');
+  });
+
+  it('says when there is no transcript', () => {
+    expect(renderPrompt(template, verdictVars({ caption: 'x' }, null))).toContain('no transcript');
+  });
+});
+
+describe('extractVerdict', () => {
+  const video = { videoId: '111', caption: 'Worth the line' };
+  const restaurant = { name: "Joe's Pizza", cuisine: 'Pizza' };
+  const answer = {
+    score: 8,
+    worthIt: true,
+    summary: 'Classic slice.',
+    dishes: [{ name: 'Cheese slice', sentiment: 'positive', note: '' }],
+    pricePaid: null,
+    waitMinutes: 10,
+  };
+
+  it('accepts null for what the video does not mention', () => {
+    expect(schemaErrors(answer, VERDICT_OUTPUT.schema)).toEqual([]);
+    expect(schemaErrors({ ...answer, pricePaid: '5' }, VERDICT_OUTPUT.schema)).toEqual([
+      '$.pricePaid should be number or null, got string',
+    ]);
+  });
+
+  it('asks the LLM with the schema and records the template and model', async () => {
+    const llm = createStubLLM({ model: 'test-model', responses: [JSON.stringify(answer)] });
+    const verdict = await extractVerdict(llm, { video, restaurant, transcript: 'So good.', now: meta.extractedAt });
+    expect(verdict).toEqual({
+      ...meta,
+      model: 'test-model',
+      template: 'verdict@1',
+      score: 8,
+      worthIt: true,
+      summary: 'Classic slice.',
+      dishes: [{ name: 'Cheese slice', sentiment: 'positive' }],
+      waitMinutes: 10,
+    });
+    expect(llm.calls[0].schema).toEqual(VERDICT_OUTPUT);
+    expect(llm.calls[0].temperature).toBe(0);
+  });
+
+  it('retries an answer that misses the schema', async () => {
+    const { summary, ...incomplete } = answer;
+    const llm = createStubLLM({ responses: [JSON.stringify(incomplete), JSON.stringify({ ...answer, summary })] });
+    const verdict = await extractVerdict(llm, { video, restaurant });
+    expect(verdict.source).toBe('caption');
+    expect(llm.calls).toHaveLength(2);
+    expect(llm.calls[1].messages[2].content).toContain('$.summary is missing');
+  });
+});